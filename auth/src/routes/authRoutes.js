@@ -850,6 +850,7 @@ router.get('/me', require('../middleware/authMiddleware').verifyToken, async (re
         id: user.id,
         name: user.name,
         email: user.email,
+        phone: user.phone || null,
         department: user.department,
         role: user.role,
         accessLevel: user.accessLevel,
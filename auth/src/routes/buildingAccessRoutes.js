@@ -2,11 +2,18 @@ const express = require('express');
 const { body, query, validationResult } = require('express-validator');
 
 const userService = require('../services/userService');
+const zoneService = require('../services/zoneService');
 const authMiddleware = require('../middleware/authMiddleware');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+const ACCESS_LEVELS = ['basic', 'standard', 'elevated', 'admin'];
+const ROLES = ['admin', 'manager', 'technician', 'user'];
+
+// Copy the given fields that are present in the request body
+const pick = (source, fields) => Object.fromEntries(fields.filter(field => source[field] !== undefined).map(field => [field, source[field]]));
+
 // All building access routes require authentication
 router.use(authMiddleware.verifyToken);
 
@@ -19,6 +26,7 @@ router.post('/log', [
   body('accessType').isIn(['entry', 'exit']).withMessage('Access type must be entry or exit'),
   body('method').isIn(['biometric', 'card', 'emergency']).withMessage('Invalid access method'),
   body('deviceId').optional().trim(),
+  body('reservationId').optional().trim(),
   body('biometricData').optional().isObject()
 ], async (req, res) => {
   try {
@@ -32,7 +40,7 @@ router.post('/log', [
     }
 
     const userId = req.user.userId;
-    const { zoneId, accessType, method, deviceId, biometricData } = req.body;
+    const { zoneId, accessType, method, deviceId, reservationId, biometricData } = req.body;
 
     // Log the access attempt
     const accessLog = {
@@ -41,6 +49,7 @@ router.post('/log', [
       accessType,
       method,
       deviceId,
+      reservationId,
       timestamp: new Date(),
       ipAddress: req.ip,
       userAgent: req.get('User-Agent'),
@@ -57,6 +66,7 @@ router.post('/log', [
       method,
       deviceId,
       accessType,
+      reservationId,
       biometricData: accessLog.biometricData
     });
 
@@ -68,7 +78,8 @@ router.post('/log', [
         timestamp: accessLog.timestamp,
         zoneId: accessLog.zoneId,
         accessType: accessLog.accessType,
-        method: accessLog.method
+        method: accessLog.method,
+        reservationId: accessLog.reservationId
       }
     });
 
@@ -138,6 +149,7 @@ router.get('/history', [
       accessType: log.metadata.accessType,
       method: log.metadata.method,
       deviceId: log.metadata.deviceId,
+      reservationId: log.metadata.reservationId,
       timestamp: log.timestamp,
       biometricData: log.metadata.biometricData
     }));
@@ -170,57 +182,31 @@ router.get('/permissions/:zoneId', async (req, res) => {
     const userAccessLevel = req.user.accessLevel;
     const userRole = req.user.role;
 
-    // Zone access rules (this would typically come from a database)
-    const zoneAccessRules = {
-      'lobby': ['basic', 'standard', 'elevated', 'admin'],
-      'office-general': ['standard', 'elevated', 'admin'],
-      'office-private': ['elevated', 'admin'],
-      'server-room': ['admin'],
-      'maintenance': ['technician', 'admin'],
-      'emergency-exit': ['basic', 'standard', 'elevated', 'admin']
-    };
-
-    const roleAccessRules = {
-      'server-room': ['admin'],
-      'maintenance': ['technician', 'admin'],
-      'office-private': ['manager', 'admin']
-    };
-
-    // Check access based on access level
-    const allowedLevels = zoneAccessRules[zoneId] || [];
-    const hasLevelAccess = allowedLevels.includes(userAccessLevel);
-
-    // Check access based on role
-    const allowedRoles = roleAccessRules[zoneId] || [];
-    const hasRoleAccess = allowedRoles.length === 0 || allowedRoles.includes(userRole);
-
-    const hasAccess = hasLevelAccess && hasRoleAccess;
-
-    // Get additional zone information
-    const zoneInfo = {
-      'lobby': { name: 'Main Lobby', requiresBiometric: false },
-      'office-general': { name: 'General Office Area', requiresBiometric: false },
-      'office-private': { name: 'Private Offices', requiresBiometric: true },
-      'server-room': { name: 'Server Room', requiresBiometric: true },
-      'maintenance': { name: 'Maintenance Area', requiresBiometric: false },
-      'emergency-exit': { name: 'Emergency Exit', requiresBiometric: false }
-    };
+    const zone = await zoneService.getZone(zoneId);
+    if (!zone) {
+      return res.status(404).json({
+        error: 'Zone not found',
+        code: 'ZONE_NOT_FOUND'
+      });
+    }
 
-    const zone = zoneInfo[zoneId] || { name: 'Unknown Zone', requiresBiometric: false };
+    // Rules come from the zone and every zone it sits inside
+    const { hasAccess, reason, rules } = await zoneService.checkAccess(zoneId, req.user);
 
     logger.info(`🔍 Access permission check for user ${userId} to zone ${zoneId}: ${hasAccess ? 'GRANTED' : 'DENIED'}`);
 
     res.json({
       zoneId,
       zoneName: zone.name,
+      parentId: zone.parentId,
       hasAccess,
-      requiresBiometric: zone.requiresBiometric,
+      requiresBiometric: rules.requiresBiometric,
       userAccessLevel,
       userRole,
-      accessReason: hasAccess ? 'Access granted based on user permissions' : 'Insufficient permissions for this zone',
+      accessReason: reason,
       restrictions: {
-        requiredAccessLevels: allowedLevels,
-        requiredRoles: allowedRoles.length > 0 ? allowedRoles : ['any']
+        requiredAccessLevels: ACCESS_LEVELS.slice(ACCESS_LEVELS.indexOf(rules.accessLevel)),
+        requiredRoles: rules.allowedRoles || ['any']
       }
     });
 
@@ -237,83 +223,39 @@ router.get('/permissions/:zoneId', async (req, res) => {
  * Get all building zones (for UI purposes)
  * GET /api/building-access/zones
  */
-router.get('/zones', async (req, res) => {
+router.get('/zones', [
+  query('all').optional().isBoolean().withMessage('all must be true or false')
+], async (req, res) => {
   try {
-    const zones = [
-      {
-        id: 'lobby',
-        name: 'Main Lobby',
-        description: 'Building entrance and reception area',
-        accessLevel: 'basic',
-        requiresBiometric: false,
-        isActive: true
-      },
-      {
-        id: 'office-general',
-        name: 'General Office Area',
-        description: 'Open office workspace',
-        accessLevel: 'standard',
-        requiresBiometric: false,
-        isActive: true
-      },
-      {
-        id: 'office-private',
-        name: 'Private Offices',
-        description: 'Executive and private office areas',
-        accessLevel: 'elevated',
-        requiresBiometric: true,
-        isActive: true
-      },
-      {
-        id: 'server-room',
-        name: 'Server Room',
-        description: 'Critical IT infrastructure area',
-        accessLevel: 'admin',
-        requiresBiometric: true,
-        isActive: true
-      },
-      {
-        id: 'maintenance',
-        name: 'Maintenance Area',
-        description: 'Building maintenance and utilities',
-        accessLevel: 'standard',
-        requiresBiometric: false,
-        isActive: true,
-        roleRestriction: ['technician', 'admin']
-      },
-      {
-        id: 'emergency-exit',
-        name: 'Emergency Exit',
-        description: 'Emergency evacuation routes',
-        accessLevel: 'basic',
-        requiresBiometric: false,
-        isActive: true,
-        alwaysAccessible: true
-      }
-    ];
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
 
-    // Filter zones based on user's access level and role
     const userAccessLevel = req.user.accessLevel;
     const userRole = req.user.role;
-
-    const accessLevelHierarchy = {
-      'basic': 1,
-      'standard': 2,
-      'elevated': 3,
-      'admin': 4
-    };
-
-    const userLevel = accessLevelHierarchy[userAccessLevel] || 0;
-
-    const accessibleZones = zones.filter(zone => {
-      const requiredLevel = accessLevelHierarchy[zone.accessLevel] || 0;
-      const hasLevelAccess = userLevel >= requiredLevel;
-      
-      const hasRoleAccess = !zone.roleRestriction || 
-                           zone.roleRestriction.includes(userRole);
-      
-      return zone.isActive && (hasLevelAccess && hasRoleAccess);
-    });
+    const zones = await zoneService.getZones();
+
+    // Admins can list every zone, including inactive and restricted ones
+    const showAll = req.query.all === 'true' && userRole === 'admin';
+
+    const accessibleZones = [];
+    for (const zone of zones) {
+      const { hasAccess, rules } = await zoneService.checkAccess(zone.id, req.user);
+      if (showAll || hasAccess) {
+        accessibleZones.push({
+          ...zone,
+          effectiveAccessLevel: rules.accessLevel,
+          effectiveRoles: rules.allowedRoles || ['any'],
+          requiresBiometric: rules.requiresBiometric,
+          hasAccess
+        });
+      }
+    }
 
     res.json({
       zones: accessibleZones,
@@ -332,6 +274,220 @@ router.get('/zones', async (req, res) => {
   }
 });
 
+/**
+ * Get one building zone with its child zones
+ * GET /api/building-access/zones/:zoneId
+ */
+router.get('/zones/:zoneId', async (req, res) => {
+  try {
+    const zone = await zoneService.getZone(req.params.zoneId);
+    // As in the zone list, only admins see zones the user can't enter
+    const isAdmin = req.user.role === 'admin';
+    const access = zone && await zoneService.checkAccess(zone.id, req.user);
+    if (!zone || (!isAdmin && !access.hasAccess)) {
+      return res.status(404).json({
+        error: 'Zone not found',
+        code: 'ZONE_NOT_FOUND'
+      });
+    }
+
+    const children = [];
+    for (const child of await zoneService.getChildren(zone.id)) {
+      if (isAdmin || (await zoneService.checkAccess(child.id, req.user)).hasAccess) {
+        children.push({ id: child.id, name: child.name, isActive: child.isActive });
+      }
+    }
+
+    res.json({
+      zone,
+      effectiveRules: access.rules,
+      hasAccess: access.hasAccess,
+      children
+    });
+
+  } catch (error) {
+    logger.error('❌ Failed to get building zone:', error.message);
+    res.status(500).json({
+      error: 'Failed to get building zone',
+      code: 'ZONE_ERROR'
+    });
+  }
+});
+
+// Zone fields admins can set; `id` is only given when creating
+const zoneValidators = (creating) => [
+  ...(creating ? [
+    body('id').matches(/^[a-z0-9]+(-[a-z0-9]+)*$/).withMessage('Zone ID must be lowercase letters, digits and dashes'),
+    body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters')
+  ] : [
+    body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters')
+  ]),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description must be at most 500 characters'),
+  body('parentId').optional({ values: 'null' }).isString().withMessage('Parent zone ID must be a string'),
+  body('accessLevel').optional().isIn(ACCESS_LEVELS).withMessage('Invalid access level'),
+  body('allowedRoles').optional().isArray().withMessage('Allowed roles must be an array'),
+  body('allowedRoles.*').isIn(ROLES).withMessage('Invalid role'),
+  body('requiresBiometric').optional().isBoolean({ strict: true }).withMessage('requiresBiometric must be true or false'),
+  body('alwaysAccessible').optional().isBoolean({ strict: true }).withMessage('alwaysAccessible must be true or false'),
+  body('isActive').optional().isBoolean({ strict: true }).withMessage('isActive must be true or false')
+];
+
+const ZONE_FIELDS = ['name', 'description', 'parentId', 'accessLevel', 'allowedRoles', 'requiresBiometric', 'alwaysAccessible', 'isActive'];
+
+/**
+ * Create a building zone (admin only)
+ * POST /api/building-access/zones
+ */
+router.post('/zones',
+  authMiddleware.requireRole(['admin']),
+  zoneValidators(true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: errors.array()
+        });
+      }
+
+      if (await zoneService.getZone(req.body.id)) {
+        return res.status(409).json({
+          error: 'A zone with this ID already exists',
+          code: 'ZONE_EXISTS'
+        });
+      }
+
+      const parentError = await zoneService.validateParent(req.body.id, req.body.parentId);
+      if (parentError) {
+        return res.status(400).json({
+          error: parentError,
+          code: 'INVALID_PARENT_ZONE'
+        });
+      }
+
+      const zone = await zoneService.createZone({ id: req.body.id, ...pick(req.body, ZONE_FIELDS) });
+
+      logger.info(`🏢 Zone ${zone.id} created by ${req.user.email}`);
+
+      res.status(201).json({
+        message: 'Zone created successfully',
+        zone
+      });
+
+    } catch (error) {
+      logger.error('❌ Failed to create zone:', error.message);
+      res.status(500).json({
+        error: 'Failed to create zone',
+        code: 'ZONE_CREATE_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * Update a building zone (admin only)
+ * PUT /api/building-access/zones/:zoneId
+ */
+router.put('/zones/:zoneId',
+  authMiddleware.requireRole(['admin']),
+  zoneValidators(false),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: errors.array()
+        });
+      }
+
+      const { zoneId } = req.params;
+      if (!await zoneService.getZone(zoneId)) {
+        return res.status(404).json({
+          error: 'Zone not found',
+          code: 'ZONE_NOT_FOUND'
+        });
+      }
+
+      if (req.body.parentId !== undefined) {
+        const parentError = await zoneService.validateParent(zoneId, req.body.parentId);
+        if (parentError) {
+          return res.status(400).json({
+            error: parentError,
+            code: 'INVALID_PARENT_ZONE'
+          });
+        }
+      }
+
+      const updates = pick(req.body, ZONE_FIELDS);
+      if (updates.parentId === '') {
+        updates.parentId = null;
+      }
+      const zone = await zoneService.updateZone(zoneId, updates);
+
+      logger.info(`🏢 Zone ${zoneId} updated by ${req.user.email}`);
+
+      res.json({
+        message: 'Zone updated successfully',
+        zone
+      });
+
+    } catch (error) {
+      logger.error('❌ Failed to update zone:', error.message);
+      res.status(500).json({
+        error: 'Failed to update zone',
+        code: 'ZONE_UPDATE_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * Delete a building zone without child zones (admin only)
+ * DELETE /api/building-access/zones/:zoneId
+ */
+router.delete('/zones/:zoneId',
+  authMiddleware.requireRole(['admin']),
+  async (req, res) => {
+    try {
+      const { zoneId } = req.params;
+      if (!await zoneService.getZone(zoneId)) {
+        return res.status(404).json({
+          error: 'Zone not found',
+          code: 'ZONE_NOT_FOUND'
+        });
+      }
+
+      const children = await zoneService.getChildren(zoneId);
+      if (children.length > 0) {
+        return res.status(409).json({
+          error: 'Move or delete the child zones first',
+          code: 'ZONE_HAS_CHILDREN',
+          children: children.map(child => child.id)
+        });
+      }
+
+      await zoneService.deleteZone(zoneId);
+
+      logger.info(`🏢 Zone ${zoneId} deleted by ${req.user.email}`);
+
+      res.json({
+        message: 'Zone deleted successfully'
+      });
+
+    } catch (error) {
+      logger.error('❌ Failed to delete zone:', error.message);
+      res.status(500).json({
+        error: 'Failed to delete zone',
+        code: 'ZONE_DELETE_ERROR'
+      });
+    }
+  }
+);
+
 /**
  * Get building access statistics (admin/manager only)
  * GET /api/building-access/stats
@@ -356,20 +512,34 @@ router.get('/stats',
       const timeframe = req.query.timeframe || 'day';
       const { zoneId } = req.query;
 
+      if (zoneId && !await zoneService.getZone(zoneId)) {
+        return res.status(404).json({
+          error: 'Zone not found',
+          code: 'ZONE_NOT_FOUND'
+        });
+      }
+
       // Get building access statistics
       const stats = await userService.getBuildingAccessStats(timeframe);
 
-      // This is a simplified version - in production you'd have more detailed analytics
+      // Entries per zone, limited to the requested zone and the zones inside it
+      const zones = await zoneService.getZones();
+      const zoneIds = zoneId ? await zoneService.getSubtreeIds(zoneId) : zones.map(zone => zone.id);
+      const topZones = zoneIds
+        .map(id => ({
+          zoneId: id,
+          zoneName: zones.find(zone => zone.id === id).name,
+          accesses: stats.accessByZone[id] || 0
+        }))
+        .sort((a, b) => b.accesses - a.accesses);
+
       const buildingStats = {
         ...stats,
-        topZones: [
-          { zoneId: 'lobby', accesses: Math.floor(stats.totalAccess * 0.4) },
-          { zoneId: 'office-general', accesses: Math.floor(stats.totalAccess * 0.3) },
-          { zoneId: 'office-private', accesses: Math.floor(stats.totalAccess * 0.2) },
-          { zoneId: 'server-room', accesses: Math.floor(stats.totalAccess * 0.1) }
-        ],
+        topZones,
         securityAlerts: 0, // Placeholder for security alerts
-        emergencyExits: 0, // Placeholder for emergency exit usage
+        emergencyExits: zones
+          .filter(zone => zone.alwaysAccessible)
+          .reduce((sum, zone) => sum + (stats.accessByZone[zone.id] || 0), 0),
         peakHours: stats.accessByHour.indexOf(Math.max(...stats.accessByHour))
       };
 
@@ -36,6 +36,7 @@ router.get('/profile', async (req, res) => {
         id: user.id,
         name: user.name,
         email: user.email,
+        phone: user.phone || null,
         department: user.department,
         role: user.role,
         accessLevel: user.accessLevel,
@@ -69,7 +70,8 @@ router.get('/profile', async (req, res) => {
  */
 router.put('/profile', [
   body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
-  body('department').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Department must be 2-50 characters')
+  body('department').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Department must be 2-50 characters'),
+  body('phone').optional().matches(/^\+[1-9]\d{6,14}$/).withMessage('Phone must be in E.164 format (e.g. +15551234567)')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -82,11 +84,12 @@ router.put('/profile', [
     }
 
     const userId = req.user.userId;
-    const { name, department } = req.body;
+    const { name, department, phone } = req.body;
 
     const updates = {};
     if (name) updates.name = name;
     if (department) updates.department = department;
+    if (phone) updates.phone = phone;
 
     const updatedUser = await userService.updateUser(userId, updates);
 
@@ -98,6 +101,7 @@ router.put('/profile', [
         id: updatedUser.id,
         name: updatedUser.name,
         email: updatedUser.email,
+        phone: updatedUser.phone || null,
         department: updatedUser.department,
         role: updatedUser.role,
         accessLevel: updatedUser.accessLevel
@@ -376,7 +376,8 @@ class UserService {
       biometricAccess: 0,
       passwordAccess: 0,
       uniqueUsers: new Set(),
-      accessByHour: new Array(24).fill(0)
+      accessByHour: new Array(24).fill(0),
+      accessByZone: {}
     };
 
     for (const [userId, logs] of this.accessLogs) {
@@ -389,6 +390,8 @@ class UserService {
             stats.biometricAccess++;
           } else if (log.loginType === 'password_login') {
             stats.passwordAccess++;
+          } else if (log.loginType === 'building_access_entry' && log.metadata?.zoneId) {
+            stats.accessByZone[log.metadata.zoneId] = (stats.accessByZone[log.metadata.zoneId] || 0) + 1;
           }
 
           const hour = log.timestamp.getHours();
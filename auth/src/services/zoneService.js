@@ -0,0 +1,260 @@
+const JsonStore = require('../utils/jsonStore');
+const logger = require('../utils/logger');
+
+const ACCESS_LEVELS = ['basic', 'standard', 'elevated', 'admin'];
+
+// Zones the service starts with before an admin has changed anything
+const DEFAULT_ZONES = [
+  {
+    id: 'lobby',
+    name: 'Main Lobby',
+    description: 'Building entrance and reception area',
+    accessLevel: 'basic'
+  },
+  {
+    id: 'office-general',
+    name: 'General Office Area',
+    description: 'Open office workspace',
+    accessLevel: 'standard'
+  },
+  {
+    id: 'office-private',
+    name: 'Private Offices',
+    description: 'Executive and private office areas',
+    accessLevel: 'elevated',
+    allowedRoles: ['manager', 'admin'],
+    requiresBiometric: true
+  },
+  {
+    id: 'server-room',
+    name: 'Server Room',
+    description: 'Critical IT infrastructure area',
+    accessLevel: 'admin',
+    allowedRoles: ['admin'],
+    requiresBiometric: true
+  },
+  {
+    id: 'maintenance',
+    name: 'Maintenance Area',
+    description: 'Building maintenance and utilities',
+    accessLevel: 'standard',
+    allowedRoles: ['technician', 'admin']
+  },
+  {
+    id: 'emergency-exit',
+    name: 'Emergency Exit',
+    description: 'Emergency evacuation routes',
+    accessLevel: 'basic',
+    alwaysAccessible: true
+  }
+];
+
+/**
+ * Zone Service - Building zones and who may enter them
+ * Zones form a tree through parentId. Entering a child zone means passing
+ * through its parents, so a child's effective rules combine its own with every
+ * ancestor's: the highest access level, each non-empty role list, and biometric
+ * verification if any of them needs it. A zone is only usable while it and all
+ * its ancestors are active. Zones are persisted as JSON under DATA_DIR.
+ */
+class ZoneService {
+  constructor() {
+    this.store = new JsonStore('zones');
+    const stored = this.store.load(null);
+    const zones = stored || DEFAULT_ZONES.map(zone => this.buildZone(zone));
+    this.zones = new Map(zones.map(zone => [zone.id, zone]));
+
+    if (!stored) {
+      this.persist();
+      logger.info(`🏢 Initialized ${this.zones.size} default building zones`);
+    }
+  }
+
+  persist() {
+    this.store.save(Array.from(this.zones.values()));
+  }
+
+  /**
+   * Fill in defaults for a new zone
+   */
+  buildZone(data) {
+    const now = new Date().toISOString();
+    return {
+      id: data.id,
+      name: data.name,
+      description: data.description || '',
+      parentId: data.parentId || null,
+      accessLevel: data.accessLevel || 'basic',
+      allowedRoles: data.allowedRoles || [],
+      requiresBiometric: data.requiresBiometric === true,
+      alwaysAccessible: data.alwaysAccessible === true,
+      isActive: data.isActive !== false,
+      createdAt: now,
+      updatedAt: now
+    };
+  }
+
+  /**
+   * Get all zones
+   */
+  async getZones() {
+    return Array.from(this.zones.values());
+  }
+
+  /**
+   * Get zone by ID
+   */
+  async getZone(zoneId) {
+    return this.zones.get(zoneId) || null;
+  }
+
+  /**
+   * Get the zones directly inside a zone
+   */
+  async getChildren(zoneId) {
+    return Array.from(this.zones.values()).filter(zone => zone.parentId === zoneId);
+  }
+
+  /**
+   * IDs of a zone and every zone below it
+   */
+  async getSubtreeIds(zoneId) {
+    const ids = [zoneId];
+    for (let i = 0; i < ids.length; i++) {
+      const children = await this.getChildren(ids[i]);
+      ids.push(...children.map(child => child.id));
+    }
+    return ids;
+  }
+
+  /**
+   * A zone followed by its parent, grandparent and so on
+   */
+  getPath(zoneId) {
+    const path = [];
+    let zone = this.zones.get(zoneId);
+    while (zone && !path.includes(zone)) {
+      path.push(zone);
+      zone = zone.parentId ? this.zones.get(zone.parentId) : null;
+    }
+    return path;
+  }
+
+  /**
+   * Check a proposed parent, returning an error message or null
+   * (the parent must exist and must not be the zone itself or one of its children)
+   */
+  async validateParent(zoneId, parentId) {
+    if (!parentId) {
+      return null;
+    }
+    if (!this.zones.has(parentId)) {
+      return `Parent zone not found: ${parentId}`;
+    }
+    if (this.getPath(parentId).some(zone => zone.id === zoneId)) {
+      return 'A zone cannot be placed inside itself or one of its child zones';
+    }
+    return null;
+  }
+
+  /**
+   * Create a new zone
+   */
+  async createZone(data) {
+    const zone = this.buildZone(data);
+    this.zones.set(zone.id, zone);
+    this.persist();
+    logger.info(`🏢 Created zone: ${zone.id} (${zone.name})`);
+
+    return zone;
+  }
+
+  /**
+   * Update a zone
+   */
+  async updateZone(zoneId, updates) {
+    const zone = this.zones.get(zoneId);
+    if (!zone) {
+      throw new Error('Zone not found');
+    }
+
+    const updatedZone = {
+      ...zone,
+      ...updates,
+      id: zoneId,
+      createdAt: zone.createdAt,
+      updatedAt: new Date().toISOString()
+    };
+
+    this.zones.set(zoneId, updatedZone);
+    this.persist();
+    logger.info(`🏢 Updated zone: ${zoneId}`);
+
+    return updatedZone;
+  }
+
+  /**
+   * Delete a zone (callers make sure it has no child zones first)
+   */
+  async deleteZone(zoneId) {
+    const deleted = this.zones.delete(zoneId);
+    if (deleted) {
+      this.persist();
+      logger.info(`🏢 Deleted zone: ${zoneId}`);
+    }
+    return deleted;
+  }
+
+  /**
+   * The rules that apply to a zone once its ancestors are taken into account
+   */
+  async getEffectiveRules(zoneId) {
+    const path = this.getPath(zoneId);
+    if (path.length === 0) {
+      return null;
+    }
+
+    const roleLists = path.map(zone => zone.allowedRoles).filter(roles => roles.length > 0);
+    return {
+      accessLevel: path
+        .map(zone => zone.accessLevel)
+        .reduce((highest, level) => ACCESS_LEVELS.indexOf(level) > ACCESS_LEVELS.indexOf(highest) ? level : highest),
+      // Roles allowed by every zone on the path that restricts roles (null = any role)
+      allowedRoles: roleLists.length === 0 ? null : roleLists.reduce((allowed, roles) => allowed.filter(role => roles.includes(role))),
+      requiresBiometric: path.some(zone => zone.requiresBiometric),
+      alwaysAccessible: path[0].alwaysAccessible,
+      isActive: path.every(zone => zone.isActive)
+    };
+  }
+
+  /**
+   * Check whether a user may enter a zone
+   * Returns { hasAccess, reason, rules } or null for an unknown zone
+   */
+  async checkAccess(zoneId, { accessLevel, role }) {
+    const rules = await this.getEffectiveRules(zoneId);
+    if (!rules) {
+      return null;
+    }
+
+    let reason = 'Access granted based on user permissions';
+    let hasAccess = true;
+
+    if (!rules.isActive) {
+      hasAccess = false;
+      reason = 'Zone is not active';
+    } else if (rules.alwaysAccessible) {
+      reason = 'Zone is always accessible';
+    } else if (ACCESS_LEVELS.indexOf(accessLevel) < ACCESS_LEVELS.indexOf(rules.accessLevel)) {
+      hasAccess = false;
+      reason = `Requires ${rules.accessLevel} access level or higher`;
+    } else if (rules.allowedRoles && !rules.allowedRoles.includes(role)) {
+      hasAccess = false;
+      reason = `Restricted to roles: ${rules.allowedRoles.join(', ') || 'none'}`;
+    }
+
+    return { hasAccess, reason, rules };
+  }
+}
+
+module.exports = new ZoneService();
@@ -0,0 +1,43 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Directory for persisted auth service state (building zones)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../../data');
+
+/**
+ * Minimal JSON file store for state that needs to survive restarts.
+ * Writes go to a temporary file first and are renamed into place so a crash
+ * mid-write never leaves a truncated file behind.
+ */
+class JsonStore {
+  constructor(name) {
+    this.filePath = path.join(DATA_DIR, `${name}.json`);
+  }
+
+  // Read stored data, falling back to the default when nothing has been saved yet
+  load(defaultValue) {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return defaultValue;
+      }
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      logger.error(`❌ Failed to load ${this.filePath}:`, error.message);
+      return defaultValue;
+    }
+  }
+
+  // Persist data atomically
+  save(data) {
+    if (!fs.existsSync(DATA_DIR)) {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+module.exports = JsonStore;
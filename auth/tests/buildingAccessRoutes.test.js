@@ -0,0 +1,57 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+
+// The zone store, logger and token check read these when they load
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bbms-auth-'));
+process.env.DATA_DIR = dataDir;
+process.env.LOG_LEVEL = 'error';
+process.env.JWT_SECRET = 'test-secret';
+
+const zoneService = require('../src/services/zoneService');
+const buildingAccessRoutes = require('../src/routes/buildingAccessRoutes');
+
+const app = express();
+app.use(express.json());
+app.use('/api/building-access', buildingAccessRoutes);
+
+const tokenFor = (accessLevel, role = 'user') =>
+  jwt.sign({ userId: `u-${role}`, email: `${role}@example.com`, role, accessLevel }, process.env.JWT_SECRET);
+const getZone = (zoneId, token) => request(app).get(`/api/building-access/zones/${zoneId}`).set('Authorization', `Bearer ${token}`);
+
+beforeAll(async () => {
+  // Plant > Boiler room, for technicians only
+  await zoneService.createZone({ id: 'plant', name: 'Plant floor', accessLevel: 'basic' });
+  await zoneService.createZone({ id: 'boiler-room', name: 'Boiler room', parentId: 'plant', allowedRoles: ['technician'] });
+});
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('a zone the user can enter is returned with only the child zones they can enter', async () => {
+  const response = await getZone('plant', tokenFor('standard'));
+
+  expect(response.status).toBe(200);
+  expect(response.body).toMatchObject({ zone: { id: 'plant' }, hasAccess: true, children: [] });
+
+  const technician = await getZone('plant', tokenFor('standard', 'technician'));
+  expect(technician.body.children).toEqual([{ id: 'boiler-room', name: 'Boiler room', isActive: true }]);
+});
+
+test('a zone the user can\'t enter is not found, as in the zone list', async () => {
+  const response = await getZone('boiler-room', tokenFor('standard'));
+
+  expect(response.status).toBe(404);
+  expect(response.body).toEqual({ error: 'Zone not found', code: 'ZONE_NOT_FOUND' });
+});
+
+test('admins can look up any zone', async () => {
+  const response = await getZone('boiler-room', tokenFor('admin', 'admin'));
+
+  expect(response.status).toBe(200);
+  expect(response.body).toMatchObject({ zone: { id: 'boiler-room' }, hasAccess: false, effectiveRules: { allowedRoles: ['technician'] } });
+});
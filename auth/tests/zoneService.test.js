@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The zone store and logger read these when they load
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bbms-auth-'));
+process.env.DATA_DIR = dataDir;
+process.env.LOG_LEVEL = 'error';
+
+const zoneService = require('../src/services/zoneService');
+
+const person = (accessLevel, role = 'user') => ({ accessLevel, role });
+
+beforeAll(async () => {
+  // Floor 3 > Lab > Sample store
+  await zoneService.createZone({ id: 'floor-3', name: 'Floor 3', accessLevel: 'standard', allowedRoles: ['technician', 'manager', 'admin'] });
+  await zoneService.createZone({ id: 'lab', name: 'Lab', parentId: 'floor-3', accessLevel: 'basic', allowedRoles: ['technician', 'manager'] });
+  await zoneService.createZone({ id: 'sample-store', name: 'Sample store', parentId: 'lab', requiresBiometric: true });
+});
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('the default zones are created and stored on first start', async () => {
+  const ids = (await zoneService.getZones()).map(zone => zone.id);
+  expect(ids).toEqual(expect.arrayContaining(['lobby', 'office-general', 'office-private', 'server-room', 'maintenance', 'emergency-exit']));
+
+  const stored = JSON.parse(fs.readFileSync(path.join(dataDir, 'zones.json'), 'utf8'));
+  expect(stored.map(zone => zone.id)).toEqual(expect.arrayContaining(['lobby', 'sample-store']));
+});
+
+test('a child zone takes the strictest access level and only the roles every ancestor allows', async () => {
+  expect(await zoneService.getEffectiveRules('lab')).toEqual({
+    accessLevel: 'standard',
+    allowedRoles: ['technician', 'manager'],
+    requiresBiometric: false,
+    alwaysAccessible: false,
+    isActive: true
+  });
+});
+
+test('a zone without rules of its own inherits them, and biometrics from anywhere on the path', async () => {
+  expect(await zoneService.getEffectiveRules('sample-store')).toMatchObject({
+    accessLevel: 'standard',
+    allowedRoles: ['technician', 'manager'],
+    requiresBiometric: true
+  });
+  expect((await zoneService.getZone('sample-store')).allowedRoles).toEqual([]);
+});
+
+test('access checks use the inherited rules', async () => {
+  expect(await zoneService.checkAccess('sample-store', person('basic', 'technician')))
+    .toMatchObject({ hasAccess: false, reason: 'Requires standard access level or higher' });
+  // Floor 3 lets admins in, but the lab doesn't
+  expect(await zoneService.checkAccess('sample-store', person('admin', 'admin')))
+    .toMatchObject({ hasAccess: false, reason: 'Restricted to roles: technician, manager' });
+  expect(await zoneService.checkAccess('sample-store', person('standard', 'technician')))
+    .toMatchObject({ hasAccess: true, reason: 'Access granted based on user permissions' });
+  expect(await zoneService.checkAccess('missing', person('admin', 'admin'))).toBeNull();
+});
+
+test('role lists that don\'t overlap shut everyone out', async () => {
+  await zoneService.createZone({ id: 'lab-office', name: 'Lab office', parentId: 'lab', allowedRoles: ['admin'] });
+
+  expect((await zoneService.getEffectiveRules('lab-office')).allowedRoles).toEqual([]);
+  expect(await zoneService.checkAccess('lab-office', person('admin', 'admin')))
+    .toMatchObject({ hasAccess: false, reason: 'Restricted to roles: none' });
+});
+
+test('deactivating a zone closes every zone inside it', async () => {
+  await zoneService.updateZone('floor-3', { isActive: false });
+
+  expect((await zoneService.getEffectiveRules('sample-store')).isActive).toBe(false);
+  expect(await zoneService.checkAccess('sample-store', person('standard', 'technician')))
+    .toMatchObject({ hasAccess: false, reason: 'Zone is not active' });
+
+  await zoneService.updateZone('floor-3', { isActive: true });
+  expect((await zoneService.checkAccess('sample-store', person('standard', 'technician'))).hasAccess).toBe(true);
+});
+
+test('always-accessible applies to the zone itself, not to zones inside it', async () => {
+  await zoneService.createZone({ id: 'server-exit', name: 'Server room exit', parentId: 'server-room', alwaysAccessible: true });
+  await zoneService.createZone({ id: 'exit-store', name: 'Exit store', parentId: 'emergency-exit', accessLevel: 'standard' });
+
+  expect(await zoneService.checkAccess('server-exit', person('basic')))
+    .toMatchObject({ hasAccess: true, reason: 'Zone is always accessible' });
+  expect((await zoneService.checkAccess('exit-store', person('basic'))).hasAccess).toBe(false);
+});
+
+test('a zone can\'t be moved inside itself or one of its children', async () => {
+  expect(await zoneService.validateParent('floor-3', 'sample-store'))
+    .toBe('A zone cannot be placed inside itself or one of its child zones');
+  expect(await zoneService.validateParent('floor-3', 'floor-3'))
+    .toBe('A zone cannot be placed inside itself or one of its child zones');
+  expect(await zoneService.validateParent('lab', 'nowhere')).toBe('Parent zone not found: nowhere');
+  expect(await zoneService.validateParent('sample-store', 'lobby')).toBeNull();
+  expect(await zoneService.getSubtreeIds('floor-3')).toEqual(['floor-3', 'lab', 'sample-store', 'lab-office']);
+});
+
+test('zones and their parents survive a restart', () => {
+  jest.isolateModules(() => {
+    const restarted = require('../src/services/zoneService');
+    expect(restarted.getPath('sample-store').map(zone => zone.id)).toEqual(['sample-store', 'lab', 'floor-3']);
+  });
+});
@@ -0,0 +1,301 @@
+/**
+ * Device type definitions
+ * Names match Device.DeviceType on the iOS app. Each type declares the Rubidex
+ * document type its readings are stored under, the canonical unit, accepted
+ * input units (with conversion to the canonical unit), the valid value range
+ * and the default warning/critical bands used to derive a device status.
+ * A null band is disabled. Bands can be overridden per type and per device
+ * through the threshold service. `commands` lists what the equipment accepts
+ * through the command API, with each command's parameters (see normalizeCommand).
+ */
+const DEVICE_TYPES = {
+  'Temperature': {
+    documentType: 'temperature_sensor',
+    unit: '°C',
+    units: {
+      '°C': value => value,
+      'C': value => value,
+      '°F': value => (value - 32) * 5 / 9,
+      'F': value => (value - 32) * 5 / 9
+    },
+    range: { min: -50, max: 150 },
+    thresholds: { criticalLow: null, warningLow: null, warningHigh: 35, criticalHigh: 45 },
+    commands: {}
+  },
+  'Water Level': {
+    documentType: 'water_level_sensor',
+    unit: '%',
+    units: {
+      '%': value => value
+    },
+    range: { min: 0, max: 100 },
+    thresholds: { criticalLow: 10, warningLow: 20, warningHigh: 90, criticalHigh: 98 },
+    commands: {}
+  },
+  'Gas Level': {
+    documentType: 'gas_level_sensor',
+    unit: 'ppm',
+    units: {
+      'ppm': value => value,
+      'ppb': value => value / 1000
+    },
+    range: { min: 0, max: 10000 },
+    thresholds: { criticalLow: null, warningLow: null, warningHigh: 35, criticalHigh: 100 },
+    commands: {}
+  },
+  'Air Conditioning': {
+    documentType: 'air_conditioning_unit',
+    unit: '°C',
+    units: {
+      '°C': value => value,
+      'C': value => value,
+      '°F': value => (value - 32) * 5 / 9,
+      'F': value => (value - 32) * 5 / 9
+    },
+    range: { min: -10, max: 60 },
+    thresholds: { criticalLow: null, warningLow: 10, warningHigh: 30, criticalHigh: null },
+    commands: {
+      setpoint: { params: { value: { type: 'number', min: 16, max: 30, convertUnit: true } } },
+      mode: { params: { mode: { type: 'enum', values: ['off', 'cool', 'heat', 'fan', 'auto', 'eco'] } } },
+      power: { params: { on: { type: 'boolean' } } }
+    }
+  },
+  'Lighting': {
+    documentType: 'lighting_controller',
+    unit: '%',
+    units: {
+      '%': value => value
+    },
+    range: { min: 0, max: 100 },
+    thresholds: { criticalLow: null, warningLow: null, warningHigh: null, criticalHigh: null },
+    commands: {
+      switch: { params: { on: { type: 'boolean' } } },
+      level: { params: { level: { type: 'number', min: 0, max: 100 } } }
+    }
+  },
+  'Security': {
+    // 0 = secure, 1 = triggered
+    documentType: 'security_sensor',
+    unit: 'state',
+    units: {
+      'state': value => value
+    },
+    range: { min: 0, max: 1 },
+    thresholds: { criticalLow: null, warningLow: null, warningHigh: null, criticalHigh: 0.5 },
+    commands: {
+      arm: { params: {} },
+      disarm: { params: {} }
+    }
+  }
+};
+
+const DEVICE_TYPE_NAMES = Object.keys(DEVICE_TYPES);
+
+// Rubidex document types that hold device readings
+const READING_DOCUMENT_TYPES = DEVICE_TYPE_NAMES.map(name => DEVICE_TYPES[name].documentType);
+
+/**
+ * Get the definition for a device type name
+ */
+function getDeviceType(typeName) {
+  return Object.hasOwn(DEVICE_TYPES, typeName) ? DEVICE_TYPES[typeName] : null;
+}
+
+/**
+ * Map a Rubidex document type back to the device type name
+ */
+function getTypeForDocumentType(documentType) {
+  return DEVICE_TYPE_NAMES.find(name => DEVICE_TYPES[name].documentType === documentType) || null;
+}
+
+/**
+ * Metric name for a device type, as used in MQTT topics and Particle events
+ * ("Water Level" -> "water_level")
+ */
+function getMetricName(typeName) {
+  return typeName.toLowerCase().replace(/\s+/g, '_');
+}
+
+/**
+ * Map a metric name back to the device type name
+ */
+function getTypeForMetric(metric) {
+  return DEVICE_TYPE_NAMES.find(name => getMetricName(name) === metric) || null;
+}
+
+/**
+ * Validate a raw reading value for a type, converting it to the canonical unit
+ * Returns { value, unit } or { error }
+ */
+function normalizeReading(typeName, rawValue, unit) {
+  const deviceType = getDeviceType(typeName);
+  if (!deviceType) {
+    return { error: `type must be one of: ${DEVICE_TYPE_NAMES.join(', ')}` };
+  }
+
+  const numericValue = typeof rawValue === 'boolean' ? Number(rawValue) : parseFloat(rawValue);
+  if (rawValue === null || rawValue === undefined || isNaN(numericValue)) {
+    return { error: 'value must be a number' };
+  }
+
+  const convert = deviceType.units[unit || deviceType.unit];
+  if (!convert) {
+    return { error: `unit for ${typeName} must be one of: ${Object.keys(deviceType.units).join(', ')}` };
+  }
+
+  const value = Math.round(convert(numericValue) * 100) / 100;
+  if (value < deviceType.range.min || value > deviceType.range.max) {
+    return { error: `${typeName} value must be between ${deviceType.range.min} and ${deviceType.range.max} ${deviceType.unit}` };
+  }
+
+  return { value, unit: deviceType.unit };
+}
+
+/**
+ * Validate a command and its parameters for a device type
+ * Number parameters marked `convertUnit` take the optional `unit` parameter and
+ * are converted to the canonical unit, like readings.
+ * Returns { command, params } or { errors }
+ */
+function normalizeCommand(typeName, command, params = {}) {
+  const deviceType = getDeviceType(typeName);
+  const commandNames = deviceType ? Object.keys(deviceType.commands) : [];
+  if (commandNames.length === 0) {
+    return { errors: [`${typeName} devices do not accept commands`] };
+  }
+
+  const definition = deviceType.commands[command];
+  if (!definition) {
+    return { errors: [`command for ${typeName} must be one of: ${commandNames.join(', ')}`] };
+  }
+  if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+    return { errors: ['params must be an object'] };
+  }
+
+  const errors = [];
+  const normalized = {};
+  const takesUnit = Object.values(definition.params).some(spec => spec.convertUnit);
+
+  Object.keys(params).forEach(name => {
+    if (!definition.params[name] && !(name === 'unit' && takesUnit)) {
+      errors.push(`unknown parameter for ${command}: ${name}`);
+    }
+  });
+
+  Object.entries(definition.params).forEach(([name, spec]) => {
+    const value = params[name];
+    if (value === undefined || value === null) {
+      errors.push(`${name} is required`);
+    } else if (spec.type === 'boolean') {
+      if (typeof value !== 'boolean') {
+        errors.push(`${name} must be true or false`);
+      } else {
+        normalized[name] = value;
+      }
+    } else if (spec.type === 'enum') {
+      if (!spec.values.includes(value)) {
+        errors.push(`${name} must be one of: ${spec.values.join(', ')}`);
+      } else {
+        normalized[name] = value;
+      }
+    } else {
+      let number = parseFloat(value);
+      if (isNaN(number)) {
+        errors.push(`${name} must be a number`);
+        return;
+      }
+      if (spec.convertUnit) {
+        const convert = deviceType.units[params.unit || deviceType.unit];
+        if (!convert) {
+          errors.push(`unit for ${typeName} must be one of: ${Object.keys(deviceType.units).join(', ')}`);
+          return;
+        }
+        number = Math.round(convert(number) * 100) / 100;
+      }
+      if (number < spec.min || number > spec.max) {
+        errors.push(`${name} must be between ${spec.min} and ${spec.max}${spec.convertUnit ? ` ${deviceType.unit}` : ''}`);
+      } else {
+        normalized[name] = number;
+        if (spec.convertUnit) {
+          normalized.unit = deviceType.unit;
+        }
+      }
+    }
+  });
+
+  return errors.length > 0 ? { errors } : { command, params: normalized };
+}
+
+// Threshold band names, ordered from lowest to highest
+const THRESHOLD_BANDS = ['criticalLow', 'warningLow', 'warningHigh', 'criticalHigh'];
+
+/**
+ * Validate a set of threshold bands, returning a list of error messages
+ * Bands that are set must be numbers and ordered criticalLow <= warningLow < warningHigh <= criticalHigh
+ */
+function validateThresholds(thresholds) {
+  if (thresholds === null || typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+    return ['thresholds must be an object'];
+  }
+
+  const errors = [];
+  Object.keys(thresholds).forEach(band => {
+    if (!THRESHOLD_BANDS.includes(band)) {
+      errors.push(`unknown threshold band: ${band}`);
+    } else if (thresholds[band] !== null && (typeof thresholds[band] !== 'number' || isNaN(thresholds[band]))) {
+      errors.push(`${band} must be a number or null`);
+    }
+  });
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  const { criticalLow, warningLow, warningHigh, criticalHigh } = thresholds;
+  const isSet = value => value !== null && value !== undefined;
+
+  if (isSet(criticalLow) && isSet(warningLow) && criticalLow > warningLow) {
+    errors.push('criticalLow must not be above warningLow');
+  }
+  if (isSet(warningHigh) && isSet(criticalHigh) && warningHigh > criticalHigh) {
+    errors.push('warningHigh must not be above criticalHigh');
+  }
+  const low = isSet(warningLow) ? warningLow : criticalLow;
+  const high = isSet(warningHigh) ? warningHigh : criticalHigh;
+  if (isSet(low) && isSet(high) && low >= high) {
+    errors.push('low bands must be below high bands');
+  }
+
+  return errors;
+}
+
+/**
+ * Determine device status from a reading and a set of bands
+ * A reading has to go past a band (not just reach it) to change status
+ */
+function statusForThresholds(value, thresholds) {
+  const { criticalLow, warningLow, warningHigh, criticalHigh } = thresholds;
+  const isSet = band => band !== null && band !== undefined;
+
+  if ((isSet(criticalHigh) && value > criticalHigh) || (isSet(criticalLow) && value < criticalLow)) {
+    return 'Critical';
+  }
+  if ((isSet(warningHigh) && value > warningHigh) || (isSet(warningLow) && value < warningLow)) {
+    return 'Warning';
+  }
+  return 'Online';
+}
+
+module.exports = {
+  DEVICE_TYPES,
+  DEVICE_TYPE_NAMES,
+  READING_DOCUMENT_TYPES,
+  getDeviceType,
+  getTypeForDocumentType,
+  getMetricName,
+  getTypeForMetric,
+  normalizeReading,
+  normalizeCommand,
+  THRESHOLD_BANDS,
+  validateThresholds,
+  statusForThresholds
+};
@@ -0,0 +1,182 @@
+const dgram = require('dgram');
+const {
+  OBJECT_TYPES,
+  PROPERTIES,
+  SERVICES,
+  encodeApplication,
+  encodeContext,
+  encodeFrame,
+  encodeObjectId,
+  encodeUnsigned,
+  openingTag,
+  closingTag,
+  decodeFrame,
+  decodeObjectId,
+  decodeTag
+} = require('../utils/bacnet');
+
+const DEFAULT_PORT = 47809;
+
+const TYPE_NAMES = Object.fromEntries(Object.entries(OBJECT_TYPES).map(([name, number]) => [number, name]));
+
+/**
+ * BACnet Simulator - local stand-in for a BACnet/IP controller
+ * Answers Who-Is with I-Am (sent back to the asker rather than broadcast) and
+ * ReadProperty for present-value and object-name of the objects set with
+ * setObject(). Analog objects report reals, binary objects active/inactive
+ * enumerations and multi-state objects unsigned values. Unknown objects and
+ * properties get the same errors a real controller sends.
+ */
+class BacnetSimulator {
+  constructor({ deviceInstance = 1001, name = 'BBMS Simulated AHU', vendorId = 999 } = {}) {
+    this.deviceInstance = deviceInstance;
+    this.name = name;
+    this.vendorId = vendorId;
+    // "objectType:instance" -> { name, value }
+    this.objects = new Map();
+    this.requests = 0;
+    // Set to true to ignore everything, e.g. to test timeouts
+    this.silent = false;
+    this.socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+    this.socket.on('message', (message, rinfo) => this.handleMessage(message, rinfo));
+  }
+
+  setObject(objectType, instance, value, name) {
+    const key = `${objectType}:${instance}`;
+    const existing = this.objects.get(key);
+    this.objects.set(key, { name: name || existing?.name || `${objectType} ${instance}`, value });
+  }
+
+  handleMessage(message, rinfo) {
+    const apdu = decodeFrame(message);
+    if (!apdu || this.silent) {
+      return;
+    }
+
+    const pduType = apdu[0] >> 4;
+    if (pduType === 1 && apdu[1] === SERVICES.whoIs) {
+      this.requests++;
+      if (this.matchesWhoIs(apdu)) {
+        this.reply(this.iAm(), rinfo);
+      }
+    } else if (pduType === 0 && apdu[3] === SERVICES.readProperty) {
+      this.requests++;
+      this.reply(this.readProperty(apdu), rinfo);
+    }
+  }
+
+  matchesWhoIs(apdu) {
+    if (apdu.length <= 2) {
+      return true;
+    }
+    const low = decodeTag(apdu, 2);
+    const high = decodeTag(apdu, low.next);
+    const lowLimit = apdu.readUIntBE(low.start, low.length);
+    const highLimit = apdu.readUIntBE(high.start, high.length);
+    return this.deviceInstance >= lowLimit && this.deviceInstance <= highLimit;
+  }
+
+  iAm() {
+    return Buffer.concat([
+      Buffer.from([0x10, SERVICES.iAm]),
+      encodeApplication('objectId', { type: OBJECT_TYPES.device, instance: this.deviceInstance }),
+      encodeApplication('unsigned', 1476),
+      encodeApplication('enumerated', 3), // no segmentation
+      encodeApplication('unsigned', this.vendorId)
+    ]);
+  }
+
+  readProperty(apdu) {
+    const invokeId = apdu[2];
+    const objectTag = decodeTag(apdu, 4);
+    const objectId = decodeObjectId(apdu, objectTag.start);
+    const propertyTag = decodeTag(apdu, objectTag.next);
+    const propertyId = apdu.readUIntBE(propertyTag.start, propertyTag.length);
+
+    const error = (errorClass, errorCode) => Buffer.concat([
+      Buffer.from([0x50, invokeId, SERVICES.readProperty]),
+      encodeApplication('enumerated', errorClass),
+      encodeApplication('enumerated', errorCode)
+    ]);
+
+    const typeName = TYPE_NAMES[objectId.type];
+    let value;
+    if (objectId.type === OBJECT_TYPES.device && objectId.instance === this.deviceInstance) {
+      if (propertyId !== PROPERTIES.objectName) {
+        return error(2, 32);
+      }
+      value = encodeApplication('string', this.name);
+    } else {
+      const object = this.objects.get(`${typeName}:${objectId.instance}`);
+      if (!object) {
+        return error(1, 31); // object, unknown-object
+      }
+      if (propertyId === PROPERTIES.objectName) {
+        value = encodeApplication('string', object.name);
+      } else if (propertyId === PROPERTIES.presentValue) {
+        value = typeName.startsWith('analog') ? encodeApplication('real', object.value)
+          : typeName.startsWith('binary') ? encodeApplication('enumerated', object.value ? 1 : 0)
+            : encodeApplication('unsigned', object.value);
+      } else {
+        return error(2, 32); // property, unknown-property
+      }
+    }
+
+    return Buffer.concat([
+      Buffer.from([0x30, invokeId, SERVICES.readProperty]),
+      encodeContext(0, encodeObjectId(objectId.type, objectId.instance)),
+      encodeContext(1, encodeUnsigned(propertyId)),
+      openingTag(3),
+      value,
+      closingTag(3)
+    ]);
+  }
+
+  reply(apdu, rinfo) {
+    this.socket.send(encodeFrame(apdu), rinfo.port, rinfo.address);
+  }
+
+  /**
+   * Listen on a UDP port (0 picks a free one). Resolves with the port.
+   */
+  start(port = DEFAULT_PORT) {
+    return new Promise((resolve, reject) => {
+      this.socket.once('error', reject);
+      this.socket.bind(port, () => resolve(this.socket.address().port));
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => {
+      try {
+        this.socket.close(() => resolve());
+      } catch (error) {
+        resolve(); // not running
+      }
+    });
+  }
+}
+
+module.exports = { BacnetSimulator };
+
+// Standalone: node src/dev/bacnetSimulator.js
+// Device 1001 with drifting supply/return air temperatures (°C) and a fan status
+if (require.main === module) {
+  require('dotenv').config();
+
+  const port = parseInt(process.env.BACNET_SIMULATOR_PORT) || DEFAULT_PORT;
+  const simulator = new BacnetSimulator();
+
+  const update = () => {
+    simulator.setObject('analogInput', 1, 13 + Math.random() * 2, 'Supply Air Temp');
+    simulator.setObject('analogInput', 2, 22 + Math.random() * 2, 'Return Air Temp');
+    simulator.setObject('binaryValue', 1, 1, 'Supply Fan Status');
+  };
+  update();
+  setInterval(update, 5000);
+
+  simulator.start(port).then(listening => {
+    console.log(`🏭 BACnet simulator (device ${simulator.deviceInstance}) listening on UDP port ${listening}`);
+    console.log('   analogInput 1 = supply air °C, analogInput 2 = return air °C, binaryValue 1 = fan status');
+  });
+}
@@ -0,0 +1,110 @@
+const http2 = require('http2');
+const crypto = require('crypto');
+
+const DEFAULT_PORT = 4030;
+
+/**
+ * Mock APNs - local stand-in for Apple's push service
+ * Accepts `POST /3/device/<token>` over cleartext HTTP/2 and records each push.
+ * Point the backend at it with APNS_URL=http://localhost:<port>, or swap
+ * apnsChannel.transport in tests. Tokens in `unregistered` get the 410 APNs
+ * sends for uninstalled apps; `failWith` answers every push with that status.
+ */
+class MockApnsServer {
+  constructor() {
+    this.notifications = [];
+    this.unregistered = new Set();
+    this.failWith = null;
+
+    this.server = http2.createServer();
+    this.server.on('stream', (stream, headers) => this.handleStream(stream, headers));
+  }
+
+  handleStream(stream, headers) {
+    let data = '';
+    stream.setEncoding('utf8');
+    stream.on('data', chunk => { data += chunk; });
+    stream.on('end', () => {
+      const match = /^\/3\/device\/([0-9a-fA-F]+)$/.exec(headers[':path'] || '');
+      const apnsId = headers['apns-id'] || crypto.randomUUID().toUpperCase();
+      const respond = (status, body) => {
+        stream.respond({ ':status': status, 'apns-id': apnsId, 'content-type': 'application/json' });
+        stream.end(body ? JSON.stringify(body) : undefined);
+      };
+
+      if (headers[':method'] !== 'POST' || !match) {
+        return respond(404, { reason: 'BadPath' });
+      }
+      if (!headers['apns-topic']) {
+        return respond(400, { reason: 'MissingTopic' });
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(data);
+      } catch (error) {
+        return respond(400, { reason: 'PayloadEmpty' });
+      }
+
+      const token = match[1].toLowerCase();
+      const notification = {
+        apnsId,
+        token,
+        topic: headers['apns-topic'],
+        pushType: headers['apns-push-type'] || null,
+        collapseId: headers['apns-collapse-id'] || null,
+        authorization: headers.authorization || null,
+        payload,
+        receivedAt: new Date().toISOString()
+      };
+      this.notifications.push(notification);
+      console.log(`🍏 Mock APNs push to ${token.slice(0, 8)}…: ${payload.aps?.alert?.title || '(no title)'}`);
+
+      if (this.unregistered.has(token)) {
+        return respond(410, { reason: 'Unregistered', timestamp: Date.now() });
+      }
+      if (this.failWith) {
+        return respond(this.failWith, { reason: 'InternalServerError' });
+      }
+      respond(200);
+    });
+  }
+
+  reset() {
+    this.notifications = [];
+    this.unregistered.clear();
+    this.failWith = null;
+  }
+
+  /**
+   * Listen on a port (0 picks a free one). Resolves with the base URL.
+   */
+  start(port = DEFAULT_PORT) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, () => resolve(`http://localhost:${this.server.address().port}`));
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => {
+      if (!this.server.listening) {
+        return resolve();
+      }
+      this.server.close(() => resolve());
+    });
+  }
+}
+
+module.exports = { MockApnsServer };
+
+// Standalone: node src/dev/mockApns.js
+if (require.main === module) {
+  require('dotenv').config();
+
+  const port = parseInt(process.env.MOCK_APNS_PORT) || DEFAULT_PORT;
+  new MockApnsServer().start(port).then(url => {
+    console.log(`🍏 Mock APNs running at ${url}`);
+    console.log(`   Point the backend at it with APNS_URL=${url}`);
+  });
+}
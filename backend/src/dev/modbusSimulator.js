@@ -0,0 +1,141 @@
+const net = require('net');
+
+const DEFAULT_PORT = 5020;
+
+/**
+ * Modbus Simulator - local stand-in for Modbus TCP equipment
+ * Serves holding and input registers from memory for function codes 3, 4, 6 and
+ * 16, for any unit id. Set values with setRegisters() or setFloat(); addresses
+ * outside the configured size answer exception 2 (illegal data address).
+ */
+class ModbusSimulator {
+  constructor({ size = 1000 } = {}) {
+    this.holding = new Uint16Array(size);
+    this.input = new Uint16Array(size);
+    this.requests = 0;
+    this.server = net.createServer(socket => this.handleConnection(socket));
+  }
+
+  setRegisters(table, address, values) {
+    this[table].set(values, address);
+  }
+
+  // Store a float32 across two registers, high word first
+  setFloat(table, address, value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeFloatBE(value, 0);
+    this.setRegisters(table, address, [buffer.readUInt16BE(0), buffer.readUInt16BE(2)]);
+  }
+
+  handleConnection(socket) {
+    let buffer = Buffer.alloc(0);
+
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+
+      while (buffer.length >= 7) {
+        const length = buffer.readUInt16BE(4);
+        if (buffer.length < 6 + length) {
+          return;
+        }
+        const frame = buffer.subarray(0, 6 + length);
+        buffer = buffer.subarray(6 + length);
+        socket.write(this.respond(frame));
+      }
+    });
+    socket.on('error', () => socket.destroy());
+  }
+
+  respond(frame) {
+    this.requests++;
+    const functionCode = frame.readUInt8(7);
+    const pdu = this.handlePdu(functionCode, frame.subarray(8));
+
+    const response = Buffer.alloc(7 + pdu.length);
+    frame.copy(response, 0, 0, 4); // transaction and protocol id
+    response.writeUInt16BE(pdu.length + 1, 4);
+    response.writeUInt8(frame.readUInt8(6), 6); // unit id
+    pdu.copy(response, 7);
+    return response;
+  }
+
+  handlePdu(functionCode, data) {
+    const exception = code => Buffer.from([functionCode | 0x80, code]);
+    const address = data.readUInt16BE(0);
+
+    if (functionCode === 0x03 || functionCode === 0x04) {
+      const table = functionCode === 0x03 ? this.holding : this.input;
+      const count = data.readUInt16BE(2);
+      if (count < 1 || count > 125) return exception(3);
+      if (address + count > table.length) return exception(2);
+
+      const pdu = Buffer.alloc(2 + count * 2);
+      pdu.writeUInt8(functionCode, 0);
+      pdu.writeUInt8(count * 2, 1);
+      for (let index = 0; index < count; index++) {
+        pdu.writeUInt16BE(table[address + index], 2 + index * 2);
+      }
+      return pdu;
+    }
+
+    if (functionCode === 0x06) {
+      if (address >= this.holding.length) return exception(2);
+      this.holding[address] = data.readUInt16BE(2);
+      return Buffer.concat([Buffer.from([functionCode]), data.subarray(0, 4)]);
+    }
+
+    if (functionCode === 0x10) {
+      const count = data.readUInt16BE(2);
+      if (address + count > this.holding.length) return exception(2);
+      for (let index = 0; index < count; index++) {
+        this.holding[address + index] = data.readUInt16BE(5 + index * 2);
+      }
+      return Buffer.concat([Buffer.from([functionCode]), data.subarray(0, 4)]);
+    }
+
+    return exception(1);
+  }
+
+  /**
+   * Listen on a port (0 picks a free one). Resolves with the port.
+   */
+  start(port = DEFAULT_PORT) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, () => resolve(this.server.address().port));
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => {
+      if (!this.server.listening) {
+        return resolve();
+      }
+      this.server.close(() => resolve());
+    });
+  }
+}
+
+module.exports = { ModbusSimulator };
+
+// Standalone: node src/dev/modbusSimulator.js
+// Serves a drifting supply air temperature (°F ×10, holding 0) and a
+// return air temperature (float32 °C, input 10-11)
+if (require.main === module) {
+  require('dotenv').config();
+
+  const port = parseInt(process.env.MODBUS_SIMULATOR_PORT) || DEFAULT_PORT;
+  const simulator = new ModbusSimulator();
+
+  const update = () => {
+    simulator.setRegisters('holding', 0, [Math.round((55 + Math.random() * 4) * 10)]);
+    simulator.setFloat('input', 10, 22 + Math.random() * 2);
+  };
+  update();
+  setInterval(update, 5000);
+
+  simulator.start(port).then(listening => {
+    console.log(`🏭 Modbus simulator listening on port ${listening}`);
+    console.log('   holding[0] = supply air °F ×10 (uint16), input[10-11] = return air °C (float32)');
+  });
+}
@@ -0,0 +1,62 @@
+const net = require('net');
+const aedes = require('aedes');
+
+const DEFAULT_PORT = 1883;
+
+/**
+ * Embedded MQTT broker - local stand-in for Mosquitto
+ * Runs an in-memory aedes broker so the MQTT bridge can be exercised without
+ * installing anything. `published` keeps every message that went through it.
+ */
+class EmbeddedMqttBroker {
+  constructor() {
+    this.broker = aedes();
+    this.server = net.createServer(this.broker.handle);
+    this.published = [];
+
+    this.broker.on('publish', (packet, client) => {
+      // Skip the broker's own $SYS messages
+      if (!client) return;
+      this.published.push({
+        topic: packet.topic,
+        payload: packet.payload.toString('utf8'),
+        retain: packet.retain,
+        clientId: client.id
+      });
+    });
+  }
+
+  /**
+   * Listen on a port (0 picks a free one). Resolves with the broker URL.
+   */
+  start(port = DEFAULT_PORT) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, () => resolve(`mqtt://localhost:${this.server.address().port}`));
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => {
+      this.broker.close(() => {
+        if (!this.server.listening) {
+          return resolve();
+        }
+        this.server.close(() => resolve());
+      });
+    });
+  }
+}
+
+module.exports = { EmbeddedMqttBroker };
+
+// Standalone: node src/dev/mqttBroker.js
+if (require.main === module) {
+  require('dotenv').config();
+
+  const port = parseInt(process.env.MQTT_BROKER_PORT) || DEFAULT_PORT;
+  new EmbeddedMqttBroker().start(port).then(url => {
+    console.log(`📡 Embedded MQTT broker running at ${url}`);
+    console.log(`   Point the backend at it with MQTT_URL=${url}`);
+  });
+}
@@ -0,0 +1,252 @@
+const express = require('express');
+const net = require('net');
+const crypto = require('crypto');
+
+const DEFAULT_SMTP_PORT = 2525;
+const DEFAULT_WEBHOOK_PORT = 4020;
+
+/**
+ * SMTP Catcher - local stand-in for an SMTP server
+ * Speaks just enough SMTP for nodemailer (EHLO, AUTH PLAIN, MAIL, RCPT, DATA)
+ * and keeps every message in memory instead of delivering it. Any credentials
+ * are accepted.
+ */
+class SmtpCatcher {
+  constructor() {
+    this.messages = [];
+    this.server = net.createServer(socket => this.handleConnection(socket));
+  }
+
+  handleConnection(socket) {
+    let buffer = '';
+    let envelope = { from: null, to: [] };
+    let data = null;
+    let awaitingAuth = false;
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    reply('220 bbms-smtp-catcher ESMTP');
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        // Message body: everything up to a lone "."
+        if (data !== null) {
+          if (line === '.') {
+            this.addMessage(envelope, data.join('\r\n'));
+            envelope = { from: null, to: [] };
+            data = null;
+            reply('250 OK: message caught');
+          } else {
+            data.push(line.startsWith('..') ? line.slice(1) : line);
+          }
+          continue;
+        }
+
+        if (awaitingAuth) {
+          awaitingAuth = false;
+          reply('235 Authentication successful');
+          continue;
+        }
+
+        const command = line.split(' ')[0].toUpperCase();
+        if (command === 'EHLO') {
+          reply('250-bbms-smtp-catcher');
+          reply('250-AUTH PLAIN');
+          reply('250 8BITMIME');
+        } else if (command === 'HELO' || command === 'NOOP') {
+          reply('250 OK');
+        } else if (command === 'AUTH') {
+          // "AUTH PLAIN <credentials>" or "AUTH PLAIN" followed by the credentials
+          if (line.split(' ').length > 2) {
+            reply('235 Authentication successful');
+          } else {
+            awaitingAuth = true;
+            reply('334 ');
+          }
+        } else if (command === 'MAIL') {
+          envelope.from = this.parseAddress(line);
+          reply('250 OK');
+        } else if (command === 'RCPT') {
+          envelope.to.push(this.parseAddress(line));
+          reply('250 OK');
+        } else if (command === 'DATA') {
+          data = [];
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (command === 'RSET') {
+          envelope = { from: null, to: [] };
+          reply('250 OK');
+        } else if (command === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else {
+          reply('502 Command not implemented');
+        }
+      }
+    });
+
+    socket.on('error', () => socket.destroy());
+  }
+
+  parseAddress(line) {
+    const match = line.match(/<([^>]*)>/);
+    return match ? match[1] : line.split(':').slice(1).join(':').trim();
+  }
+
+  addMessage(envelope, raw) {
+    const [head, ...body] = raw.split('\r\n\r\n');
+    const subject = head.match(/^Subject: (.*)$/mi);
+
+    const message = {
+      id: crypto.randomUUID(),
+      from: envelope.from,
+      to: envelope.to,
+      subject: subject ? subject[1] : null,
+      text: body.join('\r\n\r\n'),
+      raw,
+      receivedAt: new Date().toISOString()
+    };
+    this.messages.push(message);
+    console.log(`📧 Caught email to ${message.to.join(', ')}: ${message.subject}`);
+
+    return message;
+  }
+
+  reset() {
+    this.messages = [];
+  }
+
+  /**
+   * Listen on a port (0 picks a free one). Resolves with the port.
+   */
+  start(port = DEFAULT_SMTP_PORT) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, () => resolve(this.server.address().port));
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => {
+      if (!this.server.listening) {
+        return resolve();
+      }
+      this.server.close(() => resolve());
+    });
+  }
+}
+
+/**
+ * Webhook Receiver - local stand-in for Slack/Teams/any webhook endpoint
+ * Records every POST with its headers and body. Given the subscription's
+ * secret, it also checks `X-BBMS-Signature` the way a real receiver should.
+ * `failWith` makes it answer every request with that HTTP status.
+ */
+class WebhookReceiver {
+  constructor({ secret = null } = {}) {
+    this.secret = secret;
+    this.requests = [];
+    this.failWith = null;
+    this.server = null;
+
+    this.app = express();
+    this.app.use(express.text({ type: '*/*', limit: '1mb' }));
+    this.app.get('/requests', (req, res) => res.json(this.requests));
+    this.app.post('*', (req, res) => this.handlePost(req, res));
+  }
+
+  handlePost(req, res) {
+    const body = typeof req.body === 'string' ? req.body : '';
+    const timestamp = req.get('X-BBMS-Timestamp');
+    const signature = req.get('X-BBMS-Signature');
+
+    let json = null;
+    try {
+      json = JSON.parse(body);
+    } catch (error) {
+      // Recorded as raw text only
+    }
+
+    const request = {
+      id: crypto.randomUUID(),
+      path: req.path,
+      event: req.get('X-BBMS-Event') || null,
+      timestamp,
+      signature,
+      verified: this.secret ? this.verify(this.secret, timestamp, body, signature) : null,
+      body: json,
+      raw: body,
+      receivedAt: new Date().toISOString()
+    };
+    this.requests.push(request);
+    console.log(`🪝 Webhook ${request.path} (${request.event || 'no event'})${request.verified === false ? ' - bad signature' : ''}`);
+
+    if (this.failWith) {
+      return res.status(this.failWith).json({ error: 'Simulated failure' });
+    }
+    if (request.verified === false) {
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+    res.json({ ok: true });
+  }
+
+  /**
+   * Check a signature the way a receiver would: HMAC-SHA256 of `<timestamp>.<body>`
+   */
+  verify(secret, timestamp, body, signature) {
+    if (!timestamp || !signature) {
+      return false;
+    }
+    const expected = `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+    return expected.length === signature.length &&
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+  }
+
+  reset() {
+    this.requests = [];
+  }
+
+  /**
+   * Listen on a port (0 picks a free one). Resolves with the base URL.
+   */
+  start(port = DEFAULT_WEBHOOK_PORT) {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, () => {
+        resolve(`http://localhost:${this.server.address().port}`);
+      });
+      this.server.on('error', reject);
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => {
+      if (!this.server) {
+        return resolve();
+      }
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+}
+
+module.exports = { SmtpCatcher, WebhookReceiver };
+
+// Standalone: node src/dev/notificationCatcher.js
+if (require.main === module) {
+  require('dotenv').config();
+
+  const smtpPort = parseInt(process.env.SMTP_CATCHER_PORT) || DEFAULT_SMTP_PORT;
+  const webhookPort = parseInt(process.env.WEBHOOK_RECEIVER_PORT) || DEFAULT_WEBHOOK_PORT;
+  const smtp = new SmtpCatcher();
+  const webhooks = new WebhookReceiver({ secret: process.env.WEBHOOK_RECEIVER_SECRET || null });
+
+  Promise.all([smtp.start(smtpPort), webhooks.start(webhookPort)]).then(([port, url]) => {
+    console.log(`📧 SMTP catcher listening on port ${port} (SMTP_HOST=localhost SMTP_PORT=${port})`);
+    console.log(`🪝 Webhook receiver running at ${url} (subscribe any ${url}/<path>; GET ${url}/requests lists them)`);
+  });
+}
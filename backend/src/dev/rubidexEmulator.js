@@ -0,0 +1,187 @@
+const express = require('express');
+const crypto = require('crypto');
+const JsonStore = require('../utils/jsonStore');
+
+const DEFAULT_PORT = 4010;
+const DEFAULT_COLLECTION_ID = 'local-emulator-collection';
+const DEFAULT_API_KEY = 'local-emulator-key';
+
+/**
+ * Rubidex Emulator - local stand-in for the Rubidex document API
+ * Implements the two endpoints the backend uses (`GET /all?collection-id=` and
+ * `POST /`) with the same document shape, so the stack can run without network
+ * access. Start it standalone (`npm run rubidex:emulator`), in-process with
+ * RUBIDEX_EMULATOR=true, or create an instance directly in tests.
+ */
+class RubidexEmulator {
+  constructor({ apiKey = null, persist = false } = {}) {
+    // When set, requests must send `Authorization: Key <apiKey>`
+    this.apiKey = apiKey;
+    this.store = persist ? new JsonStore('rubidex-emulator') : null;
+    // collectionId -> documents in insertion order
+    this.collections = new Map(Object.entries(this.store ? this.store.load({}) : {}));
+    // Simulate an outage: every request answers 503
+    this.offline = false;
+    this.server = null;
+
+    this.app = express();
+    this.app.use(express.json({ limit: '1mb' }));
+    this.app.use((req, res, next) => this.authenticate(req, res, next));
+    this.app.get('/all', (req, res) => this.handleGetAll(req, res));
+    this.app.post('/', (req, res) => this.handlePost(req, res));
+    this.app.use((req, res) => res.status(404).json({ error: 'Not found' }));
+  }
+
+  authenticate(req, res, next) {
+    if (this.offline) {
+      return res.status(503).json({ error: 'Rubidex emulator is offline' });
+    }
+
+    const authorization = req.get('Authorization') || '';
+    if (!authorization.startsWith('Key ')) {
+      return res.status(401).json({ error: 'Missing API key' });
+    }
+    if (this.apiKey && authorization.slice(4) !== this.apiKey) {
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+
+    next();
+  }
+
+  handleGetAll(req, res) {
+    const collectionId = req.query['collection-id'];
+    if (!collectionId) {
+      return res.status(400).json({ error: 'collection-id is required' });
+    }
+
+    res.json(this.getDocuments(collectionId));
+  }
+
+  handlePost(req, res) {
+    const { fields } = req.body || {};
+    const collectionId = req.body?.collectionId || req.body?.collection_id;
+
+    if (!collectionId) {
+      return res.status(400).json({ error: 'collectionId is required' });
+    }
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      return res.status(400).json({ error: 'fields must be an object' });
+    }
+
+    const document = this.addDocument(collectionId, fields, {
+      clearance: parseInt(req.get('clearance')) || 1
+    });
+
+    res.status(201).json(document);
+  }
+
+  /**
+   * Store a document the way Rubidex returns it
+   * Dates and the collection id are given in both casings; Rubidex responses have used either.
+   */
+  addDocument(collectionId, fields, { clearance = 1 } = {}) {
+    const now = new Date().toISOString();
+    const document = {
+      id: crypto.randomBytes(32).toString('hex'),
+      owner: 'rubidex-emulator',
+      collection_id: collectionId,
+      collectionId,
+      path_reference: '',
+      doc_type: 'document',
+      clearance,
+      fields,
+      creation_date: now,
+      creationDate: now,
+      update_date: now,
+      updateDate: now
+    };
+
+    if (!this.collections.has(collectionId)) {
+      this.collections.set(collectionId, []);
+    }
+    this.collections.get(collectionId).push(document);
+    this.persist();
+
+    return document;
+  }
+
+  getDocuments(collectionId) {
+    return this.collections.get(collectionId) || [];
+  }
+
+  /**
+   * Seed a collection with documents given as plain `fields` objects
+   */
+  seed(collectionId, fieldsList) {
+    return fieldsList.map(fields => this.addDocument(collectionId, fields));
+  }
+
+  reset() {
+    this.collections.clear();
+    this.persist();
+  }
+
+  persist() {
+    if (this.store) {
+      this.store.save(Object.fromEntries(this.collections));
+    }
+  }
+
+  /**
+   * Listen on a port (0 picks a free one). Resolves with the base URL.
+   */
+  start(port = DEFAULT_PORT) {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, () => {
+        resolve(`http://localhost:${this.server.address().port}`);
+      });
+      this.server.on('error', reject);
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => {
+      if (!this.server) {
+        return resolve();
+      }
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+}
+
+/**
+ * Point the backend at an in-process emulator
+ * Must run before rubidexService is required, since it reads its config on load.
+ */
+function useRubidexEmulator() {
+  const port = parseInt(process.env.RUBIDEX_EMULATOR_PORT) || DEFAULT_PORT;
+  const apiKey = process.env.RUBIDEX_API_KEY || DEFAULT_API_KEY;
+
+  process.env.RUBIDEX_API_URL = `http://localhost:${port}`;
+  process.env.RUBIDEX_API_KEY = apiKey;
+  process.env.RUBIDEX_COLLECTION_ID = process.env.RUBIDEX_COLLECTION_ID || DEFAULT_COLLECTION_ID;
+  process.env.RUBIDEX_TEMP_ALERT_COLLECTION_ID = process.env.RUBIDEX_TEMP_ALERT_COLLECTION_ID || DEFAULT_COLLECTION_ID;
+
+  const emulator = new RubidexEmulator({ apiKey, persist: true });
+  emulator.start(port)
+    .then(url => console.log(`🧪 Rubidex emulator running at ${url} (backend will use it instead of the live API)`))
+    .catch(error => console.error('❌ Failed to start Rubidex emulator:', error.message));
+
+  return emulator;
+}
+
+module.exports = { RubidexEmulator, useRubidexEmulator };
+
+// Standalone: node src/dev/rubidexEmulator.js
+if (require.main === module) {
+  require('dotenv').config();
+
+  const port = parseInt(process.env.RUBIDEX_EMULATOR_PORT) || DEFAULT_PORT;
+  const emulator = new RubidexEmulator({ apiKey: process.env.RUBIDEX_EMULATOR_API_KEY || null, persist: true });
+
+  emulator.start(port).then(url => {
+    console.log(`🧪 Rubidex emulator running at ${url}`);
+    console.log(`   Point the backend at it with RUBIDEX_API_URL=${url}`);
+  });
+}
@@ -155,21 +155,26 @@ const requireAccessLevel = (levels) => {
 
 /**
  * Log building access with auth service
+ * Pass the user's token to have the entry recorded against them; `extra` adds
+ * fields such as reservationId. Resolves true once the auth service logged it.
  */
-const logBuildingAccess = async (userId, zoneId, accessType, method = 'api', deviceId = null) => {
+const logBuildingAccess = async (userId, zoneId, accessType, method = 'api', deviceId = null, token = null, extra = {}) => {
   try {
     await authServiceAxios.post(`${AUTH_SERVICE_URL}/api/building-access/log`, {
+      ...extra,
       zoneId,
       accessType,
       method,
       deviceId
     }, {
       headers: {
-        'Authorization': `Bearer ${userId}` // This should use proper user token
+        'Authorization': `Bearer ${token || userId}` // Callers without the user's token can't be attributed
       }
     });
+    return true;
   } catch (error) {
-    logger.warn('⚠️ Failed to log building access:', error.message);
+    logger.warn('⚠️ Failed to log building access:', error.response?.data?.error || error.message);
+    return false;
   }
 };
 
@@ -186,16 +191,42 @@ const checkZoneAccess = async (userId, zoneId, token) => {
 
     return response.data;
   } catch (error) {
+    if (error.response?.status === 404) {
+      return { hasAccess: false, reason: 'Zone not found' };
+    }
     logger.warn('⚠️ Failed to check zone access:', error.message);
     return { hasAccess: false, reason: 'Unable to verify access permissions' };
   }
 };
 
+/**
+ * Get a building zone from the auth service's zone store
+ * Resolves null for an unknown zone; throws when the auth service can't be reached
+ */
+const getBuildingZone = async (zoneId, token) => {
+  try {
+    const response = await authServiceAxios.get(`${AUTH_SERVICE_URL}/api/building-access/zones/${encodeURIComponent(zoneId)}`, {
+      headers: {
+        'Authorization': `Bearer ${token}`
+      }
+    });
+
+    return response.data.zone;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return null;
+    }
+    logger.warn('⚠️ Failed to get building zone:', error.message);
+    throw error;
+  }
+};
+
 module.exports = {
   verifyToken,
   optionalAuth,
   requireRole,
   requireAccessLevel,
   logBuildingAccess,
-  checkZoneAccess
+  checkZoneAccess,
+  getBuildingZone
 };
\ No newline at end of file
@@ -0,0 +1,91 @@
+const deviceCredentials = require('../services/deviceCredentials');
+const authMiddleware = require('./authMiddleware');
+
+/**
+ * Keep the raw request body for signature checks (body parser `verify` hook)
+ */
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf.toString('utf8');
+};
+
+/**
+ * Does the request carry device credentials (API key or signature)?
+ */
+const hasDeviceCredentials = (req) => !!(req.get('X-Device-Key') || req.get('X-Device-Key-Id'));
+
+/**
+ * Check the request's device credentials
+ * Returns { deviceId, keyId } or { error }
+ */
+const authenticateDevice = (req) => {
+  if (req.get('X-Device-Key')) {
+    return deviceCredentials.verifyApiKey(req.get('X-Device-Key'));
+  }
+  return deviceCredentials.verifySignature({
+    keyId: req.get('X-Device-Key-Id'),
+    timestamp: req.get('X-Device-Timestamp'),
+    signature: req.get('X-Device-Signature'),
+    body: req.rawBody
+  });
+};
+
+/**
+ * Does the request match one of the device routes?
+ * A route is a path ('/reading', POST) or 'METHOD /path'; ':name' matches one segment.
+ */
+const matchesDeviceRoute = (req, deviceRoutes) => deviceRoutes.some(route => {
+  const [method, path] = route.includes(' ') ? route.split(' ') : ['POST', route];
+  const pattern = new RegExp(`^${path.replace(/:[^/]+/g, '[^/]+')}/?$`);
+  return req.method === method && pattern.test(req.path);
+});
+
+/**
+ * Middleware to accept either a user token or, on device routes, device credentials
+ * Devices may only use the given routes (relative to where the router is mounted):
+ * writing readings and picking up commands. Everything else still needs a user.
+ * Sets req.device = { id, keyId } for devices.
+ */
+const verifyTokenOrDevice = (deviceRoutes) => {
+  return (req, res, next) => {
+    if (!hasDeviceCredentials(req)) {
+      return authMiddleware.verifyToken(req, res, next);
+    }
+
+    if (!matchesDeviceRoute(req, deviceRoutes)) {
+      return res.status(403).json({
+        error: 'Device keys can only write readings and receive commands',
+        code: 'DEVICE_SCOPE'
+      });
+    }
+
+    const result = authenticateDevice(req);
+    if (result.error) {
+      return res.status(401).json({
+        error: result.error,
+        code: 'INVALID_DEVICE_CREDENTIALS'
+      });
+    }
+
+    req.device = { id: result.deviceId, keyId: result.keyId };
+    next();
+  };
+};
+
+/**
+ * Error message when a device-authenticated request acts for another device, else null
+ */
+const deviceScopeError = (req, deviceId, action = 'write readings') => {
+  // A missing deviceId is left to reading validation
+  if (!req.device || !deviceId || req.device.id === deviceId) {
+    return null;
+  }
+  return `Device key for ${req.device.id} cannot ${action} for ${deviceId}`;
+};
+
+module.exports = {
+  captureRawBody,
+  hasDeviceCredentials,
+  authenticateDevice,
+  verifyTokenOrDevice,
+  deviceScopeError
+};
@@ -0,0 +1,86 @@
+const express = require('express');
+const router = express.Router();
+const rubidexOutbox = require('../services/rubidexOutbox');
+const mqttBridge = require('../services/mqttBridge');
+
+// Get Rubidex outbox queue depth, failures and entries
+router.get('/outbox', (req, res) => {
+  const { status } = req.query;
+  let entries = rubidexOutbox.getEntries();
+  
+  if (status) {
+    entries = entries.filter(entry => entry.status === status);
+  }
+  
+  res.json({
+    ...rubidexOutbox.getStatus(),
+    entries: entries.map(entry => ({
+      id: entry.id,
+      idempotencyKey: entry.idempotencyKey,
+      kind: entry.kind,
+      audit: entry.audit,
+      status: entry.status,
+      attempts: entry.attempts,
+      createdAt: entry.createdAt,
+      lastAttemptAt: entry.lastAttemptAt || null,
+      nextAttemptAt: entry.nextAttemptAt,
+      lastError: entry.lastError
+    }))
+  });
+});
+
+// Retry a queued or failed Rubidex write now
+// Answers 202 when the entry is already being sent (by the background loop)
+router.post('/outbox/:id/retry', async (req, res) => {
+  try {
+    const { entry, delivered, inFlight, error, code } = await rubidexOutbox.retryNow(req.params.id);
+    if (error) {
+      return res.status(code).json({ error });
+    }
+    
+    console.log(`🔁 Admin ${req.user?.email || 'unknown'} retried outbox entry ${entry.id}`);
+    
+    if (inFlight) {
+      return res.status(202).json({
+        success: false,
+        queued: true,
+        entry: { id: entry.id, status: entry.status, attempts: entry.attempts },
+        message: 'Entry is already being delivered, check the outbox for the result'
+      });
+    }
+    
+    res.json({
+      success: delivered,
+      queued: !delivered,
+      entry: delivered ? null : {
+        id: entry.id,
+        status: entry.status,
+        attempts: entry.attempts,
+        nextAttemptAt: entry.nextAttemptAt,
+        lastError: entry.lastError
+      },
+      message: delivered ? 'Entry delivered to Rubidex' : 'Retry failed, entry is still queued'
+    });
+  } catch (error) {
+    console.error('❌ Error retrying outbox entry:', error.message);
+    res.status(500).json({ error: 'Failed to retry outbox entry' });
+  }
+});
+
+// Discard a failed Rubidex write (audit entries can't be discarded)
+router.delete('/outbox/:id', (req, res) => {
+  const { entry, error, code } = rubidexOutbox.discard(req.params.id);
+  if (error) {
+    return res.status(code).json({ error });
+  }
+  
+  console.log(`🗑️ Admin ${req.user?.email || 'unknown'} discarded outbox entry ${entry.id}`);
+  res.json({ success: true, id: entry.id });
+});
+
+// MQTT ingestion bridge connection and message counters
+router.get('/mqtt', (req, res) => {
+  res.json(mqttBridge.getStatus());
+});
+
+module.exports = router;
@@ -0,0 +1,87 @@
+const express = require('express');
+const router = express.Router();
+const alertService = require('../services/alertService');
+const authMiddleware = require('../middleware/authMiddleware');
+
+// Staff who can work incidents
+const canHandleAlerts = authMiddleware.requireAccessLevel(['standard', 'elevated', 'admin']);
+
+// List alerts (?state=open|acknowledged|assigned|resolved&deviceId=&severity=&type=&assigneeId=)
+router.get('/', (req, res) => {
+  try {
+    const { state, deviceId, severity, type, assigneeId } = req.query;
+    const alerts = alertService.getAlerts({ state, deviceId, severity, type, assigneeId });
+
+    res.json({
+      alerts,
+      count: alerts.length
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch alerts');
+  }
+});
+
+// Get a single alert with its comments and history
+router.get('/:id', (req, res) => {
+  const alert = alertService.getAlert(req.params.id);
+  if (!alert) {
+    return res.status(404).json({ error: 'Alert not found' });
+  }
+  res.json(alert);
+});
+
+// Acknowledge an open alert
+router.post('/:id/acknowledge', canHandleAlerts, async (req, res) => {
+  try {
+    const alert = await alertService.acknowledge(req.params.id, req.user, { io: req.app.get('io') });
+    res.json({ success: true, alert });
+  } catch (error) {
+    handleError(res, error, 'Failed to acknowledge alert');
+  }
+});
+
+// Assign an alert (body: { userId, name, email }, defaults to the caller)
+router.post('/:id/assign', canHandleAlerts, async (req, res) => {
+  try {
+    const { userId, name, email } = req.body || {};
+    const assignee = userId ? { id: userId, name, email } : req.user;
+
+    const alert = await alertService.assign(req.params.id, assignee, req.user, { io: req.app.get('io') });
+    res.json({ success: true, alert });
+  } catch (error) {
+    handleError(res, error, 'Failed to assign alert');
+  }
+});
+
+// Resolve an alert (body: { note })
+router.post('/:id/resolve', canHandleAlerts, async (req, res) => {
+  try {
+    const alert = await alertService.resolve(req.params.id, req.user, {
+      note: req.body?.note,
+      io: req.app.get('io')
+    });
+    res.json({ success: true, alert });
+  } catch (error) {
+    handleError(res, error, 'Failed to resolve alert');
+  }
+});
+
+// Comment on an alert (body: { text })
+router.post('/:id/comments', canHandleAlerts, async (req, res) => {
+  try {
+    const comment = await alertService.addComment(req.params.id, req.user, req.body?.text, { io: req.app.get('io') });
+    res.status(201).json({ success: true, comment });
+  } catch (error) {
+    handleError(res, error, 'Failed to add comment');
+  }
+});
+
+function handleError(res, error, message) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  console.error(`❌ ${message}:`, error.message);
+  res.status(500).json({ error: message });
+}
+
+module.exports = router;
@@ -0,0 +1,105 @@
+const express = require('express');
+const router = express.Router();
+const bacnetPoller = require('../services/bacnetPoller');
+const authMiddleware = require('../middleware/authMiddleware');
+
+// Source changes point the poller at building equipment, so they need elevated access
+const requireElevated = authMiddleware.requireAccessLevel(['elevated', 'admin']);
+
+// Devices that have answered Who-Is since startup
+router.get('/devices', (req, res) => {
+  res.json(bacnetPoller.getDiscoveredDevices());
+});
+
+// Send Who-Is and wait for answers
+// Body: { address? (host[:port], default broadcast), lowLimit?, highLimit?, wait? (ms, up to 30000) }
+router.post('/discover', requireElevated, async (req, res) => {
+  const { address, lowLimit, highLimit, wait } = req.body || {};
+  const hasLimits = lowLimit !== undefined || highLimit !== undefined;
+  if (hasLimits && !(parseInt(lowLimit) >= 0 && parseInt(highLimit) >= parseInt(lowLimit))) {
+    return res.status(400).json({ error: 'lowLimit and highLimit must be given together, with lowLimit <= highLimit' });
+  }
+  if (wait !== undefined && !(parseInt(wait) > 0 && parseInt(wait) <= 30000)) {
+    return res.status(400).json({ error: 'wait must be between 1 and 30000 ms' });
+  }
+
+  try {
+    const devices = await bacnetPoller.discover({
+      address,
+      lowLimit: hasLimits ? parseInt(lowLimit) : undefined,
+      highLimit: hasLimits ? parseInt(highLimit) : undefined,
+      wait: wait !== undefined ? parseInt(wait) : undefined
+    });
+    res.json({ devices });
+  } catch (error) {
+    console.error('❌ Error discovering BACnet devices:', error.message);
+    res.status(500).json({ error: 'Failed to discover BACnet devices' });
+  }
+});
+
+// List BACnet sources with their last poll status
+router.get('/sources', (req, res) => {
+  res.json(bacnetPoller.getSources());
+});
+
+// Get one source
+router.get('/sources/:id', (req, res) => {
+  const source = bacnetPoller.getSources().find(candidate => candidate.id === req.params.id);
+  if (!source) {
+    return res.status(404).json({ error: 'BACnet source not found' });
+  }
+  res.json(source);
+});
+
+// Add a source
+// Body: { name, deviceInstance, address?, port?, interval?, enabled?,
+//         points: [{ deviceId, objectType, instance, scale?, offset?, unit? }] }
+// Without an address the device is found with Who-Is
+router.post('/sources', requireElevated, (req, res) => {
+  const errors = bacnetPoller.validateSource(req.body || {});
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid BACnet source', details: errors });
+  }
+
+  res.status(201).json(bacnetPoller.createSource(req.body));
+});
+
+// Replace a source (same body as above)
+router.put('/sources/:id', requireElevated, (req, res) => {
+  if (!bacnetPoller.getSource(req.params.id)) {
+    return res.status(404).json({ error: 'BACnet source not found' });
+  }
+
+  const errors = bacnetPoller.validateSource(req.body || {});
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid BACnet source', details: errors });
+  }
+
+  res.json(bacnetPoller.updateSource(req.params.id, req.body));
+});
+
+// Remove a source
+router.delete('/sources/:id', requireElevated, (req, res) => {
+  if (!bacnetPoller.deleteSource(req.params.id)) {
+    return res.status(404).json({ error: 'BACnet source not found' });
+  }
+  res.json({ success: true });
+});
+
+// Poll a source now (works for disabled sources too, e.g. while commissioning)
+router.post('/sources/:id/poll', requireElevated, async (req, res) => {
+  try {
+    const readings = await bacnetPoller.poll(req.params.id);
+    if (!readings) {
+      return res.status(404).json({ error: 'BACnet source not found' });
+    }
+
+    const source = bacnetPoller.getSources().find(candidate => candidate.id === req.params.id);
+    res.status(source.status.lastError ? 502 : 200).json({ readings, status: source.status });
+  } catch (error) {
+    console.error('❌ Error polling BACnet source:', error.message);
+    res.status(500).json({ error: 'Failed to poll BACnet source' });
+  }
+});
+
+module.exports = router;
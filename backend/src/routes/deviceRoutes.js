@@ -1,24 +1,32 @@
 const express = require('express');
 const router = express.Router();
 const rubidexService = require('../services/rubidexService');
+const deviceRegistry = require('../services/deviceRegistry');
+const authMiddleware = require('../middleware/authMiddleware');
+const thresholdService = require('../services/thresholdService');
+const heartbeatMonitor = require('../services/heartbeatMonitor');
+const deviceCredentials = require('../services/deviceCredentials');
+const commandService = require('../services/commandService');
+const deviceAuthMiddleware = require('../middleware/deviceAuthMiddleware');
+const { DEVICE_TYPE_NAMES, getDeviceType, getTypeForDocumentType } = require('../config/deviceTypes');
+const { BUCKETS, resolveWindow, downsample } = require('../utils/timeSeries');
 
-// Get all devices from blockchain
+// Get all devices (registry metadata merged with latest blockchain readings)
 router.get('/', async (req, res) => {
   try {
     console.log('📱 iOS app requesting device list');
-    const latestReadings = await rubidexService.getLatestTemperatures();
-    
-    // Transform blockchain data into device objects (matching iOS Device model)
-    const devices = latestReadings.map(reading => ({
-      id: reading.deviceId,
-      name: reading.name || `Temperature Sensor ${reading.deviceId}`,
-      type: 'Temperature',
-      location: reading.location || 'Unknown Location',
-      status: determineDeviceStatus(reading.temperature),
-      value: reading.temperature,
-      unit: '°C',
-      lastUpdated: reading.timestamp
-    }));
+    const latestReadings = await rubidexService.getLatestReadings();
+    const readingsByDevice = new Map(latestReadings.map(reading => [reading.deviceId, reading]));
+    
+    // Registered devices first, even if they have never reported
+    const devices = deviceRegistry.getAllDevices().map(registered =>
+      buildDevice(registered, readingsByDevice.get(registered.id))
+    );
+    
+    // Devices that report to the blockchain but are not registered yet
+    latestReadings
+      .filter(reading => !deviceRegistry.getDevice(reading.deviceId))
+      .forEach(reading => devices.push(buildDevice(null, reading)));
     
     console.log(`✅ Returning ${devices.length} devices to iOS app`);
     res.json(devices);
@@ -28,94 +36,419 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Get effective status thresholds for every device type
+router.get('/thresholds', (req, res) => {
+  res.json(thresholdService.getAllTypeThresholds());
+});
+
+// Get the commands each device type accepts, with their parameters
+router.get('/commands', (req, res) => {
+  res.json(Object.fromEntries(DEVICE_TYPE_NAMES.map(type => [type, getDeviceType(type).commands])));
+});
+
+// Get last-seen time and connectivity for every reporting device
+router.get('/heartbeats', (req, res) => {
+  const heartbeats = heartbeatMonitor.getAllHeartbeats();
+  res.json({
+    heartbeats,
+    online: heartbeats.filter(heartbeat => heartbeat.connectivity === 'online').length,
+    stale: heartbeats.filter(heartbeat => heartbeat.connectivity === 'stale').length,
+    offline: heartbeats.filter(heartbeat => heartbeat.connectivity === 'offline').length
+  });
+});
+
+// Override status thresholds for a device type
+router.put('/thresholds/:type', authMiddleware.requireAccessLevel(['elevated', 'admin']), (req, res) => {
+  try {
+    const typeName = req.params.type;
+    const current = thresholdService.getTypeThresholds(typeName);
+    
+    if (!current) {
+      return res.status(404).json({ error: 'Unknown device type' });
+    }
+    
+    const errors = thresholdService.validate(req.body, current);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid thresholds', details: errors });
+    }
+    
+    const thresholds = thresholdService.setTypeThresholds(typeName, req.body);
+    res.json({ type: typeName, thresholds });
+  } catch (error) {
+    console.error('❌ Error updating type thresholds:', error.message);
+    res.status(500).json({ error: 'Failed to update thresholds' });
+  }
+});
+
+// Reset status thresholds for a device type to the built-in defaults
+router.delete('/thresholds/:type', authMiddleware.requireAccessLevel(['elevated', 'admin']), (req, res) => {
+  const typeName = req.params.type;
+  
+  if (!thresholdService.getTypeThresholds(typeName)) {
+    return res.status(404).json({ error: 'Unknown device type' });
+  }
+  
+  res.json({ type: typeName, thresholds: thresholdService.resetTypeThresholds(typeName) });
+});
+
 // Get specific device details
 router.get('/:id', async (req, res) => {
   try {
     const deviceId = req.params.id;
     console.log(`📱 iOS app requesting device details for: ${deviceId}`);
     
-    const documents = await rubidexService.getDeviceDocuments(deviceId);
+    const registered = deviceRegistry.getDevice(deviceId);
+    const documents = await rubidexService.getDeviceReadingDocuments(deviceId);
     
-    if (documents.length === 0) {
+    if (!registered && documents.length === 0) {
       return res.status(404).json({ error: 'Device not found' });
     }
     
     // Get latest reading
     const latest = documents
-      .sort((a, b) => new Date(b.updateDate) - new Date(a.updateDate))[0];
-    
-    const device = {
-      id: deviceId,
-      name: latest.fields?.name || `Device ${deviceId}`,
-      type: 'Temperature',
-      location: latest.fields?.location || 'Unknown',
-      status: determineDeviceStatus(parseFloat(latest.fields?.data)),
+      .sort((a, b) => rubidexService.getReadingTime(b) - rubidexService.getReadingTime(a))[0];
+    
+    const reading = latest ? {
+      deviceId,
+      type: getTypeForDocumentType(latest.fields?.device_type),
       value: parseFloat(latest.fields?.data) || 0,
-      unit: '°C',
-      lastUpdated: latest.updateDate
-    };
+      unit: latest.fields?.unit,
+      timestamp: rubidexService.getReadingTime(latest).toISOString(),
+      location: latest.fields?.location,
+      name: latest.fields?.name
+    } : undefined;
     
-    res.json(device);
+    res.json(buildDevice(registered, reading));
   } catch (error) {
     console.error('❌ Error fetching device details:', error.message);
     res.status(500).json({ error: 'Failed to fetch device details' });
   }
 });
 
+// Register a new device
+router.post('/', authMiddleware.requireAccessLevel(['elevated', 'admin']), async (req, res) => {
+  try {
+    const errors = deviceRegistry.validate(req.body);
+    if (errors.length === 0 && req.body.thresholds) {
+      errors.push(...thresholdService.validate(req.body.thresholds, thresholdService.getTypeThresholds(req.body.type)));
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid device', details: errors });
+    }
+    
+    if (req.body.id && deviceRegistry.getDevice(req.body.id)) {
+      return res.status(409).json({ error: 'Device already exists' });
+    }
+    
+    const device = deviceRegistry.createDevice(req.body);
+    const ledgerWritten = await recordDeviceConfig(device, 'created', req.user);
+    
+    res.status(201).json({ device, ledgerWritten });
+  } catch (error) {
+    console.error('❌ Error registering device:', error.message);
+    res.status(500).json({ error: 'Failed to register device' });
+  }
+});
+
+// Update device metadata
+router.put('/:id', authMiddleware.requireAccessLevel(['elevated', 'admin']), async (req, res) => {
+  try {
+    const existing = deviceRegistry.getDevice(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+    
+    const errors = deviceRegistry.validate(req.body, { partial: true, existing });
+    if (errors.length === 0 && req.body.thresholds) {
+      const type = req.body.type || existing.type;
+      errors.push(...thresholdService.validate(req.body.thresholds, thresholdService.getTypeThresholds(type)));
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid device', details: errors });
+    }
+    
+    const device = deviceRegistry.updateDevice(req.params.id, req.body);
+    
+    const ledgerWritten = await recordDeviceConfig(device, 'updated', req.user);
+    
+    res.json({ device, ledgerWritten });
+  } catch (error) {
+    console.error('❌ Error updating device:', error.message);
+    res.status(500).json({ error: 'Failed to update device' });
+  }
+});
+
+// Remove a device from the registry
+router.delete('/:id', authMiddleware.requireAccessLevel(['elevated', 'admin']), async (req, res) => {
+  try {
+    const device = deviceRegistry.deleteDevice(req.params.id);
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+    
+    const keysRevoked = deviceCredentials.revokeDeviceKeys(device.id);
+    const ledgerWritten = await recordDeviceConfig(device, 'deleted', req.user);
+    
+    res.json({ success: true, device, keysRevoked, ledgerWritten });
+  } catch (error) {
+    console.error('❌ Error deleting device:', error.message);
+    res.status(500).json({ error: 'Failed to delete device' });
+  }
+});
+
+// List a device's API keys (secrets are never returned here)
+router.get('/:id/keys', authMiddleware.requireAccessLevel(['elevated', 'admin']), (req, res) => {
+  if (!deviceRegistry.getDevice(req.params.id)) {
+    return res.status(404).json({ error: 'Device not found' });
+  }
+  
+  res.json(deviceCredentials.getKeys(req.params.id));
+});
+
+// Issue an API key for a registered device; the key is only shown in this response
+router.post('/:id/keys', authMiddleware.requireAccessLevel(['elevated', 'admin']), (req, res) => {
+  if (!deviceRegistry.getDevice(req.params.id)) {
+    return res.status(404).json({ error: 'Device not found' });
+  }
+  
+  const key = deviceCredentials.issueKey(req.params.id, {
+    name: req.body?.name || null,
+    issuedBy: req.user?.email || req.user?.id || null
+  });
+  res.status(201).json(key);
+});
+
+// Rotate a key: returns a new key, the old one keeps working for graceSeconds
+router.post('/:id/keys/:keyId/rotate', authMiddleware.requireAccessLevel(['elevated', 'admin']), (req, res) => {
+  const existing = deviceCredentials.getKey(req.params.keyId);
+  if (!existing || existing.deviceId !== req.params.id) {
+    return res.status(404).json({ error: 'Key not found' });
+  }
+  
+  const graceSeconds = req.body?.graceSeconds;
+  if (graceSeconds !== undefined && !(parseInt(graceSeconds) >= 0)) {
+    return res.status(400).json({ error: 'graceSeconds must be zero or more' });
+  }
+  
+  const rotated = deviceCredentials.rotateKey(existing.id, {
+    graceSeconds: graceSeconds !== undefined ? parseInt(graceSeconds) : undefined,
+    issuedBy: req.user?.email || req.user?.id || null
+  });
+  if (!rotated) {
+    return res.status(409).json({ error: 'Only active keys can be rotated' });
+  }
+  
+  res.status(201).json(rotated);
+});
+
+// Revoke a key immediately
+router.delete('/:id/keys/:keyId', authMiddleware.requireAccessLevel(['elevated', 'admin']), (req, res) => {
+  const existing = deviceCredentials.getKey(req.params.keyId);
+  if (!existing || existing.deviceId !== req.params.id) {
+    return res.status(404).json({ error: 'Key not found' });
+  }
+  
+  console.log(`🔑 ${req.user?.email || 'unknown'} revoked device key ${existing.id}`);
+  res.json(deviceCredentials.revokeKey(existing.id));
+});
+
+// List a device's commands, newest first (?status=queued|sent|acknowledged|..., ?limit=)
+router.get('/:id/commands', (req, res) => {
+  if (!deviceRegistry.getDevice(req.params.id)) {
+    return res.status(404).json({ error: 'Device not found' });
+  }
+  
+  res.json(commandService.getCommands({
+    deviceId: req.params.id,
+    status: req.query.status,
+    limit: parseInt(req.query.limit) || undefined
+  }));
+});
+
+// Send a command to a device, e.g. { "command": "setpoint", "params": { "value": 72, "unit": "°F" } }
+// The command is queued and sent once the device has acknowledged earlier ones
+router.post('/:id/commands', authMiddleware.requireAccessLevel(['elevated', 'admin']), async (req, res) => {
+  try {
+    const device = deviceRegistry.getDevice(req.params.id);
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+    
+    const validated = commandService.validateCommand(device, req.body);
+    if (validated.errors) {
+      return res.status(400).json({ error: 'Invalid command', details: validated.errors });
+    }
+    
+    const command = await commandService.issueCommand(device, validated, req.user);
+    res.status(202).json(command);
+  } catch (error) {
+    console.error('❌ Error issuing command:', error.message);
+    res.status(500).json({ error: 'Failed to issue command' });
+  }
+});
+
+// Commands sent to the device and waiting for its acknowledgement
+// Devices without MQTT poll this with their device key
+router.get('/:id/commands/pending', (req, res) => {
+  const scopeError = deviceAuthMiddleware.deviceScopeError(req, req.params.id, 'receive commands');
+  if (scopeError) {
+    return res.status(403).json({ error: scopeError, code: 'DEVICE_SCOPE' });
+  }
+  
+  res.json(commandService.getSentCommands(req.params.id));
+});
+
+// Get one command
+router.get('/:id/commands/:commandId', (req, res) => {
+  const command = commandService.getCommand(req.params.commandId);
+  if (!command || command.deviceId !== req.params.id) {
+    return res.status(404).json({ error: 'Command not found' });
+  }
+  
+  res.json(command);
+});
+
+// Acknowledge a command: { status: "ok" | "error", result?, error? }
+// Sent by the device (device key) or recorded by elevated staff on its behalf
+router.post('/:id/commands/:commandId/ack', (req, res, next) => {
+  if (req.device) {
+    return next();
+  }
+  authMiddleware.requireAccessLevel(['elevated', 'admin'])(req, res, next);
+}, async (req, res) => {
+  const scopeError = deviceAuthMiddleware.deviceScopeError(req, req.params.id, 'acknowledge commands');
+  if (scopeError) {
+    return res.status(403).json({ error: scopeError, code: 'DEVICE_SCOPE' });
+  }
+  
+  const existing = commandService.getCommand(req.params.commandId);
+  if (!existing || existing.deviceId !== req.params.id) {
+    return res.status(404).json({ error: 'Command not found' });
+  }
+  
+  try {
+    const { command, error, code } = await commandService.acknowledge(existing.id, req.body || {});
+    if (error) {
+      return res.status(code).json({ error });
+    }
+    res.json(command);
+  } catch (error) {
+    console.error('❌ Error acknowledging command:', error.message);
+    res.status(500).json({ error: 'Failed to acknowledge command' });
+  }
+});
+
+// Cancel a command that hasn't been sent yet
+router.delete('/:id/commands/:commandId', authMiddleware.requireAccessLevel(['elevated', 'admin']), async (req, res) => {
+  const existing = commandService.getCommand(req.params.commandId);
+  if (!existing || existing.deviceId !== req.params.id) {
+    return res.status(404).json({ error: 'Command not found' });
+  }
+  
+  try {
+    const { command, error, code } = await commandService.cancel(existing.id, req.user);
+    if (error) {
+      return res.status(code).json({ error });
+    }
+    res.json(command);
+  } catch (error) {
+    console.error('❌ Error cancelling command:', error.message);
+    res.status(500).json({ error: 'Failed to cancel command' });
+  }
+});
+
 // Get device historical data
+// Accepts a timeRange preset (hour|day|week|month) or explicit from/to ISO timestamps,
+// and an optional bucket (1m|5m|1h|1d) to downsample into min/max/avg/count per bucket
 router.get('/:id/history', async (req, res) => {
   try {
     const deviceId = req.params.id;
-    const { timeRange = 'hour' } = req.query;
-    
-    console.log(`📱 iOS app requesting history for device ${deviceId}, range: ${timeRange}`);
-    
-    const documents = await rubidexService.getDeviceDocuments(deviceId);
-    
-    // Filter by time range
-    const now = new Date();
-    let startTime;
-    
-    switch (timeRange) {
-      case 'hour':
-        startTime = new Date(now.getTime() - 60 * 60 * 1000);
-        break;
-      case 'day':
-        startTime = new Date(now.getTime() - 24 * 60 * 60 * 1000);
-        break;
-      case 'week':
-        startTime = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-        break;
-      case 'month':
-        startTime = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-        break;
-      default:
-        startTime = new Date(now.getTime() - 60 * 60 * 1000);
-    }
-    
-    const historicalData = documents
-      .filter(doc => new Date(doc.updateDate) >= startTime)
+    const { timeRange = 'hour', from, to, bucket } = req.query;
+    
+    console.log(`📱 iOS app requesting history for device ${deviceId}, range: ${from || to ? `${from || '…'} → ${to || 'now'}` : timeRange}${bucket ? `, bucket: ${bucket}` : ''}`);
+    
+    const range = resolveWindow({ timeRange, from, to });
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+    if (bucket && !BUCKETS[bucket]) {
+      return res.status(400).json({ error: `bucket must be one of: ${Object.keys(BUCKETS).join(', ')}` });
+    }
+    
+    const documents = await rubidexService.getDeviceReadingDocuments(deviceId);
+    
+    const points = documents
       .map(doc => ({
         id: doc.id,
-        timestamp: doc.updateDate,
-        value: parseFloat(doc.fields?.data) || 0
+        timestamp: rubidexService.getReadingTime(doc).toISOString(),
+        value: parseFloat(doc.fields?.data) || 0,
+        unit: doc.fields?.unit || getDeviceType(getTypeForDocumentType(doc.fields?.device_type)).unit
       }))
+      .filter(point => {
+        const time = new Date(point.timestamp);
+        return time >= range.from && time <= range.to;
+      })
       .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
     
-    console.log(`✅ Returning ${historicalData.length} historical data points`);
-    res.json(historicalData);
+    if (!bucket) {
+      console.log(`✅ Returning ${points.length} historical data points`);
+      return res.json(points);
+    }
+    
+    const unit = points.length > 0 ? points[0].unit : undefined;
+    const buckets = downsample(points, bucket).map(entry => ({ ...entry, unit }));
+    
+    console.log(`✅ Returning ${buckets.length} buckets from ${points.length} historical data points`);
+    res.json(buckets);
   } catch (error) {
     console.error('❌ Error fetching historical data:', error.message);
     res.status(500).json({ error: 'Failed to fetch historical data' });
   }
 });
 
-// Helper function to determine device status based on temperature
-function determineDeviceStatus(temperature) {
-  if (temperature > 45) return 'Critical';
-  if (temperature > 35) return 'Warning';
-  if (temperature > 0) return 'Online';
-  return 'Offline';
+// Helper function to build an iOS Device object from registry metadata and the latest reading
+function buildDevice(registered, reading) {
+  const deviceId = registered?.id || reading.deviceId;
+  const type = registered?.type || reading?.type || 'Temperature';
+  const heartbeat = heartbeatMonitor.getHeartbeat(deviceId);
+  const connectivity = heartbeat ? heartbeat.connectivity : (reading ? 'online' : 'offline');
+  
+  return {
+    id: deviceId,
+    name: registered?.name || reading?.name || `${type} Sensor ${deviceId}`,
+    type,
+    location: registered?.location || reading?.location || 'Unknown Location',
+    zone: registered?.zone || null,
+    status: reading && connectivity !== 'offline' ? thresholdService.determineStatus(deviceId, type, reading.value) : 'Offline',
+    connectivity,
+    lastSeen: heartbeat?.lastSeen || reading?.timestamp || null,
+    reportingInterval: heartbeatMonitor.getExpectedInterval(deviceId),
+    value: reading ? reading.value : 0,
+    unit: reading?.unit || registered?.unit || getDeviceType(type).unit,
+    alertLimit: registered?.alertLimit ?? null,
+    alertHysteresis: registered?.alertHysteresis ?? null,
+    alertMinDuration: registered?.alertMinDuration ?? null,
+    thresholds: thresholdService.getDeviceThresholds(deviceId, type),
+    commissionedAt: registered?.commissionedAt || null,
+    registered: !!registered,
+    lastUpdated: reading ? reading.timestamp : registered.updatedAt
+  };
+}
+
+// Helper function to write device configuration changes to the blockchain
+async function recordDeviceConfig(device, action, user) {
+  try {
+    await rubidexService.writeDeviceConfig({
+      deviceId: device.id,
+      ...device,
+      action,
+      changedBy: user?.email || user?.id || 'unknown'
+    });
+    return true;
+  } catch (error) {
+    console.warn(`⚠️ Device ${device.id} ${action} but config was not written to blockchain:`, error.message);
+    return false;
+  }
 }
 
 module.exports = router;
\ No newline at end of file
@@ -1,11 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const rubidexService = require('../services/rubidexService');
+const documentIndex = require('../services/documentIndex');
+const alertService = require('../services/alertService');
 
-// Get all documents from Rubidex blockchain
+// Get all documents from Rubidex blockchain (served from the local index, ?refresh=true forces a sync)
 router.get('/all', async (req, res) => {
   try {
     console.log('📱 iOS app requesting all documents');
+    if (req.query.refresh === 'true') {
+      await rubidexService.syncDocumentIndex();
+    }
     const documents = await rubidexService.getAllDocuments();
     
     // Transform data to match iOS app expectations (RubidexAPIResponse structure)
@@ -32,6 +37,21 @@ router.get('/all', async (req, res) => {
   }
 });
 
+// Verify Rubidex documents against the local ledger chain (tamper report for auditors)
+router.get('/verify', async (req, res) => {
+  try {
+    console.log(`🔏 Ledger verification requested by ${req.user?.email || 'unknown'}`);
+    const report = await rubidexService.verifyLedger();
+    res.json(report);
+  } catch (error) {
+    console.error('❌ Error verifying ledger:', error.message);
+    res.status(502).json({
+      error: 'Failed to fetch documents from Rubidex for verification',
+      message: error.message
+    });
+  }
+});
+
 // Get documents for specific device
 router.get('/device/:deviceId', async (req, res) => {
   try {
@@ -54,6 +74,30 @@ router.get('/device/:deviceId', async (req, res) => {
   }
 });
 
+// Get local document index status
+router.get('/index/status', (req, res) => {
+  res.json(documentIndex.getStatus());
+});
+
+// Force a document index sync with Rubidex
+router.post('/index/sync', async (req, res) => {
+  try {
+    const stats = await rubidexService.syncDocumentIndex();
+    res.json({
+      status: 'success',
+      sync: stats,
+      index: documentIndex.getStatus()
+    });
+  } catch (error) {
+    console.error('❌ Document index sync failed:', error.message);
+    res.status(502).json({
+      status: 'error',
+      error: 'Document index sync failed',
+      message: error.message
+    });
+  }
+});
+
 //Test Rubidex connection
 router.get('/test', async (req, res) => {
   try {
@@ -111,7 +155,8 @@ router.post('/temperature-alert', async (req, res) => {
       currentTemp,
       limit,
       location,
-      severity
+      severity,
+      idempotencyKey: req.get('Idempotency-Key')
     });
     
     console.log('✅ Temperature alert documented successfully');
@@ -119,6 +164,7 @@ router.post('/temperature-alert', async (req, res) => {
       status: 'success',
       message: 'Temperature alert documented to blockchain',
       documentId: alertDocument.id || 'unknown',
+      queued: !!alertDocument.queued,
       timestamp: new Date().toISOString()
     });
     
@@ -135,11 +181,26 @@ router.post('/temperature-alert', async (req, res) => {
 // Post temperature alert resolution document to Rubidex
 router.post('/temperature-alert-resolved', async (req, res) => {
   try {
-    const { deviceId, deviceName } = req.body;
+    const { deviceId, deviceName, alertId } = req.body;
     
     console.log('✅ iOS app requesting temperature alert resolution documentation');
     console.log(`   Device: ${deviceName} (${deviceId})`);
     
+    // Linked to an alert record: resolve it (the resolution is documented by the alert service)
+    if (alertId) {
+      const alert = await alertService.resolve(alertId, req.user, {
+        note: 'Temperature returned to normal levels.',
+        io: req.app.get('io')
+      });
+      
+      return res.json({
+        status: 'success',
+        message: 'Temperature alert resolved and documented to blockchain',
+        alert,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
     // Validate required fields
     if (!deviceId || !deviceName) {
       return res.status(400).json({
@@ -151,7 +212,8 @@ router.post('/temperature-alert-resolved', async (req, res) => {
     
     const resolutionDocument = await rubidexService.writeTemperatureAlertResolution({
       deviceId,
-      deviceName
+      deviceName,
+      idempotencyKey: req.get('Idempotency-Key')
     });
     
     console.log('✅ Temperature alert resolution documented successfully');
@@ -159,10 +221,14 @@ router.post('/temperature-alert-resolved', async (req, res) => {
       status: 'success',
       message: 'Temperature alert resolution documented to blockchain',
       documentId: resolutionDocument.id || 'unknown',
+      queued: !!resolutionDocument.queued,
       timestamp: new Date().toISOString()
     });
     
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ status: 'error', error: error.message });
+    }
     console.error('❌ Error documenting temperature alert resolution:', error.message);
     res.status(500).json({
       status: 'error',
@@ -0,0 +1,108 @@
+const express = require('express');
+const router = express.Router();
+const escalationService = require('../services/escalationService');
+const authMiddleware = require('../middleware/authMiddleware');
+
+const canManageEscalations = authMiddleware.requireAccessLevel(['elevated', 'admin']);
+
+// Get escalation policies
+router.get('/policies', (req, res) => {
+  res.json(escalationService.getPolicies());
+});
+
+// Create an escalation policy
+router.post('/policies', canManageEscalations, (req, res) => {
+  const errors = escalationService.validatePolicy(req.body || {});
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid escalation policy', details: errors });
+  }
+
+  const policy = escalationService.createPolicy(req.body);
+  res.status(201).json(policy);
+});
+
+// Replace an escalation policy
+router.put('/policies/:id', canManageEscalations, (req, res) => {
+  const errors = escalationService.validatePolicy(req.body || {});
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid escalation policy', details: errors });
+  }
+
+  const policy = escalationService.updatePolicy(req.params.id, req.body);
+  if (!policy) {
+    return res.status(404).json({ error: 'Escalation policy not found' });
+  }
+  res.json(policy);
+});
+
+// Delete an escalation policy
+router.delete('/policies/:id', canManageEscalations, (req, res) => {
+  if (!escalationService.deletePolicy(req.params.id)) {
+    return res.status(404).json({ error: 'Escalation policy not found' });
+  }
+  res.json({ success: true });
+});
+
+// Get on-call rotations with who is on call now
+router.get('/rotations', (req, res) => {
+  res.json(escalationService.getRotations());
+});
+
+// Get who is on call for a rotation (?at= for another time)
+router.get('/rotations/:id/on-call', (req, res) => {
+  const rotation = escalationService.getRotation(req.params.id);
+  if (!rotation) {
+    return res.status(404).json({ error: 'Rotation not found' });
+  }
+
+  const at = req.query.at ? new Date(req.query.at) : new Date();
+  if (isNaN(at.getTime())) {
+    return res.status(400).json({ error: 'at must be a valid date' });
+  }
+
+  res.json({
+    rotationId: rotation.id,
+    name: rotation.name,
+    at: at.toISOString(),
+    onCall: escalationService.getOnCall(rotation.id, at)
+  });
+});
+
+// Create an on-call rotation
+router.post('/rotations', canManageEscalations, (req, res) => {
+  const errors = escalationService.validateRotation(req.body || {});
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid rotation', details: errors });
+  }
+
+  const rotation = escalationService.createRotation(req.body);
+  res.status(201).json(rotation);
+});
+
+// Replace an on-call rotation
+router.put('/rotations/:id', canManageEscalations, (req, res) => {
+  const errors = escalationService.validateRotation(req.body || {});
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid rotation', details: errors });
+  }
+
+  const rotation = escalationService.updateRotation(req.params.id, req.body);
+  if (!rotation) {
+    return res.status(404).json({ error: 'Rotation not found' });
+  }
+  res.json(rotation);
+});
+
+// Delete an on-call rotation (refused while a policy pages it)
+router.delete('/rotations/:id', canManageEscalations, (req, res) => {
+  const { deleted, error } = escalationService.deleteRotation(req.params.id);
+  if (error) {
+    return res.status(409).json({ error });
+  }
+  if (!deleted) {
+    return res.status(404).json({ error: 'Rotation not found' });
+  }
+  res.json({ success: true });
+});
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const particleIngest = require('../services/particleIngest');
+const deviceAuthMiddleware = require('../middleware/deviceAuthMiddleware');
+
+// Particle webhooks default to web form bodies
+router.use(express.urlencoded({ extended: false, verify: deviceAuthMiddleware.captureRawBody }));
+
+// Particle Cloud webhook (standard body: event, data, coreid, published_at)
+// Authenticated by the shared webhook secret (Particle Cloud vouches for coreid)
+// or by the device's own key, which must match coreid
+router.post('/particle', async (req, res) => {
+  if (deviceAuthMiddleware.hasDeviceCredentials(req)) {
+    const result = deviceAuthMiddleware.authenticateDevice(req);
+    if (result.error) {
+      return res.status(401).json({ error: result.error, code: 'INVALID_DEVICE_CREDENTIALS' });
+    }
+    req.device = { id: result.deviceId, keyId: result.keyId };
+
+    const scopeError = deviceAuthMiddleware.deviceScopeError(req, req.body?.coreid);
+    if (scopeError) {
+      return res.status(403).json({ error: scopeError, code: 'DEVICE_SCOPE' });
+    }
+  } else if (!particleIngest.isConfigured()) {
+    return res.status(503).json({ error: 'Particle ingestion is not configured' });
+  } else if (!particleIngest.verifySecret(req.get('X-Particle-Secret'))) {
+    return res.status(401).json({ error: 'Invalid webhook secret' });
+  }
+
+  try {
+    const io = req.app.get('io');
+    const { reading, status, evaluation } = await particleIngest.ingest(req.body, io);
+
+    console.log(`✅ Particle ${req.body.event} from ${reading.deviceId}: ${reading.value} ${reading.unit}`);
+    res.status(201).json({
+      success: true,
+      reading,
+      status,
+      alert: evaluation.action !== 'none' ? evaluation : null
+    });
+  } catch (error) {
+    if (error.validationErrors) {
+      return res.status(400).json({ error: 'Invalid Particle event', details: error.validationErrors });
+    }
+    console.error('❌ Error ingesting Particle event:', error.message);
+    res.status(500).json({ error: 'Failed to ingest Particle event' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+const modbusPoller = require('../services/modbusPoller');
+const authMiddleware = require('../middleware/authMiddleware');
+
+// Source changes point the poller at building equipment, so they need elevated access
+const requireElevated = authMiddleware.requireAccessLevel(['elevated', 'admin']);
+
+// List Modbus sources with their last poll status
+router.get('/sources', (req, res) => {
+  res.json(modbusPoller.getSources());
+});
+
+// Get one source
+router.get('/sources/:id', (req, res) => {
+  const source = modbusPoller.getSources().find(candidate => candidate.id === req.params.id);
+  if (!source) {
+    return res.status(404).json({ error: 'Modbus source not found' });
+  }
+  res.json(source);
+});
+
+// Add a source
+// Body: { name, host, port?, unitId?, interval?, enabled?,
+//         points: [{ deviceId, table?, address, dataType?, wordOrder?, scale?, offset?, unit? }] }
+router.post('/sources', requireElevated, (req, res) => {
+  const errors = modbusPoller.validateSource(req.body || {});
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid Modbus source', details: errors });
+  }
+
+  res.status(201).json(modbusPoller.createSource(req.body));
+});
+
+// Replace a source (same body as above)
+router.put('/sources/:id', requireElevated, (req, res) => {
+  if (!modbusPoller.getSource(req.params.id)) {
+    return res.status(404).json({ error: 'Modbus source not found' });
+  }
+
+  const errors = modbusPoller.validateSource(req.body || {});
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid Modbus source', details: errors });
+  }
+
+  res.json(modbusPoller.updateSource(req.params.id, req.body));
+});
+
+// Remove a source
+router.delete('/sources/:id', requireElevated, (req, res) => {
+  if (!modbusPoller.deleteSource(req.params.id)) {
+    return res.status(404).json({ error: 'Modbus source not found' });
+  }
+  res.json({ success: true });
+});
+
+// Poll a source now (works for disabled sources too, e.g. while commissioning)
+router.post('/sources/:id/poll', requireElevated, async (req, res) => {
+  try {
+    const readings = await modbusPoller.poll(req.params.id);
+    if (!readings) {
+      return res.status(404).json({ error: 'Modbus source not found' });
+    }
+
+    const source = modbusPoller.getSources().find(candidate => candidate.id === req.params.id);
+    res.status(source.status.lastError ? 502 : 200).json({ readings, status: source.status });
+  } catch (error) {
+    console.error('❌ Error polling Modbus source:', error.message);
+    res.status(500).json({ error: 'Failed to poll Modbus source' });
+  }
+});
+
+module.exports = router;
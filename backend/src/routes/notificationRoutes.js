@@ -0,0 +1,177 @@
+const express = require('express');
+const router = express.Router();
+const notificationService = require('../services/notificationService');
+const authMiddleware = require('../middleware/authMiddleware');
+
+const isAdmin = (user) => user.accessLevel === 'admin';
+
+const isElevated = (user) => ['elevated', 'admin'].includes(user.accessLevel);
+
+// Webhooks post alert data outside the building, so only trusted staff may add them
+const canUseChannel = (user, channel) => channel !== 'webhook' || isElevated(user);
+
+// Everyone else can only send email and SMS to the email and phone on their own (auth service) profile
+const PROFILE_ADDRESSES = { email: 'email', sms: 'phone' };
+const canUseAddress = (user, channel, address) => {
+  const field = PROFILE_ADDRESSES[channel];
+  return !field || isElevated(user) || (!!user[field] && user[field].toLowerCase() === String(address).toLowerCase());
+};
+const addressError = (channel) => `${channel === 'sms' ? 'SMS' : 'Email'} subscriptions can only go to the ${PROFILE_ADDRESSES[channel]} on your profile`;
+
+// Look up a subscription the caller owns (admins can reach all of them)
+const findOwnSubscription = (req, res) => {
+  const subscription = notificationService.getSubscription(req.params.id);
+  if (!subscription || (subscription.ownerId !== req.user.id && !isAdmin(req.user))) {
+    res.status(404).json({ error: 'Subscription not found' });
+    return null;
+  }
+  return subscription;
+};
+
+// List notification channels and whether they are configured
+router.get('/channels', (req, res) => {
+  res.json(notificationService.getChannels());
+});
+
+// List the caller's subscriptions (?all=true for every subscription, admin only)
+router.get('/subscriptions', (req, res) => {
+  const all = req.query.all === 'true' && isAdmin(req.user);
+  res.json(notificationService.getSubscriptions(all ? {} : { ownerId: req.user.id }));
+});
+
+// Subscribe to alert notifications
+// Body: { channel, address, format?, events?, filters?: { deviceIds, zones, severities }, enabled? }
+router.post('/subscriptions', (req, res) => {
+  const data = req.body || {};
+  const errors = notificationService.validateSubscription(data);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid subscription', details: errors });
+  }
+  if (!canUseChannel(req.user, data.channel)) {
+    return res.status(403).json({ error: 'Elevated access required for webhook subscriptions' });
+  }
+  if (!canUseAddress(req.user, data.channel, data.address)) {
+    return res.status(403).json({ error: addressError(data.channel) });
+  }
+
+  const subscription = notificationService.createSubscription(data, req.user);
+  res.status(201).json(subscription);
+});
+
+// Update a subscription (body as above plus rotateSecret for webhooks; channel can't change)
+router.patch('/subscriptions/:id', (req, res) => {
+  const subscription = findOwnSubscription(req, res);
+  if (!subscription) return;
+
+  const data = { ...(req.body || {}), channel: subscription.channel };
+  const errors = notificationService.validateSubscription(data, { partial: true });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid subscription', details: errors });
+  }
+  if (data.address !== undefined && !canUseAddress(req.user, data.channel, data.address)) {
+    return res.status(403).json({ error: addressError(data.channel) });
+  }
+
+  res.json(notificationService.updateSubscription(subscription.id, data));
+});
+
+// Delete a subscription
+router.delete('/subscriptions/:id', (req, res) => {
+  const subscription = findOwnSubscription(req, res);
+  if (!subscription) return;
+
+  notificationService.deleteSubscription(subscription.id);
+  res.json({ success: true });
+});
+
+// Send a test notification through a subscription
+router.post('/subscriptions/:id/test', async (req, res) => {
+  const subscription = findOwnSubscription(req, res);
+  if (!subscription) return;
+
+  try {
+    const delivery = await notificationService.sendTest(subscription.id);
+    res.status(delivery.status === 'sent' ? 200 : 502).json(delivery);
+  } catch (error) {
+    console.error('❌ Failed to send test notification:', error.message);
+    res.status(500).json({ error: 'Failed to send test notification' });
+  }
+});
+
+// Look up a push device the caller registered (admins can reach all of them)
+const findOwnDevice = (req, res) => {
+  const device = notificationService.getDevice(req.params.id) || notificationService.findDeviceByToken(req.params.id);
+  if (!device || (device.userId !== req.user.id && !isAdmin(req.user))) {
+    res.status(404).json({ error: 'Device not found' });
+    return null;
+  }
+  return device;
+};
+
+// List the caller's push devices (?all=true for every device, admin only)
+router.get('/devices', (req, res) => {
+  const all = req.query.all === 'true' && isAdmin(req.user);
+  res.json(notificationService.getDevices(all ? {} : { userId: req.user.id }));
+});
+
+// Register an APNs device token for the caller (re-registering a token updates it;
+// one registered to someone else is refused until they unregister it)
+// Body: { token, environment?: 'production'|'sandbox', name?, events?, filters?, enabled? }
+router.post('/devices', (req, res) => {
+  const data = req.body || {};
+  const errors = notificationService.validateDevice(data);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid device', details: errors });
+  }
+
+  const { device, created, error, code } = notificationService.registerDevice(data, req.user);
+  if (error) {
+    return res.status(code).json({ error });
+  }
+  res.status(created ? 201 : 200).json(device);
+});
+
+// Update a push device (body as above, except the token); :id may be the token
+router.patch('/devices/:id', (req, res) => {
+  const device = findOwnDevice(req, res);
+  if (!device) return;
+
+  const data = req.body || {};
+  const errors = notificationService.validateDevice(data, { partial: true });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid device', details: errors });
+  }
+
+  res.json(notificationService.updateDevice(device.id, data));
+});
+
+// Unregister a push device (e.g. on sign-out); :id may be the token
+router.delete('/devices/:id', (req, res) => {
+  const device = findOwnDevice(req, res);
+  if (!device) return;
+
+  notificationService.deleteDevice(device.id);
+  res.json({ success: true });
+});
+
+// Send a test push notification to a device
+router.post('/devices/:id/test', async (req, res) => {
+  const device = findOwnDevice(req, res);
+  if (!device) return;
+
+  try {
+    const delivery = await notificationService.sendDeviceTest(device.id);
+    res.status(delivery.status === 'sent' ? 200 : 502).json(delivery);
+  } catch (error) {
+    console.error('❌ Failed to send test push notification:', error.message);
+    res.status(500).json({ error: 'Failed to send test push notification' });
+  }
+});
+
+// Recent delivery attempts (?limit=, default 50)
+router.get('/deliveries', authMiddleware.requireAccessLevel('admin'), (req, res) => {
+  const limit = parseInt(req.query.limit) || 50;
+  res.json(notificationService.getDeliveries(limit));
+});
+
+module.exports = router;
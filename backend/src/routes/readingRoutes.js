@@ -0,0 +1,102 @@
+const express = require('express');
+const router = express.Router();
+const readingPipeline = require('../services/readingPipeline');
+const deviceAuthMiddleware = require('../middleware/deviceAuthMiddleware');
+const { DEVICE_TYPES } = require('../config/deviceTypes');
+
+// Get supported device types with their units and valid ranges
+router.get('/types', (req, res) => {
+  const types = Object.entries(DEVICE_TYPES).map(([name, definition]) => ({
+    name,
+    documentType: definition.documentType,
+    unit: definition.unit,
+    acceptedUnits: Object.keys(definition.units),
+    range: definition.range
+  }));
+  
+  res.json(types);
+});
+
+// Write a reading for any device type to blockchain
+router.post('/', async (req, res) => {
+  try {
+    const { deviceId, type, value, unit, location, alertLimit, deviceName, timestamp } = req.body;
+    
+    console.log(`📊 Receiving ${type || 'device'} reading: ${value}${unit ? ` ${unit}` : ''} from device ${deviceId}`);
+    
+    const scopeError = deviceAuthMiddleware.deviceScopeError(req, deviceId);
+    if (scopeError) {
+      return res.status(403).json({ error: scopeError, code: 'DEVICE_SCOPE' });
+    }
+    
+    const io = req.app.get('io');
+    const { reading, status, result, evaluation } = await readingPipeline.ingestReading({
+      deviceId,
+      type,
+      value,
+      unit,
+      location,
+      alertLimit,
+      deviceName,
+      timestamp,
+      idempotencyKey: req.get('Idempotency-Key')
+    }, io);
+    
+    console.log(`✅ ${reading.type} reading written and broadcasted: ${reading.value} ${reading.unit}`);
+    res.status(201).json({
+      success: true,
+      message: 'Reading saved to blockchain',
+      reading,
+      status,
+      data: result,
+      alert: evaluation.action !== 'none' ? evaluation : null
+    });
+    
+  } catch (error) {
+    if (error.validationErrors) {
+      return res.status(400).json({ error: 'Invalid reading', details: error.validationErrors });
+    }
+    console.error('❌ Error writing reading:', error.message);
+    res.status(500).json({ error: 'Failed to write reading' });
+  }
+});
+
+// Write many readings at once, each with its own timestamp (gateways, backfills)
+// Body: { readings: [{ deviceId, type, value, unit, timestamp, ... }] } or a bare array
+router.post('/batch', async (req, res) => {
+  const inputs = Array.isArray(req.body) ? req.body : req.body?.readings;
+  
+  if (!Array.isArray(inputs) || inputs.length === 0) {
+    return res.status(400).json({ error: 'readings must be a non-empty array' });
+  }
+  if (inputs.length > readingPipeline.batchMaxSize) {
+    return res.status(413).json({ error: `A batch can hold at most ${readingPipeline.batchMaxSize} readings` });
+  }
+  
+  try {
+    console.log(`📊 Receiving batch of ${inputs.length} readings`);
+    
+    const io = req.app.get('io');
+    const results = await readingPipeline.ingestBatch(inputs, io, {
+      check: input => deviceAuthMiddleware.deviceScopeError(req, input?.deviceId)
+    });
+    
+    const accepted = results.filter(result => result.status === 'written' || result.status === 'queued').length;
+    const summary = {
+      accepted,
+      rejected: results.filter(result => result.status === 'rejected').length,
+      failed: results.filter(result => result.status === 'failed').length,
+      late: results.filter(result => result.late).length
+    };
+    
+    console.log(`✅ Batch processed: ${summary.accepted} accepted, ${summary.rejected} rejected, ${summary.failed} failed, ${summary.late} late`);
+    // 207 when readings had mixed outcomes
+    const statusCode = accepted === results.length ? 201 : (summary.rejected === results.length ? 400 : 207);
+    res.status(statusCode).json({ success: accepted === results.length, ...summary, results });
+  } catch (error) {
+    console.error('❌ Error writing reading batch:', error.message);
+    res.status(500).json({ error: 'Failed to write readings' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,195 @@
+const express = require('express');
+const router = express.Router();
+const reservationService = require('../services/reservationService');
+const authMiddleware = require('../middleware/authMiddleware');
+
+const requireElevated = authMiddleware.requireAccessLevel(['elevated', 'admin']);
+const requireAdmin = authMiddleware.requireAccessLevel('admin');
+
+const CHECK_IN_METHODS = ['biometric', 'card'];
+
+// People see and manage their own reservations; elevated users see and manage everyone's
+const isElevated = req => ['elevated', 'admin'].includes(req.user.accessLevel);
+const canManage = (req, reservation) => reservation.userId === req.user.id || isElevated(req);
+
+// Bookable zones (declared before /:id so "zones" isn't taken for a reservation)
+
+// List bookable zones with the booking rule that applies to the caller
+router.get('/zones', (req, res) => {
+  res.json(reservationService.getZones().map(zone => ({
+    ...zone,
+    bookingRule: reservationService.getRule(zone, req.user.role)
+  })));
+});
+
+router.get('/zones/:zoneId', (req, res) => {
+  const zone = reservationService.getZone(req.params.zoneId);
+  if (!zone) {
+    return res.status(404).json({ error: 'Zone is not bookable' });
+  }
+  res.json({ ...zone, bookingRule: reservationService.getRule(zone, req.user.role) });
+});
+
+// Make a building zone (from the auth service) bookable or change its settings
+// Body: { type, capacity, name? (defaults to the building zone's), amenities?, exclusive?,
+//         bookingRules?: { default | admin | manager | technician | user: { allowed?, maxDurationMinutes?, maxAdvanceDays?, requiresApproval? } } }
+router.put('/zones/:zoneId', requireAdmin, async (req, res) => {
+  const errors = reservationService.validateZone(req.body || {});
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid bookable zone', details: errors });
+  }
+
+  let buildingZone;
+  try {
+    buildingZone = await authMiddleware.getBuildingZone(req.params.zoneId, req.token);
+  } catch (error) {
+    return res.status(502).json({ error: 'Unable to look up the building zone' });
+  }
+  if (!buildingZone) {
+    return res.status(404).json({ error: 'Building zone not found' });
+  }
+
+  const existed = !!reservationService.getZone(buildingZone.id);
+  res.status(existed ? 200 : 201).json(reservationService.saveZone(buildingZone, req.body));
+});
+
+router.delete('/zones/:zoneId', requireAdmin, (req, res) => {
+  const { deleted, error } = reservationService.deleteZone(req.params.zoneId);
+  if (error) {
+    return res.status(409).json({ error });
+  }
+  if (!deleted) {
+    return res.status(404).json({ error: 'Zone is not bookable' });
+  }
+  res.json({ success: true });
+});
+
+// Reservations
+
+// List reservations, soonest first (only the caller's own unless they are elevated)
+// Query: zoneId?, date? (YYYY-MM-DD), from?, to?, status?, mine? (true for the caller's own)
+router.get('/', (req, res) => {
+  const { zoneId, date, from, to, status, mine } = req.query;
+  const errors = reservationService.validateQuery({ date, from, to, status });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid query', details: errors });
+  }
+
+  res.json(reservationService.getReservations({
+    zoneId,
+    date,
+    from,
+    to,
+    status,
+    userId: mine === 'true' || !isElevated(req) ? req.user.id : undefined
+  }));
+});
+
+router.get('/:id', (req, res) => {
+  const reservation = reservationService.getReservation(req.params.id);
+  if (!reservation) {
+    return res.status(404).json({ error: 'Reservation not found' });
+  }
+  if (!canManage(req, reservation)) {
+    return res.status(403).json({ error: 'Only the person who booked or an elevated user can see this reservation' });
+  }
+  res.json(reservation);
+});
+
+// Book a zone for the caller
+// Body: { zoneId, startTime, endTime, purpose?, attendees? (default 1) }
+router.post('/', async (req, res) => {
+  const errors = reservationService.validateReservation(req.body || {});
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid reservation', details: errors });
+  }
+  if (!reservationService.getZone(req.body.zoneId)) {
+    return res.status(404).json({ error: 'Zone is not bookable' });
+  }
+
+  try {
+    // Only people allowed into a zone can book it
+    const access = await authMiddleware.checkZoneAccess(req.user.id, req.body.zoneId, req.token);
+    if (!access.hasAccess) {
+      return res.status(403).json({ error: 'You do not have access to this zone', reason: access.accessReason || access.reason });
+    }
+
+    const { reservation, error, code, details } = reservationService.createReservation(req.body, req.user);
+    if (error) {
+      return res.status(code).json({ error, details });
+    }
+    res.status(201).json(reservation);
+  } catch (error) {
+    console.error('❌ Error creating reservation:', error.message);
+    res.status(500).json({ error: 'Failed to create reservation' });
+  }
+});
+
+// Approve a pending reservation
+router.post('/:id/approve', requireElevated, (req, res) => {
+  const { reservation, error, code } = reservationService.approve(req.params.id, req.user);
+  if (error) {
+    return res.status(code).json({ error });
+  }
+  res.json(reservation);
+});
+
+// Cancel a pending or confirmed reservation
+// Body: { reason? }
+router.post('/:id/cancel', (req, res) => {
+  const existing = reservationService.getReservation(req.params.id);
+  if (!existing) {
+    return res.status(404).json({ error: 'Reservation not found' });
+  }
+  if (!canManage(req, existing)) {
+    return res.status(403).json({ error: 'Only the person who booked or an elevated user can cancel this reservation' });
+  }
+
+  const { reservation, error, code } = reservationService.cancel(req.params.id, req.user, req.body?.reason || 'cancelled');
+  if (error) {
+    return res.status(code).json({ error });
+  }
+  res.json(reservation);
+});
+
+// Check in on arrival; the entry is written to the auth service's building access log
+// Body: { method: 'biometric' | 'card', deviceId? (reader or door) }
+router.post('/:id/check-in', async (req, res) => {
+  const existing = reservationService.getReservation(req.params.id);
+  if (!existing) {
+    return res.status(404).json({ error: 'Reservation not found' });
+  }
+  if (existing.userId !== req.user.id) {
+    return res.status(403).json({ error: 'Only the person who booked can check in' });
+  }
+
+  const { method, deviceId } = req.body || {};
+  if (!CHECK_IN_METHODS.includes(method)) {
+    return res.status(400).json({ error: `method must be one of: ${CHECK_IN_METHODS.join(', ')}` });
+  }
+
+  try {
+    const logEntry = reservation => authMiddleware.logBuildingAccess(
+      req.user.id, reservation.zoneId, 'entry', method, deviceId || null, req.token, { reservationId: reservation.id }
+    );
+    const { reservation, error, code } = await reservationService.checkIn(req.params.id, req.user, { method, deviceId }, logEntry);
+    if (error) {
+      return res.status(code).json({ error });
+    }
+    res.json(reservation);
+  } catch (error) {
+    console.error('❌ Error checking in:', error.message);
+    res.status(500).json({ error: 'Failed to check in' });
+  }
+});
+
+// Release a no-show straight away instead of waiting for RESERVATION_NO_SHOW_GRACE
+router.post('/:id/release', requireElevated, (req, res) => {
+  const { reservation, error, code } = reservationService.release(req.params.id, req.user);
+  if (error) {
+    return res.status(code).json({ error });
+  }
+  res.json(reservation);
+});
+
+module.exports = router;
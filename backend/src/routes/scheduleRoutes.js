@@ -0,0 +1,145 @@
+const express = require('express');
+const router = express.Router();
+const scheduleService = require('../services/scheduleService');
+const authMiddleware = require('../middleware/authMiddleware');
+
+// Schedules send commands to building equipment, so changes need elevated access
+const requireElevated = authMiddleware.requireAccessLevel(['elevated', 'admin']);
+
+// List zone schedules
+router.get('/', (req, res) => {
+  res.json(scheduleService.getSchedules());
+});
+
+// Holiday calendars (declared before /:zoneId so "calendars" isn't taken for a zone)
+
+router.get('/calendars', (req, res) => {
+  res.json(scheduleService.getCalendars());
+});
+
+// Add a holiday calendar
+// Body: { name, dates: [{ date: 'YYYY-MM-DD', name? }] }
+router.post('/calendars', requireElevated, (req, res) => {
+  const errors = scheduleService.validateCalendar(req.body || {});
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid holiday calendar', details: errors });
+  }
+
+  res.status(201).json(scheduleService.createCalendar(req.body));
+});
+
+// Replace a holiday calendar (same body as above)
+router.put('/calendars/:id', requireElevated, (req, res) => {
+  if (!scheduleService.getCalendar(req.params.id)) {
+    return res.status(404).json({ error: 'Holiday calendar not found' });
+  }
+
+  const errors = scheduleService.validateCalendar(req.body || {});
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid holiday calendar', details: errors });
+  }
+
+  res.json(scheduleService.updateCalendar(req.params.id, req.body));
+});
+
+// Remove a holiday calendar that no schedule uses
+router.delete('/calendars/:id', requireElevated, (req, res) => {
+  const { deleted, error } = scheduleService.deleteCalendar(req.params.id);
+  if (error) {
+    return res.status(409).json({ error });
+  }
+  if (!deleted) {
+    return res.status(404).json({ error: 'Holiday calendar not found' });
+  }
+  res.json({ success: true });
+});
+
+// Zone schedules
+
+router.get('/:zoneId', (req, res) => {
+  const schedule = scheduleService.getSchedule(req.params.zoneId);
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  res.json(schedule);
+});
+
+// What the schedule says right now: mode, why, until when, and the commands for it
+router.get('/:zoneId/effective', (req, res) => {
+  const effective = scheduleService.getEffective(req.params.zoneId);
+  if (!effective) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  res.json(effective);
+});
+
+// Create or replace a building zone's (from the auth service) schedule (existing overrides are kept)
+// Body: { name, timezone?, enabled?, weekly: { monday: [{ start: 'HH:MM', end: 'HH:MM' }], ... },
+//         occupied: { <device type>: [{ command, params }] }, unoccupied: { ... }, holidayCalendarIds? }
+router.put('/:zoneId', requireElevated, async (req, res) => {
+  const errors = scheduleService.validateSchedule(req.body || {});
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid schedule', details: errors });
+  }
+
+  let buildingZone;
+  try {
+    buildingZone = await authMiddleware.getBuildingZone(req.params.zoneId, req.token);
+  } catch (error) {
+    return res.status(502).json({ error: 'Unable to look up the building zone' });
+  }
+  if (!buildingZone) {
+    return res.status(404).json({ error: 'Building zone not found' });
+  }
+
+  try {
+    const existed = !!scheduleService.getSchedule(buildingZone.id);
+    const schedule = await scheduleService.saveSchedule(buildingZone.id, req.body, req.user);
+    res.status(existed ? 200 : 201).json(schedule);
+  } catch (error) {
+    console.error('❌ Error saving schedule:', error.message);
+    res.status(500).json({ error: 'Failed to save schedule' });
+  }
+});
+
+router.delete('/:zoneId', requireElevated, (req, res) => {
+  if (!scheduleService.deleteSchedule(req.params.zoneId)) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  res.json({ success: true });
+});
+
+// One-off override, e.g. occupied for an evening event or unoccupied for a closure
+// Body: { mode: 'occupied' | 'unoccupied', start? (default now), end, reason? }
+router.post('/:zoneId/overrides', requireElevated, async (req, res) => {
+  if (!scheduleService.getSchedule(req.params.zoneId)) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+
+  const errors = scheduleService.validateOverride(req.body || {});
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid override', details: errors });
+  }
+
+  try {
+    res.status(201).json(await scheduleService.addOverride(req.params.zoneId, req.body, req.user));
+  } catch (error) {
+    console.error('❌ Error adding schedule override:', error.message);
+    res.status(500).json({ error: 'Failed to add override' });
+  }
+});
+
+// End an override early (the weekly schedule or holidays take over again)
+router.delete('/:zoneId/overrides/:overrideId', requireElevated, async (req, res) => {
+  try {
+    if (!await scheduleService.removeOverride(req.params.zoneId, req.params.overrideId)) {
+      return res.status(404).json({ error: 'Override not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Error removing schedule override:', error.message);
+    res.status(500).json({ error: 'Failed to remove override' });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const rubidexService = require('../services/rubidexService');
+const temperatureAlertEngine = require('../services/temperatureAlertEngine');
+const readingPipeline = require('../services/readingPipeline');
+const deviceAuthMiddleware = require('../middleware/deviceAuthMiddleware');
 
 // Get current temperature readings for all devices
 router.get('/current', async (req, res) => {
@@ -26,66 +29,97 @@ router.post('/reading', async (req, res) => {
       return res.status(400).json({ error: 'deviceId and temperature are required' });
     }
     
-    // Write to blockchain
-    const result = await rubidexService.writeTemperatureReading({
-      deviceId,
-      temperature,
-      location,
-      alertLimit,
-      deviceName
-    });
+    const scopeError = deviceAuthMiddleware.deviceScopeError(req, deviceId);
+    if (scopeError) {
+      return res.status(403).json({ error: scopeError, code: 'DEVICE_SCOPE' });
+    }
     
-    // Emit real-time update via WebSocket
+    // Write to blockchain, broadcast and evaluate against the device's alert limit
     const io = req.app.get('io');
-    io.to(`temperature_${deviceId}`).emit('temperature_update', {
+    const { result, evaluation } = await readingPipeline.ingestReading({
       deviceId,
-      temperature,
-      timestamp: new Date().toISOString()
-    });
+      type: 'Temperature',
+      value: temperature,
+      location,
+      alertLimit,
+      deviceName,
+      idempotencyKey: req.get('Idempotency-Key')
+    }, io);
     
     console.log(`✅ Temperature reading written and broadcasted: ${temperature}°C`);
     res.json({ 
       success: true, 
       message: 'Temperature reading saved to blockchain',
-      data: result
+      data: result,
+      alert: evaluation.action !== 'none' ? evaluation : null
     });
     
   } catch (error) {
+    if (error.validationErrors) {
+      return res.status(400).json({ error: 'Invalid reading', details: error.validationErrors });
+    }
     console.error('❌ Error writing temperature reading:', error.message);
     res.status(500).json({ error: 'Failed to write temperature reading' });
   }
 });
 
-// Process temperature alert
+// Get alerts currently open on the server-side threshold engine
+router.get('/alerts/active', (req, res) => {
+  const alerts = temperatureAlertEngine.getActiveAlerts();
+  res.json({
+    alerts,
+    count: alerts.length
+  });
+});
+
+// Process temperature alert raised by a client
+// Goes through the same hysteresis, minimum duration and flap rules as server alerts
 router.post('/alert', async (req, res) => {
   try {
-    const { deviceId, temperature, limit, severity, title, message } = req.body;
+    const { deviceId, temperature, limit, title, message, deviceName, location } = req.body;
     
     console.log(`🚨 Processing temperature alert for device ${deviceId}: ${temperature}°C > ${limit}°C`);
     
-    // Write alert to blockchain for audit trail
-    const alertData = {
+    if (!deviceId || temperature === undefined || isNaN(parseFloat(temperature))) {
+      return res.status(400).json({ error: 'deviceId and a numeric temperature are required' });
+    }
+    
+    // Record the alert (written to blockchain for audit trail and broadcast as temperature_alert)
+    const evaluation = await temperatureAlertEngine.evaluateReading({
       deviceId,
       temperature,
-      limit,
-      severity,
+      alertLimit: limit,
+      deviceName,
+      location,
       title,
-      message
-    };
-    
-    await rubidexService.writeAlert(alertData);
+      message,
+      source: 'client',
+      actor: req.user,
+      idempotencyKey: req.get('Idempotency-Key')
+    }, req.app.get('io'));
     
-    // Emit real-time alert via WebSocket
-    const io = req.app.get('io');
-    io.emit('temperature_alert', alertData);
+    const messages = {
+      raised: 'Alert processed and saved to blockchain',
+      escalated: 'Alert severity raised and saved to blockchain',
+      downgraded: 'Alert severity lowered and saved to blockchain',
+      pending: 'Temperature over limit, waiting for the minimum duration before alerting',
+      suppressed: 'Device is flapping, grouped into the open incident',
+      resolved: 'Temperature is back within the limit, alert resolved',
+      none: evaluation.alert ? 'Alert already open for this device' : 'Temperature is within the limit, no alert raised'
+    };
     
-    console.log(`✅ Temperature alert processed and broadcasted`);
+    console.log(`✅ Temperature alert processed: ${evaluation.action}`);
     res.json({ 
       success: true, 
-      message: 'Alert processed and saved to blockchain' 
+      action: evaluation.action,
+      message: messages[evaluation.action],
+      alert: evaluation.alert
     });
     
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error('❌ Error processing alert:', error.message);
     res.status(500).json({ error: 'Failed to process alert' });
   }
@@ -5,11 +5,37 @@ const http = require('http');
 const socketIo = require('socket.io');
 require('dotenv').config();
 
+// Use the local Rubidex emulator instead of the live API (offline development)
+if (process.env.RUBIDEX_EMULATOR === 'true') {
+  require('./dev/rubidexEmulator').useRubidexEmulator();
+}
+
 const rubidexService = require('./services/rubidexService');
 const deviceRoutes = require('./routes/deviceRoutes');
 const temperatureRoutes = require('./routes/temperatureRoutes');
 const documentsRoutes = require('./routes/documentsRoutes');
+const readingRoutes = require('./routes/readingRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const alertRoutes = require('./routes/alertRoutes');
+const escalationRoutes = require('./routes/escalationRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const ingestRoutes = require('./routes/ingestRoutes');
+const modbusRoutes = require('./routes/modbusRoutes');
+const bacnetRoutes = require('./routes/bacnetRoutes');
+const scheduleRoutes = require('./routes/scheduleRoutes');
+const reservationRoutes = require('./routes/reservationRoutes');
 const authMiddleware = require('./middleware/authMiddleware');
+const deviceAuthMiddleware = require('./middleware/deviceAuthMiddleware');
+const heartbeatMonitor = require('./services/heartbeatMonitor');
+const rubidexOutbox = require('./services/rubidexOutbox');
+const escalationService = require('./services/escalationService');
+const notificationService = require('./services/notificationService');
+const mqttBridge = require('./services/mqttBridge');
+const commandService = require('./services/commandService');
+const modbusPoller = require('./services/modbusPoller');
+const bacnetPoller = require('./services/bacnetPoller');
+const scheduleService = require('./services/scheduleService');
+const reservationService = require('./services/reservationService');
 
 const app = express();
 const server = http.createServer(app);
@@ -26,7 +52,7 @@ app.use(cors({
   origin: process.env.ALLOWED_ORIGINS?.split(',') || "*",
   credentials: true
 }));
-app.use(express.json());
+app.use(express.json({ verify: deviceAuthMiddleware.captureRawBody }));
 
 // Add user context to all requests (optional auth)
 app.use('/api', authMiddleware.optionalAuth);
@@ -42,9 +68,21 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Protected routes (authentication required)
-app.use('/api/devices', authMiddleware.verifyToken, deviceRoutes);
-app.use('/api/temperature', authMiddleware.verifyToken, temperatureRoutes);
+// Sensor ingestion (authenticated by the sender's shared secret, not a user token)
+app.use('/api/ingest', ingestRoutes);
+
+// Protected routes (authentication required; reading writes and command pickup also accept device keys)
+app.use('/api/devices', deviceAuthMiddleware.verifyTokenOrDevice(['GET /:id/commands/pending', '/:id/commands/:commandId/ack']), deviceRoutes);
+app.use('/api/temperature', deviceAuthMiddleware.verifyTokenOrDevice(['/reading']), temperatureRoutes);
+app.use('/api/readings', deviceAuthMiddleware.verifyTokenOrDevice(['/', '/batch']), readingRoutes);
+app.use('/api/alerts', authMiddleware.verifyToken, alertRoutes);
+app.use('/api/escalations', authMiddleware.verifyToken, escalationRoutes);
+app.use('/api/notifications', authMiddleware.verifyToken, notificationRoutes);
+app.use('/api/modbus', authMiddleware.verifyToken, modbusRoutes);
+app.use('/api/bacnet', authMiddleware.verifyToken, bacnetRoutes);
+app.use('/api/schedules', authMiddleware.verifyToken, scheduleRoutes);
+app.use('/api/reservations', authMiddleware.verifyToken, reservationRoutes);
+app.use('/api/admin', authMiddleware.verifyToken, authMiddleware.requireAccessLevel('admin'), adminRoutes);
 app.use('/api/documents', authMiddleware.verifyToken, authMiddleware.requireAccessLevel(['standard', 'elevated', 'admin']), documentsRoutes);
 
 // WebSocket connection handling with authentication
@@ -83,6 +121,12 @@ io.use(async (socket, next) => {
 io.on('connection', (socket) => {
   console.log(`📱 iOS client connected: ${socket.id} (User: ${socket.user?.name || 'Unknown'})`);
   
+  // Personal and role rooms, used to page people about escalated alerts
+  if (socket.user) {
+    socket.join(`user_${socket.user.id}`);
+    socket.join(`role_${socket.user.role}`);
+  }
+  
   socket.on('subscribe_temperature', (deviceId) => {
     // Check if user has access to this device
     if (socket.user) {
@@ -100,6 +144,13 @@ io.on('connection', (socket) => {
     }
   });
   
+  socket.on('subscribe_device', (deviceId) => {
+    if (socket.user) {
+      socket.join(`device_${deviceId}`);
+      console.log(`📊 User ${socket.user.name} subscribed to updates for device: ${deviceId}`);
+    }
+  });
+  
   socket.on('disconnect', () => {
     console.log(`📱 iOS client disconnected: ${socket.id} (User: ${socket.user?.name || 'Unknown'})`);
   });
@@ -133,4 +184,43 @@ server.listen(PORT, () => {
   rubidexService.testConnection()
     .then(() => console.log('✅ Rubidex connection successful'))
     .catch(err => console.error('❌ Rubidex connection failed:', err.message));
-});
\ No newline at end of file
+  
+  // Retry queued Rubidex writes in the background
+  rubidexOutbox.start();
+  
+  // Keep the local Rubidex document index fresh
+  rubidexService.startIndexSync();
+  
+  // Watch for devices that stop reporting
+  heartbeatMonitor.start(io);
+  
+  // Page on-call staff about unacknowledged alerts
+  escalationService.start(io);
+  
+  // Email, SMS and webhook notifications for alert changes
+  notificationService.start();
+  
+  // Accept sensor readings published to the MQTT broker
+  mqttBridge.start(io);
+  
+  // Send queued equipment commands and time out unacknowledged ones
+  commandService.start(io);
+  
+  // Poll Modbus TCP equipment (meters, air handlers) for readings
+  modbusPoller.start(io);
+  
+  // Poll BACnet/IP controllers (air handlers, chillers) for readings
+  bacnetPoller.start(io);
+  
+  // Switch zones between occupied and unoccupied settings on their schedules
+  scheduleService.start();
+  
+  // Release reservations nobody checked in to and complete finished ones
+  reservationService.start(io);
+});
+// Save heartbeats kept in memory before exiting
+['SIGINT', 'SIGTERM'].forEach(signal => process.once(signal, () => {
+  console.log(`👋 ${signal} received, shutting down`);
+  heartbeatMonitor.stop();
+  process.exit(0);
+}));
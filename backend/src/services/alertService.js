@@ -0,0 +1,294 @@
+const crypto = require('crypto');
+const JsonStore = require('../utils/jsonStore');
+const rubidexService = require('./rubidexService');
+
+const ALERT_STATES = ['open', 'acknowledged', 'assigned', 'resolved'];
+// Most severe first
+const ALERT_SEVERITIES = ['critical', 'warning', 'info'];
+// Levels used by older clients and the temperature alert documentation
+const LEGACY_SEVERITIES = { low: 'warning', moderate: 'warning', high: 'warning' };
+
+// Actor used for changes made by the backend itself (threshold engine, heartbeat monitor)
+const SYSTEM_ACTOR = { id: 'system', name: 'BBMS Server', email: null };
+
+function alertError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Alert Service - alerts as first-class records with a lifecycle
+ * open → acknowledged → assigned → resolved (acknowledge and assign can be skipped).
+ * Every change is appended to the alert's history, written to Rubidex with the
+ * alert id, and broadcast as `alert_created` / `alert_updated`.
+ */
+class AlertService {
+  constructor() {
+    this.store = new JsonStore('alerts');
+    this.alerts = new Map(this.store.load([]).map(alert => [alert.id, alert]));
+    // Called after every change with (alert, action) - used by escalation and notifications
+    this.listeners = [];
+  }
+
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  persist() {
+    this.store.save(Array.from(this.alerts.values()));
+  }
+
+  toActor(user) {
+    if (!user) {
+      return SYSTEM_ACTOR;
+    }
+    return {
+      id: user.id,
+      name: user.name || user.email || user.id,
+      email: user.email || null
+    };
+  }
+
+  /**
+   * Open alert of a type for a device, if any
+   */
+  findOpenAlert(deviceId, type) {
+    for (const alert of this.alerts.values()) {
+      if (alert.deviceId === deviceId && alert.type === type && alert.state !== 'resolved') {
+        return alert;
+      }
+    }
+    return null;
+  }
+
+  getAlert(alertId) {
+    return this.alerts.get(alertId) || null;
+  }
+
+  /**
+   * List alerts, newest first
+   * Filters: state, deviceId, severity, type, assigneeId
+   */
+  getAlerts(filters = {}) {
+    if (filters.state && !ALERT_STATES.includes(filters.state)) {
+      throw alertError(`state must be one of: ${ALERT_STATES.join(', ')}`, 400);
+    }
+
+    return Array.from(this.alerts.values())
+      .filter(alert => !filters.state || alert.state === filters.state)
+      .filter(alert => !filters.deviceId || alert.deviceId === filters.deviceId)
+      .filter(alert => !filters.severity || alert.severity === filters.severity)
+      .filter(alert => !filters.type || alert.type === filters.type)
+      .filter(alert => !filters.assigneeId || alert.assignee?.id === filters.assigneeId)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Raise an alert. If the device already has an open alert of the same type,
+   * that alert is returned instead, escalated or downgraded when the severity changed.
+   * Returns { alert, created }
+   */
+  async createAlert(input, { actor, io, idempotencyKey } = {}) {
+    const data = { ...input, severity: LEGACY_SEVERITIES[input.severity] || input.severity };
+
+    if (!data.deviceId || !data.type) {
+      throw alertError('deviceId and type are required', 400);
+    }
+    if (data.severity && !ALERT_SEVERITIES.includes(data.severity)) {
+      throw alertError(`severity must be one of: ${ALERT_SEVERITIES.join(', ')}`, 400);
+    }
+
+    const existing = this.findOpenAlert(data.deviceId, data.type);
+    if (existing) {
+      if (data.severity && data.severity !== existing.severity) {
+        return { alert: await this.changeSeverity(existing.id, data, { actor, io }), created: false };
+      }
+      return { alert: existing, created: false };
+    }
+
+    const now = new Date().toISOString();
+    const alert = {
+      id: crypto.randomUUID(),
+      type: data.type,
+      source: data.source || 'client',
+      deviceId: data.deviceId,
+      deviceName: data.deviceName || `Device ${data.deviceId}`,
+      location: data.location || 'Unknown Location',
+      severity: data.severity || 'warning',
+      title: data.title || 'Device Alert',
+      message: data.message || '',
+      value: data.value ?? null,
+      limit: data.limit ?? null,
+      state: 'open',
+      assignee: null,
+      comments: [],
+      history: [],
+      createdAt: now,
+      updatedAt: now,
+      acknowledgedAt: null,
+      acknowledgedBy: null,
+      assignedAt: null,
+      resolvedAt: null,
+      resolvedBy: null,
+      resolution: null,
+      flapping: false,
+      escalation: null
+    };
+
+    this.alerts.set(alert.id, alert);
+    await this.recordChange(alert, 'created', this.toActor(actor), { io, idempotencyKey });
+
+    return { alert, created: true };
+  }
+
+  /**
+   * Update severity and message of an open alert, recorded as 'escalated' when
+   * the severity went up and 'downgraded' when it came down
+   */
+  async changeSeverity(alertId, { severity, message, value, limit, title }, { actor, io } = {}) {
+    const alert = this.requireOpenAlert(alertId);
+    const action = this.isMoreSevere(severity, alert.severity) ? 'escalated' : 'downgraded';
+
+    alert.severity = severity || alert.severity;
+    alert.title = title || alert.title;
+    alert.message = message || alert.message;
+    alert.value = value ?? alert.value;
+    alert.limit = limit ?? alert.limit;
+
+    await this.recordChange(alert, action, this.toActor(actor), { io });
+    return alert;
+  }
+
+  isMoreSevere(severity, than) {
+    return ALERT_SEVERITIES.indexOf(severity) < ALERT_SEVERITIES.indexOf(than);
+  }
+
+  /**
+   * Flag an open alert as flapping: further limit crossings are grouped into it
+   */
+  async markFlapping(alertId, { note, io } = {}) {
+    const alert = this.requireOpenAlert(alertId);
+    alert.flapping = true;
+
+    await this.recordChange(alert, 'flapping', this.toActor(null), { io, note });
+    return alert;
+  }
+
+  async acknowledge(alertId, user, { io } = {}) {
+    const alert = this.requireOpenAlert(alertId);
+    if (alert.state !== 'open') {
+      throw alertError(`Alert is already ${alert.state}`, 409);
+    }
+
+    const actor = this.toActor(user);
+    alert.state = 'acknowledged';
+    alert.acknowledgedAt = new Date().toISOString();
+    alert.acknowledgedBy = actor;
+
+    await this.recordChange(alert, 'acknowledged', actor, { io });
+    return alert;
+  }
+
+  async assign(alertId, assignee, user, { io } = {}) {
+    const alert = this.requireOpenAlert(alertId);
+    if (!assignee || !assignee.id) {
+      throw alertError('assignee id is required', 400);
+    }
+
+    const actor = this.toActor(user);
+    alert.state = 'assigned';
+    alert.assignee = {
+      id: assignee.id,
+      name: assignee.name || assignee.email || assignee.id,
+      email: assignee.email || null
+    };
+    alert.assignedAt = new Date().toISOString();
+    // Assigning implies someone has seen it
+    if (!alert.acknowledgedAt) {
+      alert.acknowledgedAt = alert.assignedAt;
+      alert.acknowledgedBy = actor;
+    }
+
+    await this.recordChange(alert, 'assigned', actor, { io, note: `Assigned to ${alert.assignee.name}` });
+    return alert;
+  }
+
+  async resolve(alertId, user, { note, io } = {}) {
+    const alert = this.requireOpenAlert(alertId);
+
+    const actor = this.toActor(user);
+    alert.state = 'resolved';
+    alert.resolvedAt = new Date().toISOString();
+    alert.resolvedBy = actor;
+    alert.resolution = note || null;
+
+    await this.recordChange(alert, 'resolved', actor, { io, note });
+    return alert;
+  }
+
+  async addComment(alertId, user, text, { io } = {}) {
+    const alert = this.alerts.get(alertId);
+    if (!alert) {
+      throw alertError('Alert not found', 404);
+    }
+    if (!text || typeof text !== 'string' || !text.trim()) {
+      throw alertError('Comment text is required', 400);
+    }
+
+    const actor = this.toActor(user);
+    const comment = {
+      id: crypto.randomUUID(),
+      author: actor,
+      text: text.trim(),
+      createdAt: new Date().toISOString()
+    };
+    alert.comments.push(comment);
+
+    await this.recordChange(alert, 'commented', actor, { io, note: comment.text });
+    return comment;
+  }
+
+  requireOpenAlert(alertId) {
+    const alert = this.alerts.get(alertId);
+    if (!alert) {
+      throw alertError('Alert not found', 404);
+    }
+    if (alert.state === 'resolved') {
+      throw alertError('Alert is already resolved', 409);
+    }
+    return alert;
+  }
+
+  /**
+   * Append to history, persist, document on Rubidex and broadcast
+   */
+  async recordChange(alert, action, actor, { io, note, idempotencyKey } = {}) {
+    const at = new Date().toISOString();
+    alert.updatedAt = at;
+    alert.history.push({ action, state: alert.state, actor, note: note || null, at });
+    this.persist();
+
+    console.log(`🚨 Alert ${alert.id} ${action} by ${actor.name} (${alert.deviceId}, ${alert.severity}, ${alert.state})`);
+
+    try {
+      await rubidexService.writeAlertEvent({ alert, action, actor, note, idempotencyKey });
+    } catch (error) {
+      console.error(`❌ Failed to document alert ${alert.id} ${action}:`, error.message);
+    }
+
+    if (io) {
+      io.emit(action === 'created' ? 'alert_created' : 'alert_updated', { action, alert, actor });
+    }
+
+    for (const listener of this.listeners) {
+      try {
+        await listener(alert, action, { io });
+      } catch (error) {
+        console.error(`❌ Alert listener failed for ${alert.id} ${action}:`, error.message);
+      }
+    }
+  }
+}
+
+module.exports = new AlertService();
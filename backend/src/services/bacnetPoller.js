@@ -0,0 +1,323 @@
+const crypto = require('crypto');
+const JsonStore = require('../utils/jsonStore');
+const readingPipeline = require('./readingPipeline');
+const deviceRegistry = require('./deviceRegistry');
+const { getDeviceType } = require('../config/deviceTypes');
+const { BacnetClient, DEFAULT_PORT, OBJECT_TYPES, PROPERTIES } = require('../utils/bacnet');
+
+// Objects with a numeric present-value we can turn into readings
+const POINT_OBJECT_TYPES = Object.keys(OBJECT_TYPES).filter(type => type !== 'device');
+// Highest BACnet device instance (4194303 is the wildcard)
+const MAX_DEVICE_INSTANCE = 4194302;
+
+/**
+ * BACnet Poller - reads HVAC points from BACnet/IP controllers on a schedule
+ * A source is one BACnet device (by device instance) polled every `interval`
+ * seconds. Its address is found with Who-Is unless one is configured, and is
+ * looked up again after the device stops answering. Each point reads the
+ * present-value of an analog, binary or multi-state object, applies
+ * `value * scale + offset` and ingests it for a registered device, with `unit`
+ * converted by the pipeline like any other reading.
+ */
+class BacnetPoller {
+  constructor() {
+    this.defaultInterval = parseInt(process.env.BACNET_DEFAULT_INTERVAL) || 60; // seconds
+    this.discoveryWait = parseInt(process.env.BACNET_DISCOVERY_WAIT_MS) || 3000;
+
+    this.client = new BacnetClient({
+      port: process.env.BACNET_PORT ? parseInt(process.env.BACNET_PORT) : DEFAULT_PORT,
+      bindAddress: process.env.BACNET_INTERFACE || '0.0.0.0',
+      broadcastAddress: process.env.BACNET_BROADCAST_ADDRESS || '255.255.255.255',
+      timeout: parseInt(process.env.BACNET_TIMEOUT_MS) || 3000
+    });
+
+    this.store = new JsonStore('bacnet-sources');
+    this.sources = new Map(this.store.load([]).map(source => [source.id, source]));
+
+    this.io = null;
+    this.started = false;
+    // sourceId -> interval timer
+    this.timers = new Map();
+    // sourceIds with a poll in progress
+    this.polling = new Set();
+    // sourceId -> { lastPollAt, lastSuccessAt, lastError, consecutiveFailures, values (by "objectType:instance") }
+    this.status = new Map();
+    // deviceInstance -> last I-Am ({ deviceInstance, address, port, vendorId, ..., seenAt })
+    this.discovered = new Map();
+  }
+
+  persist() {
+    this.store.save(Array.from(this.sources.values()));
+  }
+
+  /**
+   * Start polling every enabled source
+   */
+  start(io) {
+    this.io = io;
+
+    if (this.started) {
+      return;
+    }
+    this.started = true;
+
+    this.sources.forEach(source => this.schedule(source));
+    console.log(`🏭 BACnet poller started (${this.sources.size} sources)`);
+  }
+
+  stop() {
+    Array.from(this.timers.keys()).forEach(sourceId => this.unschedule(sourceId));
+    this.client.close();
+    this.started = false;
+  }
+
+  schedule(source) {
+    this.unschedule(source.id);
+    if (!this.started || !source.enabled) {
+      return;
+    }
+
+    const timer = setInterval(() => {
+      this.poll(source.id).catch(error => console.error(`❌ BACnet poll of ${source.name} failed:`, error.message));
+    }, source.interval * 1000);
+    timer.unref();
+
+    this.timers.set(source.id, timer);
+  }
+
+  unschedule(sourceId) {
+    clearInterval(this.timers.get(sourceId));
+    this.timers.delete(sourceId);
+  }
+
+  // Discovery
+
+  /**
+   * Send Who-Is and remember the devices that answer
+   * Options: { address (host[:port], default broadcast), lowLimit, highLimit, wait (ms) }
+   */
+  async discover({ address, lowLimit, highLimit, wait } = {}) {
+    const devices = await this.client.whoIs({ address, lowLimit, highLimit, wait: wait || this.discoveryWait });
+    const seenAt = new Date().toISOString();
+    devices.forEach(device => this.discovered.set(device.deviceInstance, { ...device, seenAt }));
+    console.log(`🔎 BACnet Who-Is${address ? ` to ${address}` : ''}: ${devices.length} devices answered`);
+    return devices;
+  }
+
+  getDiscoveredDevices() {
+    return Array.from(this.discovered.values());
+  }
+
+  /**
+   * Where to send requests for a source: its configured address, or wherever
+   * the device last answered Who-Is from
+   */
+  async resolveAddress(source) {
+    if (source.address) {
+      return { host: source.address, port: source.port };
+    }
+
+    if (!this.discovered.has(source.deviceInstance)) {
+      await this.discover({ lowLimit: source.deviceInstance, highLimit: source.deviceInstance });
+    }
+    const device = this.discovered.get(source.deviceInstance);
+    if (!device) {
+      throw new Error(`BACnet device ${source.deviceInstance} did not answer Who-Is`);
+    }
+    return { host: device.address, port: device.port };
+  }
+
+  // Sources
+
+  getSources() {
+    return Array.from(this.sources.values()).map(source => ({
+      ...source,
+      status: this.status.get(source.id) || null
+    }));
+  }
+
+  getSource(sourceId) {
+    return this.sources.get(sourceId) || null;
+  }
+
+  /**
+   * Validate a source, returning a list of error messages
+   */
+  validateSource(data) {
+    const errors = [];
+
+    if (typeof data.name !== 'string' || !data.name.trim()) {
+      errors.push('name is required');
+    }
+    if (!(parseInt(data.deviceInstance) >= 0 && parseInt(data.deviceInstance) <= MAX_DEVICE_INSTANCE)) {
+      errors.push(`deviceInstance must be between 0 and ${MAX_DEVICE_INSTANCE}`);
+    }
+    if (data.address !== undefined && data.address !== null && (typeof data.address !== 'string' || !data.address.trim())) {
+      errors.push('address must be a host name or IP address');
+    }
+    if (data.port !== undefined && !(parseInt(data.port) > 0 && parseInt(data.port) < 65536)) {
+      errors.push('port must be between 1 and 65535');
+    }
+    if (data.interval !== undefined && !(parseInt(data.interval) >= 1)) {
+      errors.push('interval must be at least 1 second');
+    }
+    if (!Array.isArray(data.points) || data.points.length === 0) {
+      errors.push('points must be a non-empty array');
+      return errors;
+    }
+
+    data.points.forEach((point, index) => {
+      const label = `points[${index}]`;
+      const device = deviceRegistry.getDevice(point.deviceId);
+      if (!device) {
+        errors.push(`${label}.deviceId must be a registered device`);
+      }
+      if (!POINT_OBJECT_TYPES.includes(point.objectType)) {
+        errors.push(`${label}.objectType must be one of: ${POINT_OBJECT_TYPES.join(', ')}`);
+      }
+      if (!(parseInt(point.instance) >= 0 && parseInt(point.instance) <= MAX_DEVICE_INSTANCE)) {
+        errors.push(`${label}.instance must be between 0 and ${MAX_DEVICE_INSTANCE}`);
+      }
+      ['scale', 'offset'].forEach(field => {
+        if (point[field] !== undefined && isNaN(parseFloat(point[field]))) {
+          errors.push(`${label}.${field} must be a number`);
+        }
+      });
+      if (device && point.unit !== undefined && !getDeviceType(device.type).units[point.unit]) {
+        errors.push(`${label}.unit for ${device.type} must be one of: ${Object.keys(getDeviceType(device.type).units).join(', ')}`);
+      }
+    });
+
+    return errors;
+  }
+
+  sanitizeSource(data) {
+    return {
+      name: data.name.trim(),
+      deviceInstance: parseInt(data.deviceInstance),
+      address: data.address ? data.address.trim() : null,
+      port: parseInt(data.port) || DEFAULT_PORT,
+      interval: parseInt(data.interval) || this.defaultInterval,
+      enabled: data.enabled !== false,
+      points: data.points.map(point => ({
+        deviceId: point.deviceId,
+        objectType: point.objectType,
+        instance: parseInt(point.instance),
+        scale: point.scale !== undefined ? parseFloat(point.scale) : 1,
+        offset: point.offset !== undefined ? parseFloat(point.offset) : 0,
+        unit: point.unit || null
+      }))
+    };
+  }
+
+  createSource(data) {
+    const source = { id: crypto.randomUUID(), ...this.sanitizeSource(data) };
+    this.sources.set(source.id, source);
+    this.persist();
+    this.schedule(source);
+    console.log(`🏭 BACnet source added: ${source.name} (device ${source.deviceInstance}, ${source.points.length} points)`);
+    return source;
+  }
+
+  updateSource(sourceId, data) {
+    if (!this.sources.has(sourceId)) {
+      return null;
+    }
+    const source = { id: sourceId, ...this.sanitizeSource(data) };
+    this.sources.set(sourceId, source);
+    this.status.delete(sourceId);
+    this.persist();
+    this.schedule(source);
+    return source;
+  }
+
+  deleteSource(sourceId) {
+    if (!this.sources.has(sourceId)) {
+      return false;
+    }
+    this.unschedule(sourceId);
+    this.sources.delete(sourceId);
+    this.status.delete(sourceId);
+    this.persist();
+    return true;
+  }
+
+  // Polling
+
+  /**
+   * Read every point of a source once and ingest the values
+   * Returns the readings taken. An object the device refuses (unknown object,
+   * access denied) only fails that point; a device that doesn't answer fails
+   * the poll and is recorded in the source status.
+   */
+  async poll(sourceId) {
+    const source = this.sources.get(sourceId);
+    if (!source) {
+      return null;
+    }
+    if (this.polling.has(sourceId)) {
+      return [];
+    }
+    this.polling.add(sourceId);
+
+    const status = this.status.get(sourceId) || { lastPollAt: null, lastSuccessAt: null, lastError: null, consecutiveFailures: 0, values: {} };
+    status.lastPollAt = new Date().toISOString();
+    this.status.set(sourceId, status);
+
+    const readings = [];
+    try {
+      const target = await this.resolveAddress(source);
+
+      for (const point of source.points) {
+        const object = `${point.objectType}:${point.instance}`;
+        let raw;
+        try {
+          raw = Number(await this.client.readProperty(target, point.objectType, point.instance, PROPERTIES.presentValue));
+        } catch (error) {
+          if (!error.bacnetError) {
+            throw error;
+          }
+          status.values[object] = { deviceId: point.deviceId, error: error.message, at: new Date().toISOString() };
+          console.warn(`⚠️ BACnet ${source.name} ${object} → ${point.deviceId}: ${error.message}`);
+          continue;
+        }
+
+        const timestamp = new Date().toISOString();
+        const value = raw * point.scale + point.offset;
+        try {
+          const { reading } = await readingPipeline.ingestReading({
+            deviceId: point.deviceId,
+            value,
+            unit: point.unit || undefined,
+            timestamp
+          }, this.io);
+          status.values[object] = { deviceId: point.deviceId, raw, value: reading.value, unit: reading.unit, at: timestamp };
+          readings.push(reading);
+        } catch (error) {
+          status.values[object] = { deviceId: point.deviceId, raw, value, error: error.message, at: timestamp };
+          console.warn(`⚠️ BACnet ${source.name} ${object} → ${point.deviceId}: ${error.message}`);
+        }
+      }
+
+      status.lastSuccessAt = new Date().toISOString();
+      status.lastError = null;
+      status.consecutiveFailures = 0;
+    } catch (error) {
+      status.lastError = error.message;
+      status.consecutiveFailures++;
+      if (status.consecutiveFailures === 1) {
+        console.error(`❌ BACnet source ${source.name} (device ${source.deviceInstance}) failed:`, error.message);
+      }
+      // The device may have moved; look for it again next time
+      if (!source.address) {
+        this.discovered.delete(source.deviceInstance);
+      }
+    } finally {
+      this.polling.delete(sourceId);
+    }
+
+    return readings;
+  }
+}
+
+module.exports = new BacnetPoller();
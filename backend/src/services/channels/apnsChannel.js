@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http2 = require('http2');
+
+const APNS_HOSTS = {
+  production: 'https://api.push.apple.com',
+  sandbox: 'https://api.sandbox.push.apple.com'
+};
+// Apple rejects provider tokens older than an hour and throttles refreshing more than every 20 minutes
+const PROVIDER_TOKEN_TTL_MS = 50 * 60 * 1000;
+// Reasons APNs gives for tokens that will never work again
+const UNREGISTERED_REASONS = ['BadDeviceToken', 'Unregistered', 'DeviceTokenNotForTopic'];
+
+/**
+ * HTTP/2 transport to APNs (or anything that speaks its protocol, like the mock
+ * in src/dev/mockApns.js). Keeps one session per origin and reconnects when it closes.
+ */
+class Http2ApnsTransport {
+  constructor({ timeout = 10000 } = {}) {
+    this.timeout = timeout;
+    this.sessions = new Map();
+  }
+
+  getSession(origin) {
+    const existing = this.sessions.get(origin);
+    if (existing && !existing.closed && !existing.destroyed) {
+      return existing;
+    }
+
+    const session = http2.connect(origin);
+    session.on('error', () => this.sessions.delete(origin));
+    session.on('close', () => this.sessions.delete(origin));
+    // Don't keep the process alive just for an idle push connection
+    session.unref();
+    this.sessions.set(origin, session);
+    return session;
+  }
+
+  /**
+   * POST a payload to /3/device/<token>. Resolves with { status, apnsId, body }.
+   */
+  send(origin, token, headers, payload) {
+    return new Promise((resolve, reject) => {
+      const request = this.getSession(origin).request({
+        ':method': 'POST',
+        ':path': `/3/device/${token}`,
+        'content-type': 'application/json',
+        ...headers
+      });
+
+      let status = null;
+      let apnsId = null;
+      let data = '';
+
+      request.setEncoding('utf8');
+      request.setTimeout(this.timeout, () => {
+        request.close(http2.constants.NGHTTP2_CANCEL);
+        reject(new Error(`APNs request timed out after ${this.timeout}ms`));
+      });
+      request.on('response', responseHeaders => {
+        status = responseHeaders[':status'];
+        apnsId = responseHeaders['apns-id'] || null;
+      });
+      request.on('data', chunk => { data += chunk; });
+      request.on('end', () => {
+        let body = null;
+        try {
+          body = data ? JSON.parse(data) : null;
+        } catch (error) {
+          body = { reason: data };
+        }
+        resolve({ status, apnsId, body });
+      });
+      request.on('error', reject);
+
+      request.end(JSON.stringify(payload));
+    });
+  }
+
+  close() {
+    this.sessions.forEach(session => session.close());
+    this.sessions.clear();
+  }
+}
+
+/**
+ * Push channel - Apple Push Notification service for the iOS app
+ * Uses token-based auth (APNS_KEY or APNS_KEY_PATH with APNS_KEY_ID/APNS_TEAM_ID)
+ * and sends to the sandbox or production host depending on how the app was
+ * built. APNS_URL sends everything to one host instead, e.g. a local mock.
+ * `transport` can be swapped for anything with `send(origin, token, headers, payload)`.
+ * Addresses are device tokens registered through /api/notifications/devices,
+ * so the channel can't be used in subscriptions.
+ */
+class ApnsChannel {
+  constructor() {
+    this.name = 'push';
+    this.subscribable = false;
+    this.bundleId = process.env.APNS_BUNDLE_ID || null;
+    this.keyId = process.env.APNS_KEY_ID || null;
+    this.teamId = process.env.APNS_TEAM_ID || null;
+    this.url = process.env.APNS_URL || null;
+    this.key = this.loadKey();
+    this.transport = new Http2ApnsTransport({ timeout: parseInt(process.env.APNS_TIMEOUT_MS) || 10000 });
+    this.providerToken = null;
+  }
+
+  loadKey() {
+    if (process.env.APNS_KEY) {
+      // Allow the .p8 contents in a single-line env var
+      return process.env.APNS_KEY.replace(/\\n/g, '\n');
+    }
+    if (process.env.APNS_KEY_PATH) {
+      try {
+        return fs.readFileSync(process.env.APNS_KEY_PATH, 'utf8');
+      } catch (error) {
+        console.error(`❌ Failed to read APNs key ${process.env.APNS_KEY_PATH}:`, error.message);
+      }
+    }
+    return null;
+  }
+
+  isConfigured() {
+    return !!(this.bundleId && this.key && this.keyId && this.teamId);
+  }
+
+  validateAddress(address) {
+    return /^[0-9a-fA-F]{64,200}$/.test(address || '') ? null : 'token must be a hex APNs device token';
+  }
+
+  /**
+   * ES256 provider token, reused until it is close to expiring
+   */
+  getProviderToken(now = Date.now()) {
+    if (this.providerToken && now - this.providerToken.issuedAt < PROVIDER_TOKEN_TTL_MS) {
+      return this.providerToken.jwt;
+    }
+
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const unsigned = `${encode({ alg: 'ES256', kid: this.keyId })}.${encode({ iss: this.teamId, iat: Math.floor(now / 1000) })}`;
+    const signature = crypto.sign('sha256', Buffer.from(unsigned), { key: this.key, dsaEncoding: 'ieee-p1363' });
+
+    this.providerToken = { jwt: `${unsigned}.${signature.toString('base64url')}`, issuedAt: now };
+    return this.providerToken.jwt;
+  }
+
+  buildPayload(message) {
+    const alert = message.alert;
+    const critical = message.severity === 'critical';
+    // Types and categories the iOS app's NotificationService already handles
+    const type = alert?.type === 'temperature'
+      ? (critical ? 'critical_temperature_alert' : 'temperature_alert')
+      : `${alert?.type || message.event}_alert`;
+
+    return {
+      aps: {
+        alert: { title: message.title, body: message.text },
+        sound: 'default',
+        category: critical ? 'CRITICAL_TEMPERATURE_ALERT' : 'TEMPERATURE_ALERT',
+        'thread-id': alert?.deviceId || 'bbms',
+        'interruption-level': critical || message.event === 'escalation' ? 'time-sensitive' : 'active'
+      },
+      type,
+      event: message.event,
+      alertId: alert?.id || null,
+      deviceId: alert?.deviceId || null,
+      severity: message.severity,
+      timestamp: message.timestamp
+    };
+  }
+
+  async send(address, message, device) {
+    const origin = this.url || APNS_HOSTS[device?.environment] || APNS_HOSTS.production;
+    const headers = {
+      authorization: `bearer ${this.getProviderToken()}`,
+      'apns-topic': this.bundleId,
+      'apns-push-type': 'alert',
+      'apns-priority': '10',
+      // Later changes to the same alert replace the earlier notification
+      ...(message.alert ? { 'apns-collapse-id': message.alert.id } : {})
+    };
+
+    const response = await this.transport.send(origin, address, headers, this.buildPayload(message));
+    if (response.status !== 200) {
+      const reason = response.body?.reason || 'Unknown';
+      const error = new Error(`APNs ${response.status}: ${reason}`);
+      error.statusCode = response.status;
+      // The token is dead; the caller should forget it
+      error.invalidAddress = response.status === 410 || UNREGISTERED_REASONS.includes(reason);
+      throw error;
+    }
+    return response;
+  }
+}
+
+module.exports = new ApnsChannel();
+module.exports.Http2ApnsTransport = Http2ApnsTransport;
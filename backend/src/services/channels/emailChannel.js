@@ -0,0 +1,45 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Email channel - sends alert notifications over SMTP
+ * Configured with SMTP_HOST/SMTP_PORT (and SMTP_USER/SMTP_PASS when the server
+ * needs auth). Point it at `npm run notifications:catcher` to catch mail locally.
+ */
+class EmailChannel {
+  constructor() {
+    this.name = 'email';
+    this.from = process.env.NOTIFY_EMAIL_FROM || 'BBMS Alerts <alerts@bbms.local>';
+    this.transport = null;
+
+    if (process.env.SMTP_HOST) {
+      this.transport = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS
+        } : undefined
+      });
+    }
+  }
+
+  isConfigured() {
+    return !!this.transport;
+  }
+
+  validateAddress(address) {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address || '') ? null : 'address must be an email address';
+  }
+
+  async send(address, message) {
+    await this.transport.sendMail({
+      from: this.from,
+      to: address,
+      subject: `[${message.severity.toUpperCase()}] ${message.title}`,
+      text: `${message.text}\n\n${message.details.map(({ label, value }) => `${label}: ${value}`).join('\n')}`
+    });
+  }
+}
+
+module.exports = new EmailChannel();
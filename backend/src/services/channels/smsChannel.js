@@ -0,0 +1,50 @@
+const axios = require('axios');
+
+/**
+ * SMS channel - provider adapters behind one interface
+ * - `twilio`: Twilio Messages API (SMS_API_URL can point at a local stand-in)
+ * - `log`: prints messages instead of sending them, for development
+ */
+class SmsChannel {
+  constructor() {
+    this.name = 'sms';
+    this.provider = process.env.SMS_PROVIDER || null;
+    this.from = process.env.SMS_FROM;
+    this.apiURL = process.env.SMS_API_URL || 'https://api.twilio.com';
+    this.accountSid = process.env.TWILIO_ACCOUNT_SID;
+    this.authToken = process.env.TWILIO_AUTH_TOKEN;
+  }
+
+  isConfigured() {
+    if (this.provider === 'log') {
+      return true;
+    }
+    return this.provider === 'twilio' && !!(this.accountSid && this.authToken && this.from);
+  }
+
+  validateAddress(address) {
+    return /^\+[1-9]\d{6,14}$/.test(address || '') ? null : 'address must be a phone number in E.164 format (e.g. +15551234567)';
+  }
+
+  async send(address, message) {
+    // Keep it to a couple of SMS segments
+    const body = `[${message.severity.toUpperCase()}] ${message.title}: ${message.text}`.slice(0, 300);
+
+    if (this.provider === 'log') {
+      console.log(`📱 SMS to ${address}: ${body}`);
+      return;
+    }
+
+    await axios.post(
+      `${this.apiURL}/2010-04-01/Accounts/${this.accountSid}/Messages.json`,
+      new URLSearchParams({ To: address, From: this.from, Body: body }).toString(),
+      {
+        auth: { username: this.accountSid, password: this.authToken },
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: 10000
+      }
+    );
+  }
+}
+
+module.exports = new SmsChannel();
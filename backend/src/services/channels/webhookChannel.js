@@ -0,0 +1,88 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+const FORMATS = ['slack', 'teams', 'json'];
+const SEVERITY_COLORS = { critical: '#D32F2F', warning: '#F57C00', info: '#1976D2', success: '#388E3C' };
+
+/**
+ * Webhook channel - signed HTTP POSTs
+ * Bodies are shaped for Slack or Teams incoming webhooks, or plain JSON. Every
+ * request carries `X-BBMS-Timestamp` and `X-BBMS-Signature: sha256=<hex>`, an
+ * HMAC of `<timestamp>.<body>` with the subscription's secret.
+ */
+class WebhookChannel {
+  constructor() {
+    this.name = 'webhook';
+    this.formats = FORMATS;
+    this.timeout = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  validateAddress(address) {
+    try {
+      const url = new URL(address);
+      return ['http:', 'https:'].includes(url.protocol) ? null : 'address must be an http(s) URL';
+    } catch (error) {
+      return 'address must be an http(s) URL';
+    }
+  }
+
+  sign(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+  }
+
+  buildPayload(message, format) {
+    if (format === 'slack') {
+      return {
+        text: `*${message.title}*\n${message.text}`,
+        attachments: [{
+          color: SEVERITY_COLORS[message.severity] || SEVERITY_COLORS.info,
+          fields: message.details.map(({ label, value }) => ({ title: label, value: String(value), short: true }))
+        }]
+      };
+    }
+
+    if (format === 'teams') {
+      return {
+        '@type': 'MessageCard',
+        '@context': 'https://schema.org/extensions',
+        themeColor: (SEVERITY_COLORS[message.severity] || SEVERITY_COLORS.info).slice(1),
+        summary: message.title,
+        title: message.title,
+        text: message.text,
+        sections: [{
+          facts: message.details.map(({ label, value }) => ({ name: label, value: String(value) }))
+        }]
+      };
+    }
+
+    return {
+      event: message.event,
+      title: message.title,
+      text: message.text,
+      severity: message.severity,
+      alert: message.alert,
+      timestamp: message.timestamp
+    };
+  }
+
+  async send(address, message, subscription) {
+    const body = JSON.stringify(this.buildPayload(message, subscription?.format || 'json'));
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    await axios.post(address, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'X-BBMS-Event': message.event,
+        'X-BBMS-Timestamp': timestamp,
+        ...(subscription?.secret ? { 'X-BBMS-Signature': this.sign(subscription.secret, timestamp, body) } : {})
+      },
+      timeout: this.timeout
+    });
+  }
+}
+
+module.exports = new WebhookChannel();
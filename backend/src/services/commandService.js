@@ -0,0 +1,299 @@
+const crypto = require('crypto');
+const JsonStore = require('../utils/jsonStore');
+const rubidexService = require('./rubidexService');
+const heartbeatMonitor = require('./heartbeatMonitor');
+const { normalizeCommand } = require('../config/deviceTypes');
+
+// Command states that are final
+const FINISHED_STATES = ['acknowledged', 'rejected', 'timed_out', 'expired', 'cancelled'];
+const ACK_STATUSES = ['ok', 'error'];
+
+/**
+ * Command Service - queues equipment commands and tracks them to an outcome
+ * Commands wait in a per-device queue and are sent one at a time: the next one
+ * goes out once the device acknowledges the current one (`ok` or `error`) or
+ * COMMAND_ACK_TIMEOUT passes. Devices the heartbeat monitor sees as offline are
+ * held back; commands still queued after COMMAND_QUEUE_TTL expire. Every
+ * command is written to Rubidex as an audit document with who issued it when it
+ * is issued and again when it finishes; `auditWritten` is only true once Rubidex
+ * has confirmed the latest of these (not while the outbox is still retrying it).
+ * Listeners (the MQTT bridge) are told when a command is sent so they can deliver it.
+ */
+class CommandService {
+  constructor() {
+    this.ackTimeout = parseInt(process.env.COMMAND_ACK_TIMEOUT) || 60; // seconds
+    this.queueTtl = parseInt(process.env.COMMAND_QUEUE_TTL) || 900; // seconds
+    this.sweepInterval = parseInt(process.env.COMMAND_SWEEP_INTERVAL) || 5; // seconds
+    this.historyLimit = parseInt(process.env.COMMAND_HISTORY) || 1000;
+
+    this.store = new JsonStore('device-commands');
+    this.commands = new Map(this.store.load([]).map(command => [command.id, command]));
+    // Called after every change with (command, action) - used by the MQTT bridge
+    this.listeners = [];
+
+    this.io = null;
+    this.timer = null;
+  }
+
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  persist() {
+    // Keep every open command, and the most recent finished ones
+    const all = Array.from(this.commands.values());
+    const finished = all.filter(command => FINISHED_STATES.includes(command.status));
+    if (finished.length > this.historyLimit) {
+      finished
+        .sort((a, b) => new Date(a.completedAt) - new Date(b.completedAt))
+        .slice(0, finished.length - this.historyLimit)
+        .forEach(command => this.commands.delete(command.id));
+    }
+    this.store.save(Array.from(this.commands.values()));
+  }
+
+  /**
+   * Start the timeout sweep and send anything left queued from before a restart
+   */
+  start(io) {
+    this.io = io;
+
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.sweep().catch(error => console.error('❌ Command sweep failed:', error.message));
+    }, this.sweepInterval * 1000);
+    this.timer.unref();
+
+    this.sweep().catch(error => console.error('❌ Command sweep failed:', error.message));
+    console.log(`🎛️ Command service started (${this.getCommands({ open: true }).length} open commands)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Queries
+
+  /**
+   * Filters: deviceId, status, open (not finished), limit. Newest first.
+   */
+  getCommands({ deviceId, status, open, limit } = {}) {
+    const commands = Array.from(this.commands.values())
+      .filter(command => !deviceId || command.deviceId === deviceId)
+      .filter(command => !status || command.status === status)
+      .filter(command => !open || !FINISHED_STATES.includes(command.status))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    return limit ? commands.slice(0, limit) : commands;
+  }
+
+  getCommand(commandId) {
+    return this.commands.get(commandId) || null;
+  }
+
+  /**
+   * Commands sent to a device and waiting for its acknowledgement (for devices that poll)
+   */
+  getSentCommands(deviceId) {
+    return this.getCommands({ deviceId, status: 'sent' });
+  }
+
+  // Issuing
+
+  /**
+   * Validate a command for a device, returning { command, params } or { errors }
+   */
+  validateCommand(device, data) {
+    if (!data || typeof data.command !== 'string') {
+      return { errors: ['command is required'] };
+    }
+    return normalizeCommand(device.type, data.command, data.params || {});
+  }
+
+  /**
+   * Queue a validated command for a device (see validateCommand)
+   */
+  async issueCommand(device, { command, params }, user) {
+    const now = new Date();
+    const entry = {
+      id: crypto.randomUUID(),
+      deviceId: device.id,
+      deviceName: device.name,
+      type: device.type,
+      command,
+      params,
+      status: 'queued',
+      issuedBy: { id: user.id, name: user.name, email: user.email, accessLevel: user.accessLevel },
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + this.queueTtl * 1000).toISOString(),
+      sentAt: null,
+      ackDeadline: null,
+      completedAt: null,
+      result: null,
+      error: null,
+      auditWritten: null
+    };
+
+    this.commands.set(entry.id, entry);
+    this.persist();
+    console.log(`🎛️ ${user.name} issued ${command} to ${device.name} (${device.id})`);
+
+    await this.audit(entry);
+    this.persist();
+    await this.notify(entry, 'queued');
+
+    await this.dispatch(device.id);
+    return entry;
+  }
+
+  /**
+   * Send the next queued command for a device, unless one is already waiting for
+   * an acknowledgement or the device is offline
+   */
+  async dispatch(deviceId) {
+    const open = this.getCommands({ deviceId, open: true });
+    if (open.some(command => command.status === 'sent')) {
+      return null;
+    }
+    if (heartbeatMonitor.getHeartbeat(deviceId)?.connectivity === 'offline') {
+      return null;
+    }
+
+    const next = open.filter(command => command.status === 'queued')
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))[0];
+    if (!next) {
+      return null;
+    }
+
+    const now = new Date();
+    next.status = 'sent';
+    next.sentAt = now.toISOString();
+    next.ackDeadline = new Date(now.getTime() + this.ackTimeout * 1000).toISOString();
+    this.persist();
+
+    await this.notify(next, 'sent');
+    return next;
+  }
+
+  // Outcomes
+
+  /**
+   * Record a device's acknowledgement: { status: 'ok' | 'error', result?, error? }
+   * Returns { command } or { error, code } when the command can't be acknowledged.
+   */
+  async acknowledge(commandId, { status, result, error } = {}) {
+    const command = this.commands.get(commandId);
+    if (!command) {
+      return { error: 'Command not found', code: 404 };
+    }
+    if (!ACK_STATUSES.includes(status)) {
+      return { error: `status must be one of: ${ACK_STATUSES.join(', ')}`, code: 400 };
+    }
+    if (command.status !== 'sent') {
+      return { error: `Command is ${command.status}, not waiting for an acknowledgement`, code: 409 };
+    }
+
+    await this.finish(command, status === 'ok' ? 'acknowledged' : 'rejected', {
+      result: result === undefined ? null : result,
+      error: status === 'error' ? (error || 'Device reported an error') : null
+    });
+    return { command };
+  }
+
+  /**
+   * Cancel a command that hasn't been sent yet
+   * Returns { command } or { error, code }
+   */
+  async cancel(commandId, user) {
+    const command = this.commands.get(commandId);
+    if (!command) {
+      return { error: 'Command not found', code: 404 };
+    }
+    if (command.status !== 'queued') {
+      return { error: `Command is ${command.status} and can no longer be cancelled`, code: 409 };
+    }
+
+    await this.finish(command, 'cancelled', { error: `Cancelled by ${user.name}` });
+    return { command };
+  }
+
+  async finish(command, status, { result = null, error = null } = {}) {
+    command.status = status;
+    command.completedAt = new Date().toISOString();
+    command.result = result;
+    command.error = error;
+    // Not documented until the outcome is
+    command.auditWritten = null;
+    this.persist();
+
+    const icon = status === 'acknowledged' ? '✅' : '⚠️';
+    console.log(`${icon} Command ${command.command} for ${command.deviceId} ${status}${error ? `: ${error}` : ''}`);
+
+    await this.audit(command);
+    this.persist();
+
+    await this.notify(command, status);
+
+    // The device is free for its next command
+    if (status !== 'cancelled' && status !== 'expired') {
+      await this.dispatch(command.deviceId);
+    }
+  }
+
+  // Document the command's current status on Rubidex
+  async audit(command) {
+    try {
+      const result = await rubidexService.writeCommandAudit(command);
+      // Queued in the outbox: delivered later, but not written yet
+      command.auditWritten = !result?.queued;
+    } catch (writeError) {
+      command.auditWritten = false;
+      console.error(`❌ Failed to document command ${command.id}:`, writeError.message);
+    }
+  }
+
+  /**
+   * Time out unacknowledged commands, expire stale queued ones and send what can be sent
+   */
+  async sweep(now = Date.now()) {
+    // Decide what is overdue up front: finishing a command sends the next one,
+    // which must not be judged against the same `now`
+    const timedOut = this.getCommands({ status: 'sent' })
+      .filter(command => new Date(command.ackDeadline).getTime() <= now);
+    const expired = this.getCommands({ status: 'queued' })
+      .filter(command => new Date(command.expiresAt).getTime() <= now);
+
+    for (const command of timedOut) {
+      await this.finish(command, 'timed_out', { error: `No acknowledgement within ${this.ackTimeout}s` });
+    }
+    for (const command of expired.filter(command => command.status === 'queued')) {
+      await this.finish(command, 'expired', { error: `Not sent within ${this.queueTtl}s (device offline or busy)` });
+    }
+
+    const waiting = new Set(this.getCommands({ status: 'queued' }).map(command => command.deviceId));
+    for (const deviceId of waiting) {
+      await this.dispatch(deviceId);
+    }
+  }
+
+  async notify(command, action) {
+    if (this.io) {
+      this.io.to(`device_${command.deviceId}`).emit('device_command', { action, command });
+    }
+
+    for (const listener of this.listeners) {
+      try {
+        await listener(command, action);
+      } catch (error) {
+        console.error(`❌ Command listener failed for ${command.id} ${action}:`, error.message);
+      }
+    }
+  }
+}
+
+module.exports = new CommandService();
@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const JsonStore = require('../utils/jsonStore');
+
+// How often a key's lastUsedAt is written back to disk
+const LAST_USED_PERSIST_MS = 60 * 1000;
+
+function hash(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+/**
+ * Device Credentials - per-device keys for sensors and gateways
+ * A key belongs to one registered device and only lets it write readings for that
+ * device id. Sensors send it as `X-Device-Key: <keyId>.<secret>`, or sign the
+ * request body with `X-Device-Key-Id`, `X-Device-Timestamp` and
+ * `X-Device-Signature: sha256=<hex>` (HMAC-SHA256 of `<timestamp>.<body>`, the same
+ * scheme as outbound webhooks). Keys can be revoked, and rotating one issues a new
+ * key while the old one keeps working for a grace period. The secret is stored
+ * because signed requests need it; it is only returned when the key is issued.
+ * A signature is accepted once: signatures seen within the timestamp tolerance
+ * are remembered (in this process) and a replay of one is rejected.
+ */
+class DeviceCredentials {
+  constructor() {
+    this.rotationGrace = parseInt(process.env.DEVICE_KEY_ROTATION_GRACE) || 3600; // seconds
+    this.signatureTolerance = parseInt(process.env.DEVICE_SIGNATURE_TOLERANCE) || 300; // seconds
+
+    this.store = new JsonStore('device-credentials');
+    this.keys = new Map(this.store.load([]).map(key => [key.id, key]));
+
+    // `<keyId>:<signature>` -> when its timestamp falls out of the tolerance (ms)
+    this.seenSignatures = new Map();
+  }
+
+  persist() {
+    this.store.save(Array.from(this.keys.values()));
+  }
+
+  /**
+   * Key metadata without the secret
+   */
+  describe(key) {
+    const { secret, ...rest } = key;
+    return { ...rest, active: this.isActive(key) };
+  }
+
+  isActive(key, now = Date.now()) {
+    return !key.revokedAt && (!key.expiresAt || new Date(key.expiresAt).getTime() > now);
+  }
+
+  getKeys(deviceId) {
+    return Array.from(this.keys.values())
+      .filter(key => key.deviceId === deviceId)
+      .map(key => this.describe(key));
+  }
+
+  getKey(keyId) {
+    return this.keys.get(keyId) || null;
+  }
+
+  /**
+   * Issue a new key for a device. The returned `key` is shown once.
+   */
+  issueKey(deviceId, { name = null, issuedBy = null } = {}) {
+    const key = {
+      id: `dk_${crypto.randomBytes(8).toString('hex')}`,
+      deviceId,
+      name,
+      secret: crypto.randomBytes(32).toString('base64url'),
+      issuedBy,
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      expiresAt: null,
+      revokedAt: null,
+      replacedBy: null
+    };
+
+    this.keys.set(key.id, key);
+    this.persist();
+    console.log(`🔑 Issued device key ${key.id} for ${deviceId}`);
+
+    return { ...this.describe(key), key: `${key.id}.${key.secret}` };
+  }
+
+  /**
+   * Replace a key: the new key works now, the old one until the grace period ends
+   */
+  rotateKey(keyId, { graceSeconds = this.rotationGrace, issuedBy = null } = {}) {
+    const old = this.keys.get(keyId);
+    if (!old || !this.isActive(old)) {
+      return null;
+    }
+
+    const issued = this.issueKey(old.deviceId, { name: old.name, issuedBy });
+    old.replacedBy = issued.id;
+    old.expiresAt = new Date(Date.now() + graceSeconds * 1000).toISOString();
+    this.persist();
+    console.log(`🔑 Rotated device key ${old.id} → ${issued.id} (old key valid until ${old.expiresAt})`);
+
+    return { key: issued, previous: this.describe(old) };
+  }
+
+  revokeKey(keyId) {
+    const key = this.keys.get(keyId);
+    if (!key) {
+      return null;
+    }
+    if (!key.revokedAt) {
+      key.revokedAt = new Date().toISOString();
+      this.persist();
+      console.log(`🔑 Revoked device key ${key.id} for ${key.deviceId}`);
+    }
+    return this.describe(key);
+  }
+
+  /**
+   * Revoke every key of a device (when it is removed from the registry)
+   */
+  revokeDeviceKeys(deviceId) {
+    const revoked = Array.from(this.keys.values())
+      .filter(key => key.deviceId === deviceId && !key.revokedAt);
+    revoked.forEach(key => { key.revokedAt = new Date().toISOString(); });
+    if (revoked.length > 0) {
+      this.persist();
+    }
+    return revoked.length;
+  }
+
+  markUsed(key) {
+    const now = Date.now();
+    const persist = !key.lastUsedAt || now - new Date(key.lastUsedAt).getTime() > LAST_USED_PERSIST_MS;
+    key.lastUsedAt = new Date(now).toISOString();
+    if (persist) {
+      this.persist();
+    }
+  }
+
+  /**
+   * Check a `<keyId>.<secret>` API key
+   * Returns { deviceId, keyId } or { error }
+   */
+  verifyApiKey(apiKey) {
+    const [keyId, secret] = String(apiKey || '').split('.');
+    const key = this.keys.get(keyId);
+
+    if (!key || !secret || !crypto.timingSafeEqual(hash(secret), hash(key.secret))) {
+      return { error: 'Invalid device key' };
+    }
+    if (!this.isActive(key)) {
+      return { error: key.revokedAt ? 'Device key has been revoked' : 'Device key has expired' };
+    }
+
+    this.markUsed(key);
+    return { deviceId: key.deviceId, keyId: key.id };
+  }
+
+  sign(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+  }
+
+  /**
+   * Check an HMAC-signed request
+   * Returns { deviceId, keyId } or { error }
+   */
+  verifySignature({ keyId, timestamp, signature, body }, now = Date.now()) {
+    const key = this.keys.get(keyId);
+    if (!key) {
+      return { error: 'Invalid device key' };
+    }
+
+    const seconds = parseInt(timestamp);
+    if (isNaN(seconds) || Math.abs(now / 1000 - seconds) > this.signatureTolerance) {
+      return { error: `X-Device-Timestamp must be within ${this.signatureTolerance}s of server time` };
+    }
+
+    const expected = this.sign(key.secret, timestamp, body || '');
+    if (!signature || !crypto.timingSafeEqual(hash(signature), hash(expected))) {
+      return { error: 'Invalid device signature' };
+    }
+    if (!this.isActive(key)) {
+      return { error: key.revokedAt ? 'Device key has been revoked' : 'Device key has expired' };
+    }
+
+    this.forgetExpiredSignatures(now);
+    const seen = `${key.id}:${signature}`;
+    if (this.seenSignatures.has(seen)) {
+      return { error: 'Device signature has already been used' };
+    }
+    this.seenSignatures.set(seen, (seconds + this.signatureTolerance) * 1000);
+
+    this.markUsed(key);
+    return { deviceId: key.deviceId, keyId: key.id };
+  }
+
+  /**
+   * Drop remembered signatures whose timestamp would be rejected anyway
+   */
+  forgetExpiredSignatures(now = Date.now()) {
+    for (const [seen, expiresAt] of this.seenSignatures) {
+      if (expiresAt < now) {
+        this.seenSignatures.delete(seen);
+      }
+    }
+  }
+}
+
+module.exports = new DeviceCredentials();
@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const JsonStore = require('../utils/jsonStore');
+const { DEVICE_TYPE_NAMES, getDeviceType, validateThresholds } = require('../config/deviceTypes');
+
+// Fields that can be set through the device API
+const EDITABLE_FIELDS = ['name', 'location', 'zone', 'type', 'unit', 'alertLimit', 'alertHysteresis', 'alertMinDuration', 'thresholds', 'reportingInterval', 'commissionedAt'];
+
+/**
+ * Device Registry - persistent device metadata
+ * Devices are kept in memory and written through to a JSON file so they
+ * exist before they ever report a reading and survive restarts.
+ */
+class DeviceRegistry {
+  constructor() {
+    this.store = new JsonStore('devices');
+    this.devices = new Map(Object.entries(this.store.load({})));
+    console.log(`📋 Device registry loaded with ${this.devices.size} devices`);
+  }
+
+  persist() {
+    this.store.save(Object.fromEntries(this.devices));
+  }
+
+  /**
+   * Validate device fields, returning a list of error messages
+   * For a partial update pass the existing device, so a unit is checked
+   * against the type the device will have afterwards.
+   */
+  validate(data, { partial = false, existing = null } = {}) {
+    const errors = [];
+    const type = data.type || existing?.type;
+
+    if (!partial || data.name !== undefined) {
+      if (typeof data.name !== 'string' || !data.name.trim()) {
+        errors.push('name is required');
+      }
+    }
+    if (!partial || data.type !== undefined) {
+      if (!DEVICE_TYPE_NAMES.includes(data.type)) {
+        errors.push(`type must be one of: ${DEVICE_TYPE_NAMES.join(', ')}`);
+      }
+    }
+    if (data.unit !== undefined && getDeviceType(type) && !getDeviceType(type).units[data.unit]) {
+      errors.push(`unit for ${type} must be one of: ${Object.keys(getDeviceType(type).units).join(', ')}`);
+    }
+    if (data.alertLimit !== undefined && data.alertLimit !== null && isNaN(parseFloat(data.alertLimit))) {
+      errors.push('alertLimit must be a number');
+    }
+    if (data.alertHysteresis !== undefined && data.alertHysteresis !== null && !(parseFloat(data.alertHysteresis) >= 0)) {
+      errors.push('alertHysteresis must be zero or more');
+    }
+    if (data.alertMinDuration !== undefined && data.alertMinDuration !== null && !(parseInt(data.alertMinDuration) >= 0)) {
+      errors.push('alertMinDuration must be zero or more seconds');
+    }
+    if (data.thresholds !== undefined && data.thresholds !== null) {
+      errors.push(...validateThresholds(data.thresholds));
+    }
+    if (data.reportingInterval !== undefined && data.reportingInterval !== null && !(parseInt(data.reportingInterval) > 0)) {
+      errors.push('reportingInterval must be a positive number of seconds');
+    }
+    if (data.commissionedAt !== undefined && isNaN(new Date(data.commissionedAt).getTime())) {
+      errors.push('commissionedAt must be a valid date');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Pick editable fields and normalize their values
+   */
+  sanitize(data) {
+    const fields = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) {
+        fields[field] = data[field];
+      }
+    });
+
+    if (fields.alertLimit !== undefined && fields.alertLimit !== null) {
+      fields.alertLimit = parseFloat(fields.alertLimit);
+    }
+    if (fields.alertHysteresis !== undefined && fields.alertHysteresis !== null) {
+      fields.alertHysteresis = parseFloat(fields.alertHysteresis);
+    }
+    if (fields.alertMinDuration !== undefined && fields.alertMinDuration !== null) {
+      fields.alertMinDuration = parseInt(fields.alertMinDuration);
+    }
+    if (fields.reportingInterval !== undefined && fields.reportingInterval !== null) {
+      fields.reportingInterval = parseInt(fields.reportingInterval);
+    }
+    if (fields.commissionedAt !== undefined) {
+      fields.commissionedAt = new Date(fields.commissionedAt).toISOString();
+    }
+
+    return fields;
+  }
+
+  getAllDevices() {
+    return Array.from(this.devices.values());
+  }
+
+  getDevice(deviceId) {
+    return this.devices.get(deviceId) || null;
+  }
+
+  /**
+   * Register a new device
+   */
+  createDevice(data) {
+    const deviceId = data.id || crypto.randomUUID();
+
+    if (this.devices.has(deviceId)) {
+      throw new Error(`Device ${deviceId} already exists`);
+    }
+
+    const now = new Date().toISOString();
+    const device = {
+      id: deviceId,
+      location: 'Unknown Location',
+      zone: null,
+      unit: getDeviceType(data.type).unit,
+      alertLimit: null,
+      alertHysteresis: null,
+      alertMinDuration: null,
+      thresholds: null,
+      reportingInterval: null,
+      commissionedAt: now,
+      ...this.sanitize(data),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.devices.set(deviceId, device);
+    this.persist();
+    console.log(`📋 Registered device: ${device.name} (${deviceId})`);
+
+    return device;
+  }
+
+  /**
+   * Update an existing device
+   * Changing the type without giving a unit resets the unit to the new type's default.
+   */
+  updateDevice(deviceId, updates) {
+    const device = this.devices.get(deviceId);
+    if (!device) {
+      return null;
+    }
+
+    const fields = this.sanitize(updates);
+    if (fields.type && fields.type !== device.type && fields.unit === undefined) {
+      fields.unit = getDeviceType(fields.type).unit;
+    }
+
+    const updatedDevice = {
+      ...device,
+      ...fields,
+      updatedAt: new Date().toISOString()
+    };
+
+    this.devices.set(deviceId, updatedDevice);
+    this.persist();
+    console.log(`📋 Updated device: ${updatedDevice.name} (${deviceId})`);
+
+    return updatedDevice;
+  }
+
+  /**
+   * Remove a device from the registry
+   */
+  deleteDevice(deviceId) {
+    const device = this.devices.get(deviceId);
+    if (!device) {
+      return null;
+    }
+
+    this.devices.delete(deviceId);
+    this.persist();
+    console.log(`🗑️ Removed device: ${device.name} (${deviceId})`);
+
+    return device;
+  }
+}
+
+module.exports = new DeviceRegistry();
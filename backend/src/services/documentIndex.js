@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const JsonStore = require('../utils/jsonStore');
+const JsonLinesLog = require('../utils/jsonLinesLog');
+
+/**
+ * Document Index - local copy of the Rubidex collection
+ * Documents are indexed by id and by device (fields.coreid) so device and
+ * history queries don't have to download the whole collection. The index is
+ * kept up to date by RubidexService (periodic sync + write-through) and saved
+ * to disk so restarts start warm.
+ *
+ * On disk it is a journal (document-index.jsonl under DATA_DIR): each change is
+ * appended as one line, `{ put: doc }` or `{ remove: key }`, plus `{ syncedAt }`
+ * after a sync that changed something. The journal is compacted to one line per
+ * document once superseded lines make up more than half of it.
+ */
+class DocumentIndex {
+  constructor() {
+    this.journal = new JsonLinesLog('document-index');
+    this.documents = new Map();
+    this.byDevice = new Map();
+    this.lastSyncAt = null;
+    this.lastSyncStats = null;
+    // Documents written locally that the remote listing hasn't returned yet
+    this.pendingWrites = new Set();
+    this.journalLength = 0;
+    // Never compact journals shorter than this
+    this.compactMin = 1000;
+
+    if (this.journal.exists()) {
+      this.replay(this.journal.load());
+    } else {
+      this.migrate();
+    }
+    if (this.documents.size > 0) {
+      console.log(`🗂️ Document index loaded ${this.documents.size} documents from ${this.journal.filePath}`);
+    }
+  }
+
+  replay(records) {
+    records.forEach(record => {
+      if (record.put) {
+        this.add(record.put);
+      } else if (record.remove) {
+        this.remove(record.remove);
+      } else if (record.syncedAt) {
+        this.lastSyncAt = record.syncedAt;
+      }
+    });
+    this.journalLength = records.length;
+  }
+
+  /**
+   * Turn a snapshot saved by older versions (one JSON file) into the journal
+   */
+  migrate() {
+    const snapshot = new JsonStore('document-index').load(null);
+    if (snapshot && Array.isArray(snapshot.documents)) {
+      snapshot.documents.forEach(doc => this.add(doc));
+      this.lastSyncAt = snapshot.lastSyncAt;
+      try {
+        this.compact();
+      } catch (error) {
+        console.warn('⚠️ Failed to move document index snapshot to the journal:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Stable key for a document: its Rubidex id, or a content hash when it has none
+   */
+  keyFor(doc) {
+    if (doc.id) {
+      return doc.id;
+    }
+    return `sha256:${crypto.createHash('sha256').update(JSON.stringify(doc.fields || doc)).digest('hex')}`;
+  }
+
+  // Last modification time of a document (Rubidex uses snake_case, older responses camelCase)
+  versionOf(doc) {
+    return doc.update_date || doc.updateDate || doc.creation_date || doc.creationDate || null;
+  }
+
+  isReady() {
+    return this.lastSyncAt !== null;
+  }
+
+  add(doc) {
+    const key = this.keyFor(doc);
+    const existing = this.documents.get(key);
+    if (existing) {
+      this.unindexDevice(key, existing);
+    }
+
+    this.documents.set(key, doc);
+
+    const deviceId = doc.fields?.coreid;
+    if (deviceId) {
+      if (!this.byDevice.has(deviceId)) {
+        this.byDevice.set(deviceId, new Set());
+      }
+      this.byDevice.get(deviceId).add(key);
+    }
+  }
+
+  remove(key) {
+    const doc = this.documents.get(key);
+    if (!doc) {
+      return;
+    }
+    this.unindexDevice(key, doc);
+    this.documents.delete(key);
+  }
+
+  unindexDevice(key, doc) {
+    const deviceId = doc.fields?.coreid;
+    const keys = deviceId && this.byDevice.get(deviceId);
+    if (keys) {
+      keys.delete(key);
+      if (keys.size === 0) {
+        this.byDevice.delete(deviceId);
+      }
+    }
+  }
+
+  /**
+   * Apply a full collection listing, touching only documents that changed
+   * Returns { fetched, added, updated, removed, total } (fetched: documents in the listing)
+   */
+  sync(remoteDocuments) {
+    const stats = { fetched: remoteDocuments.length, added: 0, updated: 0, removed: 0, total: 0 };
+    const seen = new Set();
+    const changes = [];
+
+    remoteDocuments.forEach(doc => {
+      const key = this.keyFor(doc);
+      seen.add(key);
+      this.pendingWrites.delete(key);
+
+      const existing = this.documents.get(key);
+      if (!existing) {
+        this.add(doc);
+        changes.push({ put: doc });
+        stats.added++;
+      } else if (this.versionOf(existing) !== this.versionOf(doc)) {
+        this.add(doc);
+        changes.push({ put: doc });
+        stats.updated++;
+      }
+    });
+
+    for (const key of Array.from(this.documents.keys())) {
+      if (!seen.has(key) && !this.pendingWrites.has(key)) {
+        this.remove(key);
+        changes.push({ remove: key });
+        stats.removed++;
+      }
+    }
+
+    stats.total = this.documents.size;
+    this.lastSyncAt = new Date().toISOString();
+    this.lastSyncStats = stats;
+
+    if (changes.length > 0) {
+      this.record(...changes, { syncedAt: this.lastSyncAt });
+    }
+
+    return stats;
+  }
+
+  /**
+   * Add a document we just wrote, ahead of the next sync
+   */
+  upsert(doc) {
+    if (!doc || !doc.id) {
+      return;
+    }
+    this.add(doc);
+    this.pendingWrites.add(this.keyFor(doc));
+    this.record({ put: doc });
+  }
+
+  // Append changes to the journal, compacting it when mostly superseded
+  record(...records) {
+    try {
+      this.journal.append(...records);
+      this.journalLength += records.length;
+
+      if (this.journalLength > Math.max(this.compactMin, this.documents.size * 2)) {
+        this.compact();
+      }
+    } catch (error) {
+      console.warn('⚠️ Failed to save document index changes:', error.message);
+    }
+  }
+
+  // Rewrite the journal as one line per current document
+  compact() {
+    const records = this.getAll().map(doc => ({ put: doc }));
+    if (this.lastSyncAt) {
+      records.push({ syncedAt: this.lastSyncAt });
+    }
+    this.journal.rewrite(records);
+    this.journalLength = records.length;
+  }
+
+  getAll() {
+    return Array.from(this.documents.values());
+  }
+
+  getByDevice(deviceId) {
+    const keys = this.byDevice.get(deviceId);
+    if (!keys) {
+      return [];
+    }
+    return Array.from(keys).map(key => this.documents.get(key));
+  }
+
+  getStatus() {
+    return {
+      ready: this.isReady(),
+      documents: this.documents.size,
+      devices: this.byDevice.size,
+      lastSyncAt: this.lastSyncAt,
+      lastSync: this.lastSyncStats
+    };
+  }
+}
+
+module.exports = new DocumentIndex();
@@ -0,0 +1,411 @@
+const crypto = require('crypto');
+const JsonStore = require('../utils/jsonStore');
+const alertService = require('./alertService');
+
+// Roles defined by the auth service
+const AUTH_ROLES = ['admin', 'manager', 'technician', 'user'];
+const TARGET_TYPES = ['role', 'rotation', 'user'];
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Used until an admin defines policies: technician now, manager at 10 minutes, admin at 30
+const DEFAULT_POLICIES = [
+  {
+    id: 'critical-default',
+    name: 'Critical alerts',
+    enabled: true,
+    match: { severities: ['critical'], types: [] },
+    steps: [
+      { afterMinutes: 0, targets: [{ type: 'role', role: 'technician' }] },
+      { afterMinutes: 10, targets: [{ type: 'role', role: 'manager' }] },
+      { afterMinutes: 30, targets: [{ type: 'role', role: 'admin' }] }
+    ]
+  }
+];
+
+/**
+ * Escalation Service - pages people about alerts nobody has acknowledged
+ * A policy matches alerts by severity/type and lists steps, each due a number of
+ * minutes after the policy started on the alert. Step targets are an auth role,
+ * a user, or whoever is on call in a weekly rotation. Escalation stops as soon as
+ * the alert leaves the `open` state. Every step is recorded on the alert trail.
+ */
+class EscalationService {
+  constructor() {
+    this.sweepInterval = parseInt(process.env.ESCALATION_SWEEP_INTERVAL) || 30; // seconds
+
+    this.policyStore = new JsonStore('escalation-policies');
+    this.rotationStore = new JsonStore('oncall-rotations');
+    this.policies = this.policyStore.load(DEFAULT_POLICIES);
+    this.rotations = new Map(this.rotationStore.load([]).map(rotation => [rotation.id, rotation]));
+
+    this.io = null;
+    this.timer = null;
+  }
+
+  /**
+   * Start escalating: new and re-graded alerts are checked right away, the rest on a timer
+   */
+  start(io) {
+    this.io = io;
+
+    if (this.timer) {
+      return;
+    }
+
+    alertService.onChange((alert, action) => {
+      if (action === 'created' || action === 'escalated') {
+        return this.evaluateAlert(alert);
+      }
+    });
+
+    this.timer = setInterval(() => {
+      this.sweep().catch(error => console.error('❌ Escalation sweep failed:', error.message));
+    }, this.sweepInterval * 1000);
+    this.timer.unref();
+
+    console.log(`📟 Escalation service started (${this.policies.length} policies, ${this.rotations.size} rotations)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Policies
+
+  getPolicies() {
+    return this.policies;
+  }
+
+  getPolicy(policyId) {
+    return this.policies.find(policy => policy.id === policyId) || null;
+  }
+
+  /**
+   * Validate a policy, returning a list of error messages
+   */
+  validatePolicy(data) {
+    const errors = [];
+
+    if (typeof data.name !== 'string' || !data.name.trim()) {
+      errors.push('name is required');
+    }
+    if (data.match !== undefined && (typeof data.match !== 'object' || data.match === null)) {
+      errors.push('match must be an object with severities and/or types');
+    }
+    if (!Array.isArray(data.steps) || data.steps.length === 0) {
+      errors.push('steps must be a non-empty array');
+      return errors;
+    }
+
+    data.steps.forEach((step, index) => {
+      if (!(parseFloat(step.afterMinutes) >= 0)) {
+        errors.push(`steps[${index}].afterMinutes must be zero or more`);
+      }
+      if (!Array.isArray(step.targets) || step.targets.length === 0) {
+        errors.push(`steps[${index}].targets must be a non-empty array`);
+        return;
+      }
+      step.targets.forEach((target, targetIndex) => {
+        const label = `steps[${index}].targets[${targetIndex}]`;
+        if (!TARGET_TYPES.includes(target.type)) {
+          errors.push(`${label}.type must be one of: ${TARGET_TYPES.join(', ')}`);
+        } else if (target.type === 'role' && !AUTH_ROLES.includes(target.role)) {
+          errors.push(`${label}.role must be one of: ${AUTH_ROLES.join(', ')}`);
+        } else if (target.type === 'rotation' && !this.rotations.has(target.rotationId)) {
+          errors.push(`${label}.rotationId does not match a rotation`);
+        } else if (target.type === 'user' && !target.userId) {
+          errors.push(`${label}.userId is required`);
+        }
+      });
+    });
+
+    const minutes = data.steps.map(step => parseFloat(step.afterMinutes));
+    if (minutes.some((value, index) => index > 0 && value < minutes[index - 1])) {
+      errors.push('steps must be in order of afterMinutes');
+    }
+
+    return errors;
+  }
+
+  sanitizePolicy(data) {
+    return {
+      name: data.name.trim(),
+      enabled: data.enabled !== false,
+      match: {
+        severities: Array.isArray(data.match?.severities) ? data.match.severities : [],
+        types: Array.isArray(data.match?.types) ? data.match.types : []
+      },
+      steps: data.steps.map(step => ({
+        afterMinutes: parseFloat(step.afterMinutes),
+        targets: step.targets.map(target => ({ ...target }))
+      }))
+    };
+  }
+
+  createPolicy(data) {
+    const policy = { id: crypto.randomUUID(), ...this.sanitizePolicy(data) };
+    this.policies.push(policy);
+    this.policyStore.save(this.policies);
+    console.log(`📟 Escalation policy created: ${policy.name}`);
+    return policy;
+  }
+
+  updatePolicy(policyId, data) {
+    const index = this.policies.findIndex(policy => policy.id === policyId);
+    if (index === -1) {
+      return null;
+    }
+    this.policies[index] = { id: policyId, ...this.sanitizePolicy(data) };
+    this.policyStore.save(this.policies);
+    return this.policies[index];
+  }
+
+  deletePolicy(policyId) {
+    const index = this.policies.findIndex(policy => policy.id === policyId);
+    if (index === -1) {
+      return false;
+    }
+    this.policies.splice(index, 1);
+    this.policyStore.save(this.policies);
+    return true;
+  }
+
+  /**
+   * First enabled policy matching the alert (empty match lists match everything)
+   */
+  findPolicy(alert) {
+    return this.policies.find(policy =>
+      policy.enabled &&
+      (policy.match.severities.length === 0 || policy.match.severities.includes(alert.severity)) &&
+      (policy.match.types.length === 0 || policy.match.types.includes(alert.type))
+    ) || null;
+  }
+
+  // On-call rotations
+
+  getRotations() {
+    return Array.from(this.rotations.values()).map(rotation => ({
+      ...rotation,
+      onCall: this.getOnCall(rotation.id)
+    }));
+  }
+
+  getRotation(rotationId) {
+    return this.rotations.get(rotationId) || null;
+  }
+
+  /**
+   * Validate a rotation, returning a list of error messages
+   */
+  validateRotation(data) {
+    const errors = [];
+
+    if (typeof data.name !== 'string' || !data.name.trim()) {
+      errors.push('name is required');
+    }
+    if (data.role !== undefined && data.role !== null && !AUTH_ROLES.includes(data.role)) {
+      errors.push(`role must be one of: ${AUTH_ROLES.join(', ')}`);
+    }
+    if (!Array.isArray(data.members) || data.members.length === 0) {
+      errors.push('members must be a non-empty array');
+    } else if (data.members.some(member => !member || !member.userId)) {
+      errors.push('every member needs a userId');
+    }
+    if (isNaN(new Date(data.startsAt).getTime())) {
+      errors.push('startsAt must be a valid date (start of the first member\'s week)');
+    }
+
+    return errors;
+  }
+
+  sanitizeRotation(data) {
+    return {
+      name: data.name.trim(),
+      role: data.role || null,
+      members: data.members.map(member => ({
+        userId: member.userId,
+        name: member.name || member.email || member.userId,
+        email: member.email || null,
+        phone: member.phone || null
+      })),
+      startsAt: new Date(data.startsAt).toISOString()
+    };
+  }
+
+  createRotation(data) {
+    const rotation = { id: crypto.randomUUID(), ...this.sanitizeRotation(data) };
+    this.rotations.set(rotation.id, rotation);
+    this.persistRotations();
+    console.log(`📟 On-call rotation created: ${rotation.name} (${rotation.members.length} members)`);
+    return rotation;
+  }
+
+  updateRotation(rotationId, data) {
+    if (!this.rotations.has(rotationId)) {
+      return null;
+    }
+    const rotation = { id: rotationId, ...this.sanitizeRotation(data) };
+    this.rotations.set(rotationId, rotation);
+    this.persistRotations();
+    return rotation;
+  }
+
+  /**
+   * Delete a rotation unless a policy still pages it
+   * Returns { deleted } or { error }
+   */
+  deleteRotation(rotationId) {
+    if (!this.rotations.has(rotationId)) {
+      return { deleted: false };
+    }
+    const usedBy = this.policies.filter(policy =>
+      policy.steps.some(step => step.targets.some(target => target.type === 'rotation' && target.rotationId === rotationId))
+    );
+    if (usedBy.length > 0) {
+      return { error: `Rotation is used by policies: ${usedBy.map(policy => policy.name).join(', ')}` };
+    }
+    this.rotations.delete(rotationId);
+    this.persistRotations();
+    return { deleted: true };
+  }
+
+  persistRotations() {
+    this.rotationStore.save(Array.from(this.rotations.values()));
+  }
+
+  /**
+   * Member on call at a given time. Members take one week each, in order,
+   * starting with the first member at startsAt.
+   */
+  getOnCall(rotationId, at = new Date()) {
+    const rotation = this.rotations.get(rotationId);
+    if (!rotation || rotation.members.length === 0) {
+      return null;
+    }
+
+    const weeks = Math.floor((new Date(at).getTime() - new Date(rotation.startsAt).getTime()) / WEEK_MS);
+    const count = rotation.members.length;
+    const index = ((weeks % count) + count) % count;
+    const shiftStart = new Date(new Date(rotation.startsAt).getTime() + weeks * WEEK_MS);
+
+    return {
+      ...rotation.members[index],
+      shiftStart: shiftStart.toISOString(),
+      shiftEnd: new Date(shiftStart.getTime() + WEEK_MS).toISOString()
+    };
+  }
+
+  // Escalating
+
+  /**
+   * Work out who a step target pages right now
+   */
+  resolveTarget(target) {
+    if (target.type === 'role') {
+      return { type: 'role', role: target.role, room: `role_${target.role}`, label: `role ${target.role}` };
+    }
+    if (target.type === 'user') {
+      return {
+        type: 'user',
+        userId: target.userId,
+        name: target.name || target.userId,
+        email: target.email || null,
+        phone: target.phone || null,
+        room: `user_${target.userId}`,
+        label: target.name || target.userId
+      };
+    }
+
+    const rotation = this.rotations.get(target.rotationId);
+    const onCall = this.getOnCall(target.rotationId);
+    if (!onCall) {
+      return null;
+    }
+    return {
+      type: 'user',
+      userId: onCall.userId,
+      name: onCall.name,
+      email: onCall.email,
+      phone: onCall.phone,
+      rotationId: rotation.id,
+      room: `user_${onCall.userId}`,
+      label: `${onCall.name} (on call, ${rotation.name})`
+    };
+  }
+
+  /**
+   * Fire any escalation steps that are due for an alert
+   */
+  async evaluateAlert(alert, now = Date.now()) {
+    if (alert.state !== 'open') {
+      return [];
+    }
+
+    if (!alert.escalation) {
+      const policy = this.findPolicy(alert);
+      if (!policy) {
+        return [];
+      }
+      // Steps count from when the policy picked the alert up (creation, or when it was re-graded)
+      alert.escalation = { policyId: policy.id, policyName: policy.name, startedAt: new Date(now).toISOString(), steps: [] };
+      alertService.persist();
+    }
+
+    const policy = this.getPolicy(alert.escalation.policyId);
+    if (!policy) {
+      return [];
+    }
+
+    const fired = [];
+    const startedAt = new Date(alert.escalation.startedAt).getTime();
+
+    for (let index = alert.escalation.steps.length; index < policy.steps.length; index++) {
+      const step = policy.steps[index];
+      if (startedAt + step.afterMinutes * 60 * 1000 > now) {
+        break;
+      }
+
+      const recipients = step.targets.map(target => this.resolveTarget(target)).filter(Boolean);
+      const entry = {
+        step: index + 1,
+        afterMinutes: step.afterMinutes,
+        recipients: recipients.map(({ room, ...recipient }) => recipient),
+        at: new Date(now).toISOString()
+      };
+      alert.escalation.steps.push(entry);
+
+      const note = `step ${entry.step}/${policy.steps.length} of "${policy.name}" after ${step.afterMinutes} min, paging ${recipients.map(recipient => recipient.label).join(', ') || 'nobody (no one on call)'}`;
+      await alertService.recordChange(alert, 'escalation', alertService.toActor(null), { io: this.io, note });
+
+      if (this.io) {
+        recipients.forEach(recipient => {
+          this.io.to(recipient.room).emit('alert_escalation', { alert, step: entry });
+        });
+      }
+
+      fired.push(entry);
+    }
+
+    return fired;
+  }
+
+  /**
+   * Check every open alert for due steps
+   */
+  async sweep() {
+    const now = Date.now();
+    const fired = [];
+
+    for (const alert of alertService.getAlerts({ state: 'open' })) {
+      const steps = await this.evaluateAlert(alert, now);
+      steps.forEach(step => fired.push({ alertId: alert.id, ...step }));
+    }
+
+    return fired;
+  }
+}
+
+module.exports = new EscalationService();
@@ -0,0 +1,255 @@
+const JsonStore = require('../utils/jsonStore');
+const rubidexService = require('./rubidexService');
+const deviceRegistry = require('./deviceRegistry');
+const alertService = require('./alertService');
+
+/**
+ * Heartbeat Monitor - tracks when each device last reported and sweeps for
+ * devices that went silent. A device is stale once it misses its expected
+ * reporting interval by HEARTBEAT_STALE_FACTOR and offline at
+ * HEARTBEAT_OFFLINE_FACTOR. Going offline broadcasts `device_status` and raises
+ * a `device_offline` alert, which is resolved when the device reports again.
+ * Heartbeats are kept in memory and saved on each sweep and when the monitor
+ * stops, so a busy device doesn't cost a file write per reading.
+ */
+class HeartbeatMonitor {
+  constructor() {
+    this.defaultInterval = parseInt(process.env.HEARTBEAT_DEFAULT_INTERVAL) || 300; // seconds
+    this.staleFactor = parseFloat(process.env.HEARTBEAT_STALE_FACTOR) || 2;
+    this.offlineFactor = parseFloat(process.env.HEARTBEAT_OFFLINE_FACTOR) || 5;
+    this.sweepInterval = parseInt(process.env.HEARTBEAT_SWEEP_INTERVAL) || 60; // seconds
+
+    this.store = new JsonStore('heartbeats');
+    // deviceId -> { lastSeen, connectivity: 'online' | 'stale' | 'offline' }
+    this.heartbeats = new Map(Object.entries(this.store.load({})));
+    // Changed since the last save
+    this.dirty = false;
+    this.io = null;
+    this.timer = null;
+  }
+
+  persist() {
+    this.store.save(Object.fromEntries(this.heartbeats));
+    this.dirty = false;
+  }
+
+  /**
+   * Save heartbeats recorded since the last save
+   */
+  flush() {
+    if (!this.dirty) {
+      return;
+    }
+    try {
+      this.persist();
+    } catch (error) {
+      console.error('❌ Failed to save heartbeats:', error.message);
+    }
+  }
+
+  /**
+   * Start the background sweeper
+   */
+  start(io) {
+    this.io = io;
+
+    if (this.timer) {
+      return;
+    }
+
+    this.seedFromRubidex()
+      .catch(error => console.warn('⚠️ Could not seed heartbeats from Rubidex:', error.message));
+
+    this.timer = setInterval(() => {
+      this.sweep().catch(error => console.error('❌ Heartbeat sweep failed:', error.message));
+    }, this.sweepInterval * 1000);
+    this.timer.unref();
+
+    console.log(`💓 Heartbeat monitor started (sweep every ${this.sweepInterval}s)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.flush();
+  }
+
+  /**
+   * Fill in last-seen times for devices we have no heartbeat for yet
+   * Seeded devices start in their current state so long-dead history is not re-alerted
+   */
+  async seedFromRubidex() {
+    const latestReadings = await rubidexService.getLatestReadings();
+    let seeded = 0;
+
+    latestReadings.forEach(reading => {
+      if (!this.heartbeats.has(reading.deviceId)) {
+        this.heartbeats.set(reading.deviceId, {
+          lastSeen: reading.timestamp,
+          connectivity: this.determineConnectivity(reading.deviceId, reading.timestamp)
+        });
+        seeded++;
+      }
+    });
+
+    if (seeded > 0) {
+      this.persist();
+      console.log(`💓 Seeded heartbeats for ${seeded} devices from Rubidex`);
+    }
+  }
+
+  /**
+   * Expected reporting interval for a device in seconds
+   */
+  getExpectedInterval(deviceId) {
+    return deviceRegistry.getDevice(deviceId)?.reportingInterval || this.defaultInterval;
+  }
+
+  /**
+   * Work out connectivity from the time since the last report
+   */
+  determineConnectivity(deviceId, lastSeen, now = Date.now()) {
+    if (!lastSeen) {
+      return 'offline';
+    }
+
+    const silentFor = (now - new Date(lastSeen).getTime()) / 1000;
+    const interval = this.getExpectedInterval(deviceId);
+
+    if (silentFor >= interval * this.offlineFactor) return 'offline';
+    if (silentFor >= interval * this.staleFactor) return 'stale';
+    return 'online';
+  }
+
+  /**
+   * Record that a device reported live (callers skip late or backfilled readings)
+   * A device's first report only sets its starting state; it is not a transition
+   */
+  async recordHeartbeat(deviceId, timestamp = new Date().toISOString()) {
+    const previous = this.heartbeats.get(deviceId);
+
+    // Late-arriving data must not move last-seen backwards
+    if (previous && new Date(previous.lastSeen) >= new Date(timestamp)) {
+      return previous;
+    }
+
+    const heartbeat = {
+      lastSeen: timestamp,
+      connectivity: this.determineConnectivity(deviceId, timestamp)
+    };
+
+    this.heartbeats.set(deviceId, heartbeat);
+    this.dirty = true;
+
+    if (previous && previous.connectivity !== heartbeat.connectivity) {
+      await this.handleTransition(deviceId, previous.connectivity, heartbeat);
+    }
+
+    return heartbeat;
+  }
+
+  /**
+   * Get the heartbeat state for a device, computed against the current time
+   */
+  getHeartbeat(deviceId) {
+    const heartbeat = this.heartbeats.get(deviceId);
+    if (!heartbeat) {
+      return null;
+    }
+
+    return {
+      deviceId,
+      lastSeen: heartbeat.lastSeen,
+      connectivity: this.determineConnectivity(deviceId, heartbeat.lastSeen),
+      expectedInterval: this.getExpectedInterval(deviceId)
+    };
+  }
+
+  /**
+   * Get heartbeat states for every tracked device
+   */
+  getAllHeartbeats() {
+    return Array.from(this.heartbeats.keys()).map(deviceId => this.getHeartbeat(deviceId));
+  }
+
+  /**
+   * Re-evaluate every device, handle connectivity changes and save heartbeats
+   */
+  async sweep() {
+    const now = Date.now();
+    const transitions = [];
+
+    for (const [deviceId, heartbeat] of this.heartbeats) {
+      const connectivity = this.determineConnectivity(deviceId, heartbeat.lastSeen, now);
+      if (connectivity !== heartbeat.connectivity) {
+        const previous = heartbeat.connectivity;
+        heartbeat.connectivity = connectivity;
+        transitions.push({ deviceId, previous, heartbeat });
+      }
+    }
+
+    if (transitions.length > 0) {
+      this.dirty = true;
+    }
+    this.flush();
+
+    for (const { deviceId, previous, heartbeat } of transitions) {
+      await this.handleTransition(deviceId, previous, heartbeat);
+    }
+
+    return transitions.map(({ deviceId, heartbeat }) => ({ deviceId, connectivity: heartbeat.connectivity }));
+  }
+
+  /**
+   * Broadcast a connectivity change and document offline/online transitions
+   */
+  async handleTransition(deviceId, previous, heartbeat) {
+    const registered = deviceRegistry.getDevice(deviceId);
+    const deviceName = registered?.name || `Device ${deviceId}`;
+    const location = registered?.location || 'Unknown Location';
+    const expectedInterval = this.getExpectedInterval(deviceId);
+
+    console.log(`💓 Device ${deviceId} connectivity: ${previous} → ${heartbeat.connectivity}`);
+
+    if (this.io) {
+      this.io.emit('device_status', {
+        deviceId,
+        connectivity: heartbeat.connectivity,
+        previousConnectivity: previous,
+        status: heartbeat.connectivity === 'offline' ? 'Offline' : null,
+        lastSeen: heartbeat.lastSeen,
+        expectedInterval,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    try {
+      if (heartbeat.connectivity === 'offline') {
+        await alertService.createAlert({
+          type: 'device_offline',
+          source: 'server',
+          deviceId,
+          deviceName,
+          location,
+          severity: 'critical',
+          title: 'Device Offline',
+          message: `Device offline: ${deviceName} (${deviceId}) in ${location} has not reported since ${heartbeat.lastSeen}. Expected every ${expectedInterval}s.`
+        }, { io: this.io });
+      } else if (heartbeat.connectivity === 'online') {
+        const openAlert = alertService.findOpenAlert(deviceId, 'device_offline');
+        if (openAlert) {
+          await alertService.resolve(openAlert.id, null, {
+            note: `Device resumed reporting at ${heartbeat.lastSeen}.`,
+            io: this.io
+          });
+        }
+      }
+    } catch (error) {
+      console.error(`❌ Failed to record connectivity alert for ${deviceId}:`, error.message);
+    }
+  }
+}
+
+module.exports = new HeartbeatMonitor();
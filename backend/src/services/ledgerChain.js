@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const JsonStore = require('../utils/jsonStore');
+const JsonLinesLog = require('../utils/jsonLinesLog');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+// JSON with sorted keys so the same fields always hash the same
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Ledger Chain - local hash chain of every document the backend writes to Rubidex
+ * Each entry records the returned document id and a hash of the document fields,
+ * linked to the previous entry, so the chain itself can't be edited unnoticed.
+ * `verify()` compares the chain with what Rubidex currently returns.
+ * The chain is kept append-only in ledger-chain.jsonl under DATA_DIR, one entry
+ * per line, so recording a document never rewrites earlier entries.
+ */
+class LedgerChain {
+  constructor() {
+    this.log = new JsonLinesLog('ledger-chain');
+    this.entries = this.log.exists() ? this.log.load() : this.migrate();
+  }
+
+  /**
+   * Move a chain saved by older versions (one JSON array) into the append-only log
+   */
+  migrate() {
+    const legacy = new JsonStore('ledger-chain');
+    const entries = legacy.load([]);
+    if (entries.length > 0) {
+      this.log.append(...entries);
+      console.log(`🔗 Moved ${entries.length} ledger chain entries to ${this.log.filePath}`);
+    }
+    return entries;
+  }
+
+  contentHash(fields) {
+    return sha256(canonicalize(fields || {}));
+  }
+
+  linkHash(entry) {
+    return sha256(canonicalize([
+      entry.previousHash,
+      entry.sequence,
+      entry.documentId,
+      entry.collectionId,
+      entry.contentHash,
+      entry.writtenAt
+    ]));
+  }
+
+  getHeadHash() {
+    return this.entries.length > 0 ? this.entries[this.entries.length - 1].hash : GENESIS_HASH;
+  }
+
+  /**
+   * Append a delivered document to the chain
+   */
+  record(document, documentId, kind = 'document') {
+    const entry = {
+      sequence: this.entries.length,
+      documentId: documentId || null,
+      collectionId: document.collectionId || document.collection_id,
+      kind,
+      contentHash: this.contentHash(document.fields),
+      writtenAt: new Date().toISOString(),
+      previousHash: this.getHeadHash()
+    };
+    entry.hash = this.linkHash(entry);
+
+    this.log.append(entry);
+    this.entries.push(entry);
+
+    return entry;
+  }
+
+  /**
+   * Check that every entry links to the one before it
+   * Returns { valid, brokenAt } where brokenAt is the first bad sequence number
+   */
+  verifyChain() {
+    let previousHash = GENESIS_HASH;
+
+    for (let i = 0; i < this.entries.length; i++) {
+      const entry = this.entries[i];
+      if (entry.sequence !== i || entry.previousHash !== previousHash || entry.hash !== this.linkHash(entry)) {
+        return { valid: false, brokenAt: i };
+      }
+      previousHash = entry.hash;
+    }
+
+    return { valid: true, brokenAt: null };
+  }
+
+  getCollectionIds() {
+    return Array.from(new Set(this.entries.map(entry => entry.collectionId)));
+  }
+
+  /**
+   * Compare the chain with documents fetched from Rubidex
+   * remoteByCollection: { [collectionId]: documents[] }
+   * - missing: written by us but no longer returned
+   * - altered: returned under our document id with different fields
+   * - unexpected: in a tracked collection, created after we started recording, but not written by us
+   */
+  verify(remoteByCollection) {
+    const chain = this.verifyChain();
+    const report = { matched: 0, missing: [], altered: [], unexpected: [] };
+    const claimed = new Set();
+
+    const remoteById = new Map();
+    const remoteByHash = new Map();
+    Object.entries(remoteByCollection).forEach(([collectionId, documents]) => {
+      documents.forEach(doc => {
+        if (doc.id) {
+          remoteById.set(doc.id, doc);
+        }
+        const key = `${collectionId}:${this.contentHash(doc.fields)}`;
+        if (!remoteByHash.has(key)) {
+          remoteByHash.set(key, []);
+        }
+        remoteByHash.get(key).push(doc);
+      });
+    });
+
+    this.entries.forEach(entry => {
+      const summary = {
+        sequence: entry.sequence,
+        documentId: entry.documentId,
+        collectionId: entry.collectionId,
+        kind: entry.kind,
+        writtenAt: entry.writtenAt
+      };
+
+      if (entry.documentId) {
+        const doc = remoteById.get(entry.documentId);
+        if (!doc) {
+          report.missing.push(summary);
+          return;
+        }
+        claimed.add(doc);
+
+        const actualHash = this.contentHash(doc.fields);
+        if (actualHash !== entry.contentHash) {
+          report.altered.push({ ...summary, expectedHash: entry.contentHash, actualHash });
+          return;
+        }
+        report.matched++;
+        return;
+      }
+
+      // No id came back when this was written, so match on content instead
+      const candidates = (remoteByHash.get(`${entry.collectionId}:${entry.contentHash}`) || [])
+        .filter(doc => !claimed.has(doc));
+      if (candidates.length === 0) {
+        report.missing.push(summary);
+        return;
+      }
+      claimed.add(candidates[0]);
+      report.matched++;
+    });
+
+    const startedAt = this.entries.length > 0 ? new Date(this.entries[0].writtenAt) : null;
+    Object.entries(remoteByCollection).forEach(([collectionId, documents]) => {
+      documents.forEach(doc => {
+        if (claimed.has(doc) || !startedAt) {
+          return;
+        }
+        const createdAt = new Date(doc.creation_date || doc.creationDate || doc.update_date || doc.updateDate || 0);
+        if (createdAt >= startedAt) {
+          report.unexpected.push({
+            documentId: doc.id || null,
+            collectionId,
+            createdAt: createdAt.toISOString(),
+            contentHash: this.contentHash(doc.fields)
+          });
+        }
+      });
+    });
+
+    return {
+      verified: chain.valid && report.missing.length === 0 && report.altered.length === 0 && report.unexpected.length === 0,
+      checkedAt: new Date().toISOString(),
+      chain: {
+        entries: this.entries.length,
+        valid: chain.valid,
+        brokenAt: chain.brokenAt,
+        headHash: this.getHeadHash()
+      },
+      summary: {
+        matched: report.matched,
+        missing: report.missing.length,
+        altered: report.altered.length,
+        unexpected: report.unexpected.length
+      },
+      missing: report.missing,
+      altered: report.altered,
+      unexpected: report.unexpected
+    };
+  }
+}
+
+module.exports = new LedgerChain();
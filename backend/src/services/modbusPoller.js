@@ -0,0 +1,315 @@
+const crypto = require('crypto');
+const JsonStore = require('../utils/jsonStore');
+const readingPipeline = require('./readingPipeline');
+const deviceRegistry = require('./deviceRegistry');
+const { getDeviceType } = require('../config/deviceTypes');
+const { ModbusTcpClient, decodeRegisters, DATA_TYPE_SIZES, FUNCTION_CODES, MAX_READ_REGISTERS } = require('../utils/modbusTcp');
+
+const WORD_ORDERS = ['big', 'little'];
+// Unused registers a read may span to join two points; some devices reject reads of unmapped addresses
+const MAX_READ_GAP = 8;
+
+/**
+ * Modbus Poller - reads building equipment over Modbus TCP on a schedule
+ * A source is one Modbus server (host, port, unit id) polled every `interval`
+ * seconds. Each of its points maps a register (holding or input table, 0-based
+ * address, data type) to a registered device: the raw value is scaled
+ * (`value * scale + offset`), given in `unit` (converted to the device type's
+ * unit by the pipeline, e.g. °F → °C) and ingested like any other reading.
+ * Points next to each other are read in a single request.
+ */
+class ModbusPoller {
+  constructor() {
+    this.defaultInterval = parseInt(process.env.MODBUS_DEFAULT_INTERVAL) || 60; // seconds
+    this.timeout = parseInt(process.env.MODBUS_TIMEOUT_MS) || 5000;
+
+    this.store = new JsonStore('modbus-sources');
+    this.sources = new Map(this.store.load([]).map(source => [source.id, source]));
+
+    this.io = null;
+    this.started = false;
+    // sourceId -> { timer, client, polling }
+    this.runners = new Map();
+    // sourceId -> { lastPollAt, lastSuccessAt, lastError, consecutiveFailures, values }
+    this.status = new Map();
+  }
+
+  persist() {
+    this.store.save(Array.from(this.sources.values()));
+  }
+
+  /**
+   * Start polling every enabled source
+   */
+  start(io) {
+    this.io = io;
+
+    if (this.started) {
+      return;
+    }
+    this.started = true;
+
+    this.sources.forEach(source => this.schedule(source));
+    console.log(`🏭 Modbus poller started (${this.sources.size} sources)`);
+  }
+
+  stop() {
+    Array.from(this.runners.keys()).forEach(sourceId => this.unschedule(sourceId));
+    this.started = false;
+  }
+
+  schedule(source) {
+    this.unschedule(source.id);
+    if (!this.started || !source.enabled) {
+      return;
+    }
+
+    const runner = {
+      client: new ModbusTcpClient({ host: source.host, port: source.port, timeout: this.timeout }),
+      polling: false,
+      timer: null
+    };
+    runner.timer = setInterval(() => {
+      this.poll(source.id).catch(error => console.error(`❌ Modbus poll of ${source.name} failed:`, error.message));
+    }, source.interval * 1000);
+    runner.timer.unref();
+
+    this.runners.set(source.id, runner);
+  }
+
+  unschedule(sourceId) {
+    const runner = this.runners.get(sourceId);
+    if (runner) {
+      clearInterval(runner.timer);
+      runner.client.close();
+      this.runners.delete(sourceId);
+    }
+  }
+
+  // Sources
+
+  getSources() {
+    return Array.from(this.sources.values()).map(source => ({
+      ...source,
+      status: this.status.get(source.id) || null
+    }));
+  }
+
+  getSource(sourceId) {
+    return this.sources.get(sourceId) || null;
+  }
+
+  /**
+   * Validate a source, returning a list of error messages
+   */
+  validateSource(data) {
+    const errors = [];
+
+    if (typeof data.name !== 'string' || !data.name.trim()) {
+      errors.push('name is required');
+    }
+    if (typeof data.host !== 'string' || !data.host.trim()) {
+      errors.push('host is required');
+    }
+    if (data.port !== undefined && !(parseInt(data.port) > 0 && parseInt(data.port) < 65536)) {
+      errors.push('port must be between 1 and 65535');
+    }
+    if (data.unitId !== undefined && !(parseInt(data.unitId) >= 0 && parseInt(data.unitId) <= 255)) {
+      errors.push('unitId must be between 0 and 255');
+    }
+    if (data.interval !== undefined && !(parseInt(data.interval) >= 1)) {
+      errors.push('interval must be at least 1 second');
+    }
+    if (!Array.isArray(data.points) || data.points.length === 0) {
+      errors.push('points must be a non-empty array');
+      return errors;
+    }
+
+    data.points.forEach((point, index) => {
+      const label = `points[${index}]`;
+      const device = deviceRegistry.getDevice(point.deviceId);
+      if (!device) {
+        errors.push(`${label}.deviceId must be a registered device`);
+      }
+      if (!FUNCTION_CODES[point.table || 'holding']) {
+        errors.push(`${label}.table must be one of: ${Object.keys(FUNCTION_CODES).join(', ')}`);
+      }
+      if (!(parseInt(point.address) >= 0 && parseInt(point.address) <= 0xffff)) {
+        errors.push(`${label}.address must be between 0 and 65535`);
+      }
+      if (!DATA_TYPE_SIZES[point.dataType || 'uint16']) {
+        errors.push(`${label}.dataType must be one of: ${Object.keys(DATA_TYPE_SIZES).join(', ')}`);
+      }
+      if (point.wordOrder !== undefined && !WORD_ORDERS.includes(point.wordOrder)) {
+        errors.push(`${label}.wordOrder must be one of: ${WORD_ORDERS.join(', ')}`);
+      }
+      ['scale', 'offset'].forEach(field => {
+        if (point[field] !== undefined && isNaN(parseFloat(point[field]))) {
+          errors.push(`${label}.${field} must be a number`);
+        }
+      });
+      if (device && point.unit !== undefined && !getDeviceType(device.type).units[point.unit]) {
+        errors.push(`${label}.unit for ${device.type} must be one of: ${Object.keys(getDeviceType(device.type).units).join(', ')}`);
+      }
+    });
+
+    return errors;
+  }
+
+  sanitizeSource(data) {
+    return {
+      name: data.name.trim(),
+      host: data.host.trim(),
+      port: parseInt(data.port) || 502,
+      unitId: data.unitId !== undefined ? parseInt(data.unitId) : 1,
+      interval: parseInt(data.interval) || this.defaultInterval,
+      enabled: data.enabled !== false,
+      points: data.points.map(point => ({
+        deviceId: point.deviceId,
+        table: point.table || 'holding',
+        address: parseInt(point.address),
+        dataType: point.dataType || 'uint16',
+        wordOrder: point.wordOrder || 'big',
+        scale: point.scale !== undefined ? parseFloat(point.scale) : 1,
+        offset: point.offset !== undefined ? parseFloat(point.offset) : 0,
+        unit: point.unit || null
+      }))
+    };
+  }
+
+  createSource(data) {
+    const source = { id: crypto.randomUUID(), ...this.sanitizeSource(data) };
+    this.sources.set(source.id, source);
+    this.persist();
+    this.schedule(source);
+    console.log(`🏭 Modbus source added: ${source.name} (${source.host}:${source.port}, ${source.points.length} points)`);
+    return source;
+  }
+
+  updateSource(sourceId, data) {
+    if (!this.sources.has(sourceId)) {
+      return null;
+    }
+    const source = { id: sourceId, ...this.sanitizeSource(data) };
+    this.sources.set(sourceId, source);
+    this.status.delete(sourceId);
+    this.persist();
+    this.schedule(source);
+    return source;
+  }
+
+  deleteSource(sourceId) {
+    if (!this.sources.has(sourceId)) {
+      return false;
+    }
+    this.unschedule(sourceId);
+    this.sources.delete(sourceId);
+    this.status.delete(sourceId);
+    this.persist();
+    return true;
+  }
+
+  // Polling
+
+  /**
+   * Group points into as few read requests as possible: same table, close
+   * together, and the registers between them fit in one request
+   */
+  planReads(points) {
+    const blocks = [];
+    const sorted = points
+      .map(point => ({ ...point, size: DATA_TYPE_SIZES[point.dataType] }))
+      .sort((a, b) => a.table.localeCompare(b.table) || a.address - b.address);
+
+    sorted.forEach(point => {
+      const block = blocks[blocks.length - 1];
+      const end = point.address + point.size;
+      const joins = block && block.table === point.table &&
+        point.address - (block.address + block.count) <= MAX_READ_GAP &&
+        end - block.address <= MAX_READ_REGISTERS;
+      if (joins) {
+        block.count = Math.max(block.count, end - block.address);
+        block.points.push(point);
+      } else {
+        blocks.push({ table: point.table, address: point.address, count: point.size, points: [point] });
+      }
+    });
+
+    return blocks;
+  }
+
+  /**
+   * Read every point of a source once and ingest the values
+   * Returns the readings taken; a failed read is recorded in the source status.
+   */
+  async poll(sourceId) {
+    const source = this.sources.get(sourceId);
+    if (!source) {
+      return null;
+    }
+
+    // Manual polls of disabled sources use a one-off connection
+    const runner = this.runners.get(sourceId) || {
+      client: new ModbusTcpClient({ host: source.host, port: source.port, timeout: this.timeout }),
+      temporary: true
+    };
+    if (runner.polling) {
+      return [];
+    }
+    runner.polling = true;
+
+    const status = this.status.get(sourceId) || { lastPollAt: null, lastSuccessAt: null, lastError: null, consecutiveFailures: 0, values: {} };
+    status.lastPollAt = new Date().toISOString();
+    this.status.set(sourceId, status);
+
+    const readings = [];
+    try {
+      for (const block of this.planReads(source.points)) {
+        const registers = await runner.client.readRegisters(source.unitId, block.table, block.address, block.count);
+        const timestamp = new Date().toISOString();
+
+        for (const point of block.points) {
+          const start = point.address - block.address;
+          const raw = decodeRegisters(registers.slice(start, start + point.size), point.dataType, point.wordOrder);
+          const value = raw * point.scale + point.offset;
+
+          try {
+            const { reading } = await readingPipeline.ingestReading({
+              deviceId: point.deviceId,
+              value,
+              unit: point.unit || undefined,
+              timestamp
+            }, this.io);
+            status.values[point.deviceId] = { raw, value: reading.value, unit: reading.unit, at: timestamp };
+            readings.push(reading);
+          } catch (error) {
+            // One bad point (out of range, unknown device) shouldn't stop the rest
+            status.values[point.deviceId] = { raw, value, error: error.message, at: timestamp };
+            console.warn(`⚠️ Modbus ${source.name} ${point.table}[${point.address}] → ${point.deviceId}: ${error.message}`);
+          }
+        }
+      }
+
+      status.lastSuccessAt = new Date().toISOString();
+      status.lastError = null;
+      status.consecutiveFailures = 0;
+    } catch (error) {
+      status.lastError = error.message;
+      status.consecutiveFailures++;
+      if (status.consecutiveFailures === 1) {
+        console.error(`❌ Modbus source ${source.name} (${source.host}:${source.port}) failed:`, error.message);
+      }
+      // Start from a fresh connection next time
+      runner.client.close();
+    } finally {
+      runner.polling = false;
+      if (runner.temporary) {
+        runner.client.close();
+      }
+    }
+
+    return readings;
+  }
+}
+
+module.exports = new ModbusPoller();
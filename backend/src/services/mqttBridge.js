@@ -0,0 +1,321 @@
+const mqtt = require('mqtt');
+const readingPipeline = require('./readingPipeline');
+const alertService = require('./alertService');
+const commandService = require('./commandService');
+const deviceCredentials = require('./deviceCredentials');
+const { DEVICE_TYPE_NAMES, getMetricName, getTypeForMetric } = require('../config/deviceTypes');
+
+// Topics the bridge publishes under a device; never treated as readings
+const OUTBOUND_TOPICS = ['state', 'alert', 'error', 'command'];
+// Devices acknowledge commands here
+const COMMAND_ACK_TOPIC = 'command_ack';
+
+/**
+ * MQTT Bridge - lets sensors publish readings to a broker instead of calling HTTPS
+ * Subscribes to `<prefix>/<building>/<deviceId>/<metric>` where metric is a device
+ * type (`temperature`, `water_level`, `gas_level`, ...). Payloads are JSON
+ * `{ value, unit?, timestamp?, id?, key }` (or a bare number when keys are switched
+ * off) and go through the reading pipeline
+ * like `POST /api/readings`. The bridge publishes back under the same device:
+ * `state` (retained status after each reading), `alert` (alert changes) and
+ * `error` (rejected payloads), and sends equipment commands on `command`; devices
+ * answer on `command_ack` with `{ id, status: 'ok' | 'error', result?, error?, key? }`.
+ * Disabled unless MQTT_URL is set.
+ * Every payload must carry a `key`, checked like `X-Device-Key`, that belongs to
+ * the topic's device. Anyone with broker credentials can publish to any topic, so
+ * only set MQTT_REQUIRE_DEVICE_KEY=false when broker ACLs already scope each
+ * device's credentials to its own topics.
+ */
+class MqttBridge {
+  constructor() {
+    this.url = process.env.MQTT_URL || null;
+    // For logs and status, without credentials
+    this.displayUrl = this.url ? this.url.replace(/\/\/[^@/]*@/, '//') : null;
+    this.prefix = (process.env.MQTT_TOPIC_PREFIX || 'bbms').replace(/\/+$/, '');
+    this.defaultBuilding = process.env.MQTT_DEFAULT_BUILDING || 'default';
+    this.qos = this.parseQos(process.env.MQTT_QOS);
+    this.requireDeviceKey = process.env.MQTT_REQUIRE_DEVICE_KEY !== 'false';
+
+    this.client = null;
+    this.io = null;
+    // deviceId -> building it last reported from, so alerts go back to the same topic tree
+    this.buildings = new Map();
+    this.stats = { received: 0, ingested: 0, rejected: 0, lastMessageAt: null };
+  }
+
+  // 0 is a valid QoS; anything but 0, 1 or 2 falls back to 1
+  parseQos(value) {
+    if (value === undefined || value === '') {
+      return 1;
+    }
+    const qos = Number(value);
+    if (![0, 1, 2].includes(qos)) {
+      console.warn(`⚠️ MQTT_QOS must be 0, 1 or 2 (got "${value}"), using 1`);
+      return 1;
+    }
+    return qos;
+  }
+
+  isEnabled() {
+    return !!this.url;
+  }
+
+  /**
+   * Connect and subscribe. Resolves once subscribed (or immediately when disabled).
+   */
+  start(io) {
+    this.io = io;
+
+    if (!this.isEnabled() || this.client) {
+      return Promise.resolve();
+    }
+
+    this.client = mqtt.connect(this.url, {
+      clientId: process.env.MQTT_CLIENT_ID || `bbms-backend-${process.pid}`,
+      username: process.env.MQTT_USERNAME || undefined,
+      password: process.env.MQTT_PASSWORD || undefined,
+      reconnectPeriod: 5000
+    });
+
+    this.client.on('message', (topic, payload) => {
+      this.handleMessage(topic, payload)
+        .catch(error => console.error(`❌ MQTT message on ${topic} failed:`, error.message));
+    });
+    this.client.on('reconnect', () => console.warn('⚠️ MQTT reconnecting...'));
+    this.client.on('error', error => console.error('❌ MQTT error:', error.message));
+
+    alertService.onChange((alert, action) => this.publishAlert(alert, action));
+    commandService.onChange((command, action) => {
+      if (action === 'sent') {
+        this.publishCommand(command);
+      }
+    });
+
+    return new Promise(resolve => {
+      this.client.on('connect', () => {
+        const topic = `${this.prefix}/+/+/+`;
+        this.client.subscribe(topic, { qos: this.qos }, error => {
+          if (error) {
+            console.error(`❌ MQTT subscribe to ${topic} failed:`, error.message);
+          } else {
+            console.log(`📡 MQTT bridge connected to ${this.displayUrl}, listening on ${topic}`);
+          }
+          resolve();
+        });
+      });
+    });
+  }
+
+  stop() {
+    if (!this.client) {
+      return Promise.resolve();
+    }
+    const client = this.client;
+    this.client = null;
+    return new Promise(resolve => client.end(false, {}, () => resolve()));
+  }
+
+  /**
+   * Split a topic into its parts, or null when it isn't a reading topic
+   */
+  parseTopic(topic) {
+    const parts = topic.split('/');
+    if (parts.length !== 4 || parts[0] !== this.prefix) {
+      return null;
+    }
+    const [, building, deviceId, metric] = parts;
+    if (OUTBOUND_TOPICS.includes(metric)) {
+      return null;
+    }
+    return { building, deviceId, metric };
+  }
+
+  /**
+   * Parse a payload: a bare number, or JSON with at least a value
+   * Returns { data } or { error }
+   */
+  parsePayload(payload) {
+    const text = payload.toString('utf8').trim();
+    if (!text) {
+      return { error: 'payload is empty' };
+    }
+
+    if (!text.startsWith('{')) {
+      const value = Number(text);
+      return isNaN(value) ? { error: 'payload must be a number or a JSON object' } : { data: { value } };
+    }
+
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      return { error: 'payload is not valid JSON' };
+    }
+    if (data.value === undefined || data.value === null || data.value === '' || isNaN(Number(data.value))) {
+      return { error: 'value must be a number' };
+    }
+    if (data.timestamp !== undefined && isNaN(new Date(data.timestamp).getTime())) {
+      return { error: 'timestamp must be a valid date' };
+    }
+    return { data: { ...data, value: Number(data.value) } };
+  }
+
+  async handleMessage(topic, payload) {
+    const target = this.parseTopic(topic);
+    if (!target) {
+      return;
+    }
+
+    this.stats.received++;
+    this.stats.lastMessageAt = new Date().toISOString();
+
+    if (target.metric === COMMAND_ACK_TOPIC) {
+      return this.handleCommandAck(target, payload);
+    }
+
+    const type = getTypeForMetric(target.metric);
+    const { data, error } = type ? this.parsePayload(payload) : { error: `unknown metric ${target.metric}` };
+    if (error) {
+      return this.reject(target, error);
+    }
+
+    const keyError = this.checkDeviceKey(target.deviceId, data.key);
+    if (keyError) {
+      return this.reject(target, keyError);
+    }
+
+    this.buildings.set(target.deviceId, target.building);
+
+    try {
+      const { reading, status, late } = await readingPipeline.ingestReading({
+        deviceId: target.deviceId,
+        type,
+        value: data.value,
+        unit: data.unit,
+        timestamp: data.timestamp,
+        // Publishers retrying at QoS 1 resend the same id
+        idempotencyKey: data.id ? `mqtt:${target.deviceId}:${data.id}` : undefined
+      }, this.io);
+
+      this.stats.ingested++;
+      // A backlogged reading must not replace the retained current state
+      if (late) {
+        return;
+      }
+      this.publish(target.building, target.deviceId, 'state', {
+        deviceId: reading.deviceId,
+        type: reading.type,
+        value: reading.value,
+        unit: reading.unit,
+        status,
+        timestamp: reading.timestamp
+      }, { retain: true });
+    } catch (ingestError) {
+      if (ingestError.validationErrors) {
+        return this.reject(target, ingestError.validationErrors.join(', '));
+      }
+      throw ingestError;
+    }
+  }
+
+  /**
+   * Error message when the payload's device key is missing (unless keys are
+   * switched off), invalid or for another device, else null
+   */
+  checkDeviceKey(deviceId, key) {
+    if (!key) {
+      return this.requireDeviceKey ? 'key is required' : null;
+    }
+    const result = deviceCredentials.verifyApiKey(key);
+    if (result.error) {
+      return result.error;
+    }
+    if (result.deviceId !== deviceId) {
+      return `Device key for ${result.deviceId} cannot write readings for ${deviceId}`;
+    }
+    return null;
+  }
+
+  async handleCommandAck(target, payload) {
+    let data;
+    try {
+      data = JSON.parse(payload.toString('utf8'));
+    } catch (error) {
+      return this.reject(target, 'payload is not valid JSON');
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return this.reject(target, 'payload must be a JSON object');
+    }
+
+    const keyError = this.checkDeviceKey(target.deviceId, data.key);
+    if (keyError) {
+      return this.reject(target, keyError);
+    }
+    // Only the device a command was sent to may acknowledge it
+    const command = commandService.getCommand(data.id);
+    if (!command || command.deviceId !== target.deviceId) {
+      return this.reject(target, `unknown command ${data.id}`);
+    }
+
+    const result = await commandService.acknowledge(data.id, data);
+    if (result.error) {
+      return this.reject(target, result.error);
+    }
+  }
+
+  reject(target, error) {
+    this.stats.rejected++;
+    console.warn(`⚠️ Rejected MQTT message for ${target.deviceId}/${target.metric}: ${error}`);
+    this.publish(target.building, target.deviceId, 'error', {
+      metric: target.metric,
+      error,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  publishAlert(alert, action) {
+    const building = this.buildings.get(alert.deviceId) || this.defaultBuilding;
+    this.publish(building, alert.deviceId, 'alert', {
+      action,
+      id: alert.id,
+      type: alert.type,
+      title: alert.title,
+      message: alert.message,
+      severity: alert.severity,
+      state: alert.state,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  publishCommand(command) {
+    const building = this.buildings.get(command.deviceId) || this.defaultBuilding;
+    this.publish(building, command.deviceId, 'command', {
+      id: command.id,
+      command: command.command,
+      params: command.params,
+      ackDeadline: command.ackDeadline,
+      timestamp: command.sentAt
+    });
+  }
+
+  publish(building, deviceId, topic, message, { retain = false } = {}) {
+    if (!this.client || !this.client.connected) {
+      return;
+    }
+    this.client.publish(`${this.prefix}/${building}/${deviceId}/${topic}`, JSON.stringify(message), { qos: this.qos, retain });
+  }
+
+  getStatus() {
+    return {
+      enabled: this.isEnabled(),
+      connected: !!this.client?.connected,
+      url: this.displayUrl,
+      topic: `${this.prefix}/+/+/+`,
+      metrics: DEVICE_TYPE_NAMES.map(getMetricName),
+      requireDeviceKey: this.requireDeviceKey,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new MqttBridge();
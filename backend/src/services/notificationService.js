@@ -0,0 +1,505 @@
+const crypto = require('crypto');
+const JsonStore = require('../utils/jsonStore');
+const alertService = require('./alertService');
+const deviceRegistry = require('./deviceRegistry');
+const emailChannel = require('./channels/emailChannel');
+const smsChannel = require('./channels/smsChannel');
+const webhookChannel = require('./channels/webhookChannel');
+const apnsChannel = require('./channels/apnsChannel');
+
+// Alert changes a subscription can ask for
+const NOTIFICATION_EVENTS = ['created', 'escalated', 'downgraded', 'escalation', 'flapping', 'acknowledged', 'assigned', 'commented', 'resolved'];
+const DEFAULT_EVENTS = ['created', 'escalated', 'escalation', 'resolved'];
+const SEVERITIES = ['critical', 'warning', 'info'];
+const PUSH_ENVIRONMENTS = ['production', 'sandbox'];
+
+/**
+ * Notification Service - delivers alert changes to people who aren't connected
+ * Users subscribe a channel address (email, phone, webhook URL) with optional
+ * device, zone and severity filters. Channels are pluggable: anything with
+ * `name`, `isConfigured()`, `validateAddress()` and `send(address, message, subscription)`
+ * can be registered. Escalation pages also go straight to the paged user's
+ * email/phone when known.
+ * iOS devices register push tokens per user; each registration carries its own
+ * events/filters like a subscription and also receives escalations paging its
+ * user or their role.
+ */
+class NotificationService {
+  constructor() {
+    this.historySize = parseInt(process.env.NOTIFICATION_HISTORY) || 200;
+
+    this.channels = new Map();
+    [emailChannel, smsChannel, webhookChannel, apnsChannel].forEach(channel => this.registerChannel(channel));
+
+    this.store = new JsonStore('notification-subscriptions');
+    this.subscriptions = new Map(this.store.load([]).map(subscription => [subscription.id, subscription]));
+    this.deviceStore = new JsonStore('push-devices');
+    this.devices = new Map(this.deviceStore.load([]).map(device => [device.id, device]));
+    // Recent delivery attempts, newest last
+    this.deliveries = [];
+    this.started = false;
+  }
+
+  registerChannel(channel) {
+    this.channels.set(channel.name, channel);
+  }
+
+  getChannels() {
+    return Array.from(this.channels.values()).map(channel => ({
+      name: channel.name,
+      configured: channel.isConfigured()
+    }));
+  }
+
+  /**
+   * Start delivering alert changes
+   */
+  start() {
+    if (this.started) {
+      return;
+    }
+    this.started = true;
+
+    alertService.onChange((alert, action) => {
+      // Don't hold up the alert flow on slow SMTP/HTTP
+      this.dispatch(alert, action)
+        .catch(error => console.error(`❌ Notification dispatch failed for alert ${alert.id}:`, error.message));
+    });
+
+    const channels = this.getChannels().map(channel => `${channel.name}${channel.configured ? '' : ' (not configured)'}`);
+    console.log(`📣 Notifications started: ${channels.join(', ')}; ${this.subscriptions.size} subscriptions, ${this.devices.size} push devices`);
+  }
+
+  // Subscriptions
+
+  persist() {
+    this.store.save(Array.from(this.subscriptions.values()));
+  }
+
+  /**
+   * Validate a subscription, returning a list of error messages
+   */
+  validateSubscription(data, { partial = false } = {}) {
+    const errors = [];
+    const channel = this.channels.get(data.channel);
+
+    if (!partial || data.channel !== undefined) {
+      if (!channel || channel.subscribable === false) {
+        const names = Array.from(this.channels.values()).filter(item => item.subscribable !== false).map(item => item.name);
+        errors.push(`channel must be one of: ${names.join(', ')}`);
+      }
+    }
+    if (channel && (!partial || data.address !== undefined)) {
+      const addressError = channel.validateAddress(data.address);
+      if (addressError) {
+        errors.push(addressError);
+      }
+    }
+    if (data.format !== undefined && !webhookChannel.formats.includes(data.format)) {
+      errors.push(`format must be one of: ${webhookChannel.formats.join(', ')}`);
+    }
+    errors.push(...this.validateTargeting(data));
+
+    return errors;
+  }
+
+  /**
+   * Validate events and filters (shared by subscriptions and push devices)
+   */
+  validateTargeting(data) {
+    const errors = [];
+
+    if (data.events !== undefined) {
+      if (!Array.isArray(data.events) || data.events.some(event => !NOTIFICATION_EVENTS.includes(event))) {
+        errors.push(`events must be a list of: ${NOTIFICATION_EVENTS.join(', ')}`);
+      }
+    }
+    if (data.filters !== undefined) {
+      const filters = data.filters || {};
+      ['deviceIds', 'zones', 'severities'].forEach(key => {
+        if (filters[key] !== undefined && !Array.isArray(filters[key])) {
+          errors.push(`filters.${key} must be an array`);
+        }
+      });
+      if (Array.isArray(filters.severities) && filters.severities.some(severity => !SEVERITIES.includes(severity))) {
+        errors.push(`filters.severities must be a list of: ${SEVERITIES.join(', ')}`);
+      }
+    }
+
+    return errors;
+  }
+
+  sanitizeFilters(filters = {}) {
+    return {
+      deviceIds: filters.deviceIds || [],
+      zones: filters.zones || [],
+      severities: filters.severities || []
+    };
+  }
+
+  getSubscriptions({ ownerId } = {}) {
+    return Array.from(this.subscriptions.values())
+      .filter(subscription => !ownerId || subscription.ownerId === ownerId);
+  }
+
+  getSubscription(subscriptionId) {
+    return this.subscriptions.get(subscriptionId) || null;
+  }
+
+  createSubscription(data, owner) {
+    const now = new Date().toISOString();
+    const subscription = {
+      id: crypto.randomUUID(),
+      ownerId: owner.id,
+      ownerName: owner.name || owner.email || owner.id,
+      channel: data.channel,
+      address: data.address,
+      format: data.channel === 'webhook' ? (data.format || 'json') : null,
+      // Webhook receivers verify X-BBMS-Signature with this
+      secret: data.channel === 'webhook' ? crypto.randomBytes(32).toString('hex') : null,
+      events: data.events || DEFAULT_EVENTS,
+      filters: this.sanitizeFilters(data.filters),
+      enabled: data.enabled !== false,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.subscriptions.set(subscription.id, subscription);
+    this.persist();
+    console.log(`📣 ${subscription.ownerName} subscribed ${subscription.channel} ${subscription.address}`);
+
+    return subscription;
+  }
+
+  updateSubscription(subscriptionId, data) {
+    const subscription = this.subscriptions.get(subscriptionId);
+    if (!subscription) {
+      return null;
+    }
+
+    if (data.address !== undefined) subscription.address = data.address;
+    if (data.format !== undefined && subscription.channel === 'webhook') subscription.format = data.format;
+    if (data.events !== undefined) subscription.events = data.events;
+    if (data.filters !== undefined) subscription.filters = this.sanitizeFilters(data.filters);
+    if (data.enabled !== undefined) subscription.enabled = data.enabled !== false;
+    if (data.rotateSecret && subscription.channel === 'webhook') {
+      subscription.secret = crypto.randomBytes(32).toString('hex');
+    }
+    subscription.updatedAt = new Date().toISOString();
+
+    this.persist();
+    return subscription;
+  }
+
+  deleteSubscription(subscriptionId) {
+    const deleted = this.subscriptions.delete(subscriptionId);
+    if (deleted) {
+      this.persist();
+    }
+    return deleted;
+  }
+
+  // Push devices
+
+  persistDevices() {
+    this.deviceStore.save(Array.from(this.devices.values()));
+  }
+
+  /**
+   * Validate a push device registration, returning a list of error messages
+   */
+  validateDevice(data, { partial = false } = {}) {
+    const errors = [];
+
+    if (!partial) {
+      const tokenError = apnsChannel.validateAddress(data.token);
+      if (tokenError) {
+        errors.push(tokenError);
+      }
+    }
+    if (data.environment !== undefined && !PUSH_ENVIRONMENTS.includes(data.environment)) {
+      errors.push(`environment must be one of: ${PUSH_ENVIRONMENTS.join(', ')}`);
+    }
+    errors.push(...this.validateTargeting(data));
+
+    return errors;
+  }
+
+  getDevices({ userId } = {}) {
+    return Array.from(this.devices.values())
+      .filter(device => !userId || device.userId === userId);
+  }
+
+  getDevice(deviceId) {
+    return this.devices.get(deviceId) || null;
+  }
+
+  findDeviceByToken(token) {
+    const normalized = String(token || '').toLowerCase();
+    return Array.from(this.devices.values()).find(device => device.token === normalized) || null;
+  }
+
+  /**
+   * Register a push token for a user. A token the user already registered (the
+   * app re-registers on every launch) is updated in place rather than duplicated;
+   * one registered to someone else has to be unregistered by them (on sign-out)
+   * or an admin first, so nobody can take over another person's alerts.
+   * Returns { device, created } or { error, code }
+   */
+  registerDevice(data, user) {
+    const now = new Date().toISOString();
+    const token = data.token.toLowerCase();
+    const existing = this.findDeviceByToken(token);
+    if (existing && existing.userId !== user.id) {
+      return { error: 'Device token is registered to another user; it must be unregistered first', code: 409 };
+    }
+
+    const device = {
+      id: existing?.id || crypto.randomUUID(),
+      userId: user.id,
+      userName: user.name || user.email || user.id,
+      // Lets role-targeted escalation steps reach the user's phone
+      role: user.role || null,
+      token,
+      platform: 'ios',
+      environment: data.environment || 'production',
+      name: data.name || existing?.name || null,
+      events: data.events || existing?.events || DEFAULT_EVENTS,
+      filters: data.filters !== undefined || !existing ? this.sanitizeFilters(data.filters) : existing.filters,
+      enabled: data.enabled !== undefined ? data.enabled !== false : existing?.enabled !== false,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    };
+
+    this.devices.set(device.id, device);
+    this.persistDevices();
+    if (!existing) {
+      console.log(`📲 ${device.userName} registered push device ${device.name || device.id}`);
+    }
+
+    return { device, created: !existing };
+  }
+
+  updateDevice(deviceId, data) {
+    const device = this.devices.get(deviceId);
+    if (!device) {
+      return null;
+    }
+
+    if (data.environment !== undefined) device.environment = data.environment;
+    if (data.name !== undefined) device.name = data.name || null;
+    if (data.events !== undefined) device.events = data.events;
+    if (data.filters !== undefined) device.filters = this.sanitizeFilters(data.filters);
+    if (data.enabled !== undefined) device.enabled = data.enabled !== false;
+    device.updatedAt = new Date().toISOString();
+
+    this.persistDevices();
+    return device;
+  }
+
+  deleteDevice(deviceId) {
+    const deleted = this.devices.delete(deviceId);
+    if (deleted) {
+      this.persistDevices();
+    }
+    return deleted;
+  }
+
+  /**
+   * Push devices paged by an escalation step: the user's own, or everyone in the role
+   */
+  getPagedDevices(recipient) {
+    return this.getDevices().filter(device => device.enabled && (
+      (recipient.userId && device.userId === recipient.userId) ||
+      (recipient.type === 'role' && device.role === recipient.role)
+    ));
+  }
+
+  /**
+   * Does a subscription (or push device) want this alert change?
+   */
+  matches(subscription, alert, action) {
+    if (!subscription.enabled || !subscription.events.includes(action)) {
+      return false;
+    }
+
+    const { deviceIds, zones, severities } = subscription.filters;
+    const zone = deviceRegistry.getDevice(alert.deviceId)?.zone;
+
+    return (deviceIds.length === 0 || deviceIds.includes(alert.deviceId)) &&
+      (zones.length === 0 || zones.includes(zone)) &&
+      (severities.length === 0 || severities.includes(alert.severity));
+  }
+
+  // Delivery
+
+  buildMessage(alert, action) {
+    const latest = alert.history[alert.history.length - 1];
+    const note = latest?.action === action ? latest.note : null;
+    const headlines = {
+      created: alert.title,
+      escalated: `${alert.title} escalated to ${alert.severity}`,
+      downgraded: `${alert.title} downgraded to ${alert.severity}`,
+      escalation: `Unacknowledged: ${alert.title}`,
+      flapping: `${alert.title} is flapping`,
+      acknowledged: `${alert.title} acknowledged by ${latest?.actor?.name}`,
+      assigned: `${alert.title} assigned to ${alert.assignee?.name}`,
+      commented: `New comment on ${alert.title}`,
+      resolved: `Resolved: ${alert.title}`
+    };
+
+    return {
+      event: action,
+      title: headlines[action] || alert.title,
+      text: note && action !== 'assigned' ? `${alert.message} ${note}`.trim() : alert.message,
+      severity: action === 'resolved' ? 'success' : alert.severity,
+      details: [
+        { label: 'Device', value: `${alert.deviceName} (${alert.deviceId})` },
+        { label: 'Location', value: alert.location },
+        { label: 'Severity', value: alert.severity },
+        { label: 'State', value: alert.state },
+        { label: 'Alert ID', value: alert.id }
+      ],
+      alert: {
+        id: alert.id,
+        type: alert.type,
+        deviceId: alert.deviceId,
+        severity: alert.severity,
+        state: alert.state,
+        assignee: alert.assignee,
+        createdAt: alert.createdAt
+      },
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Send an alert change to every matching subscription (and paged users for escalations)
+   */
+  async dispatch(alert, action) {
+    const message = this.buildMessage(alert, action);
+    const targets = this.getSubscriptions()
+      .filter(subscription => this.matches(subscription, alert, action))
+      .map(subscription => ({ channel: subscription.channel, address: subscription.address, subscription }));
+
+    this.getDevices()
+      .filter(device => this.matches(device, alert, action))
+      .forEach(device => targets.push({ channel: 'push', address: device.token, subscription: device }));
+
+    if (action === 'escalation' && alert.escalation?.steps.length > 0) {
+      const step = alert.escalation.steps[alert.escalation.steps.length - 1];
+      step.recipients.forEach(recipient => {
+        if (recipient.email) targets.push({ channel: 'email', address: recipient.email, subscription: null });
+        if (recipient.phone) targets.push({ channel: 'sms', address: recipient.phone, subscription: null });
+        this.getPagedDevices(recipient).forEach(device => {
+          targets.push({ channel: 'push', address: device.token, subscription: device });
+        });
+      });
+    }
+
+    // One message per address even if several subscriptions match
+    const seen = new Set();
+    const unique = targets.filter(target => {
+      const key = `${target.channel}:${target.address}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    return Promise.all(unique.map(target => this.deliver(target.channel, target.address, message, target.subscription, alert.id)));
+  }
+
+  async deliver(channelName, address, message, subscription = null, alertId = null) {
+    const channel = this.channels.get(channelName);
+    const delivery = {
+      id: crypto.randomUUID(),
+      channel: channelName,
+      address,
+      subscriptionId: subscription?.id || null,
+      alertId,
+      event: message.event,
+      status: 'sent',
+      error: null,
+      at: new Date().toISOString()
+    };
+
+    if (!channel || !channel.isConfigured()) {
+      delivery.status = 'skipped';
+      delivery.error = `${channelName} channel is not configured`;
+    } else {
+      try {
+        await channel.send(address, message, subscription);
+      } catch (error) {
+        delivery.status = 'failed';
+        delivery.error = error.response ? `HTTP ${error.response.status}: ${error.message}` : error.message;
+        console.error(`❌ ${channelName} notification to ${address} failed:`, delivery.error);
+
+        // Push tokens die when the app is removed; stop sending to them
+        if (error.invalidAddress && channelName === 'push') {
+          const device = this.findDeviceByToken(address);
+          if (device) {
+            this.deleteDevice(device.id);
+            console.log(`📲 Removed push device ${device.name || device.id} of ${device.userName}: ${delivery.error}`);
+          }
+        }
+      }
+    }
+
+    this.deliveries.push(delivery);
+    if (this.deliveries.length > this.historySize) {
+      this.deliveries.shift();
+    }
+
+    return delivery;
+  }
+
+  /**
+   * Send a sample notification through a subscription
+   */
+  async sendTest(subscriptionId) {
+    const subscription = this.subscriptions.get(subscriptionId);
+    if (!subscription) {
+      return null;
+    }
+
+    const message = {
+      event: 'test',
+      title: 'BBMS test notification',
+      text: `Notifications for this ${subscription.channel} subscription are working.`,
+      severity: 'info',
+      details: [{ label: 'Subscription', value: subscription.id }],
+      alert: null,
+      timestamp: new Date().toISOString()
+    };
+
+    return this.deliver(subscription.channel, subscription.address, message, subscription);
+  }
+
+  /**
+   * Send a sample push notification to a registered device
+   */
+  async sendDeviceTest(deviceId) {
+    const device = this.devices.get(deviceId);
+    if (!device) {
+      return null;
+    }
+
+    const message = {
+      event: 'test',
+      title: 'BBMS test notification',
+      text: 'Push notifications for this device are working.',
+      severity: 'info',
+      details: [{ label: 'Device', value: device.name || device.id }],
+      alert: null,
+      timestamp: new Date().toISOString()
+    };
+
+    return this.deliver('push', device.token, message, device);
+  }
+
+  getDeliveries(limit = 50) {
+    return this.deliveries.slice(-limit).reverse();
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const readingPipeline = require('./readingPipeline');
+const { DEVICE_TYPE_NAMES, getDeviceType, getMetricName, getTypeForMetric } = require('../config/deviceTypes');
+
+// Event names firmware commonly publishes, on top of the metric names
+const DEFAULT_EVENT_ALIASES = {
+  temp: 'Temperature',
+  tempF: { type: 'Temperature', unit: '°F' },
+  humidity_temp: 'Temperature',
+  water: 'Water Level',
+  gas: 'Gas Level',
+  hvac: 'Air Conditioning',
+  light: 'Lighting',
+  motion: 'Security'
+};
+
+/**
+ * Particle Ingest - accepts Particle Cloud webhooks as device readings
+ * A Particle webhook posts `{ event, data, coreid, published_at, ttl? }` (as JSON or
+ * a web form). The event name picks the device type: a metric name
+ * (`temperature`, `water_level`, ...), an alias, or an entry in
+ * PARTICLE_EVENT_MAP (`{"<event>": "<type>"}` or `{"<event>": { "type", "unit" }}`).
+ * Event prefixes like `bbms/temperature` are matched on the last segment. `data`
+ * is a number or a JSON string with `value` (and optionally `unit`).
+ * Requests must carry the shared secret in `X-Particle-Secret`.
+ */
+class ParticleIngest {
+  constructor() {
+    this.secret = process.env.PARTICLE_WEBHOOK_SECRET || null;
+    this.eventMap = { ...DEFAULT_EVENT_ALIASES, ...this.loadEventMap() };
+  }
+
+  loadEventMap() {
+    if (!process.env.PARTICLE_EVENT_MAP) {
+      return {};
+    }
+    try {
+      return JSON.parse(process.env.PARTICLE_EVENT_MAP);
+    } catch (error) {
+      console.error('❌ PARTICLE_EVENT_MAP is not valid JSON:', error.message);
+      return {};
+    }
+  }
+
+  isConfigured() {
+    return !!this.secret;
+  }
+
+  verifySecret(provided) {
+    if (!this.secret || typeof provided !== 'string') {
+      return false;
+    }
+    const expected = crypto.createHash('sha256').update(this.secret).digest();
+    const actual = crypto.createHash('sha256').update(provided).digest();
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Device type (and unit, if the event implies one) for a Particle event name
+   */
+  resolveEvent(event) {
+    const candidates = [event, event.split('/').pop()];
+
+    for (const name of candidates) {
+      // Own keys only, so an event named after an Object member (e.g. "constructor") isn't mistaken for an alias
+      const mapped = Object.hasOwn(this.eventMap, name) ? this.eventMap[name] : null;
+      if (mapped) {
+        const target = typeof mapped === 'string' ? { type: mapped } : mapped;
+        return getDeviceType(target.type) ? target : null;
+      }
+      const type = getTypeForMetric(name);
+      if (type) {
+        return { type };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Turn a webhook body into a pipeline reading
+   * Returns { input } or { errors }
+   */
+  parseWebhook(body) {
+    const errors = [];
+    const { event, data, coreid, published_at: publishedAt, ttl } = body || {};
+
+    if (!coreid) {
+      errors.push('coreid is required');
+    }
+    if (!event) {
+      errors.push('event is required');
+    }
+    if (data === undefined || data === null || data === '') {
+      errors.push('data is required');
+    }
+    if (publishedAt && isNaN(new Date(publishedAt).getTime())) {
+      errors.push('published_at must be a valid date');
+    }
+    if (errors.length > 0) {
+      return { errors };
+    }
+
+    const target = this.resolveEvent(String(event));
+    if (!target) {
+      const metrics = DEVICE_TYPE_NAMES.map(getMetricName);
+      return { errors: [`event ${event} does not map to a device type (use one of: ${metrics.join(', ')} or PARTICLE_EVENT_MAP)`] };
+    }
+
+    // Firmware may publish a JSON string instead of a bare number
+    let value = data;
+    let unit = target.unit;
+    if (typeof data === 'string' && data.trim().startsWith('{')) {
+      try {
+        const parsed = JSON.parse(data);
+        value = parsed.value;
+        unit = parsed.unit || unit;
+      } catch (error) {
+        return { errors: ['data is not valid JSON'] };
+      }
+    }
+
+    return {
+      input: {
+        deviceId: String(coreid),
+        type: target.type,
+        value,
+        unit,
+        timestamp: publishedAt,
+        ttl: ttl !== undefined && !isNaN(parseInt(ttl)) ? parseInt(ttl) : undefined,
+        // Particle retries failed webhooks with the same event
+        idempotencyKey: `particle:${coreid}:${event}:${publishedAt || data}`
+      }
+    };
+  }
+
+  async ingest(body, io) {
+    const { input, errors } = this.parseWebhook(body);
+    if (errors) {
+      const error = new Error(errors.join(', '));
+      error.validationErrors = errors;
+      throw error;
+    }
+    return readingPipeline.ingestReading(input, io);
+  }
+}
+
+module.exports = new ParticleIngest();
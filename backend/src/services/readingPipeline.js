@@ -0,0 +1,222 @@
+const rubidexService = require('./rubidexService');
+const deviceRegistry = require('./deviceRegistry');
+const temperatureAlertEngine = require('./temperatureAlertEngine');
+const thresholdService = require('./thresholdService');
+const heartbeatMonitor = require('./heartbeatMonitor');
+const { getDeviceType, normalizeReading } = require('../config/deviceTypes');
+
+/**
+ * Reading Pipeline - single path every device reading goes through:
+ * validate/normalize → write to Rubidex → broadcast → server-side alerting
+ *
+ * Only live readings are broadcast and alerted on: ones no older than
+ * READING_LIVE_WINDOW seconds and newer than the device's last report. Late data
+ * (gateway backlogs, replays) is still written to Rubidex and counts for history,
+ * but doesn't raise alerts for conditions that are already over or change the
+ * device's heartbeat.
+ */
+class ReadingPipeline {
+  constructor() {
+    this.liveWindow = parseInt(process.env.READING_LIVE_WINDOW) || 300; // seconds
+    this.maxClockSkew = parseInt(process.env.READING_MAX_CLOCK_SKEW) || 300; // seconds
+    this.batchMaxSize = parseInt(process.env.READING_BATCH_MAX) || 500;
+    this.batchConcurrency = parseInt(process.env.READING_BATCH_CONCURRENCY) || 5;
+  }
+
+  /**
+   * Validate a raw reading, filling in type and metadata from the registry
+   * Returns { reading } or { errors }
+   */
+  prepareReading(input) {
+    const errors = [];
+
+    if (!input || !input.deviceId) {
+      errors.push('deviceId is required');
+      return { errors };
+    }
+
+    const registered = deviceRegistry.getDevice(input.deviceId);
+    const type = input.type || registered?.type || 'Temperature';
+
+    if (!getDeviceType(type)) {
+      errors.push(`Unknown device type: ${type}`);
+      return { errors };
+    }
+
+    if (input.timestamp !== undefined && input.timestamp !== null) {
+      const time = new Date(input.timestamp).getTime();
+      if (isNaN(time)) {
+        errors.push('timestamp must be a valid date');
+        return { errors };
+      }
+      if (time > Date.now() + this.maxClockSkew * 1000) {
+        errors.push('timestamp is in the future');
+        return { errors };
+      }
+    }
+
+    const normalized = normalizeReading(type, input.value, input.unit);
+    if (normalized.error) {
+      errors.push(normalized.error);
+      return { errors };
+    }
+
+    return {
+      reading: {
+        deviceId: input.deviceId,
+        type,
+        value: normalized.value,
+        unit: normalized.unit,
+        deviceName: input.deviceName || registered?.name,
+        location: input.location || registered?.location,
+        alertLimit: input.alertLimit ?? registered?.alertLimit ?? undefined,
+        ttl: input.ttl,
+        idempotencyKey: input.idempotencyKey,
+        timestamp: input.timestamp ? new Date(input.timestamp).toISOString() : new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Is this reading current enough to broadcast and alert on?
+   * Must be checked before the reading's heartbeat is recorded.
+   */
+  isLive(reading, now = Date.now()) {
+    const time = new Date(reading.timestamp).getTime();
+    if (now - time > this.liveWindow * 1000) {
+      return false;
+    }
+    const lastSeen = heartbeatMonitor.getHeartbeat(reading.deviceId)?.lastSeen;
+    return !lastSeen || time >= new Date(lastSeen).getTime();
+  }
+
+  /**
+   * Run a reading through the full pipeline
+   * Throws on validation errors (error.validationErrors is set) and Rubidex failures
+   */
+  async ingestReading(input, io) {
+    const { reading, errors } = this.prepareReading(input);
+    if (errors) {
+      const error = new Error(errors.join(', '));
+      error.validationErrors = errors;
+      throw error;
+    }
+
+    return this.processReading(reading, io);
+  }
+
+  /**
+   * Write, broadcast and evaluate a prepared reading
+   */
+  async processReading(reading, io) {
+    const live = this.isLive(reading);
+
+    const result = await rubidexService.writeDeviceReading(reading.type, {
+      ...reading,
+      publishedAt: reading.timestamp
+    });
+
+    // Late data says nothing about whether the device is reporting now
+    if (live) {
+      await heartbeatMonitor.recordHeartbeat(reading.deviceId, reading.timestamp);
+    }
+
+    const status = thresholdService.determineStatus(reading.deviceId, reading.type, reading.value);
+
+    if (!live) {
+      return { reading, status, result, evaluation: { action: 'none', alert: null }, late: true };
+    }
+
+    if (io) {
+      io.to(`device_${reading.deviceId}`).emit('device_update', {
+        deviceId: reading.deviceId,
+        type: reading.type,
+        value: reading.value,
+        unit: reading.unit,
+        status,
+        timestamp: reading.timestamp
+      });
+
+      // Keep the temperature channel the iOS app already subscribes to
+      if (reading.type === 'Temperature') {
+        io.to(`temperature_${reading.deviceId}`).emit('temperature_update', {
+          deviceId: reading.deviceId,
+          temperature: reading.value,
+          status,
+          timestamp: reading.timestamp
+        });
+      }
+    }
+
+    let evaluation = { action: 'none', alert: null };
+    if (reading.type === 'Temperature') {
+      evaluation = await temperatureAlertEngine.evaluateReading({
+        deviceId: reading.deviceId,
+        temperature: reading.value,
+        location: reading.location,
+        alertLimit: reading.alertLimit,
+        deviceName: reading.deviceName,
+        timestamp: reading.timestamp
+      }, io);
+    }
+
+    return { reading, status, result, evaluation, late: false };
+  }
+
+  /**
+   * Ingest many readings at once (gateways, backfills)
+   * Every reading is validated on its own; `check(input)` can add a per-item error
+   * (e.g. device key scope). Valid readings are written in timestamp order per
+   * device, several devices at a time. Returns one result per input, in order:
+   * { index, status: 'written'|'queued'|'rejected'|'failed', ... }
+   */
+  async ingestBatch(inputs, io, { check } = {}) {
+    const results = new Array(inputs.length);
+    const byDevice = new Map();
+
+    inputs.forEach((input, index) => {
+      const scopeError = check ? check(input) : null;
+      const { reading, errors } = scopeError ? { errors: [scopeError] } : this.prepareReading(input);
+      if (errors) {
+        results[index] = { index, deviceId: input?.deviceId ?? null, status: 'rejected', errors };
+        return;
+      }
+      if (!byDevice.has(reading.deviceId)) {
+        byDevice.set(reading.deviceId, []);
+      }
+      byDevice.get(reading.deviceId).push({ index, reading });
+    });
+
+    // Oldest first, so heartbeats and alert state move forward like they would live
+    const queues = Array.from(byDevice.values()).map(items =>
+      items.sort((a, b) => new Date(a.reading.timestamp) - new Date(b.reading.timestamp))
+    );
+
+    const worker = async () => {
+      while (queues.length > 0) {
+        for (const { index, reading } of queues.shift()) {
+          try {
+            const { status, result, evaluation, late } = await this.processReading(reading, io);
+            results[index] = {
+              index,
+              deviceId: reading.deviceId,
+              status: result?.queued ? 'queued' : 'written',
+              reading,
+              deviceStatus: status,
+              late,
+              alert: evaluation.action !== 'none' ? evaluation : null
+            };
+          } catch (error) {
+            results[index] = { index, deviceId: reading.deviceId, status: 'failed', errors: [error.message] };
+          }
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(this.batchConcurrency, queues.length) }, worker));
+
+    return results;
+  }
+}
+
+module.exports = new ReadingPipeline();
@@ -0,0 +1,554 @@
+const crypto = require('crypto');
+const JsonStore = require('../utils/jsonStore');
+const { localTime } = require('../utils/timeZones');
+
+// Zone types, as in the iOS Zone model
+const ZONE_TYPES = ['Office', 'Meeting Room', 'Conference Room', 'Lobby', 'Break Room', 'Coworking Space'];
+// Rooms booked as a whole; other zones are shared up to their capacity
+const EXCLUSIVE_TYPES = ['Office', 'Meeting Room', 'Conference Room'];
+// Roles from the auth service that booking rules can name ("default" covers the rest)
+const ROLES = ['admin', 'manager', 'technician', 'user'];
+const RULE_FIELDS = ['allowed', 'maxDurationMinutes', 'maxAdvanceDays', 'requiresApproval'];
+
+// Reservation states that hold space in a zone
+const ACTIVE_STATES = ['pending', 'confirmed'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const overlaps = (a, b) => new Date(a.startTime) < new Date(b.endTime) && new Date(b.startTime) < new Date(a.endTime);
+
+/**
+ * Reservation Service - bookings for zones and rooms
+ * A bookable zone has a capacity, and either is booked as a whole (offices,
+ * meeting and conference rooms) or shared until its capacity is reached. Its
+ * booking rules say, per role, whether people may book it, for how long, how
+ * far ahead and whether an elevated user has to approve. Pending bookings hold
+ * their space too. People check in when they arrive, which records an entry in
+ * the auth service's building access log; confirmed bookings nobody checked in
+ * to within RESERVATION_NO_SHOW_GRACE minutes of the start are released, and
+ * checked-in ones are completed when they end.
+ *
+ * Zones themselves, and who may enter them, belong to the auth service's zone
+ * store. A zone can only be made bookable if it exists there, and this service
+ * keeps nothing but its booking settings; entry rules are checked with the auth
+ * service on every booking.
+ */
+class ReservationService {
+  constructor() {
+    this.noShowGrace = parseInt(process.env.RESERVATION_NO_SHOW_GRACE) || 15; // minutes
+    this.checkInEarly = parseInt(process.env.RESERVATION_CHECKIN_EARLY) || 10; // minutes
+    this.sweepInterval = parseInt(process.env.RESERVATION_SWEEP_INTERVAL) || 60; // seconds
+    this.timeZone = process.env.RESERVATION_TIMEZONE || 'UTC';
+    this.defaultRule = {
+      allowed: true,
+      maxDurationMinutes: parseInt(process.env.RESERVATION_MAX_DURATION) || 480,
+      maxAdvanceDays: parseInt(process.env.RESERVATION_MAX_ADVANCE_DAYS) || 30,
+      requiresApproval: false
+    };
+
+    this.zoneStore = new JsonStore('reservable-zones');
+    this.reservationStore = new JsonStore('reservations');
+    this.zones = new Map(this.zoneStore.load([]).map(zone => [zone.zoneId, zone]));
+    this.reservations = new Map(this.reservationStore.load([]).map(reservation => [reservation.id, reservation]));
+
+    this.io = null;
+    this.timer = null;
+  }
+
+  persistZones() {
+    this.zoneStore.save(Array.from(this.zones.values()));
+  }
+
+  persistReservations() {
+    this.reservationStore.save(Array.from(this.reservations.values()));
+  }
+
+  /**
+   * Start releasing no-shows and completing finished bookings
+   */
+  start(io) {
+    this.io = io;
+
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.sweep(), this.sweepInterval * 1000);
+    this.timer.unref();
+
+    this.sweep();
+    console.log(`📅 Reservation service started (${this.zones.size} bookable zones)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Bookable zones
+
+  getZones() {
+    return Array.from(this.zones.values());
+  }
+
+  getZone(zoneId) {
+    return this.zones.get(zoneId) || null;
+  }
+
+  /**
+   * Validate a bookable zone, returning a list of error messages
+   * { type, capacity, name?, amenities?, exclusive?, bookingRules?: { default | <role>: { allowed?,
+   *   maxDurationMinutes?, maxAdvanceDays?, requiresApproval? } } }
+   */
+  validateZone(data) {
+    const errors = [];
+
+    if (data.name !== undefined && (typeof data.name !== 'string' || !data.name.trim())) {
+      errors.push('name must be a non-empty string');
+    }
+    if (!ZONE_TYPES.includes(data.type)) {
+      errors.push(`type must be one of: ${ZONE_TYPES.join(', ')}`);
+    }
+    if (!(parseInt(data.capacity) >= 1)) {
+      errors.push('capacity must be at least 1');
+    }
+    if (data.amenities !== undefined && (!Array.isArray(data.amenities) || data.amenities.some(amenity => typeof amenity !== 'string'))) {
+      errors.push('amenities must be an array of strings');
+    }
+    if (data.exclusive !== undefined && typeof data.exclusive !== 'boolean') {
+      errors.push('exclusive must be true or false');
+    }
+
+    if (data.bookingRules !== undefined) {
+      if (!data.bookingRules || typeof data.bookingRules !== 'object' || Array.isArray(data.bookingRules)) {
+        errors.push('bookingRules must map roles to rules');
+        return errors;
+      }
+      Object.entries(data.bookingRules).forEach(([role, rule]) => {
+        const label = `bookingRules.${role}`;
+        if (role !== 'default' && !ROLES.includes(role)) {
+          errors.push(`${label}: role must be default or one of: ${ROLES.join(', ')}`);
+          return;
+        }
+        if (!rule || typeof rule !== 'object') {
+          errors.push(`${label} must be an object`);
+          return;
+        }
+        ['allowed', 'requiresApproval'].forEach(field => {
+          if (rule[field] !== undefined && typeof rule[field] !== 'boolean') {
+            errors.push(`${label}.${field} must be true or false`);
+          }
+        });
+        ['maxDurationMinutes', 'maxAdvanceDays'].forEach(field => {
+          if (rule[field] !== undefined && !(parseInt(rule[field]) >= 1)) {
+            errors.push(`${label}.${field} must be at least 1`);
+          }
+        });
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Create or replace the booking settings of a building zone from the auth service
+   * (the name defaults to the building zone's)
+   */
+  saveZone(buildingZone, data) {
+    const zoneId = buildingZone.id;
+    const existing = this.zones.get(zoneId);
+    const zone = {
+      zoneId,
+      name: (data.name || buildingZone.name).trim(),
+      type: data.type,
+      capacity: parseInt(data.capacity),
+      amenities: data.amenities || [],
+      exclusive: data.exclusive !== undefined ? data.exclusive : EXCLUSIVE_TYPES.includes(data.type),
+      bookingRules: Object.fromEntries(Object.entries(data.bookingRules || {}).map(([role, rule]) => [
+        role,
+        Object.fromEntries(RULE_FIELDS.filter(field => rule[field] !== undefined).map(field => [
+          field,
+          typeof rule[field] === 'boolean' ? rule[field] : parseInt(rule[field])
+        ]))
+      ])),
+      createdAt: existing?.createdAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    this.zones.set(zoneId, zone);
+    this.persistZones();
+    return zone;
+  }
+
+  /**
+   * Stop a zone being bookable, unless it still has bookings to come
+   * Returns { deleted } or { error }
+   */
+  deleteZone(zoneId) {
+    if (!this.zones.has(zoneId)) {
+      return { deleted: false };
+    }
+    const upcoming = this.getReservations({ zoneId, active: true });
+    if (upcoming.length > 0) {
+      return { error: `Zone has ${upcoming.length} pending or confirmed reservations; cancel them first` };
+    }
+    this.zones.delete(zoneId);
+    this.persistZones();
+    return { deleted: true };
+  }
+
+  /**
+   * The booking rule that applies to a role in a zone (role rule over default rule over env defaults)
+   */
+  getRule(zone, role) {
+    return { ...this.defaultRule, ...zone.bookingRules.default, ...zone.bookingRules[role] };
+  }
+
+  // Queries
+
+  /**
+   * Filters: zoneId, userId, status, active (pending or confirmed), date (YYYY-MM-DD,
+   * reservations touching that day in RESERVATION_TIMEZONE), from/to. Soonest first.
+   */
+  getReservations({ zoneId, userId, status, active, date, from, to } = {}) {
+    return Array.from(this.reservations.values())
+      .filter(reservation => !zoneId || reservation.zoneId === zoneId)
+      .filter(reservation => !userId || reservation.userId === userId)
+      .filter(reservation => !status || reservation.status === status)
+      .filter(reservation => !active || ACTIVE_STATES.includes(reservation.status))
+      .filter(reservation => !date || (
+        localTime(new Date(reservation.startTime), this.timeZone).date <= date &&
+        localTime(new Date(new Date(reservation.endTime).getTime() - 1), this.timeZone).date >= date
+      ))
+      .filter(reservation => !from || new Date(reservation.endTime) > new Date(from))
+      .filter(reservation => !to || new Date(reservation.startTime) < new Date(to))
+      .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+  }
+
+  getReservation(reservationId) {
+    return this.reservations.get(reservationId) || null;
+  }
+
+  /**
+   * Validate query filters for getReservations, returning a list of error messages
+   */
+  validateQuery({ status, date, from, to }) {
+    const errors = [];
+    if (status !== undefined && ![...ACTIVE_STATES, 'cancelled', 'completed'].includes(status)) {
+      errors.push('status must be one of: pending, confirmed, cancelled, completed');
+    }
+    if (date !== undefined && !DATE_PATTERN.test(date)) {
+      errors.push('date must be YYYY-MM-DD');
+    }
+    [['from', from], ['to', to]].forEach(([field, value]) => {
+      if (value !== undefined && isNaN(new Date(value).getTime())) {
+        errors.push(`${field} must be a valid date`);
+      }
+    });
+    return errors;
+  }
+
+  // Booking
+
+  /**
+   * Validate a booking request: { zoneId, startTime, endTime, purpose?, attendees? }
+   */
+  validateReservation(data) {
+    const errors = [];
+
+    if (typeof data.zoneId !== 'string' || !data.zoneId) {
+      errors.push('zoneId is required');
+    }
+    const start = new Date(data.startTime);
+    const end = new Date(data.endTime);
+    if (data.startTime === undefined || isNaN(start.getTime())) {
+      errors.push('startTime must be a valid date');
+    }
+    if (data.endTime === undefined || isNaN(end.getTime())) {
+      errors.push('endTime must be a valid date');
+    } else if (end <= start) {
+      errors.push('endTime must be after startTime');
+    } else if (end <= new Date()) {
+      errors.push('endTime must be in the future');
+    }
+    if (data.purpose !== undefined && typeof data.purpose !== 'string') {
+      errors.push('purpose must be a string');
+    }
+    if (data.attendees !== undefined && !(parseInt(data.attendees) >= 1)) {
+      errors.push('attendees must be at least 1');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Most people booked into a zone at any one time within a window
+   */
+  peakAttendees(reservations, startTime, endTime) {
+    // Occupancy only rises when a booking starts, so those are the moments to check
+    const moments = [startTime, ...reservations.map(reservation => reservation.startTime)]
+      .map(moment => new Date(moment))
+      .filter(moment => moment >= new Date(startTime) && moment < new Date(endTime));
+
+    return Math.max(0, ...moments.map(moment => reservations
+      .filter(reservation => new Date(reservation.startTime) <= moment && moment < new Date(reservation.endTime))
+      .reduce((sum, reservation) => sum + reservation.attendees, 0)));
+  }
+
+  /**
+   * Check a booking against the zone's rules, its other bookings and the user's own
+   * Returns null when it fits, or { error, code, details? }
+   */
+  checkBooking(zone, { startTime, endTime, attendees }, user) {
+    const rule = this.getRule(zone, user.role);
+    const start = new Date(startTime);
+    const durationMinutes = (new Date(endTime) - start) / 60000;
+
+    if (!rule.allowed) {
+      return { error: `Your role (${user.role}) can't book ${zone.name}`, code: 403 };
+    }
+    if (durationMinutes > rule.maxDurationMinutes) {
+      return { error: `Bookings of ${zone.name} can last at most ${rule.maxDurationMinutes} minutes`, code: 403 };
+    }
+    if (start - Date.now() > rule.maxAdvanceDays * 24 * 60 * 60 * 1000) {
+      return { error: `${zone.name} can be booked at most ${rule.maxAdvanceDays} days ahead`, code: 403 };
+    }
+    if (attendees > zone.capacity) {
+      return { error: `${zone.name} holds at most ${zone.capacity} people`, code: 409 };
+    }
+
+    const window = { startTime, endTime };
+    const others = this.getReservations({ active: true })
+      .filter(reservation => overlaps(reservation, window));
+
+    const own = others.filter(reservation => reservation.userId === user.id);
+    if (own.length > 0) {
+      return {
+        error: 'You already have a reservation at that time',
+        code: 409,
+        details: own.map(({ id, zoneId, startTime: from, endTime: to }) => ({ id, zoneId, startTime: from, endTime: to }))
+      };
+    }
+
+    const inZone = others.filter(reservation => reservation.zoneId === zone.zoneId);
+    if (zone.exclusive && inZone.length > 0) {
+      return {
+        error: `${zone.name} is already booked for that time`,
+        code: 409,
+        details: inZone.map(({ id, startTime: from, endTime: to, status }) => ({ id, startTime: from, endTime: to, status }))
+      };
+    }
+    if (!zone.exclusive) {
+      const peak = this.peakAttendees(inZone, startTime, endTime);
+      if (peak + attendees > zone.capacity) {
+        return {
+          error: `${zone.name} doesn't have room for ${attendees} more at that time`,
+          code: 409,
+          details: { capacity: zone.capacity, booked: peak, requested: attendees }
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Book a zone for a user (see validateReservation)
+   * Returns { reservation } - pending when the zone's rule needs approval - or { error, code, details? }
+   */
+  createReservation(data, user) {
+    const zone = this.zones.get(data.zoneId);
+    if (!zone) {
+      return { error: 'Zone is not bookable', code: 404 };
+    }
+
+    const booking = {
+      startTime: new Date(data.startTime).toISOString(),
+      endTime: new Date(data.endTime).toISOString(),
+      attendees: parseInt(data.attendees) || 1
+    };
+    const problem = this.checkBooking(zone, booking, user);
+    if (problem) {
+      return problem;
+    }
+
+    const rule = this.getRule(zone, user.role);
+    const reservation = {
+      id: crypto.randomUUID(),
+      zoneId: zone.zoneId,
+      zoneName: zone.name,
+      userId: user.id,
+      userName: user.name,
+      userEmail: user.email,
+      ...booking,
+      purpose: data.purpose || '',
+      status: rule.requiresApproval ? 'pending' : 'confirmed',
+      createdAt: new Date().toISOString(),
+      approvedBy: null,
+      approvedAt: null,
+      checkedInAt: null,
+      checkIn: null,
+      cancelledAt: null,
+      cancelledBy: null,
+      cancelReason: null,
+      completedAt: null
+    };
+
+    this.reservations.set(reservation.id, reservation);
+    this.persistReservations();
+    console.log(`📅 ${user.name} booked ${zone.name} ${reservation.startTime} - ${reservation.endTime} (${reservation.status})`);
+    this.notify(reservation, 'created');
+
+    return { reservation };
+  }
+
+  /**
+   * Approve a pending booking (its space has been held since it was made)
+   * Returns { reservation } or { error, code, details? }
+   */
+  approve(reservationId, user) {
+    const reservation = this.reservations.get(reservationId);
+    if (!reservation) {
+      return { error: 'Reservation not found', code: 404 };
+    }
+    if (reservation.status !== 'pending') {
+      return { error: `Reservation is ${reservation.status}, not pending`, code: 409 };
+    }
+
+    reservation.status = 'confirmed';
+    reservation.approvedBy = user.email || user.id;
+    reservation.approvedAt = new Date().toISOString();
+    this.persistReservations();
+    this.notify(reservation, 'approved');
+
+    return { reservation };
+  }
+
+  /**
+   * Cancel a pending or confirmed booking
+   * Returns { reservation } or { error, code }
+   */
+  cancel(reservationId, user, reason = 'cancelled') {
+    const reservation = this.reservations.get(reservationId);
+    if (!reservation) {
+      return { error: 'Reservation not found', code: 404 };
+    }
+    if (!ACTIVE_STATES.includes(reservation.status)) {
+      return { error: `Reservation is already ${reservation.status}`, code: 409 };
+    }
+
+    this.finish(reservation, 'cancelled', { cancelledBy: user.email || user.id, cancelReason: reason });
+    return { reservation };
+  }
+
+  /**
+   * Release a confirmed booking that has started without a check-in, before the
+   * no-show grace runs out (e.g. reception sees the room is empty)
+   * Returns { reservation } or { error, code }
+   */
+  release(reservationId, user) {
+    const reservation = this.reservations.get(reservationId);
+    if (!reservation) {
+      return { error: 'Reservation not found', code: 404 };
+    }
+    if (reservation.status !== 'confirmed' || reservation.checkedInAt) {
+      return { error: 'Only confirmed reservations nobody has checked in to can be released', code: 409 };
+    }
+    if (new Date(reservation.startTime).getTime() > Date.now()) {
+      return { error: 'Reservation has not started yet', code: 409 };
+    }
+
+    this.finish(reservation, 'cancelled', { cancelledBy: user.email || user.id, cancelReason: 'no_show' });
+    return { reservation };
+  }
+
+  /**
+   * Check in to a confirmed booking from RESERVATION_CHECKIN_EARLY minutes before
+   * its start until it would be released as a no-show. The entry is logged with
+   * the auth service using the user's token first; no log, no check-in.
+   * Returns { reservation } or { error, code }
+   */
+  async checkIn(reservationId, user, { method, deviceId }, logEntry) {
+    const reservation = this.reservations.get(reservationId);
+    if (!reservation) {
+      return { error: 'Reservation not found', code: 404 };
+    }
+    if (reservation.status !== 'confirmed') {
+      return { error: `Reservation is ${reservation.status}; only confirmed reservations can be checked in to`, code: 409 };
+    }
+    if (reservation.checkedInAt) {
+      return { error: 'Already checked in', code: 409 };
+    }
+
+    const now = Date.now();
+    const start = new Date(reservation.startTime).getTime();
+    if (now < start - this.checkInEarly * 60000) {
+      return { error: `Check-in opens ${this.checkInEarly} minutes before the reservation starts`, code: 409 };
+    }
+    if (now >= this.releaseTime(reservation)) {
+      this.finish(reservation, 'cancelled', { cancelledBy: 'system', cancelReason: 'no_show' });
+      return { error: 'Reservation was released because nobody checked in', code: 409 };
+    }
+
+    if (!await logEntry(reservation)) {
+      return { error: 'Could not record the building entry with the auth service', code: 502 };
+    }
+
+    reservation.checkedInAt = new Date().toISOString();
+    reservation.checkIn = { method, deviceId: deviceId || null, by: user.email || user.id };
+    this.persistReservations();
+    console.log(`📅 ${user.name} checked in to ${reservation.zoneName} via ${method}`);
+    this.notify(reservation, 'checked_in');
+
+    return { reservation };
+  }
+
+  /**
+   * When an unchecked-in booking is given up: the no-show grace after its start, or its end if sooner
+   */
+  releaseTime(reservation) {
+    return Math.min(
+      new Date(reservation.startTime).getTime() + this.noShowGrace * 60000,
+      new Date(reservation.endTime).getTime()
+    );
+  }
+
+  finish(reservation, status, fields = {}) {
+    const now = new Date().toISOString();
+    Object.assign(reservation, fields, { status });
+    if (status === 'cancelled') {
+      reservation.cancelledAt = now;
+    } else if (status === 'completed') {
+      reservation.completedAt = now;
+    }
+    this.persistReservations();
+
+    console.log(`📅 Reservation of ${reservation.zoneName} by ${reservation.userName} ${status}${fields.cancelReason ? ` (${fields.cancelReason})` : ''}`);
+    this.notify(reservation, fields.cancelReason === 'no_show' ? 'released' : status);
+  }
+
+  /**
+   * Release no-shows, drop unapproved bookings that have started and complete finished ones
+   */
+  sweep(now = Date.now()) {
+    this.getReservations({ active: true }).forEach(reservation => {
+      if (reservation.status === 'pending' && new Date(reservation.startTime).getTime() <= now) {
+        this.finish(reservation, 'cancelled', { cancelledBy: 'system', cancelReason: 'not_approved' });
+      } else if (reservation.status === 'confirmed' && !reservation.checkedInAt && this.releaseTime(reservation) <= now) {
+        this.finish(reservation, 'cancelled', { cancelledBy: 'system', cancelReason: 'no_show' });
+      } else if (reservation.status === 'confirmed' && reservation.checkedInAt && new Date(reservation.endTime).getTime() <= now) {
+        this.finish(reservation, 'completed');
+      }
+    });
+  }
+
+  notify(reservation, action) {
+    if (this.io) {
+      this.io.to(`user_${reservation.userId}`).emit('reservation_update', { action, reservation });
+    }
+  }
+}
+
+module.exports = new ReservationService();
@@ -0,0 +1,374 @@
+const crypto = require('crypto');
+const JsonStore = require('../utils/jsonStore');
+const JsonLinesLog = require('../utils/jsonLinesLog');
+
+/**
+ * Rubidex Outbox - durable queue for blockchain writes
+ * Every document is persisted before it is sent, so a slow or unavailable
+ * Rubidex never loses a reading or alert. Entries are retried with exponential
+ * backoff. Writes that carry an idempotency key are deduplicated by it; writes
+ * without one are each sent as their own document. Audit entries (alerts) are
+ * never dead-lettered: they keep retrying at the maximum backoff until delivered.
+ *
+ * On disk it is a journal (rubidex-outbox.jsonl under DATA_DIR): `{ put: entry }`
+ * when an entry is queued or its state changes, `{ delivered: item }` once it is
+ * sent and `{ remove: id }` when it is discarded. The journal is compacted to the
+ * waiting entries and delivered keys once superseded lines make up most of it.
+ */
+class RubidexOutbox {
+  constructor() {
+    this.baseDelay = parseInt(process.env.OUTBOX_RETRY_BASE_MS) || 1000;
+    this.maxDelay = parseInt(process.env.OUTBOX_RETRY_MAX_MS) || 5 * 60 * 1000;
+    this.maxAttempts = parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 10;
+    this.pollInterval = parseInt(process.env.OUTBOX_POLL_INTERVAL_MS) || 2000;
+    this.deliveredHistory = parseInt(process.env.OUTBOX_DELIVERED_HISTORY) || 1000;
+    // Shorter timeout for the first attempt so API callers are not held up by a slow Rubidex
+    this.inlineTimeout = parseInt(process.env.OUTBOX_INLINE_TIMEOUT_MS) || 5000;
+
+    this.journal = new JsonLinesLog('rubidex-outbox');
+    // Pending and failed entries, in submission order
+    this.entries = new Map();
+    // Recently delivered idempotency keys with their result, oldest first
+    this.delivered = new Map();
+    this.journalLength = 0;
+    // Never compact journals shorter than this
+    this.compactMin = 1000;
+
+    if (this.journal.exists()) {
+      this.replay(this.journal.load());
+    } else {
+      this.migrate();
+    }
+
+    this.sender = null;
+    this.timer = null;
+    this.processing = false;
+    this.stats = { delivered: 0, retried: 0, failed: 0, duplicates: 0 };
+  }
+
+  replay(records) {
+    records.forEach(record => {
+      if (record.put) {
+        this.entries.set(record.put.id, { ...record.put, inFlight: false });
+      } else if (record.delivered) {
+        this.entries.delete(record.delivered.outboxId);
+        this.remember(record.delivered);
+      } else if (record.remove) {
+        this.entries.delete(record.remove);
+      }
+    });
+    this.journalLength = records.length;
+  }
+
+  /**
+   * Turn a snapshot saved by older versions (one JSON file) into the journal
+   */
+  migrate() {
+    const snapshot = new JsonStore('rubidex-outbox').load(null);
+    if (snapshot && Array.isArray(snapshot.entries)) {
+      snapshot.entries.forEach(entry => this.entries.set(entry.id, { ...entry, inFlight: false }));
+      (snapshot.delivered || []).forEach(item => this.remember(item));
+      try {
+        this.compact();
+      } catch (error) {
+        console.warn('⚠️ Failed to move Rubidex outbox snapshot to the journal:', error.message);
+      }
+    }
+  }
+
+  // Keep a delivered key's result, dropping the oldest beyond the history limit
+  remember(item) {
+    this.delivered.delete(item.idempotencyKey);
+    this.delivered.set(item.idempotencyKey, item);
+    while (this.delivered.size > this.deliveredHistory) {
+      this.delivered.delete(this.delivered.keys().next().value);
+    }
+  }
+
+  // Append changes to the journal, compacting it when mostly superseded.
+  // Throws when the change can't be written.
+  record(...records) {
+    this.journal.append(...records);
+    this.journalLength += records.length;
+
+    if (this.journalLength > Math.max(this.compactMin, (this.entries.size + this.delivered.size) * 2)) {
+      try {
+        this.compact();
+      } catch (error) {
+        console.warn('⚠️ Failed to compact Rubidex outbox journal:', error.message);
+      }
+    }
+  }
+
+  // Like record, for changes after the write was accepted: a failure is only logged
+  save(...records) {
+    try {
+      this.record(...records);
+    } catch (error) {
+      console.warn('⚠️ Failed to save Rubidex outbox change:', error.message);
+    }
+  }
+
+  // Journal record for an entry's current state
+  entryRecord({ inFlight, ...entry }) {
+    return { put: entry };
+  }
+
+  // Rewrite the journal as the delivered keys followed by the waiting entries
+  compact() {
+    const records = [
+      ...Array.from(this.delivered.values()).map(item => ({ delivered: item })),
+      ...this.getEntries().map(entry => this.entryRecord(entry))
+    ];
+    this.journal.rewrite(records);
+    this.journalLength = records.length;
+  }
+
+  /**
+   * Set the function that actually sends a document: async (document, { timeout, kind }) => response
+   */
+  setSender(sender) {
+    this.sender = sender;
+  }
+
+  /**
+   * Start the background retry loop
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.processDue().catch(error => console.error('❌ Outbox processing failed:', error.message));
+    }, this.pollInterval);
+    this.timer.unref();
+
+    console.log(`📬 Rubidex outbox started (${this.entries.size} entries waiting)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  findByKey(idempotencyKey) {
+    if (!idempotencyKey) {
+      return null;
+    }
+    for (const entry of this.entries.values()) {
+      if (entry.idempotencyKey === idempotencyKey) {
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Persist a document and try to deliver it right away
+   * Resolves with the Rubidex response data, or { queued: true, outboxId } when
+   * delivery has to be retried later. Only throws if the entry cannot be persisted.
+   * Pass an idempotencyKey that names the write (not its content: documents carry
+   * the time they were written) so a retried submit is recognised.
+   */
+  async submit(document, { idempotencyKey, kind = 'document', audit = false } = {}) {
+    const key = idempotencyKey || null;
+
+    const delivered = key && this.delivered.get(key);
+    if (delivered) {
+      this.stats.duplicates++;
+      return { ...delivered.result, duplicate: true };
+    }
+
+    const existing = this.findByKey(key);
+    if (existing) {
+      this.stats.duplicates++;
+      return { queued: true, outboxId: existing.id, duplicate: true };
+    }
+
+    const entry = {
+      id: crypto.randomUUID(),
+      idempotencyKey: key,
+      kind,
+      audit,
+      document,
+      status: 'pending',
+      attempts: 0,
+      createdAt: new Date().toISOString(),
+      nextAttemptAt: new Date().toISOString(),
+      lastError: null
+    };
+
+    this.record(this.entryRecord(entry));
+    this.entries.set(entry.id, entry);
+
+    const result = await this.attempt(entry, { timeout: this.inlineTimeout });
+    if (result) {
+      return result;
+    }
+
+    console.warn(`📬 Rubidex write queued for retry: ${kind} (${entry.id})`);
+    return { queued: true, outboxId: entry.id };
+  }
+
+  /**
+   * Try to deliver one entry, updating its state. Returns response data on success.
+   */
+  async attempt(entry, options = {}) {
+    if (!this.sender) {
+      throw new Error('Rubidex outbox has no sender configured');
+    }
+
+    entry.attempts++;
+    entry.inFlight = true;
+
+    try {
+      const response = await this.sender(entry.document, { ...options, kind: entry.kind });
+      const result = response?.data ?? {};
+
+      this.entries.delete(entry.id);
+      if (entry.idempotencyKey) {
+        const item = {
+          idempotencyKey: entry.idempotencyKey,
+          outboxId: entry.id,
+          result,
+          deliveredAt: new Date().toISOString()
+        };
+        this.remember(item);
+        this.save({ delivered: item });
+      } else {
+        this.save({ remove: entry.id });
+      }
+
+      this.stats.delivered++;
+      if (entry.attempts > 1) {
+        console.log(`📬 Rubidex write delivered after ${entry.attempts} attempts: ${entry.kind} (${entry.id})`);
+      }
+
+      return result;
+    } catch (error) {
+      entry.lastError = error.response ? `HTTP ${error.response.status}: ${error.message}` : error.message;
+      entry.lastAttemptAt = new Date().toISOString();
+
+      if (entry.attempts >= this.maxAttempts && !entry.audit) {
+        entry.status = 'failed';
+        entry.nextAttemptAt = null;
+        this.stats.failed++;
+        console.error(`❌ Rubidex write failed permanently after ${entry.attempts} attempts: ${entry.kind} (${entry.id}): ${entry.lastError}`);
+      } else {
+        const delay = Math.min(this.baseDelay * Math.pow(2, entry.attempts - 1), this.maxDelay);
+        entry.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        this.stats.retried++;
+      }
+
+      this.save(this.entryRecord(entry));
+      return null;
+    } finally {
+      entry.inFlight = false;
+    }
+  }
+
+  /**
+   * Retry every pending entry that is due
+   */
+  async processDue() {
+    if (this.processing || !this.sender) {
+      return;
+    }
+
+    this.processing = true;
+    try {
+      const now = Date.now();
+      const due = Array.from(this.entries.values())
+        .filter(entry => entry.status === 'pending' && !entry.inFlight && new Date(entry.nextAttemptAt).getTime() <= now);
+
+      for (const entry of due) {
+        // An admin retry may have sent it while earlier entries were being attempted
+        if (this.entries.get(entry.id) !== entry || entry.inFlight || entry.status !== 'pending') {
+          continue;
+        }
+        await this.attempt(entry);
+      }
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Put a failed entry back in the queue for immediate retry
+   */
+  retry(entryId) {
+    const entry = this.entries.get(entryId);
+    if (!entry) {
+      return null;
+    }
+
+    entry.status = 'pending';
+    entry.attempts = 0;
+    entry.nextAttemptAt = new Date().toISOString();
+    this.save(this.entryRecord(entry));
+
+    return entry;
+  }
+
+  /**
+   * Reset an entry and attempt it right away, independent of the background loop
+   * Returns { entry, delivered, inFlight } (inFlight: already being sent, so
+   * left to that attempt) or { error, code }
+   */
+  async retryNow(entryId) {
+    const entry = this.entries.get(entryId);
+    if (!entry) {
+      return { error: 'Outbox entry not found', code: 404 };
+    }
+    if (entry.inFlight) {
+      return { entry, delivered: false, inFlight: true };
+    }
+
+    this.retry(entryId);
+    const result = await this.attempt(entry);
+    return { entry, delivered: result !== null, inFlight: false };
+  }
+
+  /**
+   * Drop a failed entry from the queue (audit entries cannot be discarded)
+   * Returns { entry } or { error, code }
+   */
+  discard(entryId) {
+    const entry = this.entries.get(entryId);
+    if (!entry) {
+      return { error: 'Outbox entry not found', code: 404 };
+    }
+    if (entry.status !== 'failed' || entry.audit) {
+      return { error: 'Only failed, non-audit entries can be discarded', code: 409 };
+    }
+
+    this.entries.delete(entryId);
+    this.save({ remove: entryId });
+    console.warn(`🗑️ Discarded failed Rubidex write: ${entry.kind} (${entry.id})`);
+
+    return { entry };
+  }
+
+  getEntries() {
+    return Array.from(this.entries.values());
+  }
+
+  getStatus() {
+    const entries = this.getEntries();
+    const oldest = entries.length > 0 ? entries[0].createdAt : null;
+
+    return {
+      depth: entries.filter(entry => entry.status === 'pending').length,
+      failed: entries.filter(entry => entry.status === 'failed').length,
+      auditPending: entries.filter(entry => entry.audit).length,
+      oldestEntryAt: oldest,
+      processing: this.processing,
+      stats: this.stats
+    };
+  }
+}
+
+module.exports = new RubidexOutbox();
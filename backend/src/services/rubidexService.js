@@ -1,4 +1,8 @@
 const axios = require('axios');
+const documentIndex = require('./documentIndex');
+const rubidexOutbox = require('./rubidexOutbox');
+const ledgerChain = require('./ledgerChain');
+const { getDeviceType, getTypeForDocumentType, READING_DOCUMENT_TYPES } = require('../config/deviceTypes');
 
 class RubidexService {
   constructor() {
@@ -24,6 +28,8 @@ class RubidexService {
         'clearance': '1'
       }
     });
+    
+    rubidexOutbox.setSender((document, options) => this.deliverDocument(document, options));
   }
 
   // Test connection to Rubidex
@@ -36,11 +42,19 @@ class RubidexService {
     }
   }
 
-  // Get all documents from blockchain
+  // Get all documents (served from the local index once it has synced)
   async getAllDocuments() {
+    if (!documentIndex.isReady()) {
+      await this.syncDocumentIndex();
+    }
+    return documentIndex.getAll();
+  }
+
+  // Fetch the full collection from Rubidex blockchain
+  async fetchAllDocuments(collectionId = this.collectionId) {
     try {
       console.log('📖 Fetching all documents from Rubidex blockchain...');
-      const response = await this.client.get(`/all?collection-id=${this.collectionId}`);
+      const response = await this.client.get(`/all?collection-id=${collectionId}`);
       
       // Check if response.data is already the array or if it's wrapped
       let documents;
@@ -61,28 +75,136 @@ class RubidexService {
     }
   }
 
+  // Refresh the local document index (concurrent callers share one fetch)
+  // Rubidex only offers `/all?collection-id=`, with no paging or changed-since filter,
+  // so every refresh downloads the whole collection; only the documents that changed
+  // are applied and journaled locally. Our own writes reach the index on delivery,
+  // so the refresh is only needed to notice changes made outside this backend.
+  async syncDocumentIndex() {
+    if (!this.indexSync) {
+      this.indexSync = this.fetchAllDocuments()
+        .then(documents => {
+          const stats = documentIndex.sync(documents);
+          if (stats.added || stats.updated || stats.removed) {
+            console.log(`🗂️ Document index synced from ${stats.fetched} documents: +${stats.added} ~${stats.updated} -${stats.removed} (${stats.total} total)`);
+          }
+          return stats;
+        })
+        .finally(() => {
+          this.indexSync = null;
+        });
+    }
+    return this.indexSync;
+  }
+
+  // Keep the local document index refreshed in the background
+  startIndexSync(intervalSeconds = parseInt(process.env.DOCUMENT_INDEX_SYNC_INTERVAL) || 300) {
+    if (this.indexTimer) {
+      return;
+    }
+
+    this.syncDocumentIndex()
+      .catch(error => console.warn('⚠️ Initial document index sync failed:', error.message));
+
+    this.indexTimer = setInterval(() => {
+      this.syncDocumentIndex()
+        .catch(error => console.warn('⚠️ Document index sync failed, serving cached documents:', error.message));
+    }, intervalSeconds * 1000);
+    this.indexTimer.unref();
+
+    console.log(`🗂️ Document index sync started (every ${intervalSeconds}s)`);
+  }
+
+  // Queue a document for Rubidex through the durable outbox (delivered immediately when possible)
+  async postDocument(document, options = {}) {
+    const data = await rubidexOutbox.submit(document, options);
+    return { data };
+  }
+
+  // Send a document to Rubidex, record it in the ledger chain and add it to the local index right away
+  async deliverDocument(document, { timeout, kind } = {}) {
+    const response = await this.client.post('/', document, timeout ? { timeout } : undefined);
+
+    const collectionId = document.collectionId || document.collection_id;
+    const documentId = response.data?.id;
+
+    try {
+      ledgerChain.record(document, documentId, kind);
+    } catch (error) {
+      // The write already landed; failing here would make the outbox send it twice
+      console.error('❌ Failed to record document in ledger chain:', error.message);
+    }
+
+    if (documentId && collectionId === this.collectionId) {
+      const now = new Date().toISOString();
+      documentIndex.upsert({
+        id: documentId,
+        collection_id: collectionId,
+        fields: document.fields,
+        creation_date: now,
+        update_date: now,
+        ...(typeof response.data === 'object' && response.data.fields ? response.data : {})
+      });
+    }
+
+    return response;
+  }
+
+  // Re-fetch every collection we have written to and compare it with the ledger chain
+  async verifyLedger() {
+    const remoteByCollection = {};
+    for (const collectionId of ledgerChain.getCollectionIds()) {
+      remoteByCollection[collectionId] = await this.fetchAllDocuments(collectionId);
+    }
+
+    const report = ledgerChain.verify(remoteByCollection);
+    if (!report.verified) {
+      console.warn(`🔏 Ledger verification found issues: ${report.summary.missing} missing, ${report.summary.altered} altered, ${report.summary.unexpected} unexpected, chain ${report.chain.valid ? 'intact' : `broken at ${report.chain.brokenAt}`}`);
+    }
+
+    return report;
+  }
+
   // Write new temperature reading to blockchain
   async writeTemperatureReading(deviceData) {
+    return this.writeDeviceReading('Temperature', {
+      ...deviceData,
+      value: deviceData.temperature
+    });
+  }
+
+  // Write a typed device reading to blockchain (document type, unit and name follow the device type)
+  async writeDeviceReading(typeName, readingData) {
     try {
-      console.log('📝 Writing temperature reading to blockchain:', deviceData);
+      const deviceType = getDeviceType(typeName);
+      if (!deviceType) {
+        throw new Error(`Unknown device type: ${typeName}`);
+      }
+
+      console.log(`📝 Writing ${typeName} reading to blockchain:`, readingData);
       
       const document = {
         collectionId: this.collectionId,
         fields: {
-          coreid: deviceData.deviceId,
-          name: deviceData.deviceName || `Temperature Reading`,
-          data: deviceData.temperature.toString(),
-          published_at: new Date().toISOString(),
-          ttl: deviceData.ttl || 3600, // 1 hour default
-          location: deviceData.location,
-          device_type: 'temperature_sensor',
-          alert_limit: deviceData.alertLimit,
+          coreid: readingData.deviceId,
+          name: readingData.deviceName || `${typeName} Reading`,
+          data: readingData.value.toString(),
+          published_at: readingData.publishedAt || new Date().toISOString(),
+          ttl: readingData.ttl || 3600, // 1 hour default
+          location: readingData.location,
+          device_type: deviceType.documentType,
+          unit: readingData.unit || deviceType.unit,
+          alert_limit: readingData.alertLimit,
           timestamp: Date.now()
         }
       };
 
-      const response = await this.client.post('/', document);
-      console.log('✅ Temperature reading written to blockchain');
+      // Without a client key, a reading is named by its device, time and value
+      const idempotencyKey = readingData.idempotencyKey || (readingData.publishedAt
+        ? `reading:${readingData.deviceId}:${readingData.publishedAt}:${document.fields.data}`
+        : undefined);
+      const response = await this.postDocument(document, { kind: `${deviceType.documentType}_reading`, idempotencyKey });
+      console.log(`✅ ${typeName} reading written to blockchain`);
       
       return response.data;
     } catch (error) {
@@ -109,7 +231,11 @@ class RubidexService {
         }
       };
 
-      const response = await this.client.post('/', document);
+      // Each registry change has its own updatedAt
+      const idempotencyKey = deviceConfig.updatedAt
+        ? `device-config:${deviceConfig.deviceId}:${deviceConfig.action}:${deviceConfig.updatedAt}`
+        : undefined;
+      const response = await this.postDocument(document, { kind: 'device_config', idempotencyKey });
       console.log('✅ Device config written to blockchain');
       
       return response.data;
@@ -119,6 +245,46 @@ class RubidexService {
     }
   }
 
+  // Write an equipment command (who issued it, and how it ended once finished) to blockchain for audit trail
+  async writeCommandAudit(command) {
+    try {
+      console.log(`📝 Writing ${command.command} command audit to blockchain: ${command.id} (${command.status})`);
+
+      const document = {
+        collectionId: this.collectionId,
+        fields: {
+          coreid: command.deviceId,
+          name: `Command: ${command.command} on ${command.deviceName}`,
+          data: JSON.stringify({
+            id: command.id,
+            command: command.command,
+            params: command.params,
+            status: command.status,
+            result: command.result,
+            error: command.error,
+            issuedAt: command.createdAt,
+            sentAt: command.sentAt,
+            completedAt: command.completedAt
+          }),
+          published_at: new Date().toISOString(),
+          ttl: 604800, // 7 days
+          device_type: 'device_command',
+          command_status: command.status,
+          issued_by: command.issuedBy.email || command.issuedBy.id,
+          timestamp: Date.now()
+        }
+      };
+
+      const response = await this.postDocument(document, { kind: 'device_command', audit: true, idempotencyKey: `command:${command.id}:${command.status}` });
+      console.log('✅ Command audit written to blockchain');
+
+      return response.data;
+    } catch (error) {
+      console.error('❌ Error writing command audit to Rubidex:', error.message);
+      throw error;
+    }
+  }
+
   // Write alert to blockchain for audit trail
   async writeAlert(alertData) {
     try {
@@ -143,7 +309,7 @@ class RubidexService {
         }
       };
 
-      const response = await this.client.post('/', document);
+      const response = await this.postDocument(document, { kind: 'alert', audit: true, idempotencyKey: alertData.idempotencyKey });
       console.log('✅ Alert written to blockchain');
       
       return response.data;
@@ -156,33 +322,62 @@ class RubidexService {
   // Get documents for specific device
   async getDeviceDocuments(deviceId) {
     try {
-      const allDocuments = await this.getAllDocuments();
-      return allDocuments.filter(doc => 
-        doc.fields?.coreid === deviceId
-      );
+      if (!documentIndex.isReady()) {
+        await this.syncDocumentIndex();
+      }
+      return documentIndex.getByDevice(deviceId);
     } catch (error) {
       console.error(`❌ Error getting documents for device ${deviceId}:`, error.message);
       throw error;
     }
   }
 
-    // Get latest temperature readings for all devices
+  // Get reading documents (no configs or alerts) for specific device
+  async getDeviceReadingDocuments(deviceId) {
+    const documents = await this.getDeviceDocuments(deviceId);
+    return documents.filter(doc => READING_DOCUMENT_TYPES.includes(doc.fields?.device_type));
+  }
+
+  // Get latest temperature readings for all devices
   async getLatestTemperatures() {
+    const latestReadings = await this.getLatestReadings();
+    return latestReadings
+      .filter(reading => reading.type === 'Temperature')
+      .map(reading => ({
+        deviceId: reading.deviceId,
+        temperature: reading.value,
+        timestamp: reading.timestamp,
+        location: reading.location,
+        name: reading.name
+      }));
+  }
+
+  // When a document's reading was taken: published_at, not when Rubidex stored it,
+  // so late-delivered data (outbox retries, backfills) doesn't look newer than it is
+  getReadingTime(doc) {
+    return new Date(doc.fields?.published_at || doc.updateDate || doc.creationDate);
+  }
+
+  // Get latest reading of every device type for all devices
+  async getLatestReadings() {
     try {
       const allDocuments = await this.getAllDocuments();
       
       // Group by device ID and get the most recent reading for each
       const deviceReadings = {};
       allDocuments
-        .filter(doc => doc.fields?.device_type === 'temperature_sensor')
+        .filter(doc => READING_DOCUMENT_TYPES.includes(doc.fields?.device_type))
         .forEach(doc => {
           const deviceId = doc.fields?.coreid;
-          const timestamp = new Date(doc.updateDate || doc.creationDate);
+          const timestamp = this.getReadingTime(doc);
           
           if (!deviceReadings[deviceId] || timestamp > new Date(deviceReadings[deviceId].timestamp)) {
+            const type = getTypeForDocumentType(doc.fields.device_type);
             deviceReadings[deviceId] = {
               deviceId,
-              temperature: parseFloat(doc.fields?.data) || 0,
+              type,
+              value: parseFloat(doc.fields?.data) || 0,
+              unit: doc.fields?.unit || getDeviceType(type).unit,
               timestamp: timestamp.toISOString(),
               location: doc.fields?.location,
               name: doc.fields?.name
@@ -192,7 +387,7 @@ class RubidexService {
       
       return Object.values(deviceReadings);
     } catch (error) {
-      console.error('❌ Error getting latest temperatures:', error.message);
+      console.error('❌ Error getting latest readings:', error.message);
       throw error;
     }
   }
@@ -227,7 +422,7 @@ class RubidexService {
       console.log('  API Key set:', !!this.apiKey);
       console.log('  Base URL:', this.baseURL);
 
-      const response = await this.client.post('/', document);
+      const response = await this.postDocument(document, { kind: 'temperature_alert', audit: true, idempotencyKey: alertData.idempotencyKey });
       console.log('✅ Temperature alert written to blockchain');
       
       return response.data;
@@ -270,7 +465,7 @@ class RubidexService {
         }
       };
 
-      const response = await this.client.post('/', document);
+      const response = await this.postDocument(document, { kind: 'temperature_alert_resolution', audit: true, idempotencyKey: resolutionData.idempotencyKey });
       console.log('✅ Temperature alert resolution written to blockchain');
       
       return response.data;
@@ -279,6 +474,47 @@ class RubidexService {
       throw error;
     }
   }
+
+  // Write an alert lifecycle change (created, acknowledged, assigned, resolved...) to blockchain
+  // Same document format as temperature alerts, plus the alert id so every change links back to it
+  async writeAlertEvent({ alert, action, actor, note, idempotencyKey }) {
+    try {
+      const descriptions = {
+        created: alert.message || `${alert.title} on ${alert.deviceName} (${alert.deviceId}) in ${alert.location}`,
+        escalated: `Alert escalated to ${alert.severity} on device ${alert.deviceName} (${alert.deviceId}). ${alert.message}`,
+        downgraded: `Alert downgraded to ${alert.severity} on device ${alert.deviceName} (${alert.deviceId}). ${alert.message}`,
+        acknowledged: `Alert "${alert.title}" on device ${alert.deviceName} (${alert.deviceId}) acknowledged by ${actor.name}.`,
+        assigned: `Alert "${alert.title}" on device ${alert.deviceName} (${alert.deviceId}) assigned to ${alert.assignee?.name} by ${actor.name}.`,
+        escalation: `Escalation for unacknowledged alert "${alert.title}" on device ${alert.deviceName} (${alert.deviceId}): ${note}`,
+        flapping: `Alert "${alert.title}" on device ${alert.deviceName} (${alert.deviceId}) is flapping: ${note}`,
+        commented: `${actor.name} commented on alert "${alert.title}" for device ${alert.deviceName} (${alert.deviceId}): ${note}`,
+        resolved: `Alert "${alert.title}" on device ${alert.deviceName} (${alert.deviceId}) resolved by ${actor.name}.${note ? ` ${note}` : ''}`
+      };
+
+      const document = {
+        collection_id: process.env.RUBIDEX_TEMP_ALERT_COLLECTION_ID || this.collectionId,
+        fields: {
+          date: new Date().toISOString(),
+          event: descriptions[action] || `Alert ${alert.id} ${action} by ${actor.name}.`,
+          issuer: ['created', 'escalated', 'downgraded'].includes(action) ? alert.deviceName : actor.name,
+          resolved: alert.state === 'resolved',
+          severity: action === 'resolved' ? 'info' : alert.severity,
+          alert_id: alert.id,
+          alert_action: action,
+          alert_state: alert.state,
+          actor: actor.email || actor.id
+        }
+      };
+
+      const response = await this.postDocument(document, { kind: `alert_${action}`, audit: true, idempotencyKey });
+      console.log(`✅ Alert ${action} written to blockchain`);
+
+      return response.data;
+    } catch (error) {
+      console.error(`❌ Error writing alert ${action} to Rubidex:`, error.message);
+      throw error;
+    }
+  }
 }
 
 module.exports = new RubidexService();
\ No newline at end of file
@@ -0,0 +1,495 @@
+const crypto = require('crypto');
+const JsonStore = require('../utils/jsonStore');
+const deviceRegistry = require('./deviceRegistry');
+const commandService = require('./commandService');
+const { DEVICE_TYPE_NAMES, normalizeCommand } = require('../config/deviceTypes');
+const { localTime, localInstants, utcOffsetChanges, isValidTimeZone } = require('../utils/timeZones');
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const MODES = ['occupied', 'unoccupied'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// How far ahead the effective view looks for the next change
+const LOOKAHEAD_DAYS = 8;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Commands issued by the schedule are attributed to this user in the audit trail
+const SCHEDULER_USER = { id: 'scheduler', name: 'Scheduler', email: null, accessLevel: 'admin' };
+
+const toMinutes = time => parseInt(time.slice(0, 2)) * 60 + parseInt(time.slice(3));
+const addDays = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY).toISOString().slice(0, 10);
+const weekdayOf = date => WEEKDAYS[(new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7];
+
+/**
+ * Schedule Service - occupied/unoccupied schedules per zone
+ * A zone's schedule lists occupied periods for each weekday (local time in the
+ * schedule's time zone) and the commands to send each device type in the zone
+ * when it becomes occupied or unoccupied, e.g. a comfort setpoint in business
+ * hours and a setback at night. Days in the schedule's holiday calendars are
+ * unoccupied, and one-off overrides (working late, a closed Friday) beat both.
+ * Every SCHEDULE_TICK_INTERVAL the effective mode is worked out and, when it
+ * changed since it was last applied, the commands go out through the command
+ * service - including after a restart that missed a transition.
+ */
+class ScheduleService {
+  constructor() {
+    this.tickInterval = parseInt(process.env.SCHEDULE_TICK_INTERVAL) || 30; // seconds
+    this.defaultTimeZone = process.env.SCHEDULE_TIMEZONE || 'UTC';
+
+    this.scheduleStore = new JsonStore('schedules');
+    this.calendarStore = new JsonStore('holiday-calendars');
+    this.stateStore = new JsonStore('schedule-state');
+    this.schedules = new Map(this.scheduleStore.load([]).map(schedule => [schedule.zoneId, schedule]));
+    this.calendars = new Map(this.calendarStore.load([]).map(calendar => [calendar.id, calendar]));
+    // zoneId -> what was last applied: { mode, source, appliedAt, commandIds }
+    this.state = this.stateStore.load({});
+
+    this.timer = null;
+  }
+
+  persistSchedules() {
+    this.scheduleStore.save(Array.from(this.schedules.values()));
+  }
+
+  persistCalendars() {
+    this.calendarStore.save(Array.from(this.calendars.values()));
+  }
+
+  persistState() {
+    this.stateStore.save(this.state);
+  }
+
+  /**
+   * Start applying schedules; anything that changed while we were down is applied now
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => console.error('❌ Schedule tick failed:', error.message));
+    }, this.tickInterval * 1000);
+    this.timer.unref();
+
+    this.tick().catch(error => console.error('❌ Schedule tick failed:', error.message));
+    console.log(`🗓️ Schedule service started (${this.schedules.size} zones, ${this.calendars.size} holiday calendars)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Holiday calendars
+
+  getCalendars() {
+    return Array.from(this.calendars.values());
+  }
+
+  getCalendar(calendarId) {
+    return this.calendars.get(calendarId) || null;
+  }
+
+  /**
+   * Validate a holiday calendar: { name, dates: [{ date: 'YYYY-MM-DD', name? }] }
+   */
+  validateCalendar(data) {
+    const errors = [];
+
+    if (typeof data.name !== 'string' || !data.name.trim()) {
+      errors.push('name is required');
+    }
+    if (!Array.isArray(data.dates)) {
+      errors.push('dates must be an array');
+      return errors;
+    }
+    data.dates.forEach((entry, index) => {
+      const date = entry?.date;
+      if (typeof date !== 'string' || !DATE_PATTERN.test(date) || isNaN(new Date(`${date}T00:00:00Z`).getTime())) {
+        errors.push(`dates[${index}].date must be a YYYY-MM-DD date`);
+      }
+    });
+
+    return errors;
+  }
+
+  sanitizeCalendar(data) {
+    return {
+      name: data.name.trim(),
+      dates: data.dates
+        .map(entry => ({ date: entry.date, name: entry.name || null }))
+        .sort((a, b) => a.date.localeCompare(b.date))
+    };
+  }
+
+  createCalendar(data) {
+    const calendar = { id: crypto.randomUUID(), ...this.sanitizeCalendar(data) };
+    this.calendars.set(calendar.id, calendar);
+    this.persistCalendars();
+    return calendar;
+  }
+
+  updateCalendar(calendarId, data) {
+    if (!this.calendars.has(calendarId)) {
+      return null;
+    }
+    const calendar = { id: calendarId, ...this.sanitizeCalendar(data) };
+    this.calendars.set(calendarId, calendar);
+    this.persistCalendars();
+    return calendar;
+  }
+
+  /**
+   * Delete a calendar unless a schedule still uses it
+   * Returns { deleted } or { error }
+   */
+  deleteCalendar(calendarId) {
+    if (!this.calendars.has(calendarId)) {
+      return { deleted: false };
+    }
+    const usedBy = Array.from(this.schedules.values()).filter(schedule => schedule.holidayCalendarIds.includes(calendarId));
+    if (usedBy.length > 0) {
+      return { error: `Calendar is used by the schedules for: ${usedBy.map(schedule => schedule.zoneId).join(', ')}` };
+    }
+    this.calendars.delete(calendarId);
+    this.persistCalendars();
+    return { deleted: true };
+  }
+
+  // Schedules
+
+  getSchedules() {
+    return Array.from(this.schedules.values());
+  }
+
+  getSchedule(zoneId) {
+    return this.schedules.get(zoneId) || null;
+  }
+
+  /**
+   * Validate a zone schedule, returning a list of error messages
+   * { name, timezone?, enabled?, weekly: { monday: [{ start: 'HH:MM', end: 'HH:MM' }], ... },
+   *   occupied: { <device type>: [{ command, params }] }, unoccupied: { ... }, holidayCalendarIds? }
+   */
+  validateSchedule(data) {
+    const errors = [];
+
+    if (typeof data.name !== 'string' || !data.name.trim()) {
+      errors.push('name is required');
+    }
+    if (data.timezone !== undefined && (typeof data.timezone !== 'string' || !isValidTimeZone(data.timezone))) {
+      errors.push('timezone must be an IANA time zone such as Europe/London');
+    }
+
+    if (!data.weekly || typeof data.weekly !== 'object' || Array.isArray(data.weekly)) {
+      errors.push('weekly must be an object of weekday periods');
+    } else {
+      Object.keys(data.weekly).forEach(day => {
+        if (!WEEKDAYS.includes(day)) {
+          errors.push(`weekly.${day} is not a weekday (${WEEKDAYS.join(', ')})`);
+          return;
+        }
+        if (!Array.isArray(data.weekly[day])) {
+          errors.push(`weekly.${day} must be an array of periods`);
+          return;
+        }
+        data.weekly[day].forEach((period, index) => {
+          const label = `weekly.${day}[${index}]`;
+          if (!TIME_PATTERN.test(period?.start) || !TIME_PATTERN.test(period?.end)) {
+            errors.push(`${label} start and end must be HH:MM times`);
+          } else if (toMinutes(period.start) >= toMinutes(period.end)) {
+            errors.push(`${label} must end after it starts (split periods that cross midnight)`);
+          }
+        });
+      });
+    }
+
+    MODES.forEach(mode => {
+      const actions = data[mode];
+      if (actions === undefined) {
+        return;
+      }
+      if (!actions || typeof actions !== 'object' || Array.isArray(actions)) {
+        errors.push(`${mode} must map device types to commands`);
+        return;
+      }
+      Object.entries(actions).forEach(([type, commands]) => {
+        if (!DEVICE_TYPE_NAMES.includes(type)) {
+          errors.push(`${mode}: type must be one of: ${DEVICE_TYPE_NAMES.join(', ')}`);
+        } else if (!Array.isArray(commands)) {
+          errors.push(`${mode}.${type} must be an array of commands`);
+        } else {
+          commands.forEach((action, index) => {
+            const { errors: commandErrors } = normalizeCommand(type, action?.command, action?.params || {});
+            (commandErrors || []).forEach(error => errors.push(`${mode}.${type}[${index}]: ${error}`));
+          });
+        }
+      });
+    });
+
+    if (data.holidayCalendarIds !== undefined) {
+      if (!Array.isArray(data.holidayCalendarIds)) {
+        errors.push('holidayCalendarIds must be an array');
+      } else {
+        data.holidayCalendarIds
+          .filter(calendarId => !this.calendars.has(calendarId))
+          .forEach(calendarId => errors.push(`holiday calendar not found: ${calendarId}`));
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Create or replace a zone's schedule (overrides are kept)
+   */
+  async saveSchedule(zoneId, data, user) {
+    const existing = this.schedules.get(zoneId);
+    const now = new Date().toISOString();
+
+    const schedule = {
+      zoneId,
+      name: data.name.trim(),
+      timezone: data.timezone || this.defaultTimeZone,
+      enabled: data.enabled !== false,
+      weekly: Object.fromEntries(WEEKDAYS.map(day => [
+        day,
+        (data.weekly[day] || [])
+          .map(period => ({ start: period.start, end: period.end }))
+          .sort((a, b) => a.start.localeCompare(b.start))
+      ])),
+      occupied: data.occupied || {},
+      unoccupied: data.unoccupied || {},
+      holidayCalendarIds: data.holidayCalendarIds || [],
+      overrides: existing?.overrides || [],
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+      updatedBy: user?.email || user?.id || null
+    };
+
+    this.schedules.set(zoneId, schedule);
+    this.persistSchedules();
+    console.log(`🗓️ Schedule for zone ${zoneId} ${existing ? 'updated' : 'created'}`);
+
+    await this.applyZone(zoneId);
+    return schedule;
+  }
+
+  deleteSchedule(zoneId) {
+    if (!this.schedules.has(zoneId)) {
+      return false;
+    }
+    this.schedules.delete(zoneId);
+    delete this.state[zoneId];
+    this.persistSchedules();
+    this.persistState();
+    return true;
+  }
+
+  // Overrides
+
+  /**
+   * Validate a one-off override: { mode, start? (default now), end, reason? }
+   */
+  validateOverride(data) {
+    const errors = [];
+
+    if (!MODES.includes(data.mode)) {
+      errors.push(`mode must be one of: ${MODES.join(', ')}`);
+    }
+    const start = data.start !== undefined ? new Date(data.start) : new Date();
+    const end = new Date(data.end);
+    if (isNaN(start.getTime())) {
+      errors.push('start must be a valid date');
+    }
+    if (data.end === undefined || isNaN(end.getTime())) {
+      errors.push('end must be a valid date');
+    } else if (end <= start) {
+      errors.push('end must be after start');
+    } else if (end <= new Date()) {
+      errors.push('end must be in the future');
+    }
+
+    return errors;
+  }
+
+  async addOverride(zoneId, data, user) {
+    const schedule = this.schedules.get(zoneId);
+    if (!schedule) {
+      return null;
+    }
+
+    const override = {
+      id: crypto.randomUUID(),
+      mode: data.mode,
+      start: new Date(data.start !== undefined ? data.start : Date.now()).toISOString(),
+      end: new Date(data.end).toISOString(),
+      reason: data.reason || null,
+      createdBy: user?.email || user?.id || null,
+      createdAt: new Date().toISOString()
+    };
+
+    // Finished overrides are only history
+    const now = new Date();
+    schedule.overrides = schedule.overrides.filter(existing => new Date(existing.end) > now).concat(override);
+    this.persistSchedules();
+    console.log(`🗓️ Zone ${zoneId} overridden to ${override.mode} until ${override.end}${override.reason ? ` (${override.reason})` : ''}`);
+
+    await this.applyZone(zoneId);
+    return override;
+  }
+
+  async removeOverride(zoneId, overrideId) {
+    const schedule = this.schedules.get(zoneId);
+    if (!schedule || !schedule.overrides.some(override => override.id === overrideId)) {
+      return false;
+    }
+
+    schedule.overrides = schedule.overrides.filter(override => override.id !== overrideId);
+    this.persistSchedules();
+
+    await this.applyZone(zoneId);
+    return true;
+  }
+
+  // Evaluation
+
+  /**
+   * Which mode a schedule puts its zone in at a moment, and why
+   * Returns { mode, source: 'override' | 'holiday' | 'weekly', override?, holiday?, period? }
+   */
+  modeAt(schedule, at) {
+    // The most recently created override wins when several overlap
+    const override = schedule.overrides
+      .filter(candidate => new Date(candidate.start) <= at && at < new Date(candidate.end))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
+    if (override) {
+      return { mode: override.mode, source: 'override', override };
+    }
+
+    const local = localTime(at, schedule.timezone);
+    for (const calendarId of schedule.holidayCalendarIds) {
+      const holiday = this.calendars.get(calendarId)?.dates.find(entry => entry.date === local.date);
+      if (holiday) {
+        return { mode: 'unoccupied', source: 'holiday', holiday: { ...holiday, calendarId } };
+      }
+    }
+
+    const period = schedule.weekly[local.weekday]
+      .find(candidate => toMinutes(candidate.start) <= local.minutes && local.minutes < toMinutes(candidate.end));
+    return period ? { mode: 'occupied', source: 'weekly', period } : { mode: 'unoccupied', source: 'weekly' };
+  }
+
+  /**
+   * When the mode next changes, looking up to eight days ahead (null if it doesn't)
+   * The mode can only change where an override starts or ends, where a weekly period
+   * starts or ends, at local midnight (holidays) or when the clocks change, so those
+   * are the only instants checked.
+   */
+  nextChange(schedule, from) {
+    const current = this.modeAt(schedule, from).mode;
+    const until = new Date(from.getTime() + LOOKAHEAD_DAYS * DAY);
+
+    const boundaries = [
+      ...schedule.overrides.flatMap(override => [new Date(override.start), new Date(override.end)]),
+      ...utcOffsetChanges(from, until, schedule.timezone)
+    ];
+    // One local day past the lookahead, as the clocks can put its end on the next date
+    const today = localTime(from, schedule.timezone).date;
+    for (let day = 0; day <= LOOKAHEAD_DAYS + 1; day++) {
+      const date = addDays(today, day);
+      const minutes = schedule.weekly[weekdayOf(date)]
+        .flatMap(period => [toMinutes(period.start), toMinutes(period.end)])
+        .filter(minute => minute < 24 * 60);
+      new Set([0, ...minutes]).forEach(minute => boundaries.push(...localInstants(date, minute, schedule.timezone)));
+    }
+
+    const at = boundaries
+      .filter(boundary => boundary > from && boundary <= until)
+      .sort((a, b) => a - b)
+      .find(boundary => this.modeAt(schedule, boundary).mode !== current);
+    return at ? { at: at.toISOString(), mode: this.modeAt(schedule, at).mode } : null;
+  }
+
+  getZoneDevices(zoneId) {
+    return deviceRegistry.getAllDevices().filter(device => device.zone === zoneId);
+  }
+
+  /**
+   * What a zone's schedule says right now, and what was last applied
+   */
+  getEffective(zoneId, at = new Date()) {
+    const schedule = this.schedules.get(zoneId);
+    if (!schedule) {
+      return null;
+    }
+
+    const local = localTime(at, schedule.timezone);
+    const effective = schedule.enabled ? this.modeAt(schedule, at) : { mode: null, source: 'disabled' };
+    const next = schedule.enabled ? this.nextChange(schedule, at) : null;
+
+    return {
+      zoneId,
+      schedule: schedule.name,
+      timezone: schedule.timezone,
+      localTime: `${local.date} ${local.time} (${local.weekday})`,
+      ...effective,
+      until: next?.at || null,
+      nextMode: next?.mode || null,
+      actions: effective.mode ? schedule[effective.mode] : {},
+      devices: this.getZoneDevices(zoneId).map(device => ({ id: device.id, name: device.name, type: device.type })),
+      lastApplied: this.state[zoneId] || null
+    };
+  }
+
+  // Applying
+
+  /**
+   * Send the commands for a zone's current mode if it changed since last applied
+   * Returns the commands issued (empty when nothing changed)
+   */
+  async applyZone(zoneId, at = new Date()) {
+    const schedule = this.schedules.get(zoneId);
+    if (!schedule || !schedule.enabled) {
+      return [];
+    }
+
+    const { mode, source } = this.modeAt(schedule, at);
+    if (this.state[zoneId]?.mode === mode) {
+      return [];
+    }
+
+    const issued = [];
+    for (const device of this.getZoneDevices(zoneId)) {
+      for (const action of schedule[mode][device.type] || []) {
+        const validated = commandService.validateCommand(device, action);
+        if (validated.errors) {
+          console.warn(`⚠️ Schedule for zone ${zoneId} skipped ${action.command} on ${device.id}: ${validated.errors.join(', ')}`);
+          continue;
+        }
+        issued.push(await commandService.issueCommand(device, validated, SCHEDULER_USER));
+      }
+    }
+
+    this.state[zoneId] = { mode, source, appliedAt: at.toISOString(), commandIds: issued.map(command => command.id) };
+    this.persistState();
+    console.log(`🗓️ Zone ${zoneId} is now ${mode} (${source}): ${issued.length} commands issued`);
+
+    return issued;
+  }
+
+  async tick(at = new Date()) {
+    for (const zoneId of this.schedules.keys()) {
+      try {
+        await this.applyZone(zoneId, at);
+      } catch (error) {
+        console.error(`❌ Failed to apply schedule for zone ${zoneId}:`, error.message);
+      }
+    }
+  }
+}
+
+module.exports = new ScheduleService();
@@ -0,0 +1,310 @@
+const rubidexService = require('./rubidexService');
+const deviceRegistry = require('./deviceRegistry');
+const alertService = require('./alertService');
+
+/**
+ * Temperature Alert Engine - evaluates incoming readings against per-device limits
+ * so alerts are raised by the backend even when no iOS client is monitoring.
+ * Severity rules mirror GlobalTemperatureMonitor on the app: above the limit is a
+ * warning, at limit + critical offset it becomes critical. Raised alerts are
+ * tracked by the alert service, so they survive restarts and can be worked by staff.
+ *
+ * To keep a sensor hovering at its limit from producing an alert storm:
+ * - an alert only clears once the value drops `hysteresis` below the limit
+ * - a value must stay over the limit for `minDuration` seconds before alerting
+ * - a device crossing its limit ALERT_FLAP_THRESHOLD times within ALERT_FLAP_WINDOW
+ *   is flapping: the crossings stay one incident, which only resolves after the
+ *   value has been clear for a whole flap window
+ */
+class TemperatureAlertEngine {
+  constructor() {
+    this.defaultLimit = parseFloat(process.env.DEFAULT_TEMPERATURE_LIMIT) || 40.0;
+    this.criticalOffset = parseFloat(process.env.CRITICAL_TEMPERATURE_OFFSET) || 10.0;
+
+    // Defaults for devices without their own alertHysteresis / alertMinDuration
+    this.hysteresis = parseFloat(process.env.ALERT_HYSTERESIS ?? 1.0); // °C
+    this.minDuration = parseInt(process.env.ALERT_MIN_DURATION ?? 0); // seconds
+    this.flapWindow = parseInt(process.env.ALERT_FLAP_WINDOW) || 600; // seconds
+    this.flapThreshold = parseInt(process.env.ALERT_FLAP_THRESHOLD) || 4; // limit crossings
+
+    // Latest known alert limit per device (from readings or stored Rubidex documents)
+    this.deviceLimits = new Map();
+    this.limitsLoaded = false;
+    // A failed load is retried after a delay that doubles up to 10 minutes,
+    // so readings don't each download the collection while Rubidex is down
+    this.limitsRetryDelay = 30; // seconds
+    this.limitsRetryAt = 0;
+    this.limitsLoading = null;
+    // Per-device evaluation state: { overLimit, pendingSince, clearSince, crossings }
+    this.deviceStates = new Map();
+  }
+
+  /**
+   * Load the latest alert_limit stored on Rubidex for every temperature sensor
+   */
+  async loadStoredLimits() {
+    try {
+      const allDocuments = await rubidexService.getAllDocuments();
+      const latest = {};
+
+      allDocuments
+        .filter(doc => doc.fields?.device_type === 'temperature_sensor' && doc.fields?.alert_limit !== undefined)
+        .forEach(doc => {
+          const deviceId = doc.fields.coreid;
+          const limit = parseFloat(doc.fields.alert_limit);
+          const timestamp = rubidexService.getReadingTime(doc).getTime();
+
+          if (!deviceId || isNaN(limit)) return;
+          if (!latest[deviceId] || timestamp > latest[deviceId].timestamp) {
+            latest[deviceId] = { limit, timestamp };
+          }
+        });
+
+      Object.entries(latest).forEach(([deviceId, { limit }]) => {
+        if (!this.deviceLimits.has(deviceId)) {
+          this.deviceLimits.set(deviceId, limit);
+        }
+      });
+
+      this.limitsLoaded = true;
+      console.log(`📊 Loaded stored alert limits for ${Object.keys(latest).length} devices`);
+    } catch (error) {
+      this.limitsRetryAt = Date.now() + this.limitsRetryDelay * 1000;
+      console.error(`❌ Error loading stored alert limits (retrying in ${this.limitsRetryDelay}s):`, error.message);
+      this.limitsRetryDelay = Math.min(this.limitsRetryDelay * 2, 600);
+    }
+  }
+
+  /**
+   * Resolve the alert limit for a device: the one sent with the reading,
+   * then the registry, then the last one stored on Rubidex
+   */
+  async getLimit(deviceId, alertLimit) {
+    const explicitLimit = parseFloat(alertLimit);
+    if (!isNaN(explicitLimit)) {
+      this.deviceLimits.set(deviceId, explicitLimit);
+      return explicitLimit;
+    }
+
+    const registered = deviceRegistry.getDevice(deviceId);
+    if (registered && registered.alertLimit !== null && registered.alertLimit !== undefined) {
+      return registered.alertLimit;
+    }
+
+    if (!this.limitsLoaded && Date.now() >= this.limitsRetryAt) {
+      // Readings arriving while the limits load wait for the same request
+      this.limitsLoading = this.limitsLoading || this.loadStoredLimits().finally(() => {
+        this.limitsLoading = null;
+      });
+      await this.limitsLoading;
+    }
+
+    return this.deviceLimits.get(deviceId) ?? this.defaultLimit;
+  }
+
+  /**
+   * Determine alert severity for a temperature against its limit
+   */
+  determineSeverity(temperature, limit) {
+    if (temperature >= limit + this.criticalOffset) return 'critical';
+    if (temperature > limit) return 'warning';
+    return null;
+  }
+
+  /**
+   * Hysteresis and minimum duration for a device (registry overrides the defaults)
+   */
+  getSettings(deviceId) {
+    const registered = deviceRegistry.getDevice(deviceId);
+    return {
+      hysteresis: registered?.alertHysteresis ?? this.hysteresis,
+      minDuration: registered?.alertMinDuration ?? this.minDuration,
+      flapWindow: this.flapWindow,
+      flapThreshold: this.flapThreshold
+    };
+  }
+
+  getState(deviceId) {
+    if (!this.deviceStates.has(deviceId)) {
+      this.deviceStates.set(deviceId, { overLimit: null, pendingSince: null, clearSince: null, crossings: [] });
+    }
+    return this.deviceStates.get(deviceId);
+  }
+
+  /**
+   * Severity for a device that already has an alert open: it only steps down
+   * once the temperature is `hysteresis` below the band it is in
+   */
+  holdSeverity(temperature, limit, currentSeverity, hysteresis) {
+    const severity = this.determineSeverity(temperature, limit);
+    if (severity === 'critical') return 'critical';
+    if (currentSeverity === 'critical' && temperature > limit + this.criticalOffset - hysteresis) return 'critical';
+    if (temperature > limit - hysteresis) return severity || 'warning';
+    return null;
+  }
+
+  /**
+   * Record limit crossings and report whether the device is flapping
+   */
+  trackCrossing(state, overLimit, at) {
+    if (state.overLimit !== null && state.overLimit !== overLimit) {
+      state.crossings.push(at);
+    }
+    state.overLimit = overLimit;
+    state.crossings = state.crossings.filter(time => at - time < this.flapWindow * 1000);
+
+    return state.crossings.length >= this.flapThreshold;
+  }
+
+  /**
+   * Evaluate a reading, raising or resolving alerts as needed
+   * Readings from clients (POST /api/temperature/alert) go through the same rules,
+   * with source, title, message and idempotencyKey passed along.
+   * Returns { action: 'raised' | 'escalated' | 'downgraded' | 'resolved' | 'pending' | 'suppressed' | 'none', alert }
+   */
+  async evaluateReading(reading, io) {
+    const { deviceId } = reading;
+    const registered = deviceRegistry.getDevice(deviceId);
+    const temperature = parseFloat(reading.temperature);
+    const deviceName = reading.deviceName || registered?.name || `Temperature Sensor ${deviceId}`;
+    const location = reading.location || registered?.location;
+
+    if (isNaN(temperature)) {
+      return { action: 'none', alert: null };
+    }
+
+    const at = reading.timestamp ? new Date(reading.timestamp).getTime() : Date.now();
+    const limit = await this.getLimit(deviceId, reading.alertLimit);
+    const settings = this.getSettings(deviceId);
+    const state = this.getState(deviceId);
+    const activeAlert = alertService.findOpenAlert(deviceId, 'temperature');
+
+    const flapping = this.trackCrossing(state, temperature > limit, at);
+    const severity = activeAlert
+      ? this.holdSeverity(temperature, limit, activeAlert.severity, settings.hysteresis)
+      : this.determineSeverity(temperature, limit);
+
+    if (!severity) {
+      state.pendingSince = null;
+      if (!activeAlert) {
+        return { action: 'none', alert: null };
+      }
+
+      // A flapping device keeps its incident open until it has been clear for a whole window
+      if (flapping || activeAlert.flapping) {
+        state.clearSince = state.clearSince ?? at;
+        if (at - state.clearSince < settings.flapWindow * 1000) {
+          if (flapping) {
+            await this.markFlapping(activeAlert, state, settings, io);
+          }
+          return { action: 'suppressed', alert: this.toLegacyAlert(activeAlert, temperature) };
+        }
+      }
+      state.clearSince = null;
+
+      const resolved = await alertService.resolve(activeAlert.id, null, {
+        note: `Temperature returned to normal levels (${temperature.toFixed(1)}°C, limit ${limit.toFixed(1)}°C).`,
+        io
+      });
+      console.log(`✅ Server alert resolved for ${deviceId}: ${temperature}°C <= ${limit}°C`);
+
+      const resolution = this.toLegacyAlert(resolved, temperature);
+      if (io) {
+        io.emit('temperature_alert_resolved', resolution);
+      }
+
+      return { action: 'resolved', alert: resolution };
+    }
+
+    state.clearSince = null;
+
+    if (!activeAlert) {
+      state.pendingSince = state.pendingSince ?? at;
+      if (at - state.pendingSince < settings.minDuration * 1000) {
+        return { action: 'pending', alert: null };
+      }
+      state.pendingSince = null;
+    }
+
+    let action = 'none';
+    let alert = activeAlert;
+
+    if (!activeAlert || activeAlert.severity !== severity) {
+      if (!activeAlert) {
+        action = 'raised';
+      } else {
+        action = alertService.isMoreSevere(severity, activeAlert.severity) ? 'escalated' : 'downgraded';
+      }
+
+      ({ alert } = await alertService.createAlert({
+        type: 'temperature',
+        source: reading.source || 'server',
+        deviceId,
+        deviceName,
+        location: location || 'Unknown Location',
+        severity,
+        title: reading.title || (severity === 'critical' ? 'CRITICAL Temperature Alert' : 'High Temperature Alert'),
+        message: reading.message || `${deviceName} in ${location || 'Unknown Location'} has exceeded the temperature limit. Current: ${temperature.toFixed(1)}°C, Limit: ${limit.toFixed(1)}°C`,
+        value: temperature,
+        limit
+      }, { io, actor: reading.actor, idempotencyKey: reading.idempotencyKey }));
+
+      console.log(`🚨 Server alert ${action} for ${deviceId}: ${temperature}°C > ${limit}°C (${severity})`);
+    }
+
+    if (flapping) {
+      await this.markFlapping(alert, state, settings, io);
+    }
+
+    const legacyAlert = this.toLegacyAlert(alert, temperature);
+    if (io && action !== 'none') {
+      io.emit('temperature_alert', legacyAlert);
+    }
+
+    return { action, alert: legacyAlert };
+  }
+
+  // Flag the device's incident as flapping, once
+  async markFlapping(alert, state, settings, io) {
+    if (alert.flapping) {
+      return;
+    }
+    await alertService.markFlapping(alert.id, {
+      note: `${state.crossings.length} limit crossings within ${Math.round(settings.flapWindow / 60)} min, grouping into this incident until the temperature is stable.`,
+      io
+    });
+  }
+
+  /**
+   * Shape an alert record like the `temperature_alert` payload the iOS app already handles
+   */
+  toLegacyAlert(alert, temperature = alert.value) {
+    return {
+      alertId: alert.id,
+      deviceId: alert.deviceId,
+      deviceName: alert.deviceName,
+      location: alert.location,
+      temperature,
+      limit: alert.limit,
+      severity: alert.severity,
+      title: alert.title,
+      message: alert.message,
+      state: alert.state,
+      flapping: !!alert.flapping,
+      triggeredAt: alert.createdAt,
+      resolvedAt: alert.resolvedAt || undefined,
+      source: alert.source
+    };
+  }
+
+  /**
+   * Get all currently open temperature alerts
+   */
+  getActiveAlerts() {
+    return alertService.getAlerts({ type: 'temperature' })
+      .filter(alert => alert.state !== 'resolved')
+      .map(alert => this.toLegacyAlert(alert));
+  }
+}
+
+module.exports = new TemperatureAlertEngine();
@@ -0,0 +1,104 @@
+const JsonStore = require('../utils/jsonStore');
+const deviceRegistry = require('./deviceRegistry');
+const {
+  DEVICE_TYPE_NAMES,
+  getDeviceType,
+  validateThresholds,
+  statusForThresholds
+} = require('../config/deviceTypes');
+
+/**
+ * Threshold Service - resolves the warning/critical bands that drive device status
+ * Effective bands are layered: device type defaults (config) → per-type overrides
+ * (persisted here) → per-device overrides (stored on the registry entry).
+ */
+class ThresholdService {
+  constructor() {
+    this.store = new JsonStore('thresholds');
+    this.typeOverrides = this.store.load({});
+  }
+
+  /**
+   * Get effective bands for a device type
+   */
+  getTypeThresholds(typeName) {
+    const deviceType = getDeviceType(typeName);
+    if (!deviceType) {
+      return null;
+    }
+
+    return {
+      ...deviceType.thresholds,
+      ...(this.typeOverrides[typeName] || {})
+    };
+  }
+
+  /**
+   * Get effective bands for every device type
+   */
+  getAllTypeThresholds() {
+    const thresholds = {};
+    DEVICE_TYPE_NAMES.forEach(typeName => {
+      thresholds[typeName] = this.getTypeThresholds(typeName);
+    });
+    return thresholds;
+  }
+
+  /**
+   * Override bands for a device type. Bands not provided keep their current value.
+   */
+  setTypeThresholds(typeName, thresholds) {
+    const updated = {
+      ...(this.typeOverrides[typeName] || {}),
+      ...thresholds
+    };
+
+    this.typeOverrides[typeName] = updated;
+    this.store.save(this.typeOverrides);
+    console.log(`📏 Updated ${typeName} thresholds:`, updated);
+
+    return this.getTypeThresholds(typeName);
+  }
+
+  /**
+   * Drop per-type overrides, returning to the built-in defaults
+   */
+  resetTypeThresholds(typeName) {
+    delete this.typeOverrides[typeName];
+    this.store.save(this.typeOverrides);
+    return this.getTypeThresholds(typeName);
+  }
+
+  /**
+   * Get effective bands for a device
+   */
+  getDeviceThresholds(deviceId, typeName) {
+    const registered = deviceRegistry.getDevice(deviceId);
+    const type = registered?.type || typeName || 'Temperature';
+
+    return {
+      ...this.getTypeThresholds(type),
+      ...(registered?.thresholds || {})
+    };
+  }
+
+  /**
+   * Determine device status for a reading using the device's effective bands
+   */
+  determineStatus(deviceId, typeName, value) {
+    return statusForThresholds(value, this.getDeviceThresholds(deviceId, typeName));
+  }
+
+  /**
+   * Validate bands as they would apply once merged over the given base bands
+   */
+  validate(thresholds, baseThresholds = {}) {
+    const errors = validateThresholds(thresholds);
+    if (errors.length > 0) {
+      return errors;
+    }
+    return validateThresholds({ ...baseThresholds, ...thresholds });
+  }
+}
+
+module.exports = new ThresholdService();
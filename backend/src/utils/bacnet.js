@@ -0,0 +1,464 @@
+const dgram = require('dgram');
+
+// Standard BACnet/IP UDP port (0xBAC0)
+const DEFAULT_PORT = 47808;
+
+const OBJECT_TYPES = {
+  analogInput: 0,
+  analogOutput: 1,
+  analogValue: 2,
+  binaryInput: 3,
+  binaryOutput: 4,
+  binaryValue: 5,
+  device: 8,
+  multiStateInput: 13,
+  multiStateOutput: 14,
+  multiStateValue: 19
+};
+
+const PROPERTIES = { objectName: 77, presentValue: 85 };
+
+// Application tag numbers
+const TAGS = { null: 0, boolean: 1, unsigned: 2, signed: 3, real: 4, double: 5, string: 7, enumerated: 9, objectId: 12 };
+
+const SERVICES = { iAm: 0x00, whoIs: 0x08, readProperty: 0x0c };
+
+const ERROR_CODES = { 27: 'read-access-denied', 31: 'unknown-object', 32: 'unknown-property' };
+
+// Encoding
+
+function encodeUnsigned(value) {
+  const length = value < 0x100 ? 1 : value < 0x10000 ? 2 : value < 0x1000000 ? 3 : 4;
+  const buffer = Buffer.alloc(length);
+  buffer.writeUIntBE(value, 0, length);
+  return buffer;
+}
+
+function encodeTag(tagNumber, context, length) {
+  const bytes = [((tagNumber > 14 ? 15 : tagNumber) << 4) | (context ? 0x08 : 0) | (length > 4 ? 5 : length)];
+  if (tagNumber > 14) {
+    bytes.push(tagNumber);
+  }
+  if (length > 4) {
+    bytes.push(...(length < 254 ? [length] : [254, length >> 8, length & 0xff]));
+  }
+  return Buffer.from(bytes);
+}
+
+function encodeObjectId(objectType, instance) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32BE(((objectType << 22) | instance) >>> 0, 0);
+  return buffer;
+}
+
+/**
+ * Encode an application-tagged value (`type` is a key of TAGS)
+ */
+function encodeApplication(type, value) {
+  let content;
+  switch (type) {
+    case 'null': return Buffer.from([0x00]);
+    case 'boolean': return Buffer.from([(TAGS.boolean << 4) | (value ? 1 : 0)]);
+    case 'unsigned':
+    case 'enumerated': content = encodeUnsigned(value); break;
+    case 'real': content = Buffer.alloc(4); content.writeFloatBE(value, 0); break;
+    case 'double': content = Buffer.alloc(8); content.writeDoubleBE(value, 0); break;
+    case 'string': content = Buffer.concat([Buffer.from([0]), Buffer.from(value, 'utf8')]); break; // 0 = UTF-8
+    case 'objectId': content = encodeObjectId(value.type, value.instance); break;
+    default: throw new Error(`Cannot encode BACnet ${type}`);
+  }
+  return Buffer.concat([encodeTag(TAGS[type], false, content.length), content]);
+}
+
+function encodeContext(tagNumber, content) {
+  return Buffer.concat([encodeTag(tagNumber, true, content.length), content]);
+}
+
+const openingTag = tagNumber => Buffer.from([(tagNumber << 4) | 0x0e]);
+const closingTag = tagNumber => Buffer.from([(tagNumber << 4) | 0x0f]);
+
+/**
+ * Wrap an APDU in the BACnet/IP (BVLC) and network (NPDU) headers
+ */
+function encodeFrame(apdu, { broadcast = false, expectReply = false } = {}) {
+  const npdu = Buffer.from([0x01, expectReply ? 0x04 : 0x00]);
+  const length = 4 + npdu.length + apdu.length;
+  const bvlc = Buffer.from([0x81, broadcast ? 0x0b : 0x0a, length >> 8, length & 0xff]);
+  return Buffer.concat([bvlc, npdu, apdu]);
+}
+
+// Decoding
+
+/**
+ * Read the tag at `offset`; `next` is the offset after its content
+ */
+function decodeTag(buffer, offset) {
+  const first = buffer[offset];
+  let position = offset + 1;
+  let tagNumber = first >> 4;
+  if (tagNumber === 15) {
+    tagNumber = buffer[position++];
+  }
+  const context = !!(first & 0x08);
+  const lvt = first & 0x07;
+
+  if (context && (lvt === 6 || lvt === 7)) {
+    return { tagNumber, context, opening: lvt === 6, closing: lvt === 7, lvt, length: 0, start: position, next: position };
+  }
+  // Application booleans carry their value in the length field
+  if (!context && tagNumber === TAGS.boolean) {
+    return { tagNumber, context, lvt, length: 0, start: position, next: position };
+  }
+
+  let length = lvt;
+  if (lvt === 5) {
+    length = buffer[position++];
+    if (length === 254) {
+      length = buffer.readUInt16BE(position);
+      position += 2;
+    } else if (length === 255) {
+      length = buffer.readUInt32BE(position);
+      position += 4;
+    }
+  }
+  return { tagNumber, context, lvt, length, start: position, next: position + length };
+}
+
+function decodeObjectId(buffer, offset) {
+  const raw = buffer.readUInt32BE(offset);
+  return { type: raw >>> 22, instance: raw & 0x3fffff };
+}
+
+/**
+ * Decode the application-tagged value at `offset`
+ * Returns { value, next }
+ */
+function decodeApplication(buffer, offset) {
+  const tag = decodeTag(buffer, offset);
+  const { start, length } = tag;
+  let value;
+
+  switch (tag.tagNumber) {
+    case TAGS.null: value = null; break;
+    case TAGS.boolean: value = tag.lvt === 1; break;
+    case TAGS.unsigned:
+    case TAGS.enumerated: value = length ? buffer.readUIntBE(start, length) : 0; break;
+    case TAGS.signed: value = length ? buffer.readIntBE(start, length) : 0; break;
+    case TAGS.real: value = buffer.readFloatBE(start); break;
+    case TAGS.double: value = buffer.readDoubleBE(start); break;
+    case TAGS.string: value = buffer.toString(buffer[start] === 0 ? 'utf8' : 'latin1', start + 1, start + length); break;
+    case TAGS.objectId: value = decodeObjectId(buffer, start); break;
+    default: value = buffer.subarray(start, start + length);
+  }
+
+  return { value, next: tag.next };
+}
+
+/**
+ * Strip the BVLC and NPDU headers, returning the APDU (null for anything else)
+ */
+function decodeFrame(buffer) {
+  if (buffer.length < 6 || buffer[0] !== 0x81) {
+    return null;
+  }
+
+  let offset = 4;
+  if (buffer[1] === 0x04) {
+    offset += 6; // Forwarded-NPDU: original sender's address and port
+  } else if (buffer[1] !== 0x0a && buffer[1] !== 0x0b) {
+    return null;
+  }
+
+  if (buffer[offset] !== 0x01) {
+    return null;
+  }
+  const control = buffer[offset + 1];
+  offset += 2;
+  if (control & 0x80) {
+    return null; // network layer message, not for us
+  }
+  if (control & 0x20) {
+    offset += 3 + buffer[offset + 2]; // DNET, DLEN, DADR
+  }
+  if (control & 0x08) {
+    offset += 3 + buffer[offset + 2]; // SNET, SLEN, SADR
+  }
+  if (control & 0x20) {
+    offset += 1; // hop count
+  }
+
+  return buffer.subarray(offset);
+}
+
+/**
+ * Parse an I-Am APDU into the announcing device
+ */
+function decodeIAm(apdu) {
+  let offset = 2;
+  const objectId = decodeApplication(apdu, offset);
+  offset = objectId.next;
+  const maxApdu = decodeApplication(apdu, offset);
+  offset = maxApdu.next;
+  const segmentation = decodeApplication(apdu, offset);
+  offset = segmentation.next;
+  const vendorId = decodeApplication(apdu, offset);
+
+  return {
+    deviceInstance: objectId.value.instance,
+    maxApdu: maxApdu.value,
+    segmentation: segmentation.value,
+    vendorId: vendorId.value
+  };
+}
+
+/**
+ * Parse a host[:port] string
+ */
+function parseAddress(address, defaultPort = DEFAULT_PORT) {
+  const [host, port] = String(address).split(':');
+  return { host, port: parseInt(port) || defaultPort };
+}
+
+/**
+ * Minimal BACnet/IP client - Who-Is discovery and ReadProperty
+ * Binds one UDP socket (I-Am answers are broadcast to the BACnet port, so by
+ * default it listens on 47808). Confirmed requests are matched to replies by
+ * invoke id; segmented replies are not supported, which is fine for single values.
+ */
+class BacnetClient {
+  constructor({ port = DEFAULT_PORT, bindAddress = '0.0.0.0', broadcastAddress = '255.255.255.255', timeout = 3000 } = {}) {
+    this.port = port;
+    this.bindAddress = bindAddress;
+    this.broadcastAddress = broadcastAddress;
+    this.timeout = timeout;
+
+    this.socket = null;
+    this.opening = null;
+    this.invokeId = 0;
+    // invokeId -> { resolve, reject, timer }
+    this.pending = new Map();
+    // I-Am listeners, called with (device)
+    this.iAmListeners = new Set();
+  }
+
+  open() {
+    if (this.socket) {
+      return Promise.resolve();
+    }
+    if (this.opening) {
+      return this.opening;
+    }
+
+    this.opening = new Promise((resolve, reject) => {
+      const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+      socket.on('message', (message, rinfo) => this.handleMessage(message, rinfo));
+      socket.once('error', error => {
+        this.opening = null;
+        socket.close();
+        reject(error);
+      });
+      socket.bind(this.port, this.bindAddress, () => {
+        socket.setBroadcast(true);
+        socket.unref();
+        socket.removeAllListeners('error');
+        socket.on('error', error => console.error('❌ BACnet socket error:', error.message));
+        this.socket = socket;
+        this.opening = null;
+        resolve();
+      });
+    });
+
+    return this.opening;
+  }
+
+  close() {
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+    this.pending.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(new Error('BACnet client closed'));
+    });
+    this.pending.clear();
+  }
+
+  handleMessage(message, rinfo) {
+    const apdu = decodeFrame(message);
+    if (!apdu || apdu.length < 2) {
+      return;
+    }
+
+    const pduType = apdu[0] >> 4;
+    try {
+      if (pduType === 1) {
+        if (apdu[1] === SERVICES.iAm) {
+          const device = { ...decodeIAm(apdu), address: rinfo.address, port: rinfo.port };
+          this.iAmListeners.forEach(listener => listener(device));
+        }
+        return;
+      }
+
+      const request = this.pending.get(apdu[1]);
+      if (!request) {
+        return;
+      }
+      this.pending.delete(apdu[1]);
+      clearTimeout(request.timer);
+
+      if (pduType === 3) {
+        if (apdu[0] & 0x08) {
+          return request.reject(this.protocolError('Segmented responses are not supported'));
+        }
+        request.resolve(apdu.subarray(3));
+      } else if (pduType === 5) {
+        const errorClass = decodeApplication(apdu, 3);
+        const errorCode = decodeApplication(apdu, errorClass.next);
+        const name = ERROR_CODES[errorCode.value] || `class ${errorClass.value} code ${errorCode.value}`;
+        request.reject(this.protocolError(`BACnet error: ${name}`));
+      } else if (pduType === 6) {
+        request.reject(this.protocolError(`BACnet request rejected (reason ${apdu[2]})`));
+      } else if (pduType === 7) {
+        request.reject(this.protocolError(`BACnet request aborted (reason ${apdu[2]})`));
+      } else {
+        request.resolve(apdu.subarray(3));
+      }
+    } catch (error) {
+      console.warn(`⚠️ Malformed BACnet message from ${rinfo.address}:${rinfo.port}:`, error.message);
+    }
+  }
+
+  // The device answered but refused; the request itself got through
+  protocolError(message) {
+    const error = new Error(message);
+    error.bacnetError = true;
+    return error;
+  }
+
+  async send(frame, { host, port }) {
+    await this.open();
+    return new Promise((resolve, reject) => {
+      this.socket.send(frame, port, host, error => (error ? reject(error) : resolve()));
+    });
+  }
+
+  /**
+   * Broadcast Who-Is and collect I-Am answers for `wait` ms
+   * `address` (host[:port]) sends it to one device or network instead of the
+   * broadcast address. Resolves with [{ deviceInstance, address, port, maxApdu, segmentation, vendorId }].
+   */
+  async whoIs({ lowLimit, highLimit, address, wait = this.timeout } = {}) {
+    const target = parseAddress(address || this.broadcastAddress);
+    const hasLimits = lowLimit !== undefined && highLimit !== undefined;
+
+    const apdu = Buffer.concat([
+      Buffer.from([0x10, SERVICES.whoIs]),
+      ...(hasLimits ? [encodeContext(0, encodeUnsigned(lowLimit)), encodeContext(1, encodeUnsigned(highLimit))] : [])
+    ]);
+
+    const devices = new Map();
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      let done = false;
+      const finish = () => {
+        if (done) return;
+        done = true;
+        clearTimeout(timer);
+        this.iAmListeners.delete(listener);
+        resolve(Array.from(devices.values()));
+      };
+      const listener = device => {
+        if (hasLimits && (device.deviceInstance < lowLimit || device.deviceInstance > highLimit)) {
+          return;
+        }
+        devices.set(device.deviceInstance, device);
+        // Looking for one device: no need to wait out the window
+        if (hasLimits && lowLimit === highLimit) {
+          finish();
+        }
+      };
+
+      this.iAmListeners.add(listener);
+      this.send(encodeFrame(apdu, { broadcast: !address }), target)
+        .then(() => {
+          if (!done) timer = setTimeout(finish, wait);
+        })
+        .catch(error => {
+          this.iAmListeners.delete(listener);
+          reject(error);
+        });
+    });
+  }
+
+  nextInvokeId() {
+    for (let attempt = 0; attempt < 256; attempt++) {
+      this.invokeId = (this.invokeId + 1) % 256;
+      if (!this.pending.has(this.invokeId)) {
+        return this.invokeId;
+      }
+    }
+    throw new Error('Too many BACnet requests in flight');
+  }
+
+  /**
+   * Read one property (present-value by default) of an object on a device
+   * `objectType` is a key of OBJECT_TYPES. Resolves with the decoded value.
+   */
+  async readProperty({ host, port = DEFAULT_PORT }, objectType, instance, propertyId = PROPERTIES.presentValue) {
+    if (OBJECT_TYPES[objectType] === undefined) {
+      throw new Error(`Unknown BACnet object type: ${objectType}`);
+    }
+
+    await this.open();
+    const invokeId = this.nextInvokeId();
+    const apdu = Buffer.concat([
+      // Confirmed request, up to 1476 byte replies, unsegmented
+      Buffer.from([0x00, 0x05, invokeId, SERVICES.readProperty]),
+      encodeContext(0, encodeObjectId(OBJECT_TYPES[objectType], instance)),
+      encodeContext(1, encodeUnsigned(propertyId))
+    ]);
+
+    const body = await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(invokeId);
+        reject(new Error(`BACnet read from ${host}:${port} timed out`));
+      }, this.timeout);
+
+      this.pending.set(invokeId, { resolve, reject, timer });
+      this.send(encodeFrame(apdu, { expectReply: true }), { host, port }).catch(error => {
+        clearTimeout(timer);
+        this.pending.delete(invokeId);
+        reject(error);
+      });
+    });
+
+    // Skip the echoed object id, property id and optional array index up to the value list
+    let offset = 0;
+    let tag = decodeTag(body, offset);
+    while (!(tag.opening && tag.tagNumber === 3)) {
+      offset = tag.next;
+      tag = decodeTag(body, offset);
+    }
+    return decodeApplication(body, tag.next).value;
+  }
+}
+
+module.exports = {
+  BacnetClient,
+  DEFAULT_PORT,
+  OBJECT_TYPES,
+  PROPERTIES,
+  SERVICES,
+  encodeApplication,
+  encodeContext,
+  encodeFrame,
+  encodeObjectId,
+  encodeUnsigned,
+  openingTag,
+  closingTag,
+  decodeApplication,
+  decodeFrame,
+  decodeObjectId,
+  decodeTag,
+  parseAddress
+};
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+
+// Same directory as JsonStore
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../../data');
+
+/**
+ * Append-only JSON Lines file for records that only ever grow (one JSON value per line).
+ * Appending writes just the new line, so the cost of a write doesn't grow with the
+ * file. A crash mid-append can leave a partial last line; it is dropped on load so
+ * the next append starts on a clean line.
+ */
+class JsonLinesLog {
+  constructor(name) {
+    this.filePath = path.join(DATA_DIR, `${name}.jsonl`);
+  }
+
+  exists() {
+    return fs.existsSync(this.filePath);
+  }
+
+  // Read every record, oldest first
+  load() {
+    if (!this.exists()) {
+      return [];
+    }
+
+    const content = fs.readFileSync(this.filePath, 'utf8');
+    const records = [];
+    let offset = 0;
+
+    while (offset < content.length) {
+      const end = content.indexOf('\n', offset);
+      const line = content.slice(offset, end === -1 ? content.length : end);
+      try {
+        if (line.trim()) {
+          records.push(JSON.parse(line));
+        }
+      } catch (error) {
+        if (end !== -1) {
+          // Left out rather than fatal; callers that chain records will see the gap
+          console.error(`❌ Skipping corrupt record in ${this.filePath} at byte ${offset}`);
+          offset = end + 1;
+          continue;
+        }
+        console.warn(`⚠️ Dropping partial last record in ${this.filePath}`);
+        fs.truncateSync(this.filePath, Buffer.byteLength(content.slice(0, offset), 'utf8'));
+        break;
+      }
+      if (end === -1) {
+        // Complete record without its newline: finish the line before anything is appended
+        fs.appendFileSync(this.filePath, '\n');
+        break;
+      }
+      offset = end + 1;
+    }
+
+    return records;
+  }
+
+  // Add records to the end of the file
+  append(...records) {
+    if (!fs.existsSync(DATA_DIR)) {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+    fs.appendFileSync(this.filePath, this.serialize(records));
+  }
+
+  // Replace the whole file atomically (compaction)
+  rewrite(records) {
+    if (!fs.existsSync(DATA_DIR)) {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, this.serialize(records));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  serialize(records) {
+    return records.map(record => `${JSON.stringify(record)}\n`).join('');
+  }
+}
+
+module.exports = JsonLinesLog;
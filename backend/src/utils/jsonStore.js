@@ -0,0 +1,42 @@
+const fs = require('fs');
+const path = require('path');
+
+// Directory for persisted backend state (device registry, outbox, etc.)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../../data');
+
+/**
+ * Minimal JSON file store used by services that need to survive restarts.
+ * Writes go to a temporary file first and are renamed into place so a crash
+ * mid-write never leaves a truncated file behind.
+ */
+class JsonStore {
+  constructor(name) {
+    this.filePath = path.join(DATA_DIR, `${name}.json`);
+  }
+
+  // Read stored data, falling back to the default when nothing has been saved yet
+  load(defaultValue) {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return defaultValue;
+      }
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      console.error(`❌ Failed to load ${this.filePath}:`, error.message);
+      return defaultValue;
+    }
+  }
+
+  // Persist data atomically
+  save(data) {
+    if (!fs.existsSync(DATA_DIR)) {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+module.exports = JsonStore;
@@ -1,5 +1,13 @@
+const fs = require('fs');
+const path = require('path');
 const winston = require('winston');
 
+// Log files live in backend/logs whatever directory the process was started from
+const logsDir = path.join(__dirname, '../../logs');
+if (!fs.existsSync(logsDir)) {
+  fs.mkdirSync(logsDir, { recursive: true });
+}
+
 // Define log levels
 const levels = {
   error: 0,
@@ -42,7 +50,7 @@ const transports = [
   
   // File transport for errors
   new winston.transports.File({
-    filename: 'logs/error.log',
+    filename: path.join(logsDir, 'error.log'),
     level: 'error',
     format: winston.format.combine(
       winston.format.timestamp(),
@@ -52,7 +60,7 @@ const transports = [
   
   // File transport for all logs
   new winston.transports.File({
-    filename: 'logs/combined.log',
+    filename: path.join(logsDir, 'combined.log'),
     format: winston.format.combine(
       winston.format.timestamp(),
       winston.format.json()
@@ -69,12 +77,4 @@ const logger = winston.createLogger({
   exitOnError: false,
 });
 
-// Create logs directory if it doesn't exist
-const fs = require('fs');
-const path = require('path');
-const logsDir = path.join(__dirname, '../../logs');
-if (!fs.existsSync(logsDir)) {
-  fs.mkdirSync(logsDir, { recursive: true });
-}
-
 module.exports = logger;
\ No newline at end of file
@@ -0,0 +1,209 @@
+const net = require('net');
+
+// Function codes the poller reads with
+const FUNCTION_CODES = { holding: 0x03, input: 0x04 };
+// Most registers one read request may ask for
+const MAX_READ_REGISTERS = 125;
+
+const EXCEPTIONS = {
+  1: 'Illegal function',
+  2: 'Illegal data address',
+  3: 'Illegal data value',
+  4: 'Server device failure',
+  6: 'Server device busy',
+  10: 'Gateway path unavailable',
+  11: 'Gateway target device failed to respond'
+};
+
+/**
+ * Minimal Modbus TCP client - reads holding and input registers
+ * One connection per client; responses are matched to requests by transaction id,
+ * unit id and function code (or its exception code, function | 0x80), so several
+ * reads can be in flight and a stray frame can't answer the wrong read. Connects
+ * lazily and reconnects after errors.
+ */
+class ModbusTcpClient {
+  constructor({ host, port = 502, timeout = 5000 }) {
+    this.host = host;
+    this.port = port;
+    this.timeout = timeout;
+
+    this.socket = null;
+    this.connecting = null;
+    this.buffer = Buffer.alloc(0);
+    this.transactionId = 0;
+    // transactionId -> { unitId, functionCode, count, resolve, reject, timer }
+    this.pending = new Map();
+  }
+
+  connect() {
+    if (this.socket) {
+      return Promise.resolve();
+    }
+    if (this.connecting) {
+      return this.connecting;
+    }
+
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      const timer = setTimeout(() => socket.destroy(new Error(`Connection to ${this.host}:${this.port} timed out`)), this.timeout);
+
+      socket.once('connect', () => {
+        clearTimeout(timer);
+        this.socket = socket;
+        this.connecting = null;
+        resolve();
+      });
+      socket.on('data', chunk => this.handleData(chunk));
+      socket.on('error', error => {
+        clearTimeout(timer);
+        if (this.connecting) {
+          this.connecting = null;
+          reject(error);
+        }
+        this.failAll(error);
+      });
+      socket.on('close', () => {
+        this.socket = null;
+        this.buffer = Buffer.alloc(0);
+        this.failAll(new Error('Connection closed'));
+      });
+    });
+
+    return this.connecting;
+  }
+
+  close() {
+    if (this.socket) {
+      this.socket.destroy();
+      this.socket = null;
+    }
+  }
+
+  failAll(error) {
+    this.pending.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    this.pending.clear();
+  }
+
+  handleData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    // MBAP header: transaction id (2), protocol id (2), length (2), then `length` bytes
+    while (this.buffer.length >= 7) {
+      const length = this.buffer.readUInt16BE(4);
+      if (this.buffer.length < 6 + length) {
+        return;
+      }
+
+      const frame = this.buffer.subarray(0, 6 + length);
+      this.buffer = this.buffer.subarray(6 + length);
+
+      const transactionId = frame.readUInt16BE(0);
+      const request = this.pending.get(transactionId);
+      if (!request || frame.length < 9) {
+        continue;
+      }
+
+      const unitId = frame.readUInt8(6);
+      const functionCode = frame.readUInt8(7);
+      const isException = functionCode === (request.functionCode | 0x80);
+      if (unitId !== request.unitId || (functionCode !== request.functionCode && !isException)) {
+        console.warn(`⚠️ Ignoring Modbus response from ${this.host}:${this.port} that doesn't match transaction ${transactionId} (unit ${unitId}, function ${functionCode})`);
+        continue;
+      }
+      this.pending.delete(transactionId);
+      clearTimeout(request.timer);
+
+      if (isException) {
+        const code = frame.readUInt8(8);
+        const error = new Error(`Modbus exception ${code}: ${EXCEPTIONS[code] || 'Unknown'}`);
+        error.modbusCode = code;
+        request.reject(error);
+        continue;
+      }
+
+      const byteCount = frame.readUInt8(8);
+      if (byteCount !== request.count * 2 || frame.length < 9 + byteCount) {
+        request.reject(new Error(`Modbus response has ${byteCount} bytes for ${request.count} registers`));
+        continue;
+      }
+      const registers = [];
+      for (let offset = 0; offset < byteCount; offset += 2) {
+        registers.push(frame.readUInt16BE(9 + offset));
+      }
+      request.resolve(registers);
+    }
+  }
+
+  /**
+   * Read `count` registers starting at `address` (0-based)
+   * `table` is `holding` (function 3) or `input` (function 4)
+   */
+  async readRegisters(unitId, table, address, count) {
+    const functionCode = FUNCTION_CODES[table];
+    if (!functionCode) {
+      throw new Error(`Unknown register table: ${table}`);
+    }
+    if (count < 1 || count > MAX_READ_REGISTERS) {
+      throw new Error(`Can read 1 to ${MAX_READ_REGISTERS} registers at a time`);
+    }
+
+    await this.connect();
+
+    this.transactionId = (this.transactionId + 1) % 0x10000;
+    const transactionId = this.transactionId;
+
+    const frame = Buffer.alloc(12);
+    frame.writeUInt16BE(transactionId, 0);
+    frame.writeUInt16BE(0, 2);
+    frame.writeUInt16BE(6, 4);
+    frame.writeUInt8(unitId, 6);
+    frame.writeUInt8(functionCode, 7);
+    frame.writeUInt16BE(address, 8);
+    frame.writeUInt16BE(count, 10);
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(transactionId);
+        reject(new Error(`Modbus read from ${this.host}:${this.port} timed out`));
+      }, this.timeout);
+
+      this.pending.set(transactionId, { unitId, functionCode, count, resolve, reject, timer });
+      this.socket.write(frame);
+    });
+  }
+}
+
+/**
+ * Decode a value from consecutive 16-bit registers
+ * 32-bit types use two registers, high word first unless wordOrder is 'little'.
+ */
+function decodeRegisters(registers, dataType = 'uint16', wordOrder = 'big') {
+  if (dataType === 'uint16') return registers[0];
+  if (dataType === 'int16') return registers[0] > 0x7fff ? registers[0] - 0x10000 : registers[0];
+
+  const [high, low] = wordOrder === 'little' ? [registers[1], registers[0]] : [registers[0], registers[1]];
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt16BE(high, 0);
+  buffer.writeUInt16BE(low, 2);
+
+  if (dataType === 'uint32') return buffer.readUInt32BE(0);
+  if (dataType === 'int32') return buffer.readInt32BE(0);
+  if (dataType === 'float32') return buffer.readFloatBE(0);
+
+  throw new Error(`Unknown data type: ${dataType}`);
+}
+
+// Registers each data type takes up
+const DATA_TYPE_SIZES = { uint16: 1, int16: 1, uint32: 2, int32: 2, float32: 2 };
+
+module.exports = {
+  ModbusTcpClient,
+  decodeRegisters,
+  DATA_TYPE_SIZES,
+  FUNCTION_CODES,
+  MAX_READ_REGISTERS
+};
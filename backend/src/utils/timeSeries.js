@@ -0,0 +1,88 @@
+// Supported downsampling bucket sizes
+const BUCKETS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+// Preset ranges accepted by the history endpoint
+const TIME_RANGES = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Resolve the [from, to] window for a history query
+ * Explicit from/to win over the timeRange preset. Returns { from, to } or { error }.
+ */
+function resolveWindow({ timeRange, from, to }, now = new Date()) {
+  const end = to ? new Date(to) : now;
+  if (isNaN(end.getTime())) {
+    return { error: 'to must be an ISO 8601 timestamp' };
+  }
+
+  let start;
+  if (from) {
+    start = new Date(from);
+    if (isNaN(start.getTime())) {
+      return { error: 'from must be an ISO 8601 timestamp' };
+    }
+  } else {
+    start = new Date(end.getTime() - (TIME_RANGES[timeRange] || TIME_RANGES.hour));
+  }
+
+  if (start > end) {
+    return { error: 'from must be before to' };
+  }
+
+  return { from: start, to: end };
+}
+
+/**
+ * Group points ({ timestamp, value }) into fixed-size buckets aligned to the epoch
+ * Each bucket reports min/max/avg/count; value mirrors avg so charts can plot it directly.
+ */
+function downsample(points, bucketSize) {
+  const bucketMs = BUCKETS[bucketSize];
+  const buckets = new Map();
+
+  points.forEach(point => {
+    const time = new Date(point.timestamp).getTime();
+    const bucketStart = Math.floor(time / bucketMs) * bucketMs;
+
+    let bucket = buckets.get(bucketStart);
+    if (!bucket) {
+      bucket = { min: point.value, max: point.value, sum: 0, count: 0 };
+      buckets.set(bucketStart, bucket);
+    }
+
+    bucket.min = Math.min(bucket.min, point.value);
+    bucket.max = Math.max(bucket.max, point.value);
+    bucket.sum += point.value;
+    bucket.count++;
+  });
+
+  return Array.from(buckets.entries())
+    .sort(([a], [b]) => a - b)
+    .map(([bucketStart, bucket]) => {
+      const avg = Math.round((bucket.sum / bucket.count) * 100) / 100;
+      return {
+        timestamp: new Date(bucketStart).toISOString(),
+        value: avg,
+        min: bucket.min,
+        max: bucket.max,
+        avg,
+        count: bucket.count
+      };
+    });
+}
+
+module.exports = {
+  BUCKETS,
+  TIME_RANGES,
+  resolveWindow,
+  downsample
+};
@@ -0,0 +1,112 @@
+// Date formatters are costly to build, so keep one per time zone
+const formatters = new Map();
+
+const DAY = 24 * 60 * 60 * 1000;
+// Clocks change a few times a year at most, so checking the offset every six hours finds each change
+const OFFSET_SAMPLE = 6 * 60 * 60 * 1000;
+
+/**
+ * Wall-clock date, weekday and minute of the day for an instant in a time zone
+ * Returns { date: 'YYYY-MM-DD', weekday: 'monday', time: 'HH:MM', minutes }
+ */
+function localTime(date, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'long',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+
+  const parts = Object.fromEntries(formatters.get(timeZone).formatToParts(date).map(part => [part.type, part.value]));
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: parts.weekday.toLowerCase(),
+    time: `${parts.hour}:${parts.minute}`,
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+  };
+}
+
+/**
+ * How many minutes a time zone is ahead of UTC at an instant (negative when behind)
+ */
+function utcOffset(date, timeZone) {
+  const at = Math.floor(date.getTime() / 60000) * 60000;
+  const local = localTime(new Date(at), timeZone);
+  return (Date.parse(`${local.date}T${local.time}:00Z`) - at) / 60000;
+}
+
+/**
+ * The instants a time zone's clocks read a wall-clock date and minute of the day:
+ * usually one, none when the clocks skip it and two when they go back over it
+ */
+function localInstants(date, minutes, timeZone) {
+  const wall = Date.parse(`${date}T00:00:00Z`) + minutes * 60000;
+  // Any real offset is under a day, so the ones a day either side cover both readings
+  const offsets = new Set([utcOffset(new Date(wall - DAY), timeZone), utcOffset(new Date(wall + DAY), timeZone)]);
+
+  return Array.from(offsets)
+    .map(offset => new Date(wall - offset * 60000))
+    .filter(at => {
+      const local = localTime(at, timeZone);
+      return local.date === date && local.minutes === minutes;
+    })
+    .sort((a, b) => a - b);
+}
+
+/**
+ * The instants between two dates at which a time zone's clocks change (daylight saving)
+ */
+function utcOffsetChanges(from, to, timeZone) {
+  const changes = [];
+  let before = from.getTime();
+  let offset = utcOffset(from, timeZone);
+
+  while (before < to.getTime()) {
+    const after = Math.min(before + OFFSET_SAMPLE, to.getTime());
+    const next = utcOffset(new Date(after), timeZone);
+    if (next !== offset) {
+      // Narrow down to the first minute on the new offset
+      let low = Math.floor(before / 60000);
+      let high = Math.floor(after / 60000);
+      while (high - low > 1) {
+        const middle = Math.floor((low + high) / 2);
+        if (utcOffset(new Date(middle * 60000), timeZone) === offset) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+      changes.push(new Date(high * 60000));
+      offset = next;
+    }
+    before = after;
+  }
+
+  return changes;
+}
+
+/**
+ * Whether a string is an IANA time zone this runtime knows (e.g. Europe/London)
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  localTime,
+  utcOffset,
+  localInstants,
+  utcOffsetChanges,
+  isValidTimeZone
+};
@@ -1,11 +1,17 @@
 #!/usr/bin/env node
 
 // Test script to verify Rubidex document format
+// Posts to RUBIDEX_API_URL (defaults to the local emulator: npm run rubidex:emulator)
+require('dotenv').config();
 const axios = require('axios');
 
+const RUBIDEX_API_URL = process.env.RUBIDEX_API_URL || 'http://localhost:4010';
+const RUBIDEX_API_KEY = process.env.RUBIDEX_API_KEY || 'local-emulator-key';
+const COLLECTION_ID = process.env.RUBIDEX_TEMP_ALERT_COLLECTION_ID || process.env.RUBIDEX_COLLECTION_ID || 'local-emulator-collection';
+
 async function testDocumentFormat() {
   const document = {
-    collection_id: "1cc28e7bf898051430ed27bd83ffaef825d1b5bcc6a3720ea149191ed9a61c81",
+    collection_id: COLLECTION_ID,
     fields: {
       date: new Date().toISOString(),
       event: "Test temperature alert triggered on device Test Sensor (test-123) in Test Lab. Current: 45.5°C, Limit: 40.0°C",
@@ -15,13 +21,13 @@ async function testDocumentFormat() {
     }
   };
 
-  console.log('🧪 Testing document format:');
+  console.log(`🧪 Testing document format against ${RUBIDEX_API_URL}:`);
   console.log(JSON.stringify(document, null, 2));
 
   try {
-    const response = await axios.post('https://app.rubidex.ai/api/v1/chaincode/document', document, {
+    const response = await axios.post(`${RUBIDEX_API_URL}/`, document, {
       headers: {
-        'Authorization': 'Key 22d9eef8-9d41-4251-bcf0-3f09b4023085',
+        'Authorization': `Key ${RUBIDEX_API_KEY}`,
         'Content-Type': 'application/json',
         'clearance': '1'
       },
@@ -34,4 +40,4 @@ async function testDocumentFormat() {
   }
 }
 
-testDocumentFormat();
\ No newline at end of file
+testDocumentFormat();
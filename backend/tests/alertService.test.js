@@ -0,0 +1,90 @@
+const { COLLECTION_ID, useTempDataDir, startRubidexEmulator, silenceConsole } = require('./helpers/environment');
+
+useTempDataDir();
+silenceConsole();
+
+let emulator;
+let alertService;
+
+const staff = { id: 'u-1', name: 'Dana Staff', email: 'dana@example.com' };
+const technician = { id: 'u-2', name: 'Sam Tech' };
+
+const raise = (deviceId, severity = 'warning') => alertService.createAlert({
+  type: 'temperature',
+  source: 'server',
+  deviceId,
+  severity,
+  title: 'High Temperature Alert',
+  value: 42,
+  limit: 40
+});
+
+beforeAll(async () => {
+  emulator = await startRubidexEmulator();
+  alertService = require('../src/services/alertService');
+});
+
+afterAll(() => emulator.stop());
+
+test('an alert goes open → acknowledged → assigned → resolved, and each step is documented on Rubidex', async () => {
+  const { alert, created } = await raise('life-1');
+  expect(created).toBe(true);
+  expect(alert.state).toBe('open');
+
+  await alertService.acknowledge(alert.id, staff);
+  await alertService.assign(alert.id, technician, staff);
+  await alertService.addComment(alert.id, technician, '  Replaced the fan  ');
+  const resolved = await alertService.resolve(alert.id, technician, { note: 'Fan replaced' });
+
+  expect(resolved).toMatchObject({
+    state: 'resolved',
+    acknowledgedBy: { id: 'u-1' },
+    assignee: { id: 'u-2', name: 'Sam Tech' },
+    resolvedBy: { id: 'u-2' },
+    resolution: 'Fan replaced'
+  });
+  expect(resolved.comments[0].text).toBe('Replaced the fan');
+  expect(resolved.history.map(entry => entry.action)).toEqual(['created', 'acknowledged', 'assigned', 'commented', 'resolved']);
+
+  const documented = emulator.getDocuments(COLLECTION_ID).filter(doc => doc.fields.alert_id === alert.id);
+  expect(documented.map(doc => doc.fields.alert_action)).toEqual(['created', 'acknowledged', 'assigned', 'commented', 'resolved']);
+  expect(documented[documented.length - 1].fields).toMatchObject({ resolved: true, alert_state: 'resolved', severity: 'info' });
+});
+
+test('raising again for a device with an open alert returns it, escalating or downgrading when the severity changed', async () => {
+  const { alert } = await raise('dup-1');
+
+  const same = await raise('dup-1');
+  expect(same).toMatchObject({ created: false, alert: { id: alert.id, severity: 'warning' } });
+
+  const escalated = await raise('dup-1', 'critical');
+  expect(escalated).toMatchObject({ created: false, alert: { id: alert.id, severity: 'critical' } });
+
+  const downgraded = await raise('dup-1', 'warning');
+  expect(downgraded).toMatchObject({ created: false, alert: { id: alert.id, severity: 'warning' } });
+  expect(alertService.getAlerts({ deviceId: 'dup-1' })).toHaveLength(1);
+  expect(alert.history.map(entry => entry.action)).toEqual(['created', 'escalated', 'downgraded']);
+});
+
+test('changes that don\'t fit the alert\'s state are refused with a status code', async () => {
+  const { alert } = await raise('bad-1');
+  await alertService.acknowledge(alert.id, staff);
+
+  await expect(alertService.acknowledge(alert.id, staff)).rejects.toMatchObject({ statusCode: 409 });
+  await expect(alertService.assign(alert.id, {}, staff)).rejects.toMatchObject({ statusCode: 400 });
+
+  await alertService.resolve(alert.id, staff);
+  await expect(alertService.resolve(alert.id, staff)).rejects.toMatchObject({ statusCode: 409 });
+  await expect(alertService.acknowledge('missing', staff)).rejects.toMatchObject({ statusCode: 404 });
+  await expect(alertService.createAlert({ deviceId: 'bad-1' })).rejects.toMatchObject({ statusCode: 400 });
+});
+
+test('listing filters by state and device, newest first', async () => {
+  await raise('list-1');
+  const { alert } = await raise('list-2', 'critical');
+
+  const open = alertService.getAlerts({ state: 'open', severity: 'critical' });
+  expect(open[0].id).toBe(alert.id);
+  expect(open.every(item => item.state === 'open' && item.severity === 'critical')).toBe(true);
+  expect(() => alertService.getAlerts({ state: 'closed' })).toThrow(/state must be one of/);
+});
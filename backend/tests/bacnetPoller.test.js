@@ -0,0 +1,151 @@
+const { COLLECTION_ID, useTempDataDir, startRubidexEmulator, silenceConsole } = require('./helpers/environment');
+const { BacnetSimulator } = require('../src/dev/bacnetSimulator');
+
+useTempDataDir();
+silenceConsole();
+
+const simulator = new BacnetSimulator({ deviceInstance: 1001 });
+
+let emulator;
+let port;
+let bacnetPoller;
+let deviceRegistry;
+
+const readingDocuments = deviceId => emulator.getDocuments(COLLECTION_ID)
+  .filter(doc => doc.fields.coreid === deviceId);
+const statusOf = sourceId => bacnetPoller.getSources().find(source => source.id === sourceId).status;
+
+beforeAll(async () => {
+  emulator = await startRubidexEmulator();
+  port = await simulator.start(0);
+  // Who-Is goes to the simulator instead of the LAN broadcast address
+  process.env.BACNET_PORT = '0';
+  process.env.BACNET_BROADCAST_ADDRESS = `127.0.0.1:${port}`;
+  process.env.BACNET_TIMEOUT_MS = '300';
+  process.env.BACNET_DISCOVERY_WAIT_MS = '300';
+
+  deviceRegistry = require('../src/services/deviceRegistry');
+  bacnetPoller = require('../src/services/bacnetPoller');
+
+  deviceRegistry.createDevice({ id: 'supply-air', name: 'Supply Air', type: 'Temperature' });
+  deviceRegistry.createDevice({ id: 'outside-air', name: 'Outside Air', type: 'Temperature' });
+  deviceRegistry.createDevice({ id: 'fan-alarm', name: 'Fan Alarm', type: 'Security' });
+});
+
+afterEach(() => {
+  simulator.silent = false;
+});
+
+afterAll(async () => {
+  bacnetPoller.stop();
+  await Promise.all([emulator.stop(), simulator.stop()]);
+});
+
+test('a source without an address is found with Who-Is and its points are ingested', async () => {
+  simulator.setObject('analogInput', 1, 13.5, 'Supply Air Temp');
+  simulator.setObject('binaryValue', 1, 1, 'Fan Alarm');
+  const { id } = bacnetPoller.createSource({
+    name: 'AHU-1',
+    deviceInstance: 1001,
+    points: [
+      { deviceId: 'supply-air', objectType: 'analogInput', instance: 1 },
+      { deviceId: 'fan-alarm', objectType: 'binaryValue', instance: 1 }
+    ]
+  });
+
+  const readings = await bacnetPoller.poll(id);
+
+  expect(readings.map(reading => [reading.deviceId, reading.value])).toEqual([['supply-air', 13.5], ['fan-alarm', 1]]);
+  expect(bacnetPoller.getDiscoveredDevices()).toEqual([expect.objectContaining({ deviceInstance: 1001, port, vendorId: 999 })]);
+  expect(readingDocuments('supply-air')).toHaveLength(1);
+  expect(statusOf(id)).toMatchObject({ lastError: null, values: { 'analogInput:1': { deviceId: 'supply-air', raw: 13.5 } } });
+});
+
+test('a configured address skips discovery, and scale, offset and unit are applied', async () => {
+  simulator.setObject('analogValue', 7, 500);
+  const { id } = bacnetPoller.createSource({
+    name: 'Weather station',
+    deviceInstance: 1001,
+    address: '127.0.0.1',
+    port,
+    points: [{ deviceId: 'outside-air', objectType: 'analogValue', instance: 7, scale: 0.1, offset: 18, unit: 'F' }]
+  });
+
+  const before = simulator.requests;
+  const [reading] = await bacnetPoller.poll(id);
+
+  expect(simulator.requests - before).toBe(1);
+  expect(reading.value).toBeCloseTo(20);
+  expect(reading.unit).toBe('°C');
+});
+
+test('an object the device doesn\'t have only fails that point', async () => {
+  simulator.setObject('analogInput', 1, 14);
+  const { id } = bacnetPoller.createSource({
+    name: 'AHU-1 (extra point)',
+    deviceInstance: 1001,
+    points: [
+      { deviceId: 'outside-air', objectType: 'analogInput', instance: 99 },
+      { deviceId: 'supply-air', objectType: 'analogInput', instance: 1 }
+    ]
+  });
+
+  const readings = await bacnetPoller.poll(id);
+
+  expect(readings.map(reading => reading.deviceId)).toEqual(['supply-air']);
+  expect(statusOf(id)).toMatchObject({
+    lastError: null,
+    values: { 'analogInput:99': { deviceId: 'outside-air', error: 'BACnet error: unknown-object' } }
+  });
+});
+
+test('a device that stops answering fails the poll and is looked up again once it is back', async () => {
+  simulator.setObject('analogInput', 1, 15);
+  const { id } = bacnetPoller.createSource({
+    name: 'AHU-1 (flaky)',
+    deviceInstance: 1001,
+    points: [{ deviceId: 'supply-air', objectType: 'analogInput', instance: 1 }]
+  });
+  await bacnetPoller.poll(id);
+
+  simulator.silent = true;
+  expect(await bacnetPoller.poll(id)).toEqual([]);
+  expect(statusOf(id)).toMatchObject({ lastError: `BACnet read from 127.0.0.1:${port} timed out`, consecutiveFailures: 1 });
+  expect(bacnetPoller.getDiscoveredDevices()).toEqual([]);
+
+  simulator.silent = false;
+  const before = simulator.requests;
+  expect(await bacnetPoller.poll(id)).toHaveLength(1);
+  // Who-Is, then the read
+  expect(simulator.requests - before).toBe(2);
+  expect(statusOf(id)).toMatchObject({ lastError: null, consecutiveFailures: 0 });
+});
+
+test('a device instance nobody answers for is reported as such', async () => {
+  const { id } = bacnetPoller.createSource({
+    name: 'Missing controller',
+    deviceInstance: 2002,
+    points: [{ deviceId: 'supply-air', objectType: 'analogInput', instance: 1 }]
+  });
+
+  expect(await bacnetPoller.poll(id)).toEqual([]);
+  expect(statusOf(id).lastError).toBe('BACnet device 2002 did not answer Who-Is');
+});
+
+test('sources are validated against the registry and BACnet limits', () => {
+  expect(bacnetPoller.validateSource({
+    name: 'Bad',
+    deviceInstance: 4194303,
+    points: [
+      { deviceId: 'unknown', objectType: 'analogInput', instance: 1 },
+      { deviceId: 'supply-air', objectType: 'device', instance: -1, scale: 'x', unit: '%' }
+    ]
+  })).toEqual([
+    'deviceInstance must be between 0 and 4194302',
+    'points[0].deviceId must be a registered device',
+    expect.stringMatching(/^points\[1\]\.objectType must be one of: analogInput/),
+    'points[1].instance must be between 0 and 4194302',
+    'points[1].scale must be a number',
+    'points[1].unit for Temperature must be one of: °C, C, °F, F'
+  ]);
+});
@@ -0,0 +1,135 @@
+const { COLLECTION_ID, useTempDataDir, startRubidexEmulator, silenceConsole, minutesAgo } = require('./helpers/environment');
+
+useTempDataDir();
+silenceConsole();
+process.env.COMMAND_ACK_TIMEOUT = '30';
+process.env.COMMAND_QUEUE_TTL = '120';
+
+let emulator;
+let commandService;
+let heartbeatMonitor;
+
+const user = { id: 'u-1', name: 'Dana Staff', email: 'dana@example.com' };
+const lights = id => ({ id, name: `Lights ${id}`, type: 'Lighting' });
+const issue = (deviceId, command = 'switch', params = { on: true }) =>
+  commandService.issueCommand(lights(deviceId), { command, params }, user);
+const secondsFromNow = seconds => Date.now() + seconds * 1000;
+const auditDocuments = commandId => emulator.getDocuments(COLLECTION_ID)
+  .filter(doc => doc.fields.device_type === 'device_command' && JSON.parse(doc.fields.data).id === commandId);
+
+beforeAll(async () => {
+  emulator = await startRubidexEmulator();
+  commandService = require('../src/services/commandService');
+  heartbeatMonitor = require('../src/services/heartbeatMonitor');
+});
+
+afterAll(() => emulator.stop());
+
+test('commands for a device are sent one at a time, the next once the device acknowledges', async () => {
+  const first = await issue('cmd-1');
+  const second = await issue('cmd-1', 'level', { level: 40 });
+
+  expect(first.status).toBe('sent');
+  expect(second.status).toBe('queued');
+  expect(new Date(first.ackDeadline) - new Date(first.sentAt)).toBe(30000);
+
+  const { command } = await commandService.acknowledge(first.id, { status: 'ok', result: { on: true } });
+
+  expect(command).toMatchObject({ status: 'acknowledged', result: { on: true }, error: null, auditWritten: true });
+  expect(commandService.getCommand(second.id).status).toBe('sent');
+  expect(auditDocuments(first.id).map(doc => JSON.parse(doc.fields.data))).toEqual([
+    expect.objectContaining({ status: 'queued', params: { on: true } }),
+    expect.objectContaining({ status: 'acknowledged', params: { on: true } })
+  ]);
+});
+
+test('an audit write left in the outbox is not reported as written', async () => {
+  emulator.offline = true;
+  try {
+    const command = await issue('cmd-audit');
+    expect(command.auditWritten).toBe(false);
+
+    await commandService.acknowledge(command.id, { status: 'ok' });
+    expect(commandService.getCommand(command.id)).toMatchObject({ status: 'acknowledged', auditWritten: false });
+  } finally {
+    emulator.offline = false;
+  }
+});
+
+test('a command is left waiting until its acknowledgement deadline passes', async () => {
+  const command = await issue('cmd-2');
+
+  await commandService.sweep(secondsFromNow(29));
+  expect(commandService.getCommand(command.id).status).toBe('sent');
+
+  await commandService.sweep(secondsFromNow(31));
+  expect(commandService.getCommand(command.id)).toMatchObject({ status: 'timed_out', error: 'No acknowledgement within 30s' });
+  expect(auditDocuments(command.id).map(doc => doc.fields.command_status)).toEqual(['queued', 'timed_out']);
+  expect(auditDocuments(command.id)[1].fields.issued_by).toBe('dana@example.com');
+});
+
+test('a timed-out command frees the device for the next one and can no longer be acknowledged', async () => {
+  const first = await issue('cmd-3');
+  const second = await issue('cmd-3', 'level', { level: 10 });
+
+  await commandService.sweep(secondsFromNow(31));
+
+  expect(commandService.getCommand(second.id).status).toBe('sent');
+  expect(await commandService.acknowledge(first.id, { status: 'ok' }))
+    .toEqual({ error: 'Command is timed_out, not waiting for an acknowledgement', code: 409 });
+});
+
+test('an error acknowledgement rejects the command with the device\'s reason', async () => {
+  const command = await issue('cmd-4');
+
+  expect(await commandService.acknowledge(command.id, { status: 'done' })).toMatchObject({ code: 400 });
+  await commandService.acknowledge(command.id, { status: 'error' });
+
+  expect(commandService.getCommand(command.id)).toMatchObject({ status: 'rejected', error: 'Device reported an error' });
+});
+
+test('commands for an offline device wait in the queue and expire after the queue TTL', async () => {
+  await heartbeatMonitor.recordHeartbeat('cmd-5', minutesAgo(60));
+  const command = await issue('cmd-5');
+  expect(command.status).toBe('queued');
+
+  await commandService.sweep(secondsFromNow(121));
+
+  expect(commandService.getCommand(command.id)).toMatchObject({
+    status: 'expired',
+    sentAt: null,
+    error: 'Not sent within 120s (device offline or busy)'
+  });
+});
+
+test('queued commands go out on the next sweep once the device is back', async () => {
+  await heartbeatMonitor.recordHeartbeat('cmd-6', minutesAgo(60));
+  const command = await issue('cmd-6');
+
+  await commandService.sweep();
+  expect(commandService.getCommand(command.id).status).toBe('queued');
+
+  await heartbeatMonitor.recordHeartbeat('cmd-6');
+  await commandService.sweep();
+  expect(commandService.getCommand(command.id).status).toBe('sent');
+});
+
+test('only commands that haven\'t been sent can be cancelled', async () => {
+  const sent = await issue('cmd-7');
+  const queued = await issue('cmd-7');
+
+  expect(await commandService.cancel(sent.id, user)).toMatchObject({ code: 409 });
+  const { command } = await commandService.cancel(queued.id, user);
+  expect(command).toMatchObject({ status: 'cancelled', error: 'Cancelled by Dana Staff' });
+  expect(await commandService.cancel('missing', user)).toMatchObject({ code: 404 });
+});
+
+test('commands are checked against the device type', () => {
+  expect(commandService.validateCommand(lights('x'), { command: 'level', params: { level: 40 } }))
+    .toEqual({ command: 'level', params: { level: 40 } });
+  expect(commandService.validateCommand(lights('x'), { command: 'arm' }).errors)
+    .toEqual(['command for Lighting must be one of: switch, level']);
+  expect(commandService.validateCommand({ type: 'Temperature' }, { command: 'switch' }).errors)
+    .toEqual(['Temperature devices do not accept commands']);
+  expect(commandService.validateCommand(lights('x'), {}).errors).toEqual(['command is required']);
+});
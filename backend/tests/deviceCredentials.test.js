@@ -0,0 +1,152 @@
+const express = require('express');
+const { useTempDataDir, silenceConsole } = require('./helpers/environment');
+
+useTempDataDir();
+silenceConsole();
+process.env.DEVICE_SIGNATURE_TOLERANCE = '300';
+process.env.DEVICE_KEY_ROTATION_GRACE = '60';
+
+let deviceCredentials;
+let server;
+let baseURL;
+
+const seconds = () => Math.floor(Date.now() / 1000);
+const secretOf = issued => issued.key.split('.')[1];
+
+// A signed reading, as a sensor would send it
+const signedRequest = (issued, body, { timestamp = seconds() } = {}) => ({
+  'X-Device-Key-Id': issued.id,
+  'X-Device-Timestamp': String(timestamp),
+  'X-Device-Signature': deviceCredentials.sign(secretOf(issued), timestamp, body)
+});
+const post = (headers, body) => fetch(`${baseURL}/api/readings`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body
+}).then(async response => ({ status: response.status, body: await response.json() }));
+
+beforeAll(async () => {
+  deviceCredentials = require('../src/services/deviceCredentials');
+  const deviceAuthMiddleware = require('../src/middleware/deviceAuthMiddleware');
+
+  // The server's body parser and device check in front of a route that echoes the device
+  const app = express();
+  app.use(express.json({ verify: deviceAuthMiddleware.captureRawBody }));
+  app.use('/api/readings', deviceAuthMiddleware.verifyTokenOrDevice(['/']), express.Router().post('/', (req, res) => {
+    res.status(201).json({ device: req.device });
+  }));
+  server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  baseURL = `http://localhost:${server.address().port}`;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+describe('keys', () => {
+  test('an issued key is shown once and works for its own device', () => {
+    const issued = deviceCredentials.issueKey('cred-1', { name: 'Sensor board', issuedBy: 'admin@example.com' });
+
+    expect(issued.key).toMatch(/^dk_[0-9a-f]{16}\.\S+$/);
+    expect(deviceCredentials.getKeys('cred-1')).toEqual([expect.objectContaining({ id: issued.id, name: 'Sensor board', active: true })]);
+    expect(deviceCredentials.getKeys('cred-1')[0].secret).toBeUndefined();
+    expect(deviceCredentials.verifyApiKey(issued.key)).toEqual({ deviceId: 'cred-1', keyId: issued.id });
+    expect(deviceCredentials.verifyApiKey(`${issued.id}.wrong`)).toEqual({ error: 'Invalid device key' });
+  });
+
+  test('rotating issues a new key and keeps the old one working for the grace period', () => {
+    const old = deviceCredentials.issueKey('cred-2');
+
+    const { key, previous } = deviceCredentials.rotateKey(old.id);
+
+    expect(deviceCredentials.verifyApiKey(key.key).keyId).toBe(key.id);
+    expect(previous).toMatchObject({ id: old.id, replacedBy: key.id, active: true });
+    expect(new Date(previous.expiresAt) - Date.now()).toBeGreaterThan(55 * 1000);
+    expect(deviceCredentials.verifyApiKey(old.key).deviceId).toBe('cred-2');
+
+    // Once the grace period is over
+    deviceCredentials.getKey(old.id).expiresAt = new Date(Date.now() - 1000).toISOString();
+    expect(deviceCredentials.verifyApiKey(old.key)).toEqual({ error: 'Device key has expired' });
+    expect(deviceCredentials.rotateKey(old.id)).toBeNull();
+  });
+
+  test('a revoked key stops working, and removing a device revokes all of its keys', () => {
+    const revoked = deviceCredentials.issueKey('cred-3');
+    expect(deviceCredentials.revokeKey(revoked.id).active).toBe(false);
+    expect(deviceCredentials.verifyApiKey(revoked.key)).toEqual({ error: 'Device key has been revoked' });
+
+    deviceCredentials.issueKey('cred-3');
+    deviceCredentials.issueKey('cred-3');
+    expect(deviceCredentials.revokeDeviceKeys('cred-3')).toBe(2);
+    expect(deviceCredentials.getKeys('cred-3').every(key => !key.active)).toBe(true);
+  });
+});
+
+describe('signed requests', () => {
+  test('a request signed with the key\'s secret is accepted', async () => {
+    const issued = deviceCredentials.issueKey('sig-1');
+    const body = JSON.stringify({ deviceId: 'sig-1', value: 21 });
+
+    const response = await post(signedRequest(issued, body), body);
+
+    expect(response).toEqual({ status: 201, body: { device: { id: 'sig-1', keyId: issued.id } } });
+  });
+
+  test('a timestamp outside the tolerance is rejected', async () => {
+    const issued = deviceCredentials.issueKey('sig-2');
+    const body = JSON.stringify({ deviceId: 'sig-2', value: 21 });
+
+    const response = await post(signedRequest(issued, body, { timestamp: seconds() - 301 }), body);
+
+    expect(response).toMatchObject({ status: 401, body: { error: 'X-Device-Timestamp must be within 300s of server time' } });
+  });
+
+  test('replaying a signed request is rejected, a new timestamp is not', async () => {
+    const issued = deviceCredentials.issueKey('sig-3');
+    const body = JSON.stringify({ deviceId: 'sig-3', value: 21 });
+    const headers = signedRequest(issued, body, { timestamp: seconds() - 10 });
+
+    expect((await post(headers, body)).status).toBe(201);
+    expect(await post(headers, body)).toMatchObject({ status: 401, body: { error: 'Device signature has already been used' } });
+    expect((await post(signedRequest(issued, body), body)).status).toBe(201);
+  });
+
+  test('signatures are only remembered while their timestamp is within the tolerance', () => {
+    const issued = deviceCredentials.issueKey('sig-4');
+    const timestamp = seconds();
+    const request = { keyId: issued.id, timestamp: String(timestamp), signature: deviceCredentials.sign(secretOf(issued), timestamp, '{}'), body: '{}' };
+
+    expect(deviceCredentials.verifySignature(request).deviceId).toBe('sig-4');
+    deviceCredentials.forgetExpiredSignatures(Date.now() + 290 * 1000);
+    expect(deviceCredentials.verifySignature(request).error).toBe('Device signature has already been used');
+
+    deviceCredentials.forgetExpiredSignatures((timestamp + 301) * 1000);
+    expect(deviceCredentials.seenSignatures.size).toBe(0);
+  });
+
+  test('a revoked key\'s signature is rejected', async () => {
+    const issued = deviceCredentials.issueKey('sig-5');
+    deviceCredentials.revokeKey(issued.id);
+    const body = JSON.stringify({ deviceId: 'sig-5', value: 21 });
+
+    expect(await post(signedRequest(issued, body), body)).toMatchObject({ status: 401, body: { error: 'Device key has been revoked' } });
+  });
+
+  test('a body changed after signing is rejected', async () => {
+    const issued = deviceCredentials.issueKey('sig-6');
+    const body = JSON.stringify({ deviceId: 'sig-6', value: 21 });
+
+    const response = await post(signedRequest(issued, body), JSON.stringify({ deviceId: 'sig-6', value: 99 }));
+
+    expect(response).toMatchObject({ status: 401, body: { error: 'Invalid device signature', code: 'INVALID_DEVICE_CREDENTIALS' } });
+  });
+
+  test('device credentials only open the device routes', async () => {
+    const issued = deviceCredentials.issueKey('sig-7');
+
+    const response = await fetch(`${baseURL}/api/readings/export`, { headers: { 'X-Device-Key': issued.key } });
+
+    expect(response.status).toBe(403);
+    expect((await response.json()).code).toBe('DEVICE_SCOPE');
+  });
+});
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const { useTempDataDir, startRubidexEmulator, silenceConsole, startApi } = require('./helpers/environment');
+
+const dataDir = useTempDataDir();
+silenceConsole();
+
+let emulator;
+let api;
+let deviceRegistry;
+
+const users = {
+  admin: { id: 'u-admin', email: 'admin@example.com', accessLevel: 'admin' },
+  staff: { id: 'u-staff', email: 'staff@example.com', accessLevel: 'standard' }
+};
+
+const request = (method, url, body, user = 'admin') => fetch(`${api.url}${url}`, {
+  method,
+  headers: { 'Content-Type': 'application/json', 'X-Test-User': user },
+  body: body ? JSON.stringify(body) : undefined
+}).then(async response => ({ status: response.status, body: await response.json() }));
+
+beforeAll(async () => {
+  emulator = await startRubidexEmulator();
+  deviceRegistry = require('../src/services/deviceRegistry');
+  api = await startApi({ '/api/devices': require('../src/routes/deviceRoutes') }, users);
+});
+
+afterAll(async () => {
+  await api.stop();
+  await emulator.stop();
+});
+
+describe('registry', () => {
+  test('a new device gets defaults for its type and is written to the store', () => {
+    const device = deviceRegistry.createDevice({ id: 'reg-1', name: 'Boiler room', type: 'Temperature', alertLimit: '40' });
+
+    expect(device).toMatchObject({ id: 'reg-1', unit: '°C', alertLimit: 40, location: 'Unknown Location', zone: null });
+    expect(() => deviceRegistry.createDevice({ id: 'reg-1', name: 'Again', type: 'Temperature' })).toThrow('Device reg-1 already exists');
+
+    const stored = JSON.parse(fs.readFileSync(path.join(dataDir, 'devices.json'), 'utf8'));
+    expect(stored['reg-1'].name).toBe('Boiler room');
+  });
+
+  test('updates keep fields that aren\'t given and ignore ones that can\'t be edited', () => {
+    deviceRegistry.createDevice({ id: 'reg-2', name: 'Tank', type: 'Water Level', location: 'Basement' });
+
+    const updated = deviceRegistry.updateDevice('reg-2', { name: 'Main tank', createdAt: '2000-01-01T00:00:00Z' });
+
+    expect(updated).toMatchObject({ name: 'Main tank', location: 'Basement', type: 'Water Level' });
+    expect(updated.createdAt).not.toBe('2000-01-01T00:00:00Z');
+    expect(deviceRegistry.updateDevice('missing', { name: 'x' })).toBeNull();
+  });
+
+  test('changing the type without a unit resets the unit to the new type\'s', () => {
+    deviceRegistry.createDevice({ id: 'reg-3', name: 'Sensor', type: 'Gas Level', unit: 'ppb' });
+
+    expect(deviceRegistry.updateDevice('reg-3', { type: 'Temperature' }).unit).toBe('°C');
+    expect(deviceRegistry.updateDevice('reg-3', { type: 'Gas Level', unit: 'ppb' }).unit).toBe('ppb');
+  });
+
+  test('a unit is checked against the type the device will have', () => {
+    const existing = deviceRegistry.getDevice('reg-3');
+
+    expect(deviceRegistry.validate({ unit: '°F' }, { partial: true, existing }))
+      .toEqual(['unit for Gas Level must be one of: ppm, ppb']);
+    expect(deviceRegistry.validate({ type: 'Temperature', unit: '°F' }, { partial: true, existing })).toEqual([]);
+    expect(deviceRegistry.validate({ name: ' ', type: 'Toaster' })).toEqual([
+      'name is required',
+      expect.stringMatching(/^type must be one of: /)
+    ]);
+  });
+
+  test('deleting a device removes it', () => {
+    deviceRegistry.createDevice({ id: 'reg-4', name: 'Old sensor', type: 'Temperature' });
+
+    expect(deviceRegistry.deleteDevice('reg-4').id).toBe('reg-4');
+    expect(deviceRegistry.getDevice('reg-4')).toBeNull();
+    expect(deviceRegistry.deleteDevice('reg-4')).toBeNull();
+  });
+});
+
+describe('/api/devices', () => {
+  test('elevated users can register a device, which is documented on Rubidex', async () => {
+    const created = await request('POST', '/api/devices', { id: 'api-1', name: 'Server room', type: 'Temperature' });
+
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ device: { id: 'api-1', unit: '°C' }, ledgerWritten: true });
+    expect((await request('POST', '/api/devices', { id: 'api-1', name: 'Again', type: 'Temperature' })).status).toBe(409);
+    expect((await request('POST', '/api/devices', { name: 'Bad', type: 'Toaster' })).body.error).toBe('Invalid device');
+    expect((await request('POST', '/api/devices', { id: 'api-x', name: 'Mine', type: 'Temperature' }, 'staff')).status).toBe(403);
+  });
+
+  test('a partial update checks the unit against the device\'s current type', async () => {
+    await request('POST', '/api/devices', { id: 'api-2', name: 'Air quality', type: 'Gas Level' });
+
+    const wrongUnit = await request('PUT', '/api/devices/api-2', { unit: '°F' });
+    expect(wrongUnit).toMatchObject({ status: 400, body: { details: ['unit for Gas Level must be one of: ppm, ppb'] } });
+
+    const unit = await request('PUT', '/api/devices/api-2', { unit: 'ppb' });
+    expect(unit.body.device).toMatchObject({ type: 'Gas Level', unit: 'ppb' });
+
+    const retyped = await request('PUT', '/api/devices/api-2', { type: 'Temperature' });
+    expect(retyped.body.device).toMatchObject({ type: 'Temperature', unit: '°C' });
+
+    expect((await request('PUT', '/api/devices/missing', { name: 'x' })).status).toBe(404);
+  });
+
+  test('deleting a device revokes its keys', async () => {
+    await request('POST', '/api/devices', { id: 'api-3', name: 'Retired', type: 'Temperature' });
+    await request('POST', '/api/devices/api-3/keys', {});
+
+    const deleted = await request('DELETE', '/api/devices/api-3');
+
+    expect(deleted.body).toMatchObject({ success: true, device: { id: 'api-3' }, keysRevoked: 1 });
+    expect((await request('DELETE', '/api/devices/api-3')).status).toBe(404);
+  });
+});
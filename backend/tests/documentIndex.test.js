@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const { COLLECTION_ID, useTempDataDir, startRubidexEmulator, silenceConsole } = require('./helpers/environment');
+
+const dataDir = useTempDataDir();
+silenceConsole();
+
+let emulator;
+let documentIndex;
+let rubidexService;
+
+const reading = (id, deviceId, updated = '2026-03-02T09:00:00.000Z') => ({
+  id,
+  collection_id: COLLECTION_ID,
+  fields: { coreid: deviceId, data: '21' },
+  creation_date: '2026-03-02T09:00:00.000Z',
+  update_date: updated
+});
+// A fresh instance reading the same journal, as after a restart
+const restart = () => {
+  let restarted;
+  jest.isolateModules(() => {
+    restarted = require('../src/services/documentIndex');
+  });
+  return restarted;
+};
+
+beforeAll(async () => {
+  emulator = await startRubidexEmulator();
+  documentIndex = require('../src/services/documentIndex');
+  rubidexService = require('../src/services/rubidexService');
+});
+
+afterAll(() => emulator.stop());
+
+describe('syncing', () => {
+  test('a listing is applied as the documents added, changed and removed since the last one', () => {
+    expect(documentIndex.isReady()).toBe(false);
+    expect(documentIndex.sync([reading('a', 'dev-1'), reading('b', 'dev-1'), reading('c', 'dev-2')]))
+      .toEqual({ fetched: 3, added: 3, updated: 0, removed: 0, total: 3 });
+
+    const stats = documentIndex.sync([reading('a', 'dev-1'), reading('b', 'dev-2', '2026-03-02T10:00:00.000Z')]);
+
+    expect(stats).toEqual({ fetched: 2, added: 0, updated: 1, removed: 1, total: 2 });
+    expect(documentIndex.isReady()).toBe(true);
+    expect(documentIndex.getByDevice('dev-1').map(doc => doc.id)).toEqual(['a']);
+    expect(documentIndex.getByDevice('dev-2').map(doc => doc.id)).toEqual(['b']);
+    expect(documentIndex.getStatus()).toMatchObject({ ready: true, documents: 2, devices: 2, lastSync: stats });
+  });
+
+  test('a document we wrote stays until a listing has included it once', () => {
+    documentIndex.upsert(reading('ours', 'dev-3'));
+
+    documentIndex.sync([reading('a', 'dev-1'), reading('b', 'dev-2', '2026-03-02T10:00:00.000Z')]);
+    expect(documentIndex.getByDevice('dev-3').map(doc => doc.id)).toEqual(['ours']);
+
+    documentIndex.sync([reading('a', 'dev-1'), reading('b', 'dev-2', '2026-03-02T10:00:00.000Z'), reading('ours', 'dev-3')]);
+    const stats = documentIndex.sync([reading('a', 'dev-1'), reading('b', 'dev-2', '2026-03-02T10:00:00.000Z')]);
+    expect(stats.removed).toBe(1);
+    expect(documentIndex.getByDevice('dev-3')).toEqual([]);
+  });
+});
+
+describe('journal', () => {
+  test('only changes are appended, and a restart replays them', () => {
+    const journal = path.join(dataDir, 'document-index.jsonl');
+    const before = fs.readFileSync(journal, 'utf8').split('\n').length;
+
+    // Nothing changed: nothing written
+    documentIndex.sync(documentIndex.getAll());
+    expect(fs.readFileSync(journal, 'utf8').split('\n').length).toBe(before);
+
+    const restarted = restart();
+    expect(restarted.getAll()).toEqual(documentIndex.getAll());
+    // Ready straight away, as of the last sync that changed something
+    expect(restarted.isReady()).toBe(true);
+  });
+
+  test('is compacted to one line per document once mostly superseded', () => {
+    documentIndex.compactMin = 10;
+    try {
+      for (let version = 0; version < 6; version++) {
+        documentIndex.sync([reading('a', 'dev-1', `2026-03-0${version + 3}T09:00:00.000Z`), reading('b', 'dev-2')]);
+      }
+    } finally {
+      documentIndex.compactMin = 1000;
+    }
+
+    expect(documentIndex.journalLength).toBeLessThanOrEqual(10);
+    const restarted = restart();
+    expect(restarted.getAll().map(doc => [doc.id, doc.update_date])).toEqual([
+      ['a', '2026-03-08T09:00:00.000Z'],
+      ['b', '2026-03-02T09:00:00.000Z']
+    ]);
+  });
+
+  test('a snapshot saved by older versions is moved into the journal', () => {
+    fs.renameSync(path.join(dataDir, 'document-index.jsonl'), path.join(dataDir, 'document-index.jsonl.bak'));
+    fs.writeFileSync(path.join(dataDir, 'document-index.json'), JSON.stringify({
+      documents: [reading('old', 'dev-9')],
+      lastSyncAt: '2026-01-01T00:00:00.000Z'
+    }));
+
+    try {
+      const restarted = restart();
+      expect(restarted.getByDevice('dev-9').map(doc => doc.id)).toEqual(['old']);
+      expect(restarted.lastSyncAt).toBe('2026-01-01T00:00:00.000Z');
+      expect(fs.existsSync(path.join(dataDir, 'document-index.jsonl'))).toBe(true);
+    } finally {
+      fs.renameSync(path.join(dataDir, 'document-index.jsonl.bak'), path.join(dataDir, 'document-index.jsonl'));
+    }
+  });
+});
+
+describe('reads', () => {
+  test('are answered from the index; only a sync downloads the collection', async () => {
+    emulator.seed(COLLECTION_ID, [{ coreid: 'remote-1', data: '20' }]);
+    const get = jest.spyOn(rubidexService.client, 'get');
+
+    try {
+      const stats = await rubidexService.syncDocumentIndex();
+      expect(stats).toMatchObject({ fetched: 1, added: 1 });
+      expect(get).toHaveBeenCalledTimes(1);
+
+      expect((await rubidexService.getDeviceDocuments('remote-1')).map(doc => doc.fields.data)).toEqual(['20']);
+      expect(await rubidexService.getAllDocuments()).toHaveLength(stats.total);
+      expect(get).toHaveBeenCalledTimes(1);
+    } finally {
+      get.mockRestore();
+    }
+  });
+});
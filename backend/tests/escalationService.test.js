@@ -0,0 +1,186 @@
+const { useTempDataDir, startRubidexEmulator, silenceConsole } = require('./helpers/environment');
+
+useTempDataDir();
+silenceConsole();
+process.env.ESCALATION_SWEEP_INTERVAL = '30';
+
+let emulator;
+let alertService;
+let escalationService;
+
+const MINUTE = 60 * 1000;
+const WEEK = 7 * 24 * 60 * MINUTE;
+// Monday 2 March 2026, 09:00 UTC: the first member's shift starts
+const ROTATION_START = new Date('2026-03-02T09:00:00Z').getTime();
+
+const staff = { id: 'u-1', name: 'Dana Staff' };
+const members = [
+  { userId: 'u-alex', name: 'Alex', email: 'alex@example.com' },
+  { userId: 'u-blake', name: 'Blake', phone: '+15555550100' },
+  { userId: 'u-casey', name: 'Casey' }
+];
+
+let rotation;
+let policy;
+
+const at = ms => jest.setSystemTime(ms);
+const raise = deviceId => alertService.createAlert({
+  type: 'temperature',
+  source: 'server',
+  deviceId,
+  severity: 'warning',
+  title: 'High Temperature Alert',
+  value: 42,
+  limit: 40
+}).then(({ alert }) => alert);
+const paged = alert => alert.escalation.steps.map(step => step.recipients.map(recipient => recipient.name || recipient.role));
+
+beforeAll(async () => {
+  emulator = await startRubidexEmulator();
+  // Fake the clock and the sweep interval; HTTP to the emulator keeps its real timers
+  jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask', 'setTimeout', 'clearTimeout'] });
+  at(ROTATION_START);
+
+  alertService = require('../src/services/alertService');
+  escalationService = require('../src/services/escalationService');
+  escalationService.start(null);
+
+  rotation = escalationService.createRotation({ name: 'Facilities on call', members, startsAt: new Date(ROTATION_START).toISOString() });
+  policy = escalationService.createPolicy({
+    name: 'Warnings',
+    match: { severities: ['warning'] },
+    steps: [
+      { afterMinutes: 0, targets: [{ type: 'rotation', rotationId: rotation.id }] },
+      { afterMinutes: 5, targets: [{ type: 'rotation', rotationId: rotation.id }, { type: 'role', role: 'manager' }] },
+      { afterMinutes: 15, targets: [{ type: 'user', userId: 'u-boss', name: 'Facilities lead' }] }
+    ]
+  });
+});
+
+afterAll(async () => {
+  escalationService.stop();
+  jest.useRealTimers();
+  await emulator.stop();
+});
+
+describe('on-call rotations', () => {
+  test('members take a week each, in order, and wrap around', () => {
+    expect(escalationService.getOnCall(rotation.id, new Date(ROTATION_START))).toMatchObject({
+      userId: 'u-alex',
+      shiftStart: '2026-03-02T09:00:00.000Z',
+      shiftEnd: '2026-03-09T09:00:00.000Z'
+    });
+    expect(escalationService.getOnCall(rotation.id, new Date(ROTATION_START + WEEK - 1)).userId).toBe('u-alex');
+    expect(escalationService.getOnCall(rotation.id, new Date(ROTATION_START + WEEK)).userId).toBe('u-blake');
+    expect(escalationService.getOnCall(rotation.id, new Date(ROTATION_START + 3 * WEEK)).userId).toBe('u-alex');
+    // Before the rotation starts the order runs backwards
+    expect(escalationService.getOnCall(rotation.id, new Date(ROTATION_START - 1)).userId).toBe('u-casey');
+    expect(escalationService.getOnCall('missing')).toBeNull();
+  });
+
+  test('are validated, and can\'t be deleted while a policy pages them', () => {
+    expect(escalationService.validateRotation({ name: '', role: 'janitor', members: [{ name: 'No id' }], startsAt: 'soon' })).toEqual([
+      'name is required',
+      'role must be one of: admin, manager, technician, user',
+      'every member needs a userId',
+      'startsAt must be a valid date (start of the first member\'s week)'
+    ]);
+    expect(escalationService.deleteRotation(rotation.id)).toEqual({ error: 'Rotation is used by policies: Warnings' });
+    expect(escalationService.deleteRotation('missing')).toEqual({ deleted: false });
+  });
+});
+
+describe('policies', () => {
+  test('the first enabled policy matching the alert\'s severity and type is used', () => {
+    expect(escalationService.findPolicy({ severity: 'critical', type: 'temperature' }).id).toBe('critical-default');
+    expect(escalationService.findPolicy({ severity: 'warning', type: 'temperature' }).id).toBe(policy.id);
+    expect(escalationService.findPolicy({ severity: 'info', type: 'temperature' })).toBeNull();
+  });
+
+  test('are validated step by step', () => {
+    expect(escalationService.validatePolicy({
+      name: 'Bad',
+      steps: [
+        { afterMinutes: 10, targets: [{ type: 'role', role: 'janitor' }] },
+        { afterMinutes: 5, targets: [{ type: 'rotation', rotationId: 'missing' }, { type: 'user' }, { type: 'pager' }] },
+        { afterMinutes: -1, targets: [] }
+      ]
+    })).toEqual([
+      'steps[0].targets[0].role must be one of: admin, manager, technician, user',
+      'steps[1].targets[0].rotationId does not match a rotation',
+      'steps[1].targets[1].userId is required',
+      'steps[1].targets[2].type must be one of: role, rotation, user',
+      'steps[2].afterMinutes must be zero or more',
+      'steps[2].targets must be a non-empty array',
+      'steps must be in order of afterMinutes'
+    ]);
+    expect(escalationService.validatePolicy({ name: 'No steps', steps: [] })).toEqual(['steps must be a non-empty array']);
+  });
+});
+
+describe('escalating', () => {
+  test('the first step fires when the alert is raised, later ones once they are due', async () => {
+    at(ROTATION_START + 24 * 60 * MINUTE);
+    const alert = await raise('esc-1');
+
+    expect(alert.escalation).toMatchObject({ policyId: policy.id, startedAt: new Date(ROTATION_START + 24 * 60 * MINUTE).toISOString() });
+    expect(paged(alert)).toEqual([['Alex']]);
+
+    at(Date.now() + 5 * MINUTE - 1);
+    expect(await escalationService.sweep()).toEqual([]);
+
+    at(Date.now() + 1);
+    expect(await escalationService.sweep()).toEqual([expect.objectContaining({ alertId: alert.id, step: 2, afterMinutes: 5 })]);
+
+    // A sweep that runs late fires every step that came due since
+    at(Date.now() + 60 * MINUTE);
+    await escalationService.sweep();
+    expect(paged(alert)).toEqual([['Alex'], ['Alex', 'manager'], ['Facilities lead']]);
+    expect(alertService.getAlert(alert.id).history.filter(entry => entry.action === 'escalation').map(entry => entry.note)).toEqual([
+      'step 1/3 of "Warnings" after 0 min, paging Alex (on call, Facilities on call)',
+      'step 2/3 of "Warnings" after 5 min, paging Alex (on call, Facilities on call), role manager',
+      'step 3/3 of "Warnings" after 15 min, paging Facilities lead'
+    ]);
+  });
+
+  test('stops once the alert is acknowledged', async () => {
+    const alert = await raise('esc-2');
+    await alertService.acknowledge(alert.id, staff);
+
+    at(Date.now() + 60 * MINUTE);
+    await escalationService.sweep();
+
+    expect(alert.escalation.steps).toHaveLength(1);
+  });
+
+  test('stops once the alert is resolved', async () => {
+    const alert = await raise('esc-3');
+    await alertService.resolve(alert.id, staff);
+
+    at(Date.now() + 60 * MINUTE);
+    expect(await escalationService.evaluateAlert(alert)).toEqual([]);
+    expect(alert.escalation.steps).toHaveLength(1);
+  });
+
+  test('a step due after the shift changes pages whoever is on call then', async () => {
+    at(ROTATION_START + WEEK - 2 * MINUTE);
+    const alert = await raise('esc-4');
+
+    at(ROTATION_START + WEEK + 3 * MINUTE);
+    await escalationService.sweep();
+
+    expect(paged(alert)).toEqual([['Alex'], ['Blake', 'manager']]);
+    expect(alert.escalation.steps[1].recipients[0]).toMatchObject({ userId: 'u-blake', phone: '+15555550100', rotationId: rotation.id });
+  });
+
+  test('the sweep runs on the configured interval', () => {
+    const sweep = jest.spyOn(escalationService, 'sweep').mockResolvedValue([]);
+
+    jest.advanceTimersByTime(29 * 1000);
+    expect(sweep).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(1000);
+    expect(sweep).toHaveBeenCalledTimes(1);
+
+    sweep.mockRestore();
+  });
+});
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const { useTempDataDir, startRubidexEmulator, silenceConsole, minutesAgo } = require('./helpers/environment');
+
+const dataDir = useTempDataDir();
+silenceConsole();
+process.env.HEARTBEAT_DEFAULT_INTERVAL = '60';
+process.env.HEARTBEAT_SWEEP_INTERVAL = '30';
+
+let emulator;
+let heartbeatMonitor;
+let alertService;
+
+const MINUTE = 60 * 1000;
+const io = { emit: jest.fn() };
+const saved = () => {
+  const file = path.join(dataDir, 'heartbeats.json');
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+};
+// Sweep as if `minutes` had passed, returning one device's transitions
+const sweepAfter = async (minutes, deviceId) => {
+  const now = jest.spyOn(Date, 'now').mockReturnValue(Date.now() + minutes * MINUTE);
+  try {
+    return (await heartbeatMonitor.sweep()).filter(transition => transition.deviceId === deviceId);
+  } finally {
+    now.mockRestore();
+  }
+};
+
+beforeAll(async () => {
+  emulator = await startRubidexEmulator();
+  heartbeatMonitor = require('../src/services/heartbeatMonitor');
+  alertService = require('../src/services/alertService');
+  heartbeatMonitor.io = io;
+});
+
+afterAll(() => emulator.stop());
+
+afterEach(() => io.emit.mockClear());
+
+describe('saving', () => {
+  test('heartbeats are kept in memory and saved on the next sweep', async () => {
+    await heartbeatMonitor.recordHeartbeat('save-1', minutesAgo(0.5));
+
+    expect(heartbeatMonitor.getHeartbeat('save-1').connectivity).toBe('online');
+    expect(saved()['save-1']).toBeUndefined();
+
+    await heartbeatMonitor.sweep();
+    expect(saved()['save-1']).toMatchObject({ connectivity: 'online' });
+  });
+
+  test('stopping the monitor saves what the last sweep didn\'t', async () => {
+    const timestamp = minutesAgo(0.2);
+    await heartbeatMonitor.recordHeartbeat('save-1', timestamp);
+    expect(saved()['save-1'].lastSeen).not.toBe(timestamp);
+
+    heartbeatMonitor.stop();
+    expect(saved()['save-1'].lastSeen).toBe(timestamp);
+  });
+});
+
+describe('connectivity', () => {
+  test('a silent device goes stale, then offline with an alert, and back online when it reports', async () => {
+    await heartbeatMonitor.recordHeartbeat('hb-1', minutesAgo(0.5));
+
+    expect(await sweepAfter(1, 'hb-1')).toEqual([]);
+    expect(await sweepAfter(2, 'hb-1')).toEqual([{ deviceId: 'hb-1', connectivity: 'stale' }]);
+    expect(alertService.findOpenAlert('hb-1', 'device_offline')).toBeNull();
+
+    expect(await sweepAfter(5, 'hb-1')).toEqual([{ deviceId: 'hb-1', connectivity: 'offline' }]);
+    const alert = alertService.findOpenAlert('hb-1', 'device_offline');
+    expect(alert).toMatchObject({ severity: 'critical', title: 'Device Offline' });
+    expect(io.emit).toHaveBeenCalledWith('device_status', expect.objectContaining({
+      deviceId: 'hb-1',
+      connectivity: 'offline',
+      previousConnectivity: 'stale',
+      status: 'Offline'
+    }));
+    expect(saved()['hb-1'].connectivity).toBe('offline');
+
+    // Still offline on the next sweep: nothing new
+    expect(await sweepAfter(6, 'hb-1')).toEqual([]);
+
+    const timestamp = new Date().toISOString();
+    expect(await heartbeatMonitor.recordHeartbeat('hb-1', timestamp)).toEqual({ lastSeen: timestamp, connectivity: 'online' });
+    expect(alertService.getAlert(alert.id)).toMatchObject({ state: 'resolved' });
+    expect(io.emit).toHaveBeenCalledWith('device_status', expect.objectContaining({ deviceId: 'hb-1', connectivity: 'online', previousConnectivity: 'offline' }));
+
+    // And offline again after another silence, as a new incident
+    await sweepAfter(5, 'hb-1');
+    const again = alertService.findOpenAlert('hb-1', 'device_offline');
+    expect(again.id).not.toBe(alert.id);
+  });
+
+  test('a device\'s first report only sets its starting state', async () => {
+    await heartbeatMonitor.recordHeartbeat('hb-2', minutesAgo(10));
+
+    expect(heartbeatMonitor.getHeartbeat('hb-2').connectivity).toBe('offline');
+    expect(alertService.findOpenAlert('hb-2', 'device_offline')).toBeNull();
+    expect(io.emit).not.toHaveBeenCalled();
+  });
+
+  test('the sweep runs on the configured interval', () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask', 'setTimeout', 'clearTimeout'] });
+    const sweep = jest.spyOn(heartbeatMonitor, 'sweep').mockResolvedValue([]);
+    const seed = jest.spyOn(heartbeatMonitor, 'seedFromRubidex').mockResolvedValue();
+
+    try {
+      heartbeatMonitor.start(io);
+      jest.advanceTimersByTime(29 * 1000);
+      expect(sweep).not.toHaveBeenCalled();
+      jest.advanceTimersByTime(1000);
+      expect(sweep).toHaveBeenCalledTimes(1);
+    } finally {
+      heartbeatMonitor.stop();
+      sweep.mockRestore();
+      seed.mockRestore();
+      jest.useRealTimers();
+    }
+  });
+});
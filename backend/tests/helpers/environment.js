@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const API_KEY = 'test-key';
+const COLLECTION_ID = 'test-collection';
+
+/**
+ * Give a test file its own DATA_DIR, so services start with empty stores
+ * Must run before any service is required, since they load their stores on require.
+ */
+function useTempDataDir() {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bbms-test-'));
+  process.env.DATA_DIR = dataDir;
+  afterAll(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  return dataDir;
+}
+
+/**
+ * Start an in-memory Rubidex emulator on a free port and point the backend at it
+ * Services that talk to Rubidex must be required after the returned promise resolves.
+ */
+async function startRubidexEmulator() {
+  // Required here rather than at the top: the emulator loads JsonStore, which reads DATA_DIR once
+  const { RubidexEmulator } = require('../../src/dev/rubidexEmulator');
+  const emulator = new RubidexEmulator({ apiKey: API_KEY });
+  const url = await emulator.start(0);
+
+  process.env.RUBIDEX_API_URL = url;
+  process.env.RUBIDEX_API_KEY = API_KEY;
+  process.env.RUBIDEX_COLLECTION_ID = COLLECTION_ID;
+  process.env.RUBIDEX_TEMP_ALERT_COLLECTION_ID = COLLECTION_ID;
+
+  return emulator;
+}
+
+// Keep service chatter out of the test output
+function silenceConsole() {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+  afterAll(() => jest.restoreAllMocks());
+}
+
+const minutesAgo = minutes => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+/**
+ * Poll until `check` returns something truthy (for work done in the background)
+ */
+async function waitFor(check, { timeout = 2000, interval = 10 } = {}) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const result = await check();
+    if (result) {
+      return result;
+    }
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+}
+
+/**
+ * Serve routers on a free port, without the auth service: requests are signed in
+ * as the user named in their X-Test-User header (verifyToken's job in the server)
+ */
+async function startApi(routes, users = {}) {
+  const express = require('express');
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = users[req.get('X-Test-User')];
+    next();
+  });
+  for (const [path, router] of Object.entries(routes)) {
+    app.use(path, router);
+  }
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+
+  return {
+    url: `http://localhost:${server.address().port}`,
+    stop: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = {
+  COLLECTION_ID,
+  useTempDataDir,
+  startRubidexEmulator,
+  silenceConsole,
+  minutesAgo,
+  waitFor,
+  startApi
+};
@@ -0,0 +1,132 @@
+const { COLLECTION_ID, useTempDataDir, startRubidexEmulator, silenceConsole } = require('./helpers/environment');
+
+useTempDataDir();
+silenceConsole();
+
+let emulator;
+let rubidexService;
+let ledgerChain;
+let written;
+
+const write = note => rubidexService.postDocument({ collection_id: COLLECTION_ID, fields: { note } }, { idempotencyKey: `ledger:${note}` })
+  .then(({ data }) => data);
+const remote = id => emulator.getDocuments(COLLECTION_ID).find(doc => doc.id === id);
+
+beforeAll(async () => {
+  emulator = await startRubidexEmulator();
+  rubidexService = require('../src/services/rubidexService');
+  ledgerChain = require('../src/services/ledgerChain');
+
+  written = [];
+  for (const note of ['first', 'second', 'third']) {
+    written.push(await write(note));
+  }
+});
+
+afterAll(() => emulator.stop());
+
+test('every document written is in the chain, linked to the one before it', async () => {
+  expect(ledgerChain.entries.map(entry => entry.documentId)).toEqual(written.map(doc => doc.id));
+  expect(ledgerChain.entries[1].previousHash).toBe(ledgerChain.entries[0].hash);
+
+  const report = await rubidexService.verifyLedger();
+
+  expect(report).toMatchObject({
+    verified: true,
+    chain: { entries: 3, valid: true, brokenAt: null, headHash: ledgerChain.entries[2].hash },
+    summary: { matched: 3, missing: 0, altered: 0, unexpected: 0 }
+  });
+});
+
+test('a document changed on Rubidex is reported as altered', async () => {
+  const doc = remote(written[1].id);
+  const original = doc.fields;
+  doc.fields = { ...original, note: 'rewritten' };
+
+  try {
+    const report = await rubidexService.verifyLedger();
+
+    expect(report.verified).toBe(false);
+    expect(report.altered).toEqual([expect.objectContaining({
+      sequence: 1,
+      documentId: written[1].id,
+      expectedHash: ledgerChain.entries[1].contentHash,
+      actualHash: ledgerChain.contentHash(doc.fields)
+    })]);
+    expect(report.summary).toMatchObject({ matched: 2, altered: 1 });
+  } finally {
+    doc.fields = original;
+  }
+});
+
+test('a document no longer returned is reported as missing', async () => {
+  const documents = emulator.getDocuments(COLLECTION_ID);
+  const index = documents.findIndex(doc => doc.id === written[0].id);
+  const [removed] = documents.splice(index, 1);
+
+  try {
+    const report = await rubidexService.verifyLedger();
+
+    expect(report.verified).toBe(false);
+    expect(report.missing).toEqual([expect.objectContaining({ sequence: 0, documentId: written[0].id, collectionId: COLLECTION_ID })]);
+  } finally {
+    documents.splice(index, 0, removed);
+  }
+});
+
+test('a document in the collection that we didn\'t write is reported as unexpected', async () => {
+  const planted = emulator.addDocument(COLLECTION_ID, { note: 'planted' });
+
+  try {
+    const report = await rubidexService.verifyLedger();
+
+    expect(report.verified).toBe(false);
+    expect(report.unexpected).toEqual([{
+      documentId: planted.id,
+      collectionId: COLLECTION_ID,
+      createdAt: planted.creation_date,
+      contentHash: ledgerChain.contentHash({ note: 'planted' })
+    }]);
+    expect(report.summary).toMatchObject({ matched: 3, missing: 0, altered: 0 });
+  } finally {
+    const documents = emulator.getDocuments(COLLECTION_ID);
+    documents.splice(documents.indexOf(planted), 1);
+  }
+});
+
+test('an entry whose previous hash doesn\'t match is where the chain breaks', async () => {
+  const entry = ledgerChain.entries[2];
+  const original = entry.previousHash;
+  entry.previousHash = ledgerChain.entries[0].hash;
+
+  try {
+    const report = await rubidexService.verifyLedger();
+
+    expect(report.verified).toBe(false);
+    expect(report.chain).toMatchObject({ valid: false, brokenAt: 2 });
+    // The documents themselves still match
+    expect(report.summary).toMatchObject({ matched: 3, missing: 0, altered: 0, unexpected: 0 });
+  } finally {
+    entry.previousHash = original;
+  }
+
+  // Recomputing the entry's own hash to fit doesn't help: the next link no longer matches
+  const first = ledgerChain.entries[0];
+  const { writtenAt, hash } = first;
+  first.writtenAt = new Date(0).toISOString();
+  first.hash = ledgerChain.linkHash(first);
+  expect(ledgerChain.verifyChain()).toEqual({ valid: false, brokenAt: 1 });
+  Object.assign(first, { writtenAt, hash });
+});
+
+test('an entry written without a document id is matched on content', async () => {
+  const [doc] = emulator.seed(COLLECTION_ID, [{ note: 'no id returned' }]);
+  ledgerChain.record({ collection_id: COLLECTION_ID, fields: { note: 'no id returned' } }, null, 'document');
+
+  const report = await rubidexService.verifyLedger();
+  expect(report).toMatchObject({ verified: true, summary: { matched: 4 } });
+
+  doc.fields = { note: 'changed' };
+  const changed = await rubidexService.verifyLedger();
+  expect(changed.missing).toEqual([expect.objectContaining({ sequence: 3, documentId: null })]);
+});
@@ -0,0 +1,193 @@
+const { COLLECTION_ID, useTempDataDir, startRubidexEmulator, silenceConsole, waitFor } = require('./helpers/environment');
+const net = require('net');
+const { ModbusSimulator } = require('../src/dev/modbusSimulator');
+const { ModbusTcpClient } = require('../src/utils/modbusTcp');
+
+useTempDataDir();
+silenceConsole();
+process.env.MODBUS_TIMEOUT_MS = '500';
+
+const simulator = new ModbusSimulator({ size: 100 });
+
+let emulator;
+let port;
+let modbusPoller;
+let deviceRegistry;
+
+const readingDocuments = deviceId => emulator.getDocuments(COLLECTION_ID)
+  .filter(doc => doc.fields.coreid === deviceId);
+
+const source = (points, extra = {}) => modbusPoller.createSource({ name: 'AHU-1', host: 'localhost', port, points, ...extra });
+
+beforeAll(async () => {
+  emulator = await startRubidexEmulator();
+  port = await simulator.start(0);
+
+  deviceRegistry = require('../src/services/deviceRegistry');
+  modbusPoller = require('../src/services/modbusPoller');
+
+  ['supply-air', 'return-air', 'tank-level', 'offset-temp'].forEach(id => deviceRegistry.createDevice({
+    id,
+    name: id,
+    type: id === 'tank-level' ? 'Water Level' : 'Temperature'
+  }));
+});
+
+afterAll(async () => {
+  modbusPoller.stop();
+  await Promise.all([emulator.stop(), simulator.stop()]);
+});
+
+test('points are decoded, scaled, converted to the device unit and ingested', async () => {
+  // Supply air in °F ×10, return air as a float32 °C
+  simulator.setRegisters('holding', 0, [572]);
+  simulator.setFloat('input', 10, 22.5);
+  const { id } = source([
+    { deviceId: 'supply-air', address: 0, scale: 0.1, unit: 'F' },
+    { deviceId: 'return-air', table: 'input', address: 10, dataType: 'float32' }
+  ]);
+
+  const readings = await modbusPoller.poll(id);
+
+  expect(readings.map(reading => reading.deviceId)).toEqual(['supply-air', 'return-air']);
+  expect(readings[0].value).toBeCloseTo(14);
+  expect(readings[0].unit).toBe('°C');
+  expect(readings[1].value).toBeCloseTo(22.5);
+  expect(readingDocuments('return-air')).toHaveLength(1);
+  expect(modbusPoller.getSources().find(item => item.id === id).status).toMatchObject({
+    lastError: null,
+    consecutiveFailures: 0,
+    values: { 'supply-air': { raw: 572 } }
+  });
+});
+
+test('word order and offset are applied, and nearby points share one request', async () => {
+  // int32 -5 with the low word first
+  simulator.setRegisters('holding', 20, [0xfffb, 0xffff, 0, 0, 40]);
+  const { id } = source([
+    { deviceId: 'offset-temp', address: 20, dataType: 'int32', wordOrder: 'little', offset: 25 },
+    { deviceId: 'tank-level', address: 24 }
+  ]);
+
+  const before = simulator.requests;
+  const readings = await modbusPoller.poll(id);
+
+  expect(simulator.requests - before).toBe(1);
+  expect(readings.map(reading => reading.value)).toEqual([20, 40]);
+});
+
+test('a point the pipeline rejects doesn\'t stop the others', async () => {
+  simulator.setRegisters('holding', 30, [900, 55]);
+  const { id } = source([
+    { deviceId: 'supply-air', address: 30 },
+    { deviceId: 'tank-level', address: 31 }
+  ]);
+
+  const readings = await modbusPoller.poll(id);
+
+  expect(readings.map(reading => reading.deviceId)).toEqual(['tank-level']);
+  const { status } = modbusPoller.getSources().find(item => item.id === id);
+  expect(status.values['supply-air'].error).toBeDefined();
+  expect(status.lastError).toBeNull();
+});
+
+test('Modbus exceptions are recorded on the source until a poll succeeds again', async () => {
+  const created = source([{ deviceId: 'tank-level', address: 99, dataType: 'uint32' }]);
+
+  expect(await modbusPoller.poll(created.id)).toEqual([]);
+  await modbusPoller.poll(created.id);
+  expect(modbusPoller.getSources().find(item => item.id === created.id).status).toMatchObject({
+    lastError: 'Modbus exception 2: Illegal data address',
+    consecutiveFailures: 2,
+    lastSuccessAt: null
+  });
+
+  modbusPoller.updateSource(created.id, { ...created, points: [{ deviceId: 'tank-level', address: 98 }] });
+  await modbusPoller.poll(created.id);
+  expect(modbusPoller.getSources().find(item => item.id === created.id).status).toMatchObject({ lastError: null, consecutiveFailures: 0 });
+});
+
+test('an unreachable server is a failed poll, not an error', async () => {
+  const { id } = modbusPoller.createSource({ name: 'Gone', host: 'localhost', port: 1, points: [{ deviceId: 'tank-level', address: 0 }] });
+
+  expect(await modbusPoller.poll(id)).toEqual([]);
+  expect(modbusPoller.getSources().find(item => item.id === id).status.consecutiveFailures).toBe(1);
+});
+
+test('enabled sources are polled on their interval once started', async () => {
+  simulator.setRegisters('input', 50, [63]);
+  modbusPoller.start(null);
+  source([{ deviceId: 'tank-level', table: 'input', address: 50 }], { name: 'Tank', interval: 1 });
+
+  await waitFor(() => readingDocuments('tank-level').some(doc => doc.fields.data === '63'), { timeout: 3000 });
+});
+
+test('sources are validated against the registry and register map', () => {
+  expect(modbusPoller.validateSource({
+    name: 'Bad',
+    host: 'localhost',
+    unitId: 300,
+    points: [
+      { deviceId: 'unknown', address: 0 },
+      { deviceId: 'supply-air', table: 'coils', address: 70000, dataType: 'float64', unit: 'ppm' }
+    ]
+  })).toEqual([
+    'unitId must be between 0 and 255',
+    'points[0].deviceId must be a registered device',
+    'points[1].table must be one of: holding, input',
+    'points[1].address must be between 0 and 65535',
+    expect.stringMatching(/^points\[1\]\.dataType must be one of/),
+    'points[1].unit for Temperature must be one of: °C, C, °F, F'
+  ]);
+});
+
+describe('responses', () => {
+  let server;
+  let client;
+  // Frames to answer each request with, given its transaction id, unit id and function code
+  let reply;
+
+  const frame = (transactionId, unitId, pdu) => {
+    const header = Buffer.alloc(7);
+    header.writeUInt16BE(transactionId, 0);
+    header.writeUInt16BE(0, 2);
+    header.writeUInt16BE(pdu.length + 1, 4);
+    header.writeUInt8(unitId, 6);
+    return Buffer.concat([header, Buffer.from(pdu)]);
+  };
+
+  beforeAll(async () => {
+    server = net.createServer(socket => socket.on('data', request => {
+      reply(request.readUInt16BE(0), request.readUInt8(6), request.readUInt8(7)).forEach(response => socket.write(response));
+    }));
+    await new Promise(resolve => server.listen(0, resolve));
+    client = new ModbusTcpClient({ host: 'localhost', port: server.address().port, timeout: 500 });
+  });
+
+  afterAll(() => {
+    client.close();
+    return new Promise(resolve => server.close(resolve));
+  });
+
+  test('only a frame with the request\'s unit id and function code answers it', async () => {
+    reply = (transactionId, unitId, functionCode) => [
+      frame(transactionId, unitId + 1, [functionCode, 2, 0, 1]),
+      frame(transactionId, unitId, [0x04, 2, 0, 2]),
+      frame(transactionId, unitId, [functionCode, 2, 0, 3])
+    ];
+
+    expect(await client.readRegisters(7, 'holding', 0, 1)).toEqual([3]);
+  });
+
+  test('the function code with the high bit set is the request\'s exception', async () => {
+    reply = (transactionId, unitId, functionCode) => [frame(transactionId, unitId, [functionCode | 0x80, 2])];
+
+    await expect(client.readRegisters(7, 'input', 0, 1)).rejects.toMatchObject({ modbusCode: 2, message: 'Modbus exception 2: Illegal data address' });
+  });
+
+  test('a response with the wrong number of registers is refused', async () => {
+    reply = (transactionId, unitId, functionCode) => [frame(transactionId, unitId, [functionCode, 2, 0, 1])];
+
+    await expect(client.readRegisters(7, 'holding', 0, 2)).rejects.toThrow('Modbus response has 2 bytes for 2 registers');
+  });
+});
@@ -0,0 +1,136 @@
+const mqtt = require('mqtt');
+const { COLLECTION_ID, useTempDataDir, startRubidexEmulator, silenceConsole, minutesAgo, waitFor } = require('./helpers/environment');
+const { EmbeddedMqttBroker } = require('../src/dev/mqttBroker');
+
+useTempDataDir();
+silenceConsole();
+
+const broker = new EmbeddedMqttBroker();
+
+let emulator;
+let device;
+let mqttBridge;
+let commandService;
+let deviceCredentials;
+
+const user = { id: 'u-1', name: 'Dana Staff' };
+
+const send = (topic, payload) => new Promise((resolve, reject) => {
+  const message = typeof payload === 'string' ? payload : JSON.stringify(payload);
+  device.publish(`bbms/plant/${topic}`, message, { qos: 1 }, error => (error ? reject(error) : resolve()));
+});
+const published = (topic, check = () => true) => waitFor(() => broker.published
+  .filter(message => message.topic === `bbms/plant/${topic}`)
+  .map(message => ({ ...message, payload: JSON.parse(message.payload) }))
+  .find(check));
+const readingDocuments = deviceId => emulator.getDocuments(COLLECTION_ID)
+  .filter(doc => doc.fields.coreid === deviceId);
+
+beforeAll(async () => {
+  emulator = await startRubidexEmulator();
+  process.env.MQTT_URL = await broker.start(0);
+  delete process.env.MQTT_REQUIRE_DEVICE_KEY;
+
+  mqttBridge = require('../src/services/mqttBridge');
+  commandService = require('../src/services/commandService');
+  deviceCredentials = require('../src/services/deviceCredentials');
+  await mqttBridge.start(null);
+
+  device = mqtt.connect(process.env.MQTT_URL, { clientId: 'test-device' });
+  await new Promise(resolve => device.once('connect', resolve));
+});
+
+afterAll(async () => {
+  await new Promise(resolve => device.end(false, {}, resolve));
+  await mqttBridge.stop();
+  await Promise.all([emulator.stop(), broker.stop()]);
+});
+
+test('device keys are required unless switched off', () => {
+  expect(mqttBridge.requireDeviceKey).toBe(true);
+  expect(mqttBridge.getStatus()).toMatchObject({ enabled: true, requireDeviceKey: true });
+});
+
+test('MQTT_QOS accepts 0, 1 and 2 and falls back to 1 otherwise', () => {
+  expect(mqttBridge.qos).toBe(1);
+  expect(['0', '1', '2', '', undefined, '3', 'high'].map(value => mqttBridge.parseQos(value))).toEqual([0, 1, 2, 1, 1, 1, 1]);
+});
+
+test('a keyed reading goes through the pipeline and the retained state is published back', async () => {
+  const { key } = deviceCredentials.issueKey('mq-1');
+  const timestamp = minutesAgo(1);
+
+  await send('mq-1/temperature', { value: 21.5, timestamp, key });
+
+  const state = await published('mq-1/state');
+  expect(state.retain).toBe(true);
+  expect(state.payload).toMatchObject({ deviceId: 'mq-1', type: 'Temperature', value: 21.5, unit: '°C', status: 'Online', timestamp });
+  expect(readingDocuments('mq-1')[0].fields).toMatchObject({ data: '21.5', published_at: timestamp });
+});
+
+test('readings without a key, or with another device\'s key, are rejected on the error topic', async () => {
+  const { key } = deviceCredentials.issueKey('mq-owner');
+
+  await send('mq-2/temperature', '22');
+  await send('mq-2/water_level', { value: 50, key });
+
+  expect((await published('mq-2/error', message => message.payload.metric === 'temperature')).payload)
+    .toMatchObject({ error: 'key is required' });
+  expect((await published('mq-2/error', message => message.payload.metric === 'water_level')).payload.error)
+    .toBe('Device key for mq-owner cannot write readings for mq-2');
+  expect(readingDocuments('mq-2')).toHaveLength(0);
+});
+
+test('payloads the pipeline can\'t use are rejected with the reason', async () => {
+  const { key } = deviceCredentials.issueKey('mq-3');
+
+  await send('mq-3/humidity', { value: 40, key });
+  await send('mq-3/temperature', { value: 'warm', key });
+
+  expect((await published('mq-3/error', message => message.payload.metric === 'humidity')).payload.error)
+    .toBe('unknown metric humidity');
+  expect((await published('mq-3/error', message => message.payload.metric === 'temperature')).payload.error)
+    .toBe('value must be a number');
+});
+
+test('a late reading is stored but doesn\'t replace the retained state', async () => {
+  const { key } = deviceCredentials.issueKey('mq-4');
+
+  await send('mq-4/temperature', { value: 20, key });
+  await published('mq-4/state');
+  await send('mq-4/temperature', { value: 30, timestamp: minutesAgo(45), key });
+
+  await waitFor(() => readingDocuments('mq-4').length === 2);
+  expect(broker.published.filter(message => message.topic === 'bbms/plant/mq-4/state')).toHaveLength(1);
+});
+
+test('commands are sent on the command topic and finished by the device\'s command_ack', async () => {
+  const { key } = deviceCredentials.issueKey('mq-light');
+  // The bridge learns the device's building from its first reading
+  await send('mq-light/lighting', { value: 0, key });
+  await published('mq-light/state');
+
+  const command = await commandService.issueCommand(
+    { id: 'mq-light', name: 'Lobby Lights', type: 'Lighting' },
+    { command: 'level', params: { level: 60 } },
+    user
+  );
+  const sent = await published('mq-light/command', message => message.payload.id === command.id);
+  expect(sent.payload).toMatchObject({ command: 'level', params: { level: 60 } });
+
+  // Another device can't acknowledge it
+  const { key: otherKey } = deviceCredentials.issueKey('mq-other');
+  await send('mq-other/command_ack', { id: command.id, status: 'ok', key: otherKey });
+  expect((await published('mq-other/error')).payload.error).toBe(`unknown command ${command.id}`);
+
+  // JSON that isn't an object is refused rather than failing the handler
+  await send('mq-light/command_ack', 'null');
+  expect((await published('mq-light/error', message => message.payload.metric === 'command_ack')).payload.error)
+    .toBe('payload must be a JSON object');
+
+  await send('mq-light/command_ack', { id: command.id, status: 'ok', result: { level: 60 }, key });
+
+  // Done once the acknowledgement has been documented on Rubidex
+  await waitFor(() => commandService.getCommand(command.id).status === 'acknowledged' && commandService.getCommand(command.id).auditWritten);
+  expect(commandService.getCommand(command.id).result).toEqual({ level: 60 });
+});
@@ -0,0 +1,187 @@
+const { useTempDataDir, startRubidexEmulator, silenceConsole, waitFor, startApi } = require('./helpers/environment');
+const { SmtpCatcher, WebhookReceiver } = require('../src/dev/notificationCatcher');
+
+useTempDataDir();
+silenceConsole();
+
+const smtp = new SmtpCatcher();
+// Webhook subscriptions, and a Twilio stand-in for SMS
+const webhooks = new WebhookReceiver();
+const twilio = new WebhookReceiver();
+
+let emulator;
+let api;
+let webhookURL;
+let alertService;
+let notificationService;
+
+const owner = { id: 'u-1', name: 'Dana Staff' };
+const users = {
+  dana: { ...owner, email: 'dana@example.com', phone: '+15551230001', accessLevel: 'standard' },
+  ops: { id: 'u-ops', name: 'Ops Desk', email: 'ops@example.com', phone: null, accessLevel: 'elevated' }
+};
+
+const request = (method, url, body, user) => fetch(`${api.url}${url}`, {
+  method,
+  headers: { 'Content-Type': 'application/json', 'X-Test-User': user },
+  body: body ? JSON.stringify(body) : undefined
+}).then(async response => ({ status: response.status, body: await response.json() }));
+
+const raise = (deviceId, severity = 'warning') => alertService.createAlert({
+  type: 'temperature',
+  source: 'server',
+  deviceId,
+  deviceName: `Sensor ${deviceId}`,
+  location: 'Plant Room',
+  severity,
+  title: 'High Temperature Alert',
+  message: `Sensor ${deviceId} is over its limit`
+});
+
+beforeAll(async () => {
+  emulator = await startRubidexEmulator();
+  process.env.SMTP_HOST = 'localhost';
+  process.env.SMTP_PORT = String(await smtp.start(0));
+  webhookURL = await webhooks.start(0);
+  process.env.SMS_PROVIDER = 'twilio';
+  process.env.SMS_API_URL = await twilio.start(0);
+  process.env.SMS_FROM = '+15550000000';
+  process.env.TWILIO_ACCOUNT_SID = 'AC-test';
+  process.env.TWILIO_AUTH_TOKEN = 'token';
+
+  alertService = require('../src/services/alertService');
+  notificationService = require('../src/services/notificationService');
+  notificationService.start();
+  api = await startApi({ '/api/notifications': require('../src/routes/notificationRoutes') }, users);
+});
+
+afterEach(() => {
+  smtp.reset();
+  webhooks.reset();
+  twilio.reset();
+  webhooks.secret = null;
+  webhooks.failWith = null;
+  notificationService.getSubscriptions().forEach(subscription => notificationService.deleteSubscription(subscription.id));
+});
+
+afterAll(() => Promise.all([emulator.stop(), api.stop(), smtp.stop(), webhooks.stop(), twilio.stop()]));
+
+test('every channel is configured from the environment', () => {
+  expect(notificationService.getChannels()).toEqual(expect.arrayContaining([
+    { name: 'email', configured: true },
+    { name: 'sms', configured: true },
+    { name: 'webhook', configured: true }
+  ]));
+});
+
+test('a new alert is emailed to matching subscriptions', async () => {
+  notificationService.createSubscription({ channel: 'email', address: 'ops@example.com' }, owner);
+
+  await raise('mail-1', 'critical');
+
+  const [message] = await waitFor(() => smtp.messages.length > 0 && smtp.messages);
+  expect(message.to).toEqual(['ops@example.com']);
+  expect(message.subject).toBe('[CRITICAL] High Temperature Alert');
+  expect(message.text).toContain('Sensor mail-1 is over its limit');
+  expect(message.text).toContain('Location: Plant Room');
+});
+
+test('webhooks are signed with the subscription secret and shaped for the chosen format', async () => {
+  const subscription = notificationService.createSubscription({ channel: 'webhook', address: `${webhookURL}/slack`, format: 'slack' }, owner);
+  webhooks.secret = subscription.secret;
+
+  const { alert } = await raise('hook-1');
+  const deliveries = await notificationService.dispatch(alert, 'created');
+
+  expect(deliveries).toEqual([expect.objectContaining({ channel: 'webhook', status: 'sent', subscriptionId: subscription.id })]);
+  const request = webhooks.requests.find(item => item.body?.text?.includes('High Temperature Alert'));
+  expect(request).toMatchObject({ path: '/slack', event: 'created', verified: true });
+  expect(request.body.attachments[0].fields).toEqual(expect.arrayContaining([{ title: 'Location', value: 'Plant Room', short: true }]));
+});
+
+test('SMS goes through the Twilio Messages API', async () => {
+  notificationService.createSubscription({ channel: 'sms', address: '+15551234567' }, owner);
+
+  const { alert } = await raise('sms-1');
+  await notificationService.dispatch(alert, 'created');
+
+  const request = twilio.requests.find(item => new URLSearchParams(item.raw).get('Body')?.includes('sms-1'));
+  expect(request.path).toBe('/2010-04-01/Accounts/AC-test/Messages.json');
+  const form = new URLSearchParams(request.raw);
+  expect(form.get('To')).toBe('+15551234567');
+  expect(form.get('From')).toBe('+15550000000');
+  expect(form.get('Body')).toMatch(/^\[WARNING\] High Temperature Alert: /);
+});
+
+test('filters and events decide which subscriptions hear about a change', async () => {
+  const criticalOnly = notificationService.createSubscription({
+    channel: 'webhook', address: `${webhookURL}/critical`, filters: { severities: ['critical'] }
+  }, owner);
+  const otherDevice = notificationService.createSubscription({
+    channel: 'webhook', address: `${webhookURL}/other`, filters: { deviceIds: ['other-device'] }
+  }, owner);
+  const acknowledgements = notificationService.createSubscription({
+    channel: 'webhook', address: `${webhookURL}/acks`, events: ['acknowledged']
+  }, owner);
+
+  const { alert } = await raise('filter-1', 'critical');
+  expect(notificationService.matches(criticalOnly, alert, 'created')).toBe(true);
+  expect(notificationService.matches(otherDevice, alert, 'created')).toBe(false);
+  expect(notificationService.matches(acknowledgements, alert, 'created')).toBe(false);
+  expect(notificationService.matches(acknowledgements, alert, 'acknowledged')).toBe(true);
+
+  notificationService.updateSubscription(criticalOnly.id, { enabled: false });
+  expect(notificationService.matches(criticalOnly, alert, 'created')).toBe(false);
+});
+
+test('several subscriptions for the same address get one message', async () => {
+  notificationService.createSubscription({ channel: 'webhook', address: `${webhookURL}/team` }, owner);
+  notificationService.createSubscription({ channel: 'webhook', address: `${webhookURL}/team` }, { id: 'u-2' });
+
+  const { alert } = await raise('dedupe-1');
+  const deliveries = await notificationService.dispatch(alert, 'created');
+
+  expect(deliveries).toHaveLength(1);
+});
+
+test('failed deliveries are recorded with the receiver\'s status', async () => {
+  const subscription = notificationService.createSubscription({ channel: 'webhook', address: `${webhookURL}/down` }, owner);
+  webhooks.failWith = 503;
+
+  const delivery = await notificationService.sendTest(subscription.id);
+
+  expect(delivery).toMatchObject({ status: 'failed', event: 'test' });
+  expect(delivery.error).toMatch(/^HTTP 503/);
+  expect(notificationService.getDeliveries(1)[0].id).toBe(delivery.id);
+});
+
+test('subscriptions are validated per channel', () => {
+  expect(notificationService.validateSubscription({ channel: 'email', address: 'not-an-email' }))
+    .toEqual(['address must be an email address']);
+  expect(notificationService.validateSubscription({ channel: 'sms', address: '5551234567' }))
+    .toEqual([expect.stringMatching(/E\.164/)]);
+  expect(notificationService.validateSubscription({ channel: 'webhook', address: 'ftp://example.com', format: 'xml' }))
+    .toEqual(['address must be an http(s) URL', expect.stringMatching(/^format must be one of/)]);
+  expect(notificationService.validateSubscription({ channel: 'pager', address: 'x' }))
+    .toEqual([expect.stringMatching(/^channel must be one of/)]);
+});
+
+test('without elevated access, email and SMS only go to the caller\'s own email and phone', async () => {
+  const subscribe = (channel, address, user = 'dana') => request('POST', '/api/notifications/subscriptions', { channel, address }, user);
+
+  expect(await subscribe('email', 'someone.else@example.com'))
+    .toEqual({ status: 403, body: { error: 'Email subscriptions can only go to the email on your profile' } });
+  expect(await subscribe('sms', '+15559999999'))
+    .toEqual({ status: 403, body: { error: 'SMS subscriptions can only go to the phone on your profile' } });
+
+  const own = await subscribe('email', 'Dana@example.com');
+  expect(own.status).toBe(201);
+  expect((await subscribe('sms', '+15551230001')).status).toBe(201);
+
+  // Nor can an existing subscription be pointed somewhere else
+  expect((await request('PATCH', `/api/notifications/subscriptions/${own.body.id}`, { address: 'someone.else@example.com' }, 'dana')).status).toBe(403);
+
+  // Elevated users can notify shared addresses, e.g. a team inbox or the on-call phone
+  expect((await subscribe('email', 'facilities@example.com', 'ops')).status).toBe(201);
+  expect((await subscribe('sms', '+15559999999', 'ops')).status).toBe(201);
+});
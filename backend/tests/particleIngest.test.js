@@ -0,0 +1,111 @@
+const express = require('express');
+const { COLLECTION_ID, useTempDataDir, startRubidexEmulator, silenceConsole, minutesAgo } = require('./helpers/environment');
+
+useTempDataDir();
+silenceConsole();
+process.env.PARTICLE_WEBHOOK_SECRET = 'particle-secret';
+process.env.PARTICLE_EVENT_MAP = JSON.stringify({ tank: 'Water Level', boiler: { type: 'Temperature', unit: 'F' }, typo: 'toString' });
+
+let emulator;
+let server;
+let baseURL;
+let deviceCredentials;
+
+const readingDocuments = deviceId => emulator.getDocuments(COLLECTION_ID)
+  .filter(doc => doc.fields.coreid === deviceId);
+
+// Particle Cloud posts webhooks as a web form by default
+const webhook = (fields, headers = { 'X-Particle-Secret': 'particle-secret' }) => fetch(`${baseURL}/api/ingest/particle`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...headers },
+  body: new URLSearchParams(fields).toString()
+}).then(async response => ({ status: response.status, body: await response.json() }));
+
+beforeAll(async () => {
+  emulator = await startRubidexEmulator();
+  deviceCredentials = require('../src/services/deviceCredentials');
+
+  const app = express();
+  app.use('/api/ingest', require('../src/routes/ingestRoutes'));
+  server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  baseURL = `http://localhost:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await emulator.stop();
+});
+
+test('a webhook with the shared secret is written to Rubidex with Particle\'s publish time', async () => {
+  const publishedAt = minutesAgo(1);
+
+  const { status, body } = await webhook({ event: 'temperature', data: '21.5', coreid: 'photon-1', published_at: publishedAt });
+
+  expect(status).toBe(201);
+  expect(body).toMatchObject({ success: true, status: 'Online', reading: { deviceId: 'photon-1', type: 'Temperature', value: 21.5 } });
+  expect(readingDocuments('photon-1')[0].fields).toMatchObject({ data: '21.5', published_at: publishedAt });
+});
+
+test('a wrong or missing secret is refused before anything is written', async () => {
+  expect((await webhook({ event: 'temperature', data: '20', coreid: 'photon-2' }, { 'X-Particle-Secret': 'guess' })).status).toBe(401);
+  expect((await webhook({ event: 'temperature', data: '20', coreid: 'photon-2' }, {})).status).toBe(401);
+  expect(readingDocuments('photon-2')).toHaveLength(0);
+});
+
+test('event names resolve through aliases, prefixes and PARTICLE_EVENT_MAP, with the unit they imply', async () => {
+  const fahrenheit = await webhook({ event: 'tempF', data: '212', coreid: 'photon-3' });
+  expect(fahrenheit.body.reading).toMatchObject({ type: 'Temperature', unit: '°C' });
+  expect(fahrenheit.body.reading.value).toBeCloseTo(100);
+
+  const prefixed = await webhook({ event: 'bbms/water_level', data: '40', coreid: 'photon-4' });
+  expect(prefixed.body.reading).toMatchObject({ type: 'Water Level', value: 40 });
+
+  const mapped = await webhook({ event: 'tank', data: '55', coreid: 'photon-5' });
+  expect(mapped.body.reading).toMatchObject({ type: 'Water Level', value: 55 });
+
+  const mappedUnit = await webhook({ event: 'boiler', data: '32', coreid: 'photon-6' });
+  expect(mappedUnit.body.reading.value).toBeCloseTo(0);
+});
+
+test('data can be a JSON string whose unit overrides the event\'s', async () => {
+  const { body } = await webhook({ event: 'boiler', data: JSON.stringify({ value: 30, unit: 'C' }), coreid: 'photon-7' });
+  expect(body.reading).toMatchObject({ type: 'Temperature', value: 30 });
+});
+
+test('events that don\'t map to a device type, or miss fields, are rejected with details', async () => {
+  const unknown = await webhook({ event: 'spark/status', data: 'online', coreid: 'photon-8' });
+  expect(unknown.status).toBe(400);
+  expect(unknown.body.details[0]).toMatch(/^event spark\/status does not map to a device type/);
+
+  // Names of Object members aren't aliases or device types
+  for (const event of ['constructor', 'bbms/toString', '__proto__', 'typo']) {
+    const inherited = await webhook({ event, data: '21', coreid: 'photon-8' });
+    expect(inherited.body.details[0]).toMatch(/does not map to a device type/);
+  }
+
+  const incomplete = await webhook({ event: 'temperature', published_at: 'soon' });
+  expect(incomplete.body.details).toEqual(['coreid is required', 'data is required', 'published_at must be a valid date']);
+  expect(readingDocuments('photon-8')).toHaveLength(0);
+});
+
+test('Particle retrying the same event is written once', async () => {
+  const event = { event: 'temperature', data: '23', coreid: 'photon-9', published_at: minutesAgo(2) };
+
+  expect((await webhook(event)).status).toBe(201);
+  expect((await webhook(event)).status).toBe(201);
+
+  expect(readingDocuments('photon-9')).toHaveLength(1);
+});
+
+test('a device key works instead of the secret, but only for its own coreid', async () => {
+  const { key } = deviceCredentials.issueKey('photon-10');
+
+  const own = await webhook({ event: 'temperature', data: '19', coreid: 'photon-10' }, { 'X-Device-Key': key });
+  expect(own.status).toBe(201);
+
+  const other = await webhook({ event: 'temperature', data: '19', coreid: 'photon-11' }, { 'X-Device-Key': key });
+  expect(other).toMatchObject({ status: 403, body: { code: 'DEVICE_SCOPE' } });
+  expect(readingDocuments('photon-11')).toHaveLength(0);
+});
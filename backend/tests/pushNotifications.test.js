@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const { useTempDataDir, startRubidexEmulator, silenceConsole } = require('./helpers/environment');
+const { MockApnsServer } = require('../src/dev/mockApns');
+
+useTempDataDir();
+silenceConsole();
+
+const apns = new MockApnsServer();
+const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+let emulator;
+let alertService;
+let notificationService;
+let apnsChannel;
+
+const token = fill => fill.repeat(64);
+const user = { id: 'u-1', name: 'Dana Staff', role: 'technician' };
+
+const raise = (deviceId, severity = 'warning') => alertService.createAlert({
+  type: 'temperature',
+  source: 'server',
+  deviceId,
+  severity,
+  title: 'High Temperature Alert',
+  message: `${deviceId} is over its limit`
+});
+
+beforeAll(async () => {
+  emulator = await startRubidexEmulator();
+  process.env.APNS_URL = await apns.start(0);
+  process.env.APNS_BUNDLE_ID = 'com.example.bbms';
+  process.env.APNS_KEY_ID = 'KEY1234567';
+  process.env.APNS_TEAM_ID = 'TEAM123456';
+  process.env.APNS_KEY = privateKey.export({ type: 'pkcs8', format: 'pem' });
+
+  alertService = require('../src/services/alertService');
+  notificationService = require('../src/services/notificationService');
+  apnsChannel = require('../src/services/channels/apnsChannel');
+});
+
+afterEach(() => {
+  apns.reset();
+  notificationService.getDevices().forEach(device => notificationService.deleteDevice(device.id));
+});
+
+afterAll(async () => {
+  apnsChannel.transport.close();
+  await Promise.all([emulator.stop(), apns.stop()]);
+});
+
+test('alerts are pushed with a signed provider token and the payload the iOS app handles', async () => {
+  notificationService.registerDevice({ token: token('a'), name: 'Dana\'s iPhone' }, user);
+
+  const { alert } = await raise('push-1', 'critical');
+  const [delivery] = await notificationService.dispatch(alert, 'created');
+
+  expect(delivery).toMatchObject({ channel: 'push', status: 'sent' });
+  const [notification] = apns.notifications;
+  expect(notification).toMatchObject({
+    token: token('a'),
+    topic: 'com.example.bbms',
+    pushType: 'alert',
+    collapseId: alert.id
+  });
+  expect(notification.payload).toMatchObject({
+    aps: {
+      alert: { title: 'High Temperature Alert', body: 'push-1 is over its limit' },
+      category: 'CRITICAL_TEMPERATURE_ALERT',
+      'interruption-level': 'time-sensitive',
+      'thread-id': 'push-1'
+    },
+    type: 'critical_temperature_alert',
+    alertId: alert.id,
+    severity: 'critical'
+  });
+
+  const [header, claims, signature] = notification.authorization.replace(/^bearer /, '').split('.');
+  expect(JSON.parse(Buffer.from(header, 'base64url'))).toEqual({ alg: 'ES256', kid: 'KEY1234567' });
+  expect(JSON.parse(Buffer.from(claims, 'base64url')).iss).toBe('TEAM123456');
+  expect(crypto.verify('sha256', Buffer.from(`${header}.${claims}`), { key: publicKey, dsaEncoding: 'ieee-p1363' }, Buffer.from(signature, 'base64url'))).toBe(true);
+});
+
+test('the provider token is reused rather than signed for every push', () => {
+  const first = apnsChannel.getProviderToken();
+  expect(apnsChannel.getProviderToken()).toBe(first);
+  expect(apnsChannel.getProviderToken(Date.now() + 60 * 60 * 1000)).not.toBe(first);
+});
+
+test('devices only get the events and severities they asked for', async () => {
+  notificationService.registerDevice({ token: token('b'), filters: { severities: ['critical'] } }, user);
+
+  const { alert } = await raise('push-2', 'warning');
+  expect(await notificationService.dispatch(alert, 'created')).toEqual([]);
+  expect(apns.notifications).toHaveLength(0);
+});
+
+test('a token APNs reports as unregistered is forgotten', async () => {
+  const { device } = notificationService.registerDevice({ token: token('c') }, user);
+  apns.unregistered.add(token('c'));
+
+  const delivery = await notificationService.sendDeviceTest(device.id);
+
+  expect(delivery).toMatchObject({ status: 'failed', error: 'APNs 410: Unregistered' });
+  expect(notificationService.getDevice(device.id)).toBeNull();
+});
+
+test('other APNs failures keep the device registered', async () => {
+  const { device } = notificationService.registerDevice({ token: token('d') }, user);
+  apns.failWith = 500;
+
+  const delivery = await notificationService.sendDeviceTest(device.id);
+
+  expect(delivery).toMatchObject({ status: 'failed', error: 'APNs 500: InternalServerError' });
+  expect(notificationService.getDevice(device.id)).not.toBeNull();
+});
+
+test('re-registering a token updates the existing device, keeping its preferences', () => {
+  const { device } = notificationService.registerDevice({ token: token('E'), name: 'Work phone', events: ['created'] }, user);
+  const again = notificationService.registerDevice({ token: token('e') }, user);
+
+  expect(again).toMatchObject({ created: false, device: { id: device.id, name: 'Work phone', events: ['created'] } });
+  expect(notificationService.getDevices()).toHaveLength(1);
+});
+
+test('a token registered to someone else can\'t be taken over until they unregister it', () => {
+  const { device } = notificationService.registerDevice({ token: token('g'), name: 'Shared iPad' }, user);
+  const sam = { id: 'u-2', name: 'Sam' };
+
+  expect(notificationService.registerDevice({ token: token('g') }, sam))
+    .toEqual({ error: 'Device token is registered to another user; it must be unregistered first', code: 409 });
+  expect(notificationService.getDevice(device.id).userId).toBe('u-1');
+
+  notificationService.deleteDevice(device.id);
+  expect(notificationService.registerDevice({ token: token('g') }, sam))
+    .toMatchObject({ created: true, device: { userId: 'u-2', name: null } });
+});
+
+test('escalations page the devices of the paged role', async () => {
+  notificationService.registerDevice({ token: token('f'), events: [] }, user);
+
+  const { alert } = await raise('push-3', 'critical');
+  alert.escalation = { steps: [{ recipients: [{ type: 'role', role: 'technician' }] }] };
+  const deliveries = await notificationService.dispatch(alert, 'escalation');
+
+  expect(deliveries).toEqual([expect.objectContaining({ channel: 'push', address: token('f'), status: 'sent' })]);
+  expect(apns.notifications[0].payload.aps['interruption-level']).toBe('time-sensitive');
+});
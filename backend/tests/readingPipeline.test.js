@@ -0,0 +1,181 @@
+const { COLLECTION_ID, useTempDataDir, startRubidexEmulator, silenceConsole, minutesAgo } = require('./helpers/environment');
+
+useTempDataDir();
+silenceConsole();
+
+let emulator;
+let readingPipeline;
+let rubidexService;
+let heartbeatMonitor;
+let alertService;
+
+const readingDocuments = deviceId => emulator.getDocuments(COLLECTION_ID)
+  .filter(doc => doc.fields.coreid === deviceId);
+const alertDocuments = alertId => emulator.getDocuments(COLLECTION_ID)
+  .filter(doc => doc.fields.alert_id === alertId);
+
+beforeAll(async () => {
+  emulator = await startRubidexEmulator();
+  readingPipeline = require('../src/services/readingPipeline');
+  rubidexService = require('../src/services/rubidexService');
+  heartbeatMonitor = require('../src/services/heartbeatMonitor');
+  alertService = require('../src/services/alertService');
+});
+
+afterAll(() => emulator.stop());
+
+describe('live readings', () => {
+  test('are written to Rubidex with their own timestamp and update the heartbeat', async () => {
+    const timestamp = minutesAgo(1);
+    const { reading, status, late } = await readingPipeline.ingestReading({
+      deviceId: 'live-1',
+      type: 'Temperature',
+      value: 21.5,
+      timestamp
+    });
+
+    expect(late).toBe(false);
+    expect(status).toBe('Online');
+    expect(reading.unit).toBe('°C');
+
+    const [document] = readingDocuments('live-1');
+    expect(document.fields).toMatchObject({ data: '21.5', published_at: timestamp, device_type: 'temperature_sensor' });
+    expect(heartbeatMonitor.getHeartbeat('live-1')).toMatchObject({ lastSeen: timestamp, connectivity: 'online' });
+  });
+
+  test('are converted to the device type unit', async () => {
+    const { reading } = await readingPipeline.ingestReading({ deviceId: 'live-f', type: 'Temperature', value: 212, unit: 'F' });
+    expect(reading.value).toBeCloseTo(100);
+    expect(reading.unit).toBe('°C');
+  });
+
+  test('with invalid fields are rejected before anything is written', async () => {
+    const before = emulator.getDocuments(COLLECTION_ID).length;
+
+    await expect(readingPipeline.ingestReading({ deviceId: 'bad-1', value: 20, timestamp: 'yesterday' }))
+      .rejects.toMatchObject({ validationErrors: ['timestamp must be a valid date'] });
+    await expect(readingPipeline.ingestReading({ deviceId: 'bad-1', value: 20, timestamp: new Date(Date.now() + 3600000).toISOString() }))
+      .rejects.toMatchObject({ validationErrors: ['timestamp is in the future'] });
+    await expect(readingPipeline.ingestReading({ value: 20 }))
+      .rejects.toMatchObject({ validationErrors: ['deviceId is required'] });
+
+    expect(emulator.getDocuments(COLLECTION_ID)).toHaveLength(before);
+  });
+});
+
+describe('late readings', () => {
+  test('a day-old backfill for a new device is stored without a heartbeat or offline alert', async () => {
+    const [result] = await readingPipeline.ingestBatch([
+      { deviceId: 'backfill-1', type: 'Temperature', value: 22, timestamp: minutesAgo(24 * 60) }
+    ]);
+
+    expect(result).toMatchObject({ status: 'written', late: true, alert: null });
+    expect(readingDocuments('backfill-1')).toHaveLength(1);
+    expect(heartbeatMonitor.getHeartbeat('backfill-1')).toBeNull();
+
+    await heartbeatMonitor.sweep();
+    expect(alertService.findOpenAlert('backfill-1', 'device_offline')).toBeNull();
+  });
+
+  test('do not move last-seen or raise alerts for conditions that are over', async () => {
+    const liveAt = minutesAgo(1);
+    await readingPipeline.ingestReading({ deviceId: 'late-1', type: 'Temperature', value: 21, timestamp: liveAt });
+
+    const { late, evaluation } = await readingPipeline.ingestReading({
+      deviceId: 'late-1',
+      type: 'Temperature',
+      value: 95,
+      timestamp: minutesAgo(30)
+    });
+
+    expect(late).toBe(true);
+    expect(evaluation.action).toBe('none');
+    expect(heartbeatMonitor.getHeartbeat('late-1').lastSeen).toBe(liveAt);
+    expect(alertService.findOpenAlert('late-1', 'temperature')).toBeNull();
+  });
+
+  test('do not become the device\'s latest reading', async () => {
+    await readingPipeline.ingestReading({ deviceId: 'latest-1', type: 'Temperature', value: 20, timestamp: minutesAgo(2) });
+    // Written to Rubidex last, but taken earlier
+    await readingPipeline.ingestReading({ deviceId: 'latest-1', type: 'Temperature', value: 35, timestamp: minutesAgo(45) });
+
+    const latest = (await rubidexService.getLatestReadings()).find(reading => reading.deviceId === 'latest-1');
+    expect(latest.value).toBe(20);
+  });
+});
+
+describe('batches', () => {
+  test('report each reading on its own and write them oldest first per device', async () => {
+    const results = await readingPipeline.ingestBatch([
+      { deviceId: 'batch-1', type: 'Temperature', value: 23, timestamp: minutesAgo(1) },
+      { deviceId: 'batch-1', type: 'Temperature', value: 22, timestamp: minutesAgo(3) },
+      { deviceId: 'batch-1', type: 'Lighting', value: 'bright' },
+      { type: 'Temperature', value: 20 }
+    ]);
+
+    expect(results.map(result => result.status)).toEqual(['written', 'written', 'rejected', 'rejected']);
+    expect(readingDocuments('batch-1').map(doc => doc.fields.data)).toEqual(['22', '23']);
+  });
+
+  test('apply the caller\'s per-item check', async () => {
+    const results = await readingPipeline.ingestBatch(
+      [{ deviceId: 'mine', value: 20 }, { deviceId: 'theirs', value: 20 }],
+      null,
+      { check: input => (input.deviceId === 'mine' ? null : 'not your device') }
+    );
+
+    expect(results[0].status).toBe('written');
+    expect(results[1]).toMatchObject({ status: 'rejected', errors: ['not your device'] });
+  });
+});
+
+describe('temperature alerts', () => {
+  test('are raised over the limit, escalated when critical and resolved once back to normal', async () => {
+    const deviceId = 'hot-1';
+
+    const raised = await readingPipeline.ingestReading({ deviceId, type: 'Temperature', value: 45, alertLimit: 40 });
+    expect(raised.evaluation.action).toBe('raised');
+    expect(raised.status).toBe('Warning');
+
+    const alert = alertService.findOpenAlert(deviceId, 'temperature');
+    expect(alert).toMatchObject({ severity: 'warning', limit: 40, source: 'server' });
+
+    const escalated = await readingPipeline.ingestReading({ deviceId, type: 'Temperature', value: 52, alertLimit: 40 });
+    expect(escalated.evaluation.action).toBe('escalated');
+    expect(alertService.getAlert(alert.id).severity).toBe('critical');
+
+    const resolved = await readingPipeline.ingestReading({ deviceId, type: 'Temperature', value: 30, alertLimit: 40 });
+    expect(resolved.evaluation.action).toBe('resolved');
+    expect(alertService.getAlert(alert.id).state).toBe('resolved');
+
+    // Every lifecycle change is documented on Rubidex
+    expect(alertDocuments(alert.id).map(doc => doc.fields.alert_action)).toEqual(['created', 'escalated', 'resolved']);
+  });
+
+  test('are downgraded, not escalated, when a critical temperature falls back to a warning', async () => {
+    const deviceId = 'cooling-1';
+    await readingPipeline.ingestReading({ deviceId, type: 'Temperature', value: 55, alertLimit: 40 });
+
+    const { evaluation } = await readingPipeline.ingestReading({ deviceId, type: 'Temperature', value: 44, alertLimit: 40 });
+
+    expect(evaluation.action).toBe('downgraded');
+    const alert = alertService.findOpenAlert(deviceId, 'temperature');
+    expect(alert.severity).toBe('warning');
+    expect(alertDocuments(alert.id).map(doc => doc.fields.alert_action)).toEqual(['created', 'downgraded']);
+  });
+
+  test('stay open within the hysteresis band', async () => {
+    const deviceId = 'hover-1';
+    await readingPipeline.ingestReading({ deviceId, type: 'Temperature', value: 41, alertLimit: 40 });
+
+    const { evaluation } = await readingPipeline.ingestReading({ deviceId, type: 'Temperature', value: 39.5, alertLimit: 40 });
+    expect(evaluation.action).toBe('none');
+    expect(alertService.findOpenAlert(deviceId, 'temperature')).not.toBeNull();
+  });
+
+  test('are not raised for other device types', async () => {
+    const { evaluation } = await readingPipeline.ingestReading({ deviceId: 'gas-1', type: 'Gas Level', value: 90 });
+    expect(evaluation.action).toBe('none');
+    expect(alertService.getAlerts({ deviceId: 'gas-1' })).toHaveLength(0);
+  });
+});
@@ -0,0 +1,183 @@
+const { useTempDataDir, silenceConsole, startApi } = require('./helpers/environment');
+
+useTempDataDir();
+silenceConsole();
+process.env.RESERVATION_NO_SHOW_GRACE = '15';
+process.env.RESERVATION_CHECKIN_EARLY = '10';
+
+let reservationService;
+let api;
+
+const person = (id, role = 'user') => ({ id, name: `User ${id}`, email: `${id}@example.com`, role });
+// Whole hours from a fixed point two days ahead, so bookings are always in the future
+const base = new Date(Math.ceil(Date.now() / 3600000) * 3600000 + 2 * 24 * 3600000);
+const at = hours => new Date(base.getTime() + hours * 3600000).toISOString();
+const minutesFromNow = minutes => new Date(Date.now() + minutes * 60000).toISOString();
+const book = (zoneId, user, startTime, endTime, extra = {}) =>
+  reservationService.createReservation({ zoneId, startTime, endTime, ...extra }, user);
+const logged = async () => true;
+
+const users = {
+  u: { ...person('u'), accessLevel: 'standard' },
+  v: { ...person('v'), accessLevel: 'standard' },
+  desk: { ...person('desk', 'manager'), accessLevel: 'elevated' }
+};
+const get = (url, user) => fetch(`${api.url}${url}`, { headers: { 'X-Test-User': user } })
+  .then(async response => ({ status: response.status, body: await response.json() }));
+
+beforeAll(async () => {
+  reservationService = require('../src/services/reservationService');
+  api = await startApi({ '/api/reservations': require('../src/routes/reservationRoutes') }, users);
+
+  reservationService.saveZone({ id: 'room-1', name: 'Board Room' }, { type: 'Meeting Room', capacity: 8 });
+  reservationService.saveZone({ id: 'room-2', name: 'Huddle Room' }, { type: 'Meeting Room', capacity: 4 });
+  reservationService.saveZone({ id: 'cowork', name: 'Coworking' }, { type: 'Coworking Space', capacity: 5 });
+  reservationService.saveZone({ id: 'exec', name: 'Executive Suite' }, {
+    type: 'Conference Room',
+    capacity: 20,
+    bookingRules: {
+      default: { allowed: false },
+      manager: { allowed: true, requiresApproval: true, maxDurationMinutes: 120 },
+      admin: { allowed: true }
+    }
+  });
+});
+
+afterAll(() => api.stop());
+
+describe('conflicts', () => {
+  test('a room booked as a whole can\'t be double-booked, but back-to-back bookings are fine', () => {
+    const { reservation } = book('room-1', person('a'), at(1), at(2));
+
+    expect(book('room-1', person('b'), at(1.5), at(3))).toMatchObject({
+      error: 'Board Room is already booked for that time',
+      code: 409,
+      details: [{ id: reservation.id, status: 'confirmed' }]
+    });
+    expect(book('room-1', person('b'), at(2), at(3)).reservation.status).toBe('confirmed');
+  });
+
+  test('nobody can be in two places at once', () => {
+    book('room-1', person('c'), at(10), at(11));
+
+    const clash = book('room-2', person('c'), at(10.5), at(11.5));
+    expect(clash).toMatchObject({ error: 'You already have a reservation at that time', code: 409 });
+    expect(clash.details).toEqual([expect.objectContaining({ zoneId: 'room-1' })]);
+  });
+
+  test('a shared zone takes bookings until the peak number of people reaches its capacity', () => {
+    book('cowork', person('d'), at(20), at(22), { attendees: 3 });
+    book('cowork', person('e'), at(21), at(23), { attendees: 2 });
+
+    expect(book('cowork', person('f'), at(21.5), at(22.5))).toMatchObject({
+      code: 409,
+      details: { capacity: 5, booked: 5, requested: 1 }
+    });
+    // The first booking has ended by 22:00
+    expect(book('cowork', person('f'), at(22), at(23)).reservation).toBeDefined();
+    expect(book('cowork', person('g'), at(20), at(21), { attendees: 6 })).toMatchObject({ error: 'Coworking holds at most 5 people', code: 409 });
+  });
+
+  test('pending bookings hold their space, cancelled ones give it back', () => {
+    const { reservation } = book('exec', person('m', 'manager'), at(30), at(31));
+    expect(reservation.status).toBe('pending');
+
+    expect(book('exec', person('x', 'admin'), at(30), at(31)).code).toBe(409);
+
+    reservationService.cancel(reservation.id, person('m', 'manager'));
+    expect(book('exec', person('x', 'admin'), at(30), at(31)).reservation.status).toBe('confirmed');
+  });
+
+  test('role rules inherit from the zone default and then the service default', () => {
+    expect(book('exec', person('u'), at(40), at(41))).toMatchObject({ error: 'Your role (user) can\'t book Executive Suite', code: 403 });
+    expect(book('exec', person('m2', 'manager'), at(40), at(43))).toMatchObject({ code: 403, error: 'Bookings of Executive Suite can last at most 120 minutes' });
+    expect(reservationService.getRule(reservationService.getZone('exec'), 'admin'))
+      .toEqual({ allowed: true, maxDurationMinutes: 480, maxAdvanceDays: 30, requiresApproval: false });
+    expect(book('room-2', person('v'), at(24 * 30), at(24 * 30 + 1)).error).toBe('Huddle Room can be booked at most 30 days ahead');
+  });
+
+  test('a zone with bookings to come can\'t stop being bookable', () => {
+    expect(reservationService.deleteZone('room-1').error).toMatch(/pending or confirmed reservations; cancel them first$/);
+  });
+});
+
+describe('no-shows', () => {
+  test('a confirmed booking nobody checks in to is released once the grace period passes', () => {
+    const { reservation } = book('room-2', person('n'), at(50), at(52));
+    const start = new Date(reservation.startTime).getTime();
+
+    reservationService.sweep(start + 14 * 60000);
+    expect(reservationService.getReservation(reservation.id).status).toBe('confirmed');
+
+    reservationService.sweep(start + 15 * 60000);
+    expect(reservationService.getReservation(reservation.id)).toMatchObject({ status: 'cancelled', cancelledBy: 'system', cancelReason: 'no_show' });
+    // The room is free again
+    expect(book('room-2', person('o'), at(50.5), at(51)).reservation).toBeDefined();
+  });
+
+  test('a pending booking that starts without approval is dropped', () => {
+    const { reservation } = book('exec', person('m3', 'manager'), at(60), at(61));
+
+    reservationService.sweep(new Date(reservation.startTime).getTime());
+
+    expect(reservationService.getReservation(reservation.id)).toMatchObject({ status: 'cancelled', cancelReason: 'not_approved' });
+  });
+
+  test('checking in records the entry, keeps the booking and completes it once it ends', async () => {
+    const user = person('p');
+    const { reservation } = book('room-1', user, minutesFromNow(5), minutesFromNow(65));
+
+    const entries = [];
+    const { reservation: checkedIn } = await reservationService.checkIn(reservation.id, user, { method: 'qr' }, async booking => {
+      entries.push(booking.zoneId);
+      return true;
+    });
+
+    expect(entries).toEqual(['room-1']);
+    expect(checkedIn.checkIn).toEqual({ method: 'qr', deviceId: null, by: 'p@example.com' });
+    expect(await reservationService.checkIn(reservation.id, user, { method: 'qr' }, logged)).toMatchObject({ error: 'Already checked in', code: 409 });
+
+    reservationService.sweep(new Date(reservation.startTime).getTime() + 30 * 60000);
+    expect(reservationService.getReservation(reservation.id).status).toBe('confirmed');
+    reservationService.sweep(new Date(reservation.endTime).getTime());
+    expect(reservationService.getReservation(reservation.id).status).toBe('completed');
+  });
+
+  test('check-in opens shortly before the start and needs the entry to be logged', async () => {
+    const user = person('q');
+    const early = book('room-2', user, minutesFromNow(30), minutesFromNow(60)).reservation;
+    expect(await reservationService.checkIn(early.id, user, { method: 'nfc' }, logged))
+      .toEqual({ error: 'Check-in opens 10 minutes before the reservation starts', code: 409 });
+
+    const soon = book('cowork', person('r'), minutesFromNow(5), minutesFromNow(25)).reservation;
+    expect(await reservationService.checkIn(soon.id, person('r'), { method: 'nfc' }, async () => false))
+      .toMatchObject({ code: 502 });
+    expect(reservationService.getReservation(soon.id).checkedInAt).toBeNull();
+  });
+
+  test('reception can release a started booking early, but not one that hasn\'t started', () => {
+    const reception = person('reception', 'manager');
+    const future = book('room-2', person('s'), at(70), at(71)).reservation;
+    expect(reservationService.release(future.id, reception)).toEqual({ error: 'Reservation has not started yet', code: 409 });
+
+    const { reservation } = book('cowork', person('t'), minutesFromNow(-5), minutesFromNow(60));
+    expect(reservationService.release(reservation.id, reception).reservation)
+      .toMatchObject({ status: 'cancelled', cancelReason: 'no_show', cancelledBy: 'reception@example.com' });
+  });
+});
+
+describe('listing', () => {
+  test('people only see their own reservations; elevated users see everyone\'s', async () => {
+    const own = book('room-1', users.u, at(80), at(81)).reservation;
+    const other = book('room-1', users.v, at(82), at(83)).reservation;
+    const ids = response => response.body.map(reservation => reservation.id);
+
+    expect(ids(await get('/api/reservations?zoneId=room-1', 'u'))).toEqual([own.id]);
+    expect(ids(await get('/api/reservations?zoneId=room-1', 'desk'))).toEqual(expect.arrayContaining([own.id, other.id]));
+    expect(ids(await get('/api/reservations?zoneId=room-1&mine=true', 'desk'))).toEqual([]);
+
+    expect((await get(`/api/reservations/${own.id}`, 'u')).status).toBe(200);
+    expect((await get(`/api/reservations/${other.id}`, 'u')).status).toBe(403);
+    expect((await get(`/api/reservations/${other.id}`, 'desk')).body.id).toBe(other.id);
+  });
+});
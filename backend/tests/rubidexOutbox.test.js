@@ -0,0 +1,146 @@
+const { COLLECTION_ID, useTempDataDir, startRubidexEmulator, silenceConsole } = require('./helpers/environment');
+
+useTempDataDir();
+silenceConsole();
+process.env.OUTBOX_RETRY_BASE_MS = '1';
+process.env.OUTBOX_MAX_ATTEMPTS = '2';
+
+let emulator;
+let rubidexOutbox;
+let rubidexService;
+let ledgerChain;
+
+const document = (fields) => ({ collection_id: COLLECTION_ID, fields });
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+beforeAll(async () => {
+  emulator = await startRubidexEmulator();
+  rubidexService = require('../src/services/rubidexService');
+  rubidexOutbox = require('../src/services/rubidexOutbox');
+  ledgerChain = require('../src/services/ledgerChain');
+});
+
+afterEach(() => {
+  emulator.offline = false;
+});
+
+afterAll(() => emulator.stop());
+
+test('delivers straight away while Rubidex is up and records the write in the ledger chain', async () => {
+  const { data } = await rubidexService.postDocument(document({ note: 'direct' }), { idempotencyKey: 'direct-1' });
+
+  expect(data.id).toBeDefined();
+  expect(emulator.getDocuments(COLLECTION_ID).map(doc => doc.id)).toContain(data.id);
+  expect(ledgerChain.entries.map(entry => entry.documentId)).toContain(data.id);
+  expect(rubidexOutbox.getEntries()).toHaveLength(0);
+});
+
+test('answers a repeated idempotency key with the first result instead of writing twice', async () => {
+  const first = await rubidexService.postDocument(document({ note: 'once' }), { idempotencyKey: 'once-1' });
+  const second = await rubidexService.postDocument(document({ note: 'once' }), { idempotencyKey: 'once-1' });
+
+  expect(second.data).toMatchObject({ id: first.data.id, duplicate: true });
+  expect(emulator.getDocuments(COLLECTION_ID).filter(doc => doc.fields.note === 'once')).toHaveLength(1);
+});
+
+test('queues writes while Rubidex is down and delivers them once it is back', async () => {
+  emulator.offline = true;
+  const { data } = await rubidexService.postDocument(document({ note: 'queued' }), { idempotencyKey: 'queued-1' });
+
+  expect(data).toMatchObject({ queued: true });
+  const [entry] = rubidexOutbox.getEntries();
+  expect(entry).toMatchObject({ id: data.outboxId, status: 'pending', attempts: 1 });
+  expect(entry.lastError).toMatch(/503/);
+
+  // A retry of the same write while it is queued is not queued again
+  const again = await rubidexService.postDocument(document({ note: 'queued' }), { idempotencyKey: 'queued-1' });
+  expect(again.data).toMatchObject({ queued: true, outboxId: data.outboxId, duplicate: true });
+
+  emulator.offline = false;
+  await wait(5);
+  await rubidexOutbox.processDue();
+
+  expect(rubidexOutbox.getEntries()).toHaveLength(0);
+  expect(emulator.getDocuments(COLLECTION_ID).filter(doc => doc.fields.note === 'queued')).toHaveLength(1);
+});
+
+test('dead-letters ordinary writes after the last attempt, but keeps retrying audit writes', async () => {
+  emulator.offline = true;
+  const reading = await rubidexService.postDocument(document({ note: 'reading' }), { idempotencyKey: 'reading-1' });
+  const alert = await rubidexService.postDocument(document({ note: 'alert' }), { idempotencyKey: 'alert-1', kind: 'alert_created', audit: true });
+
+  await wait(5);
+  await rubidexOutbox.processDue();
+
+  const entries = new Map(rubidexOutbox.getEntries().map(entry => [entry.id, entry]));
+  expect(entries.get(reading.data.outboxId)).toMatchObject({ status: 'failed', nextAttemptAt: null });
+  expect(entries.get(alert.data.outboxId)).toMatchObject({ status: 'pending', audit: true });
+  expect(rubidexOutbox.getStatus()).toMatchObject({ failed: 1, auditPending: 1 });
+
+  // Audit writes can't be thrown away; a failed write can, an unknown id is not found
+  expect(rubidexOutbox.discard(alert.data.outboxId)).toMatchObject({ code: 409 });
+  expect(rubidexOutbox.discard('no-such-entry')).toMatchObject({ code: 404 });
+  expect(rubidexOutbox.discard(reading.data.outboxId).entry.id).toBe(reading.data.outboxId);
+
+  emulator.offline = false;
+  const { delivered } = await rubidexOutbox.retryNow(alert.data.outboxId);
+  expect(delivered).toBe(true);
+  expect(rubidexOutbox.getEntries()).toHaveLength(0);
+});
+
+test('retryNow leaves an entry that is already being sent to that attempt', async () => {
+  emulator.offline = true;
+  const { data } = await rubidexService.postDocument(document({ note: 'busy' }), { idempotencyKey: 'busy-1' });
+  emulator.offline = false;
+  await wait(5);
+
+  const processing = rubidexOutbox.processDue();
+  const retried = await rubidexOutbox.retryNow(data.outboxId);
+  await processing;
+
+  expect(retried).toMatchObject({ inFlight: true, delivered: false });
+  expect(emulator.getDocuments(COLLECTION_ID).filter(doc => doc.fields.note === 'busy')).toHaveLength(1);
+  expect(await rubidexOutbox.retryNow(data.outboxId)).toMatchObject({ code: 404 });
+});
+
+test('writes without an idempotency key are not mistaken for each other', async () => {
+  const first = await rubidexService.postDocument(document({ note: 'unkeyed' }));
+  const second = await rubidexService.postDocument(document({ note: 'unkeyed' }));
+
+  expect(second.data.id).not.toBe(first.data.id);
+  expect(second.data.duplicate).toBeUndefined();
+});
+
+test('a resent reading is recognised by its device, time and value', async () => {
+  const reading = { deviceId: 'outbox-1', value: 21.5, publishedAt: '2026-03-02T09:00:00.000Z' };
+
+  const first = await rubidexService.writeDeviceReading('Temperature', reading);
+  const resent = await rubidexService.writeDeviceReading('Temperature', reading);
+  const changed = await rubidexService.writeDeviceReading('Temperature', { ...reading, value: 22 });
+
+  expect(resent).toMatchObject({ id: first.id, duplicate: true });
+  expect(changed.duplicate).toBeUndefined();
+});
+
+test('queued entries and delivered keys are journaled and survive a restart', async () => {
+  emulator.offline = true;
+  const { data } = await rubidexService.postDocument(document({ note: 'restart' }), { idempotencyKey: 'restart-1' });
+  const delivered = rubidexOutbox.delivered.get('once-1');
+
+  let restarted;
+  jest.isolateModules(() => {
+    restarted = require('../src/services/rubidexOutbox');
+  });
+
+  expect(restarted.getEntries()).toEqual([expect.objectContaining({ id: data.outboxId, status: 'pending', attempts: 1, inFlight: false })]);
+  expect(restarted.delivered.get('once-1')).toEqual(delivered);
+  // Each change was appended rather than the whole outbox being rewritten
+  expect(restarted.journalLength).toBeGreaterThan(restarted.getEntries().length + restarted.delivered.size);
+
+  restarted.compact();
+  jest.isolateModules(() => {
+    restarted = require('../src/services/rubidexOutbox');
+  });
+  expect(restarted.journalLength).toBe(restarted.getEntries().length + restarted.delivered.size);
+  expect(restarted.getEntries().map(entry => entry.id)).toEqual([data.outboxId]);
+});
@@ -0,0 +1,210 @@
+const { useTempDataDir, silenceConsole, startApi } = require('./helpers/environment');
+
+useTempDataDir();
+silenceConsole();
+
+let scheduleService;
+let deviceRegistry;
+let authMiddleware;
+let api;
+
+const OFFICE_HOURS = [{ start: '08:00', end: '18:00' }];
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'];
+
+const weekly = (days, periods) => Object.fromEntries(days.map(day => [day, periods]));
+const modeAt = (schedule, iso) => scheduleService.modeAt(schedule, new Date(iso));
+
+const users = {
+  admin: { id: 'u-admin', email: 'admin@example.com', accessLevel: 'admin' }
+};
+
+const put = (zoneId, body) => fetch(`${api.url}/api/schedules/${zoneId}`, {
+  method: 'PUT',
+  headers: { 'Content-Type': 'application/json', 'X-Test-User': 'admin' },
+  body: JSON.stringify(body)
+}).then(async response => ({ status: response.status, body: await response.json() }));
+
+beforeAll(async () => {
+  scheduleService = require('../src/services/scheduleService');
+  deviceRegistry = require('../src/services/deviceRegistry');
+  authMiddleware = require('../src/middleware/authMiddleware');
+  api = await startApi({ '/api/schedules': require('../src/routes/scheduleRoutes') }, users);
+});
+
+afterAll(() => api.stop());
+
+test('office hours follow local time across daylight saving changes', async () => {
+  const schedule = await scheduleService.saveSchedule('zone-ny', {
+    name: 'New York office',
+    timezone: 'America/New_York',
+    weekly: weekly(WEEKDAYS, OFFICE_HOURS)
+  });
+
+  // Friday before clocks go forward (UTC-5), then the Monday after (UTC-4)
+  expect(modeAt(schedule, '2026-03-06T12:59:00Z').mode).toBe('unoccupied');
+  expect(modeAt(schedule, '2026-03-06T13:00:00Z')).toMatchObject({ mode: 'occupied', source: 'weekly', period: OFFICE_HOURS[0] });
+  expect(modeAt(schedule, '2026-03-09T11:59:00Z').mode).toBe('unoccupied');
+  expect(modeAt(schedule, '2026-03-09T12:00:00Z').mode).toBe('occupied');
+
+  expect(scheduleService.nextChange(schedule, new Date('2026-03-06T23:30:00Z')))
+    .toEqual({ at: '2026-03-09T12:00:00.000Z', mode: 'occupied' });
+  // And back when they go back
+  expect(scheduleService.nextChange(schedule, new Date('2026-10-30T22:30:00Z')))
+    .toEqual({ at: '2026-11-02T13:00:00.000Z', mode: 'occupied' });
+});
+
+test('the next change is found when the clocks skip or repeat a period\'s start', async () => {
+  const schedule = await scheduleService.saveSchedule('zone-dst', {
+    name: 'Night shift',
+    timezone: 'America/New_York',
+    weekly: { sunday: [{ start: '01:00', end: '01:30' }, { start: '02:30', end: '04:00' }] }
+  });
+
+  // 8 March 2026: 02:00 EST is 03:00 EDT, so 02:30 never comes and the period starts with the change
+  expect(scheduleService.nextChange(schedule, new Date('2026-03-08T06:45:00Z')))
+    .toEqual({ at: '2026-03-08T07:00:00.000Z', mode: 'occupied' });
+  expect(scheduleService.nextChange(schedule, new Date('2026-03-08T07:00:00Z')))
+    .toEqual({ at: '2026-03-08T08:00:00.000Z', mode: 'unoccupied' });
+
+  // 1 November 2026: 02:00 EDT is 01:00 EST, so 01:00 to 01:30 comes round twice
+  expect(scheduleService.nextChange(schedule, new Date('2026-11-01T05:00:00Z')))
+    .toEqual({ at: '2026-11-01T05:30:00.000Z', mode: 'unoccupied' });
+  expect(scheduleService.nextChange(schedule, new Date('2026-11-01T05:30:00Z')))
+    .toEqual({ at: '2026-11-01T06:00:00.000Z', mode: 'occupied' });
+});
+
+test('the next change is worked out from the schedule, not minute by minute', async () => {
+  const schedule = await scheduleService.saveSchedule('zone-weekend', {
+    name: 'Weekend market',
+    timezone: 'Europe/London',
+    weekly: { sunday: [{ start: '09:00', end: '15:00' }] }
+  });
+  const modeAt = jest.spyOn(scheduleService, 'modeAt');
+
+  try {
+    // Monday 2 March 2026, six days before
+    expect(scheduleService.nextChange(schedule, new Date('2026-03-02T09:00:00Z')))
+      .toEqual({ at: '2026-03-08T09:00:00.000Z', mode: 'occupied' });
+    expect(modeAt.mock.calls.length).toBeLessThan(20);
+
+    const closed = await scheduleService.saveSchedule('zone-closed', { name: 'Closed', timezone: 'UTC', weekly: {} });
+    expect(scheduleService.nextChange(closed, new Date('2026-03-02T09:00:00Z'))).toBeNull();
+  } finally {
+    modeAt.mockRestore();
+  }
+});
+
+test('holidays are matched on the schedule\'s local date, not the UTC one', async () => {
+  const christmas = scheduleService.createCalendar({ name: 'NZ public holidays', dates: [{ date: '2026-12-25', name: 'Christmas Day' }] });
+  const schedule = await scheduleService.saveSchedule('zone-akl', {
+    name: 'Auckland plant',
+    timezone: 'Pacific/Auckland',
+    weekly: weekly(WEEKDAYS, [{ start: '00:00', end: '24:00' }]),
+    holidayCalendarIds: [christmas.id]
+  });
+
+  // 23:00 on Christmas Eve in Auckland (UTC+13)
+  expect(modeAt(schedule, '2026-12-24T10:00:00Z').mode).toBe('occupied');
+  // 01:00 on Christmas Day in Auckland, still the 24th in UTC
+  expect(modeAt(schedule, '2026-12-24T12:00:00Z')).toMatchObject({
+    mode: 'unoccupied',
+    source: 'holiday',
+    holiday: { date: '2026-12-25', name: 'Christmas Day', calendarId: christmas.id }
+  });
+  expect(scheduleService.nextChange(schedule, new Date('2026-12-24T10:00:00Z')))
+    .toEqual({ at: '2026-12-24T11:00:00.000Z', mode: 'unoccupied' });
+
+  expect(scheduleService.deleteCalendar(christmas.id)).toEqual({ error: 'Calendar is used by the schedules for: zone-akl' });
+});
+
+test('an override beats a holiday until it is removed', async () => {
+  const today = scheduleService.createCalendar({ name: 'Closed today', dates: [{ date: new Date().toISOString().slice(0, 10) }] });
+  await scheduleService.saveSchedule('zone-late', {
+    name: 'Working late',
+    timezone: 'UTC',
+    weekly: weekly(WEEKDAYS, OFFICE_HOURS),
+    holidayCalendarIds: [today.id]
+  });
+  const schedule = scheduleService.getSchedule('zone-late');
+  expect(scheduleService.modeAt(schedule, new Date()).source).toBe('holiday');
+
+  const override = await scheduleService.addOverride('zone-late', {
+    mode: 'occupied',
+    start: new Date(Date.now() - 60000).toISOString(),
+    end: new Date(Date.now() + 3600000).toISOString(),
+    reason: 'Stocktake'
+  });
+  expect(scheduleService.modeAt(schedule, new Date())).toMatchObject({ mode: 'occupied', source: 'override', override: { reason: 'Stocktake' } });
+
+  await scheduleService.removeOverride('zone-late', override.id);
+  expect(scheduleService.modeAt(schedule, new Date()).source).toBe('holiday');
+});
+
+test('each mode change sends the zone\'s devices their commands once, including a change missed while down', async () => {
+  deviceRegistry.createDevice({ id: 'apply-ac', name: 'Office AC', type: 'Air Conditioning', zone: 'zone-apply' });
+  deviceRegistry.createDevice({ id: 'apply-lights', name: 'Office lights', type: 'Lighting', zone: 'zone-apply' });
+  await scheduleService.saveSchedule('zone-apply', {
+    name: 'Office',
+    timezone: 'UTC',
+    weekly: weekly(WEEKDAYS, OFFICE_HOURS),
+    occupied: {
+      'Air Conditioning': [{ command: 'setpoint', params: { value: 21 } }],
+      'Lighting': [{ command: 'switch', params: { on: true } }]
+    },
+    unoccupied: {
+      'Air Conditioning': [{ command: 'setpoint', params: { value: 16 } }]
+    }
+  });
+  // Monday 2 March 2026
+  await scheduleService.applyZone('zone-apply', new Date('2026-03-02T07:00:00Z'));
+
+  const occupied = await scheduleService.applyZone('zone-apply', new Date('2026-03-02T09:00:00Z'));
+  expect(occupied.map(command => [command.deviceId, command.command, command.params])).toEqual([
+    ['apply-ac', 'setpoint', { value: 21, unit: '°C' }],
+    ['apply-lights', 'switch', { on: true }]
+  ]);
+  expect(occupied[0].issuedBy).toMatchObject({ id: 'scheduler', name: 'Scheduler' });
+  expect(await scheduleService.applyZone('zone-apply', new Date('2026-03-02T10:00:00Z'))).toEqual([]);
+
+  // The evening change is picked up by the first tick after it
+  await scheduleService.tick(new Date('2026-03-02T23:00:00Z'));
+  expect(scheduleService.getEffective('zone-apply', new Date('2026-03-02T23:00:00Z')).lastApplied)
+    .toMatchObject({ mode: 'unoccupied', source: 'weekly', appliedAt: '2026-03-02T23:00:00.000Z' });
+});
+
+test('schedules are validated', async () => {
+  expect(scheduleService.validateSchedule({
+    name: 'Bad',
+    timezone: 'Mars/Olympus_Mons',
+    weekly: { monday: [{ start: '22:00', end: '06:00' }], someday: [] },
+    occupied: { 'Temperature': [{ command: 'setpoint' }] },
+    holidayCalendarIds: ['missing']
+  })).toEqual([
+    'timezone must be an IANA time zone such as Europe/London',
+    'weekly.monday[0] must end after it starts (split periods that cross midnight)',
+    expect.stringMatching(/^weekly\.someday is not a weekday/),
+    'occupied.Temperature[0]: Temperature devices do not accept commands',
+    'holiday calendar not found: missing'
+  ]);
+  expect(scheduleService.validateOverride({ mode: 'occupied', end: '2020-01-01T00:00:00Z', start: '2019-12-31T00:00:00Z' }))
+    .toEqual(['end must be in the future']);
+});
+
+test('schedules are only saved for building zones the auth service knows', async () => {
+  const getBuildingZone = jest.spyOn(authMiddleware, 'getBuildingZone');
+  const body = { name: 'Lobby', timezone: 'UTC', weekly: weekly(WEEKDAYS, OFFICE_HOURS) };
+
+  try {
+    getBuildingZone.mockResolvedValue(null);
+    expect(await put('zone-typo', body)).toEqual({ status: 404, body: { error: 'Building zone not found' } });
+    expect(scheduleService.getSchedule('zone-typo')).toBeNull();
+
+    getBuildingZone.mockRejectedValue(new Error('connect ECONNREFUSED'));
+    expect((await put('zone-lobby', body)).status).toBe(502);
+
+    getBuildingZone.mockResolvedValue({ id: 'zone-lobby', name: 'Lobby' });
+    expect(await put('zone-lobby', body)).toMatchObject({ status: 201, body: { zoneId: 'zone-lobby', name: 'Lobby' } });
+  } finally {
+    getBuildingZone.mockRestore();
+  }
+});
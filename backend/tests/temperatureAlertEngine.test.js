@@ -0,0 +1,120 @@
+const { useTempDataDir, startRubidexEmulator, silenceConsole } = require('./helpers/environment');
+
+useTempDataDir();
+silenceConsole();
+process.env.ALERT_FLAP_THRESHOLD = '3';
+process.env.ALERT_FLAP_WINDOW = '600';
+
+let emulator;
+let temperatureAlertEngine;
+let rubidexService;
+let deviceRegistry;
+let alertService;
+
+const START = new Date('2026-03-02T09:00:00Z').getTime();
+const seconds = n => START + n * 1000;
+const evaluate = (deviceId, temperature, at) => temperatureAlertEngine.evaluateReading({
+  deviceId,
+  temperature,
+  alertLimit: 40,
+  timestamp: new Date(at).toISOString()
+});
+
+beforeAll(async () => {
+  emulator = await startRubidexEmulator();
+  temperatureAlertEngine = require('../src/services/temperatureAlertEngine');
+  rubidexService = require('../src/services/rubidexService');
+  deviceRegistry = require('../src/services/deviceRegistry');
+  alertService = require('../src/services/alertService');
+});
+
+afterAll(() => emulator.stop());
+
+describe('stored limits', () => {
+  test('a failed load is retried after a growing delay, not on every reading', async () => {
+    const load = jest.spyOn(rubidexService, 'getAllDocuments').mockRejectedValue(new Error('Rubidex is down'));
+    const now = jest.spyOn(Date, 'now').mockReturnValue(START);
+
+    try {
+      expect(await temperatureAlertEngine.getLimit('limits-1')).toBe(40);
+      expect(await temperatureAlertEngine.getLimit('limits-1')).toBe(40);
+      expect(load).toHaveBeenCalledTimes(1);
+
+      now.mockReturnValue(START + 30 * 1000);
+      await temperatureAlertEngine.getLimit('limits-1');
+      expect(load).toHaveBeenCalledTimes(2);
+
+      // The next retry waits twice as long
+      now.mockReturnValue(START + 60 * 1000);
+      await temperatureAlertEngine.getLimit('limits-1');
+      expect(load).toHaveBeenCalledTimes(2);
+
+      load.mockResolvedValue([
+        { fields: { coreid: 'limits-1', device_type: 'temperature_sensor', alert_limit: '35', published_at: new Date(START).toISOString() } }
+      ]);
+      now.mockReturnValue(START + 90 * 1000);
+      expect(await temperatureAlertEngine.getLimit('limits-1')).toBe(35);
+
+      await temperatureAlertEngine.getLimit('limits-2');
+      expect(load).toHaveBeenCalledTimes(3);
+    } finally {
+      load.mockRestore();
+      now.mockRestore();
+    }
+  });
+});
+
+describe('minimum duration', () => {
+  test('a device stays pending until it has been over the limit long enough', async () => {
+    deviceRegistry.createDevice({ id: 'slow-1', name: 'Cold store', type: 'Temperature', alertMinDuration: 60 });
+
+    expect((await evaluate('slow-1', 45, seconds(0))).action).toBe('pending');
+    expect((await evaluate('slow-1', 46, seconds(59))).action).toBe('pending');
+    expect(alertService.findOpenAlert('slow-1', 'temperature')).toBeNull();
+
+    expect((await evaluate('slow-1', 46, seconds(60))).action).toBe('raised');
+  });
+
+  test('dropping below the limit starts the wait over', async () => {
+    deviceRegistry.createDevice({ id: 'slow-2', name: 'Freezer', type: 'Temperature', alertMinDuration: 60 });
+
+    await evaluate('slow-2', 45, seconds(0));
+    expect((await evaluate('slow-2', 38, seconds(30))).action).toBe('none');
+    expect((await evaluate('slow-2', 45, seconds(70))).action).toBe('pending');
+    expect((await evaluate('slow-2', 45, seconds(130))).action).toBe('raised');
+  });
+});
+
+describe('flap suppression', () => {
+  test('a device crossing its limit too often is marked flapping and the crossings stay one incident', async () => {
+    const markFlapping = jest.spyOn(alertService, 'markFlapping');
+
+    expect((await evaluate('flap-1', 45, seconds(0))).action).toBe('raised');
+    expect((await evaluate('flap-1', 30, seconds(10))).action).toBe('resolved');
+    expect((await evaluate('flap-1', 45, seconds(20))).action).toBe('raised');
+    expect(markFlapping).not.toHaveBeenCalled();
+
+    // The third crossing within the window
+    const flapped = await evaluate('flap-1', 30, seconds(30));
+    expect(flapped.action).toBe('suppressed');
+    expect(markFlapping).toHaveBeenCalledTimes(1);
+
+    expect((await evaluate('flap-1', 45, seconds(40))).action).toBe('none');
+    expect((await evaluate('flap-1', 30, seconds(50))).action).toBe('suppressed');
+    expect(markFlapping).toHaveBeenCalledTimes(1);
+
+    const incidents = alertService.getAlerts({ deviceId: 'flap-1' });
+    expect(incidents).toHaveLength(2);
+    expect(incidents[0]).toMatchObject({ id: flapped.alert.alertId, flapping: true, state: 'open' });
+
+    markFlapping.mockRestore();
+  });
+
+  test('a flapping incident resolves once the temperature has been clear for a whole window', async () => {
+    expect((await evaluate('flap-1', 30, seconds(50 + 599))).action).toBe('suppressed');
+
+    const resolved = await evaluate('flap-1', 30, seconds(50 + 600));
+    expect(resolved.action).toBe('resolved');
+    expect(alertService.findOpenAlert('flap-1', 'temperature')).toBeNull();
+  });
+});
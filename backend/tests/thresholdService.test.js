@@ -0,0 +1,84 @@
+const { useTempDataDir, silenceConsole } = require('./helpers/environment');
+const { validateThresholds, statusForThresholds } = require('../src/config/deviceTypes');
+
+useTempDataDir();
+silenceConsole();
+
+let thresholdService;
+let deviceRegistry;
+
+const WATER = { criticalLow: 10, warningLow: 20, warningHigh: 90, criticalHigh: 98 };
+
+beforeAll(() => {
+  thresholdService = require('../src/services/thresholdService');
+  deviceRegistry = require('../src/services/deviceRegistry');
+});
+
+describe('validateThresholds', () => {
+  test('ordered bands are valid, and any band can be left unset', () => {
+    expect(validateThresholds(WATER)).toEqual([]);
+    expect(validateThresholds({ warningHigh: 35, criticalHigh: 45 })).toEqual([]);
+    expect(validateThresholds({ criticalLow: null, warningLow: null, warningHigh: null, criticalHigh: null })).toEqual([]);
+    // Warning and critical may be the same value
+    expect(validateThresholds({ warningHigh: 40, criticalHigh: 40 })).toEqual([]);
+  });
+
+  test('only known bands holding numbers or null are accepted', () => {
+    expect(validateThresholds(null)).toEqual(['thresholds must be an object']);
+    expect(validateThresholds([35, 45])).toEqual(['thresholds must be an object']);
+    expect(validateThresholds({ high: 35, warningHigh: '35', criticalHigh: NaN })).toEqual([
+      'unknown threshold band: high',
+      'warningHigh must be a number or null',
+      'criticalHigh must be a number or null'
+    ]);
+  });
+
+  test('critical bands can\'t sit inside warning bands, and low bands must be below high ones', () => {
+    expect(validateThresholds({ criticalLow: 25, warningLow: 20 })).toEqual(['criticalLow must not be above warningLow']);
+    expect(validateThresholds({ warningHigh: 50, criticalHigh: 45 })).toEqual(['warningHigh must not be above criticalHigh']);
+    expect(validateThresholds({ warningLow: 30, warningHigh: 30 })).toEqual(['low bands must be below high bands']);
+    // With no warning bands the critical ones are compared
+    expect(validateThresholds({ criticalLow: 50, criticalHigh: 40 })).toEqual(['low bands must be below high bands']);
+  });
+});
+
+describe('statusForThresholds', () => {
+  test('a reading has to go past a band to change status', () => {
+    expect(statusForThresholds(55, WATER)).toBe('Online');
+    expect(statusForThresholds(90, WATER)).toBe('Online');
+    expect(statusForThresholds(90.1, WATER)).toBe('Warning');
+    expect(statusForThresholds(98, WATER)).toBe('Warning');
+    expect(statusForThresholds(98.1, WATER)).toBe('Critical');
+    expect(statusForThresholds(20, WATER)).toBe('Online');
+    expect(statusForThresholds(19.9, WATER)).toBe('Warning');
+    expect(statusForThresholds(9.9, WATER)).toBe('Critical');
+  });
+
+  test('unset bands never change status', () => {
+    expect(statusForThresholds(-1000, { warningHigh: 35, criticalHigh: 45 })).toBe('Online');
+    expect(statusForThresholds(1000, { criticalLow: null, warningLow: null, warningHigh: null, criticalHigh: null })).toBe('Online');
+    expect(statusForThresholds(50, { warningHigh: null, criticalHigh: 45 })).toBe('Critical');
+  });
+});
+
+describe('effective thresholds', () => {
+  test('type overrides sit over the defaults, and device overrides over both', () => {
+    expect(thresholdService.getTypeThresholds('Temperature')).toEqual({ criticalLow: null, warningLow: null, warningHigh: 35, criticalHigh: 45 });
+
+    thresholdService.setTypeThresholds('Temperature', { warningHigh: 30 });
+    deviceRegistry.createDevice({ id: 'cold-room', name: 'Cold room', type: 'Temperature', thresholds: { warningHigh: 8, criticalHigh: 12 } });
+
+    expect(thresholdService.getDeviceThresholds('boiler', 'Temperature')).toMatchObject({ warningHigh: 30, criticalHigh: 45 });
+    expect(thresholdService.getDeviceThresholds('cold-room')).toMatchObject({ warningHigh: 8, criticalHigh: 12 });
+    expect(thresholdService.determineStatus('boiler', 'Temperature', 31)).toBe('Warning');
+    expect(thresholdService.determineStatus('cold-room', 'Temperature', 13)).toBe('Critical');
+
+    expect(thresholdService.resetTypeThresholds('Temperature').warningHigh).toBe(35);
+  });
+
+  test('a partial change is validated as it would apply over the current bands', () => {
+    expect(thresholdService.validate({ warningHigh: 50 }, thresholdService.getTypeThresholds('Temperature')))
+      .toEqual(['warningHigh must not be above criticalHigh']);
+    expect(thresholdService.validate({ warningHigh: 50, criticalHigh: 60 }, thresholdService.getTypeThresholds('Temperature'))).toEqual([]);
+  });
+});
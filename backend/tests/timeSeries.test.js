@@ -0,0 +1,82 @@
+const { resolveWindow, downsample } = require('../src/utils/timeSeries');
+
+const NOW = new Date('2026-03-02T12:00:00.000Z');
+const point = (timestamp, value) => ({ timestamp, value });
+
+describe('resolveWindow', () => {
+  test('a preset range ends now, and an unknown or missing one is the last hour', () => {
+    expect(resolveWindow({ timeRange: 'day' }, NOW)).toEqual({ from: new Date('2026-03-01T12:00:00.000Z'), to: NOW });
+    expect(resolveWindow({ timeRange: 'fortnight' }, NOW)).toEqual({ from: new Date('2026-03-02T11:00:00.000Z'), to: NOW });
+    expect(resolveWindow({}, NOW)).toEqual({ from: new Date('2026-03-02T11:00:00.000Z'), to: NOW });
+  });
+
+  test('explicit bounds win over the preset, which counts back from to when only to is given', () => {
+    expect(resolveWindow({ timeRange: 'week', from: '2026-02-01T00:00:00Z', to: '2026-02-02T00:00:00Z' }, NOW))
+      .toEqual({ from: new Date('2026-02-01T00:00:00Z'), to: new Date('2026-02-02T00:00:00Z') });
+    expect(resolveWindow({ timeRange: 'hour', to: '2026-02-02T00:00:00Z' }, NOW))
+      .toEqual({ from: new Date('2026-02-01T23:00:00Z'), to: new Date('2026-02-02T00:00:00Z') });
+    expect(resolveWindow({ from: '2026-03-02T11:30:00Z' }, NOW))
+      .toEqual({ from: new Date('2026-03-02T11:30:00Z'), to: NOW });
+  });
+
+  test('an empty window is allowed, an inverted one is not', () => {
+    expect(resolveWindow({ from: '2026-03-02T10:00:00Z', to: '2026-03-02T10:00:00Z' }, NOW))
+      .toEqual({ from: new Date('2026-03-02T10:00:00Z'), to: new Date('2026-03-02T10:00:00Z') });
+    expect(resolveWindow({ from: '2026-03-02T10:00:01Z', to: '2026-03-02T10:00:00Z' }, NOW))
+      .toEqual({ error: 'from must be before to' });
+    // A from in the future with no to is inverted too
+    expect(resolveWindow({ from: '2026-03-03T00:00:00Z' }, NOW)).toEqual({ error: 'from must be before to' });
+  });
+
+  test('timestamps that don\'t parse are rejected', () => {
+    expect(resolveWindow({ from: 'yesterday' }, NOW)).toEqual({ error: 'from must be an ISO 8601 timestamp' });
+    expect(resolveWindow({ from: 'yesterday', to: 'today' }, NOW)).toEqual({ error: 'to must be an ISO 8601 timestamp' });
+  });
+});
+
+describe('downsample', () => {
+  test('points are grouped into buckets aligned to the clock, oldest first', () => {
+    const buckets = downsample([
+      point('2026-03-02T10:07:00Z', 22),
+      point('2026-03-02T10:01:00Z', 20),
+      point('2026-03-02T10:04:59Z', 21),
+      point('2026-03-02T10:05:00Z', 30)
+    ], '5m');
+
+    expect(buckets).toEqual([
+      { timestamp: '2026-03-02T10:00:00.000Z', value: 20.5, min: 20, max: 21, avg: 20.5, count: 2 },
+      { timestamp: '2026-03-02T10:05:00.000Z', value: 26, min: 22, max: 30, avg: 26, count: 2 }
+    ]);
+  });
+
+  test('averages are rounded to two decimal places, min and max are not', () => {
+    const [bucket] = downsample([
+      point('2026-03-02T10:00:00Z', 20.111),
+      point('2026-03-02T10:20:00Z', 20.222),
+      point('2026-03-02T10:40:00Z', 20.334)
+    ], '1h');
+
+    expect(bucket).toMatchObject({ min: 20.111, max: 20.334, avg: 20.22, value: 20.22, count: 3 });
+  });
+
+  test('an empty window has no buckets', () => {
+    expect(downsample([], '1m')).toEqual([]);
+  });
+
+  test('with more buckets than points, only the buckets with a point are returned', () => {
+    const buckets = downsample([
+      point('2026-03-02T10:00:30Z', 20),
+      point('2026-03-02T10:45:10Z', 25)
+    ], '1m');
+
+    expect(buckets).toEqual([
+      { timestamp: '2026-03-02T10:00:00.000Z', value: 20, min: 20, max: 20, avg: 20, count: 1 },
+      { timestamp: '2026-03-02T10:45:00.000Z', value: 25, min: 25, max: 25, avg: 25, count: 1 }
+    ]);
+  });
+
+  test('daily buckets start at midnight UTC', () => {
+    expect(downsample([point('2026-03-02T23:59:59Z', 1), point('2026-03-03T00:00:00Z', 2)], '1d').map(bucket => bucket.timestamp))
+      .toEqual(['2026-03-02T00:00:00.000Z', '2026-03-03T00:00:00.000Z']);
+  });
+});